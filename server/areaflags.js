@@ -0,0 +1,84 @@
+/**
+ * Reader for the mission's areaflags.map: the usage/value raster the CE consults to decide
+ * which tier (and which usage zones) a map position belongs to.
+ *
+ * Layout this reader expects: a square, headerless grid of little-endian uint32 cells, rows
+ * from the north edge of the map to the south, columns west to east. The low 16 bits of a cell
+ * are the usage mask and the high 16 bits the value mask; bit i is the i-th <usage>/<value>
+ * entry of cfglimitsdefinition.xml, which is why the CE warns against reordering those lists.
+ * A file whose size isn't 4 * n * n bytes is rejected rather than guessed at.
+ */
+
+const CELL_BYTES = 4;
+
+/**
+ * Split areaflags.map into its usage and value layers.
+ * @param {Uint8Array} buf raw file contents
+ * @returns {{size: number, usage: Uint16Array, value: Uint16Array}}
+ */
+export function parseAreaFlags(buf) {
+    if (!buf || buf.length % CELL_BYTES !== 0) throw new Error('areaflags.map: unexpected file size');
+    const cells = buf.length / CELL_BYTES;
+    const size = Math.round(Math.sqrt(cells));
+    if (!size || size * size !== cells) throw new Error('areaflags.map: grid is not square');
+    const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+    const usage = new Uint16Array(cells);
+    const value = new Uint16Array(cells);
+    for (let i = 0; i < cells; i++) {
+        const cell = view.getUint32(i * CELL_BYTES, true);
+        usage[i] = cell & 0xffff;
+        value[i] = cell >>> 16;
+    }
+    return {size, usage, value};
+}
+
+/**
+ * Shrink a square mask to at most `target` cells per side. Each output cell is the OR of the
+ * block it covers, so a tier present anywhere in the block still shows.
+ * @param {Uint16Array} mask
+ * @param {number} size edge of `mask`
+ * @param {number} target requested edge
+ * @returns {{size: number, mask: Uint16Array}}
+ */
+export function downsampleMask(mask, size, target) {
+    if (!target || target >= size) return {size, mask};
+    const out = new Uint16Array(target * target);
+    for (let y = 0; y < size; y++) {
+        const oy = Math.floor((y * target) / size);
+        for (let x = 0; x < size; x++) {
+            const ox = Math.floor((x * target) / size);
+            out[oy * target + ox] |= mask[y * size + x];
+        }
+    }
+    return {size: target, mask: out};
+}
+
+/**
+ * Usage and value flag names in cfglimitsdefinition.xml order — the bit order of the masks.
+ * @param {string} xml
+ * @returns {{usage: string[], value: string[]}}
+ */
+export function parseLimitsFlagOrder(xml) {
+    const names = (block, tag) => {
+        const inner = String(xml || '').match(new RegExp(`<${block}\\b[^>]*>([\\s\\S]*?)<\\/${block}>`, 'i'))?.[1] || '';
+        const out = [];
+        const re = new RegExp(`<${tag}\\b[^>]*\\bname="([^"]+)"`, 'gi');
+        let m;
+        while ((m = re.exec(inner)) !== null) out.push(m[1]);
+        return out;
+    };
+    return {usage: names('usageflags', 'usage'), value: names('valueflags', 'value')};
+}
+
+/**
+ * The areaflags.map location cfgenvironment.xml points at, relative to the mission folder, or
+ * null when it doesn't name one (the CE then loads `areaflags.map` from the mission root).
+ * @param {string} xml
+ * @returns {string|null}
+ */
+export function findAreaFlagsPath(xml) {
+    const m = String(xml || '').match(/\b(?:path|file|name)="([^"]*areaflags\.map)"/i);
+    if (!m) return null;
+    const rel = m[1].replace(/\\/g, '/').replace(/^\.?\//, '');
+    return rel.split('/').some(seg => seg === '..') ? null : rel;
+}
@@ -0,0 +1,112 @@
+/**
+ * Reverting one audited type field change: check the field still holds the value the change
+ * set, then put the previous value back into the current file, touching only that field of
+ * that `<type>` so the rest of the file (comments, formatting, other edits) stays as it is.
+ *
+ * Values are in the form the types PUT records them (see `parseTypesToMap`): numbers as text
+ * ('' when the element is absent), usage/value/tag as sorted name lists, flags as 0/1 under
+ * `flags.<name>`.
+ */
+
+const TEXT_FIELDS = ['nominal', 'min', 'lifetime', 'restock', 'quantmin', 'quantmax'];
+const LIST_FIELDS = ['usage', 'value', 'tag'];
+const FLAG_FIELDS = ['count_in_cargo', 'count_in_hoarder', 'count_in_map', 'count_in_player', 'crafted', 'deloot'];
+
+/** Every type field a revert can put back. */
+export const REVERTIBLE_TYPE_FIELDS = [...TEXT_FIELDS, 'category', ...LIST_FIELDS, ...FLAG_FIELDS.map(f => `flags.${f}`)];
+
+const escapeRegExp = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const escapeAttr = (s) => String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Whether an audit record is a type field change `revertTypeField` can undo.
+ * @param {{kind?: string, change?: string, classname?: string | null, field?: string | null}} record
+ */
+export function isRevertibleTypeChange(record) {
+    return record?.kind === 'types' && record.change === 'modified' && !!record.classname
+        && REVERTIBLE_TYPE_FIELDS.includes(record.field);
+}
+
+/**
+ * Replace every `tag` child of a type's body with `lines`, at the first one's position (or at
+ * the end of the body when there was none).
+ */
+function replaceChildren(inner, tag, lines) {
+    const indent = inner.match(/\n([ \t]+)</)?.[1] ?? '    ';
+    const block = lines.map(l => `\n${indent}${l}`).join('');
+    let first = -1;
+    const el = new RegExp(`(?:\\r?\\n[ \\t]*)?<${tag}\\b[^>]*?(?:\\/>|>[\\s\\S]*?<\\/${tag}>)`, 'gi');
+    const stripped = inner.replace(el, (match, offset) => {
+        if (first < 0) first = offset;
+        return '';
+    });
+    if (first >= 0) return stripped.slice(0, first) + block + stripped.slice(first);
+    const tail = stripped.match(/\s*$/)[0];
+    return stripped.slice(0, stripped.length - tail.length) + block + tail;
+}
+
+function setFlag(inner, flag, value) {
+    const flags = inner.match(/<flags\b[^>]*>/i);
+    if (!flags) return replaceChildren(inner, 'flags', [`<flags ${flag}="${value}"/>`]);
+    const attr = new RegExp(`\\b${flag}="[^"]*"`, 'i');
+    const next = attr.test(flags[0])
+        ? flags[0].replace(attr, `${flag}="${value}"`)
+        : flags[0].replace(/\s*(\/?)>$/, ` ${flag}="${value}"$1>`);
+    return inner.replace(flags[0], next);
+}
+
+/**
+ * Set one field of one `<type>` in a types document.
+ * @param {string} xml
+ * @param {string} classname
+ * @param {string} field one of REVERTIBLE_TYPE_FIELDS
+ * @param {any} value
+ * @returns {string | null} the new document, or null when the type isn't in it
+ */
+export function setTypeField(xml, classname, field, value) {
+    const re = new RegExp(`(<type\\b[^>]*\\bname="${escapeRegExp(classname)}"[^>]*>)([\\s\\S]*?)(<\\/type>)`, 'i');
+    const m = String(xml || '').match(re);
+    if (!m) return null;
+    let inner = m[2];
+    if (TEXT_FIELDS.includes(field)) {
+        const text = String(value ?? '').trim();
+        inner = replaceChildren(inner, field, text === '' ? [] : [`<${field}>${escapeAttr(text)}</${field}>`]);
+    } else if (field === 'category') {
+        inner = replaceChildren(inner, 'category', value ? [`<category name="${escapeAttr(value)}"/>`] : []);
+    } else if (LIST_FIELDS.includes(field)) {
+        inner = replaceChildren(inner, field, (Array.isArray(value) ? value : []).map(n => `<${field} name="${escapeAttr(n)}"/>`));
+    } else if (field.startsWith('flags.') && FLAG_FIELDS.includes(field.slice(6))) {
+        inner = setFlag(inner, field.slice(6), value ? 1 : 0);
+    } else {
+        throw new Error(`Unknown type field: ${field}`);
+    }
+    return xml.slice(0, m.index) + m[1] + inner + m[3] + xml.slice(m.index + m[0].length);
+}
+
+/**
+ * A parsed type's value for an audit field.
+ * @param {Record<string, any> | undefined} entry from `parseTypesToMap`
+ * @param {string} field
+ */
+export function typeFieldValue(entry, field) {
+    if (!entry) return null;
+    return field.startsWith('flags.') ? entry.flags?.[field.slice(6)] ?? null : entry[field] ?? null;
+}
+
+/**
+ * What reverting `record` would do to the type as it is now: `revert` when the field still
+ * holds the value the change set, `conflict` when it was changed again since, `reverted` when it
+ * already holds the old value again and `missing` when the type is gone. The three values are
+ * returned for a three-way comparison.
+ * @param {{field: string, old: any, new: any}} record
+ * @param {Record<string, any> | undefined} entry the type's current parsed definition
+ * @returns {{status: 'revert'|'conflict'|'reverted'|'missing', original: any, changed: any, current: any}}
+ */
+export function planTypeFieldRevert(record, entry) {
+    const current = typeFieldValue(entry, record.field);
+    const values = {original: record.old ?? null, changed: record.new ?? null, current};
+    if (!entry) return {status: 'missing', ...values};
+    if (same(current, record.old)) return {status: 'reverted', ...values};
+    return {status: same(current, record.new) ? 'revert' : 'conflict', ...values};
+}
@@ -0,0 +1,175 @@
+/**
+ * Structured audit log: one JSON line per changed field in `<missionPath>/.lootmaster/audit.jsonl`,
+ * recorded by every route that writes a mission or Expansion file.
+ *
+ * A record is `{id, ts, editorId, file, kind, classname, change, field, old, new}`. `file` is
+ * mission-relative (Expansion profile files as `ExpansionMod/...`), `classname` the type, preset,
+ * event or market item the change belongs to (null for plain JSON settings), and `change` is
+ * `added`/`removed` for a whole entry (its value in `new`/`old`) or `modified` for one `field`.
+ */
+
+import {appendFile, mkdir, readFile} from 'node:fs/promises';
+import {dirname} from 'node:path';
+import crypto from 'node:crypto';
+import {walkJsonChanges, xmlEntryParser} from './snapshot-diff.js';
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+
+/** Nested objects as dotted fields (`flags.crafted`); arrays and scalars stay whole. */
+function flatten(value, prefix = '', out = {}) {
+    for (const [k, v] of Object.entries(value || {})) {
+        const key = prefix ? `${prefix}.${k}` : k;
+        if (isPlainObject(v)) flatten(v, key, out);
+        else out[key] = v;
+    }
+    return out;
+}
+
+/**
+ * Changes between two name-keyed maps of parsed entries (types, spawnabletypes, presets, events).
+ * @param {Record<string, any>} oldMap
+ * @param {Record<string, any>} newMap
+ */
+export function auditEntryChanges(oldMap = {}, newMap = {}) {
+    const out = [];
+    for (const name of Object.keys(newMap)) {
+        if (!(name in oldMap)) out.push({classname: name, change: 'added', field: null, old: null, new: newMap[name]});
+    }
+    for (const name of Object.keys(oldMap)) {
+        if (!(name in newMap)) out.push({classname: name, change: 'removed', field: null, old: oldMap[name], new: null});
+    }
+    for (const name of Object.keys(oldMap)) {
+        if (!(name in newMap)) continue;
+        const a = flatten(oldMap[name]);
+        const b = flatten(newMap[name]);
+        for (const field of new Set([...Object.keys(a), ...Object.keys(b)])) {
+            if (JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null)) continue;
+            out.push({classname: name, change: 'modified', field, old: a[field] ?? null, new: b[field] ?? null});
+        }
+    }
+    return out;
+}
+
+/**
+ * cfglimitsdefinition.xml as `category:Name`-style keys; definitions only come and go.
+ * @param {string} xml
+ */
+export function parseLimitsDefinitionsToMap(xml) {
+    const out = {};
+    const re = /<(category|usage|value|tag)\b[^>]*\bname="([^"]+)"/gi;
+    let m;
+    while ((m = re.exec(String(xml || ''))) !== null) out[`${m[1].toLowerCase()}:${m[2]}`] = true;
+    return out;
+}
+
+// `Items[apple].MaxPriceThreshold` (market) or `Items.apple` (trader profile) belong to a class.
+const JSON_ITEM_KEY = /^Items(?:\[([^\]]+)\]|\.([^.[]+))(?:\.(.+))?$/;
+
+/**
+ * Changes between two parsed JSON documents, market and trader items attributed to their class.
+ * @param {any} a
+ * @param {any} b
+ */
+export function auditJsonChanges(a, b) {
+    return walkJsonChanges(a, b).map(c => {
+        const m = c.key.match(JSON_ITEM_KEY);
+        const classname = m ? m[1] || m[2] : null;
+        const field = m ? m[3] || null : c.key;
+        const whole = classname && !field;
+        return {
+            classname,
+            change: whole ? c.status : 'modified',
+            field,
+            old: c.old ?? null,
+            new: c.new ?? null
+        };
+    });
+}
+
+/**
+ * What a write changed in a file, by its contents: per entry and field for the CE XML kinds,
+ * per key for JSON, and as one whole-file record otherwise.
+ * @param {string} file mission-relative path
+ * @param {string|null} prev previous contents, null when the file is new
+ * @param {string|null} next new contents, null when the file was deleted
+ * @returns {{kind: string, changes: ReturnType<typeof auditEntryChanges>}}
+ */
+export function auditFileChanges(file, prev, next) {
+    if (prev === next) return {kind: 'text', changes: []};
+    if (next === null) {
+        return {kind: /\.json$/i.test(file) ? 'json' : 'text', changes: [{classname: null, change: 'removed', field: null, old: null, new: null}]};
+    }
+    if (/\.xml$/i.test(file)) {
+        const parser = xmlEntryParser(next) || xmlEntryParser(prev);
+        if (parser) return {kind: parser.kind, changes: auditEntryChanges(parser.parse(prev || ''), parser.parse(next))};
+        if (/<lists\b/i.test(next)) {
+            return {kind: 'definitions', changes: auditEntryChanges(parseLimitsDefinitionsToMap(prev), parseLimitsDefinitionsToMap(next))};
+        }
+    }
+    if (/\.json$/i.test(file) && prev !== null) {
+        try {
+            return {kind: 'json', changes: auditJsonChanges(JSON.parse(prev), JSON.parse(next))};
+        } catch { /* not JSON after all */ }
+    }
+    const whole = {classname: null, change: prev === null ? 'added' : 'modified', field: null, old: null, new: null};
+    return {kind: /\.json$/i.test(file) ? 'json' : 'text', changes: [whole]};
+}
+
+/**
+ * Stamp changes as audit records.
+ * @param {ReturnType<typeof auditEntryChanges>} changes
+ * @param {{editorId: string, file: string, kind: string, ts?: string}} context
+ */
+export function toAuditRecords(changes, {editorId, file, kind, ts = new Date().toISOString()}) {
+    return changes.map(c => ({id: crypto.randomUUID(), ts, editorId, file, kind, ...c}));
+}
+
+/**
+ * @param {string} logPath
+ * @param {object[]} records
+ */
+export async function appendAuditRecords(logPath, records) {
+    if (!records.length) return;
+    await mkdir(dirname(logPath), {recursive: true});
+    await appendFile(logPath, records.map(r => JSON.stringify(r)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Every record in the log, oldest first; a torn last line is skipped.
+ * @param {string} logPath
+ */
+export async function readAuditRecords(logPath) {
+    const text = await readFile(logPath, 'utf8').catch(() => '');
+    const out = [];
+    for (const line of text.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            out.push(JSON.parse(line));
+        } catch { /* skip */ }
+    }
+    return out;
+}
+
+/**
+ * Filter records, newest first. `classname` and `editor` match whole values, case-insensitively;
+ * `file` matches part of the path; `from`/`to` are ISO dates or times, a bare `to` date
+ * including that whole day.
+ * @param {object[]} records
+ * @param {{editor?: string, classname?: string, file?: string, from?: string, to?: string, limit?: number, offset?: number}} filters
+ * @returns {{total: number, records: object[]}}
+ */
+export function filterAuditRecords(records, {editor, classname, file, from, to, limit = 200, offset = 0} = {}) {
+    const lower = (v) => String(v ?? '').toLowerCase();
+    const fromMs = from ? Date.parse(from) : NaN;
+    const toMs = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 : 1) : NaN;
+    const matched = records.filter(r => {
+        if (editor && lower(r.editorId) !== lower(editor)) return false;
+        if (classname && lower(r.classname) !== lower(classname)) return false;
+        if (file && !lower(r.file).includes(lower(file))) return false;
+        const ts = Date.parse(r.ts);
+        if (!Number.isNaN(fromMs) && !(ts >= fromMs)) return false;
+        if (!Number.isNaN(toMs) && !(ts < toMs)) return false;
+        return true;
+    }).reverse();
+    return {total: matched.length, records: matched.slice(offset, offset + limit)};
+}
@@ -0,0 +1,85 @@
+/**
+ * Optimistic concurrency for file writes. Every GET carries an ETag, a hash of the content it
+ * returned; a PUT to a mission or Expansion file sends the ETag it loaded back as `If-Match`, and
+ * is refused with 409 (and the file's current content) when the file changed in between, so two
+ * editors saving the same file merge instead of one silently overwriting the other.
+ *
+ * A PUT for a file the client never loaded sends `If-None-Match: *` instead, which only succeeds
+ * while the file doesn't exist. `If-Match: *` overwrites whatever is there.
+ */
+
+import crypto from 'node:crypto';
+
+/**
+ * The ETag for a response body or file content (quoted, as the header carries it).
+ * @param {string | Buffer} data
+ */
+export function contentEtag(data) {
+    return `"${crypto.createHash('sha256').update(data).digest('hex').slice(0, 32)}"`;
+}
+
+/**
+ * Whether a write may replace `current`, going by the request's precondition headers:
+ * `ok`, `required` when it sent neither If-Match nor If-None-Match, or `conflict`. A file that
+ * has gone missing since it was loaded matches any If-Match, as there is nothing to overwrite.
+ * @param {Record<string, string | string[] | undefined>} headers request headers (lower-cased names)
+ * @param {string | null} current the file's content, null when it doesn't exist
+ * @returns {'ok' | 'required' | 'conflict'}
+ */
+export function checkPrecondition(headers, current) {
+    const ifMatch = headers['if-match'];
+    if (typeof ifMatch === 'string') {
+        if (current === null || ifMatch.trim() === '*') return 'ok';
+        const tags = ifMatch.split(',').map(t => t.trim().replace(/^W\//, ''));
+        return tags.includes(contentEtag(current)) ? 'ok' : 'conflict';
+    }
+    const ifNoneMatch = headers['if-none-match'];
+    if (typeof ifNoneMatch === 'string') {
+        return current === null && ifNoneMatch.trim() === '*' ? 'ok' : 'conflict';
+    }
+    return 'required';
+}
+
+/**
+ * Per-file write locks, a promise chain per path (like the loadouts write queue). `acquire`
+ * resolves, once every earlier holder of the path released it, with the function that releases
+ * it. A write's precondition check and the write itself run while holding the lock, so two
+ * saves sent with the same ETag can't both pass the check: the second sees the first's write
+ * and gets the 409.
+ */
+export function createWriteLocks() {
+    const chains = new Map();
+    return {
+        /**
+         * @param {string} path
+         * @returns {Promise<() => void>}
+         */
+        acquire(path) {
+            const prev = chains.get(path) || Promise.resolve();
+            let release;
+            const held = new Promise(resolve => { release = resolve; });
+            const chain = prev.then(() => held);
+            chains.set(path, chain);
+            chain.then(() => {
+                if (chains.get(path) === chain) chains.delete(path);
+            });
+            return prev.then(() => release);
+        },
+
+        /**
+         * Run `work` holding the lock of `path`, releasing it however `work` ends.
+         * @template T
+         * @param {string} path
+         * @param {() => Promise<T>} work
+         * @returns {Promise<T>}
+         */
+        async run(path, work) {
+            const release = await this.acquire(path);
+            try {
+                return await work();
+            } finally {
+                release();
+            }
+        }
+    };
+}
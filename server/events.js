@@ -0,0 +1,177 @@
+/**
+ * Regex-level readers for db/events.xml and cfgeventspawns.xml.
+ *
+ * The audit log and snapshot diffs use these to compare events per entry and field. They only
+ * need enough structure to diff two revisions of a file, so they stay dependency-free (no
+ * DOMParser on the server). Also home to the file-name
+ * guard for per-group events files declared in cfgeconomycore.xml.
+ */
+
+/** Name a group's events file may have when cfgeconomycore.xml doesn't declare one yet. */
+export const CANONICAL_EVENTS_FILE_RE = /^(cfg)?events\.xml$/i;
+
+/**
+ * Whether `fileName` may be read/written as a group's events file. Mirrors the spawnabletypes
+ * guard: a name the group declares as types/spawnabletypes is never accepted, so an events PUT
+ * can't overwrite those files with an <events> document.
+ * @param {object} args
+ * @param {string} args.fileName file name as requested (no path separators)
+ * @param {string[]} [args.declaredEvents] names cfgeconomycore declares as type="events"
+ * @param {string[]} [args.declaredOther] names cfgeconomycore declares with any other type
+ * @returns {boolean}
+ */
+export function isAllowedEventsFileName({fileName, declaredEvents = [], declaredOther = []}) {
+    if (typeof fileName !== 'string' || !/^[A-Za-z0-9._-]+$/.test(fileName) || fileName === '..') return false;
+    const lower = fileName.toLowerCase();
+    if (declaredEvents.some(n => String(n).toLowerCase() === lower)) return true;
+    if (declaredOther.some(n => String(n).toLowerCase() === lower)) return false;
+    return CANONICAL_EVENTS_FILE_RE.test(fileName);
+}
+
+/** Scalar child elements of an <event>, in the order DayZ's own events.xml lists them. */
+export const EVENT_SCALAR_FIELDS = [
+    ['Nominal', 'nominal'],
+    ['Min', 'min'],
+    ['Max', 'max'],
+    ['Lifetime', 'lifetime'],
+    ['Restock', 'restock'],
+    ['Saferadius', 'saferadius'],
+    ['Distanceradius', 'distanceradius'],
+    ['Cleanupradius', 'cleanupradius'],
+    ['Secondary', 'secondary'],
+    ['Position', 'position'],
+    ['Limit', 'limit'],
+    ['Active', 'active'],
+];
+
+export const EVENT_FLAG_KEYS = ['deletable', 'init_random', 'remove_damaged'];
+
+function readAttrs(tag) {
+    /** @type {Record<string, string>} */
+    const attrs = {};
+    const re = /([A-Za-z_][\w.-]*)\s*=\s*"([^"]*)"/g;
+    let m;
+    while ((m = re.exec(tag)) !== null) attrs[m[1]] = m[2];
+    return attrs;
+}
+
+/**
+ * Parse events.xml into a name-keyed map of comparable records.
+ * @param {string} xml
+ * @returns {Record<string, {fields: Record<string, string>, flags: Record<string, number>, children: string[]}>}
+ */
+export function parseEventsToMap(xml) {
+    /** @type {Record<string, any>} */
+    const out = {};
+    if (!xml || typeof xml !== 'string') return out;
+    const eventRe = /<event\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/event>/gi;
+    let m;
+    while ((m = eventRe.exec(xml)) !== null) {
+        const name = m[1];
+        const inner = m[2] || '';
+        /** @type {Record<string, string>} */
+        const fields = {};
+        for (const [, key] of EVENT_SCALAR_FIELDS) {
+            const mm = inner.match(new RegExp(`<${key}>([\\s\\S]*?)<\\/${key}>`, 'i'));
+            fields[key] = mm ? mm[1].trim() : '';
+        }
+        const flagTag = inner.match(/<flags\b[^>]*\/?>/i)?.[0] || '';
+        const flagAttrs = readAttrs(flagTag);
+        /** @type {Record<string, number>} */
+        const flags = {};
+        for (const k of EVENT_FLAG_KEYS) flags[k] = +(flagAttrs[k] || '0') ? 1 : 0;
+
+        const children = [];
+        const childRe = /<child\b[^>]*\/?>/gi;
+        let cm;
+        while ((cm = childRe.exec(inner)) !== null) {
+            const a = readAttrs(cm[0]);
+            children.push(`${a.type || '?'} ${a.min ?? ''}-${a.max ?? ''} loot ${a.lootmin ?? ''}-${a.lootmax ?? ''}`);
+        }
+        children.sort((x, y) => x.localeCompare(y));
+        out[name] = {fields, flags, children};
+    }
+    return out;
+}
+
+/**
+ * Field-level diff of two parsed events, in the `Label(old > new)` form snapshot diffs show.
+ * @param {ReturnType<typeof parseEventsToMap>[string]} a
+ * @param {ReturnType<typeof parseEventsToMap>[string]} b
+ * @returns {string[]}
+ */
+export function diffEventFields(a, b) {
+    const specs = [];
+    for (const [label, key] of EVENT_SCALAR_FIELDS) {
+        const av = a?.fields?.[key] ?? '';
+        const bv = b?.fields?.[key] ?? '';
+        if (av !== bv) specs.push(`${label}(${av} > ${bv})`);
+    }
+    const flagDiffs = [];
+    for (const k of EVENT_FLAG_KEYS) {
+        const av = a?.flags?.[k] ?? 0;
+        const bv = b?.flags?.[k] ?? 0;
+        if (av !== bv) flagDiffs.push(`${k}: ${av} > ${bv}`);
+    }
+    if (flagDiffs.length) specs.push(`Flags(${flagDiffs.join(', ')})`);
+
+    const ac = a?.children || [];
+    const bc = b?.children || [];
+    if (JSON.stringify(ac) !== JSON.stringify(bc)) {
+        const added = bc.filter(c => !ac.includes(c));
+        const removed = ac.filter(c => !bc.includes(c));
+        const parts = [];
+        if (added.length) parts.push(`+${added.join('; +')}`);
+        if (removed.length) parts.push(`-${removed.join('; -')}`);
+        specs.push(`Children(${parts.join('; ') || 'reordered'})`);
+    }
+    return specs;
+}
+
+/**
+ * Parse cfgeventspawns.xml into a name-keyed map of position lists.
+ * Positions are normalised to `x z a` strings so a moved spawn reads as remove + add.
+ * @param {string} xml
+ * @returns {Record<string, {positions: string[], zone: string}>}
+ */
+export function parseEventSpawnsToMap(xml) {
+    /** @type {Record<string, any>} */
+    const out = {};
+    if (!xml || typeof xml !== 'string') return out;
+    const eventRe = /<event\b[^>]*\bname="([^"]+)"[^>]*(?:\/>|>([\s\S]*?)<\/event>)/gi;
+    let m;
+    while ((m = eventRe.exec(xml)) !== null) {
+        const name = m[1];
+        const inner = m[2] || '';
+        const positions = [];
+        const posRe = /<pos\b[^>]*\/?>/gi;
+        let pm;
+        while ((pm = posRe.exec(inner)) !== null) {
+            const a = readAttrs(pm[0]);
+            positions.push([a.x ?? '', a.z ?? '', a.a ?? ''].join(' ').trim());
+        }
+        const zoneTag = inner.match(/<zone\b[^>]*\/?>/i)?.[0] || '';
+        const zone = Object.entries(readAttrs(zoneTag)).map(([k, v]) => `${k}=${v}`).join(' ');
+        out[name] = {positions, zone};
+    }
+    return out;
+}
+
+/**
+ * Diff two parsed event spawn entries: position count plus moved/added/removed points.
+ * @param {ReturnType<typeof parseEventSpawnsToMap>[string]} a
+ * @param {ReturnType<typeof parseEventSpawnsToMap>[string]} b
+ * @returns {string[]}
+ */
+export function diffEventSpawnFields(a, b) {
+    const specs = [];
+    const ap = a?.positions || [];
+    const bp = b?.positions || [];
+    const added = bp.filter(p => !ap.includes(p));
+    const removed = ap.filter(p => !bp.includes(p));
+    if (added.length || removed.length || ap.length !== bp.length) {
+        specs.push(`Positions(${ap.length} > ${bp.length}, +${added.length} -${removed.length})`);
+    }
+    if ((a?.zone ?? '') !== (b?.zone ?? '')) specs.push(`Zone(${a?.zone ?? ''} > ${b?.zone ?? ''})`);
+    return specs;
+}
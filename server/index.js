@@ -15,8 +15,8 @@
 
 import http from 'node:http';
 import {fileURLToPath} from 'node:url';
-import {dirname, join, resolve} from 'node:path';
-import {mkdir, readFile, stat, appendFile, readdir, cp, rm, rename, open} from 'node:fs/promises';
+import {dirname, isAbsolute, join, relative, resolve, sep} from 'node:path';
+import {mkdir, readFile, stat, readdir, rm, rename, open} from 'node:fs/promises';
 import crypto from 'node:crypto';
 import moment from 'moment';
 import * as ingest from './ingest-store.js';
@@ -24,6 +24,21 @@ import * as cftoolsConfig from './cftools-config.js';
 import * as cftools from './cftools-client.js';
 import * as cftoolsService from './cftools-service.js';
 import {isAllowedSpawnableFileName} from './spawnable-files.js';
+import {parseMapGroupProto, parseMapGroupPos, queryLootPositions} from './mapgroups.js';
+import {parseAreaFlags, downsampleMask, parseLimitsFlagOrder, findAreaFlagsPath} from './areaflags.js';
+import {liveSnapshotPath, snapshotSources, snapshotTypesFiles} from './snapshots.js';
+import {analyzeMarket, collectMarketReferences} from './market-analysis.js';
+import {parseTraderMapLine, buildTraderMapLine, parseTraderMapFile, setTraderMapLine, traderZoneSummary} from './trader-map.js';
+import {parseTypesToMap, diffTypeFields, listSnapshotFiles, diffSnapshotFiles} from './snapshot-diff.js';
+import {selectRestoreFiles, spliceTypeEntries} from './snapshot-restore.js';
+import {collectGarbageBlobs, openSnapshot, readStoredFile, readStoredText, writeSnapshotFiles} from './snapshot-store.js';
+import {ARCHIVE_METADATA_FILE, readSnapshotArchive, remapMissionName, snapshotArchiveName} from './snapshot-archive.js';
+import {createZip, readZip} from '../src/utils/zip.js';
+import {isRevertibleTypeChange, planTypeFieldRevert, setTypeField} from './audit-revert.js';
+import {checkPrecondition, contentEtag, createWriteLocks} from './concurrency.js';
+import {appendAuditRecords, auditEntryChanges, auditFileChanges, filterAuditRecords, readAuditRecords, toAuditRecords} from './audit.js';
+import {createSessionTracker, isEditingWrite, isScheduledSnapshotDue, normalizeSnapshotSchedule, selectSnapshotsToPrune, snapshotKind} from './snapshot-schedule.js';
+import {isAllowedEventsFileName, CANONICAL_EVENTS_FILE_RE} from './events.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,6 +51,9 @@ const IS_DEV = process.env.NODE_ENV === 'development' || process.argv.includes('
 const TEST_PROFILE_ID = 'example-dev-data';
 
 const PROFILES_FILE = resolve(join(__dirname, 'profiles.json'));
+const SNAPSHOT_ARCHIVE_LIMIT = 512 * 1024 * 1024;
+// What an imported snapshot archive may unpack to (see readZip's maxSize).
+const SNAPSHOT_ARCHIVE_UNPACKED_LIMIT = 1024 * 1024 * 1024;
 let profiles = [];
 
 // Legacy global loadouts file. Loadouts are now stored per-map under
@@ -189,12 +207,19 @@ function corsHeaders() {
     return {
         'Access-Control-Allow-Origin': '*',
         'Access-Control-Allow-Methods': 'GET,PUT,POST,OPTIONS,DELETE',
-        'Access-Control-Allow-Headers': 'Content-Type, X-Editor-ID, X-Profile-ID',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Editor-ID, X-Profile-ID, If-Match, If-None-Match',
+        // Lets the browser read download names (snapshot export, log exports) and ETags (file writes)
+        'Access-Control-Expose-Headers': 'Content-Disposition, ETag',
     };
 }
 
 function send(res, status, body, headers = {}) {
-    res.writeHead(status, {...headers, ...corsHeaders()});
+    // Every successful GET is tagged with a hash of its body, which file PUTs expect back as
+    // If-Match (see server/concurrency.js). Routes whose body isn't the file set their own.
+    const etag = res.req?.method === 'GET' && status === 200 && body != null && !headers.ETag
+        ? {ETag: contentEtag(body)}
+        : {};
+    res.writeHead(status, {...headers, ...etag, ...corsHeaders()});
     res.end(body);
 }
 
@@ -218,13 +243,23 @@ function getPaths(profile) {
         traderProfilesDirPath: join(profilesPath, 'ExpansionMod', 'Traders'),
         airdropSettingsPath: join(profilesPath, 'ExpansionMod', 'Settings', 'AirdropSettings.json'),
         missionSettingsPath: join(profilesPath, 'ExpansionMod', 'Settings', 'MissionSettings.json'),
+        marketSettingsPath: join(profilesPath, 'ExpansionMod', 'Settings', 'MarketSettings.json'),
         territorySettingsPath: join(profilesPath, 'ExpansionMod', 'Settings', 'TerritorySettings.json'),
         baseBuildingSettingsPath: join(missionPath, 'expansion', 'settings', 'BaseBuildingSettings.json'),
         airdropMissionsDirPath: join(missionPath, 'expansion', 'missions'),
         airdropLocationsPath: join(missionPath, '.lootmaster', 'airdrop-locations.json'),
         airdropLootListsPath: join(missionPath, '.lootmaster', 'airdrop-loot-lists.json'),
         loadoutsPath: join(missionPath, '.lootmaster', 'loadouts.json'),
+        snapshotSchedulePath: join(missionPath, '.lootmaster', 'snapshot-schedule.json'),
+        auditLogPath: join(missionPath, '.lootmaster', 'audit.jsonl'),
         dbDirPath: join(missionPath, 'db'),
+        eventsPath: join(missionPath, 'db', 'events.xml'),
+        eventSpawnsPath: join(missionPath, 'cfgeventspawns.xml'),
+        playerSpawnPointsPath: join(missionPath, 'cfgplayerspawnpoints.xml'),
+        mapGroupProtoPath: join(missionPath, 'mapgroupproto.xml'),
+        mapGroupPosPath: join(missionPath, 'mapgrouppos.xml'),
+        environmentPath: join(missionPath, 'cfgenvironment.xml'),
+        areaFlagsPath: join(missionPath, 'areaflags.map'),
         logsDirPath: join(serverPath, 'log_storage'),
         expansionLogsDirPath: join(profilesPath, 'ExpansionMod', 'Logs'),
         missionPath,
@@ -240,76 +275,121 @@ async function getSnapshotPaths(profileId) {
     return { snapshotDir, paths };
 }
 
-async function internalCreateSnapshot(profileId, name, description, editorId) {
+// `kind` is manual, scheduled or automatic (see snapshot-schedule.js); taking a non-manual
+// snapshot applies the retention rules afterwards.
+async function internalCreateSnapshot(profileId, name, description, editorId, kind = 'manual') {
     const { snapshotDir, paths } = await getSnapshotPaths(profileId);
     if (!paths) throw new Error('Profile not found');
 
     const snapshotId = crypto.randomUUID();
     const targetDir = join(snapshotDir, snapshotId);
-    await mkdir(targetDir, { recursive: true });
 
-    // Files to copy from mission root
-    const filesToCopy = [
-        'cfgeconomycore.xml',
-        'cfglimitsdefinition.xml',
-        'cfgspawnabletypes.xml',
-        'cfgrandompresets.xml'
-    ];
-
-    for (const f of filesToCopy) {
-        try {
-            const src = join(paths.missionPath, f);
-            await stat(src);
-            await cp(src, join(targetDir, f));
-        } catch { /* ignore if file doesn't exist */ }
-    }
-
-    // Copy db directory
-    try {
-        const dbSrc = join(paths.missionPath, 'db');
-        await stat(dbSrc);
-        await cp(dbSrc, join(targetDir, 'db'), { recursive: true });
-    } catch { /* ignore */ }
-
-    // Also include Expansion configs if they exist in the mission
-    try {
-        const expSrc = join(paths.missionPath, 'expansion');
-        await stat(expSrc);
-        await cp(expSrc, join(targetDir, 'expansion'), { recursive: true });
-    } catch { /* ignore */ }
-
-    // Copy Expansion Market and Trader Profiles if they exist (outside mission folder)
-    try {
-        await stat(paths.marketDirPath);
-        await cp(paths.marketDirPath, join(targetDir, 'ExpansionMod', 'Market'), { recursive: true });
-    } catch { /* ignore */ }
-    try {
-        await stat(paths.traderProfilesDirPath);
-        await cp(paths.traderProfilesDirPath, join(targetDir, 'ExpansionMod', 'Traders'), { recursive: true });
-    } catch { /* ignore */ }
+    // Types folders cfgeconomycore.xml declares outside db/ (mod packs' own CE folders) are
+    // among the sources, so the live economycore decides what gets captured. Files are stored
+    // content-addressed (see snapshot-store.js), so unchanged ones cost nothing.
+    const coreXml = await readFile(paths.economyCorePath, 'utf8').catch(() => '');
+    const { compress } = await loadSnapshotSchedule(paths);
+    const storage = await writeSnapshotFiles(snapshotDir, targetDir, await listSnapshotFiles(snapshotSources(paths, coreXml)), { compress });
 
     const metadata = {
         id: snapshotId,
         name,
         description,
         timestamp: new Date().toISOString(),
-        editorId
+        editorId,
+        kind,
+        storage
     };
 
     await writeFileAtomic(join(targetDir, 'metadata.json'), JSON.stringify(metadata, null, 2));
+    if (kind !== 'manual') {
+        await pruneSnapshots(profileId).catch(e => console.warn(`[snapshots] Retention failed for ${profileId}:`, e));
+    }
     return metadata;
 }
 
-async function removeItemFromMarketplaceCompletely(className, paths) {
+// Every snapshot's metadata (with its kind filled in), newest first.
+async function listSnapshots(snapshotDir) {
+    const snapshots = [];
+    const entries = await readdir(snapshotDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        try {
+            const meta = JSON.parse(await readFile(join(snapshotDir, entry.name, 'metadata.json'), 'utf8'));
+            snapshots.push({ ...meta, kind: snapshotKind(meta) });
+        } catch { /* skip */ }
+    }
+    return snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+}
+
+async function loadSnapshotSchedule(paths) {
+    try {
+        return normalizeSnapshotSchedule(JSON.parse(await readFile(paths.snapshotSchedulePath, 'utf8')));
+    } catch {
+        return normalizeSnapshotSchedule(null);
+    }
+}
+
+async function pruneSnapshots(profileId) {
+    const { snapshotDir, paths } = await getSnapshotPaths(profileId);
+    if (!paths) return [];
+    const schedule = await loadSnapshotSchedule(paths);
+    const ids = selectSnapshotsToPrune(await listSnapshots(snapshotDir), schedule, Date.now());
+    for (const id of ids) {
+        await rm(join(snapshotDir, id), { recursive: true, force: true });
+    }
+    if (ids.length) await collectGarbageBlobs(snapshotDir);
+    return ids;
+}
+
+// Interval snapshots for every profile whose schedule is due; run from a timer.
+async function runScheduledSnapshots() {
+    for (const profile of profiles) {
+        try {
+            const { snapshotDir, paths } = await getSnapshotPaths(profile.id);
+            try { await stat(paths.missionPath); } catch { continue; }
+            const schedule = await loadSnapshotSchedule(paths);
+            if (!isScheduledSnapshotDue(schedule, await listSnapshots(snapshotDir), Date.now())) continue;
+            await internalCreateSnapshot(profile.id, `Scheduled: ${moment().format('YYYY-MM-DD HH:mm')}`, `Every ${schedule.intervalHours}h`, 'system', 'scheduled');
+        } catch (e) {
+            console.warn(`[snapshots] Scheduled snapshot failed for ${profile.id}:`, e);
+        }
+    }
+}
+
+const editingSessions = createSessionTracker();
+
+// Mission and Expansion files being written; see holdWriteLocks in the request handler.
+const fileWriteLocks = createWriteLocks();
+
+// Snapshot before the first write of an editor's session (see createSessionTracker).
+async function snapshotBeforeSessionWrite(profile, editorId) {
+    const paths = getPaths(profile);
+    const schedule = await loadSnapshotSchedule(paths);
+    if (!editingSessions.startsSession(profile.id, editorId, Date.now(), schedule.sessionGapMinutes * 60 * 1000)) return;
+    if (!schedule.sessionSnapshots) return;
+    try {
+        await internalCreateSnapshot(profile.id, `Session start: ${editorId}`, `Auto backup before the first change of an editing session`, editorId, 'automatic');
+    } catch (e) {
+        console.warn(`[snapshots] Session snapshot failed for ${profile.id}:`, e);
+    }
+}
+
+/**
+ * The market category, trader zone and trader profile files `className` occurs in, each with its
+ * current content and the content without the item, for remove-item-completely. `apiPath` is the
+ * URL the file is loaded and saved through, under which the client keeps its ETag.
+ * @param {string} className
+ * @param {ReturnType<typeof getPaths>} paths
+ * @returns {Promise<{kind: 'market' | 'traderZone' | 'trader', filePath: string, apiPath: string, current: string, next: string}[]>}
+ */
+async function planItemRemoval(className, paths) {
     const classNameLower = className.toLowerCase();
     const marketDir = paths.marketDirPath;
     const traderZonesDir = paths.traderZonesDirPath;
+    const apiPath = (route, file) => `${route}/${encodeURIComponent(file.replace(/\.json$/i, ''))}`;
 
-    const report = {
-        marketFiles: 0,
-        traderZoneFiles: 0,
-        traderFiles: 0
-    };
+    const plan = [];
 
     // 1. Remove from all Market category files
     try {
@@ -350,13 +430,12 @@ async function removeItemFromMarketplaceCompletely(className, paths) {
                 }
 
                 if (changed) {
-                    await writeFileAtomic(filePath, JSON.stringify(json, null, 4) + '\n');
-                    report.marketFiles++;
+                    plan.push({kind: 'market', filePath, apiPath: apiPath('/api/market/category', file), current: content, next: JSON.stringify(json, null, 4) + '\n'});
                 }
             }
         }
     } catch (e) {
-        console.error('Error removing from market files:', e);
+        console.error('Error reading market files:', e);
     }
 
     // 2. Remove from all Trader Zone files
@@ -392,12 +471,11 @@ async function removeItemFromMarketplaceCompletely(className, paths) {
             }
 
             if (changed) {
-                await writeFileAtomic(filePath, JSON.stringify(json, null, 4) + '\n');
-                report.traderZoneFiles++;
+                plan.push({kind: 'traderZone', filePath, apiPath: apiPath('/api/traderzones', file), current: content, next: JSON.stringify(json, null, 4) + '\n'});
             }
         }
     } catch (e) {
-        console.error('Error removing from trader zone files:', e);
+        console.error('Error reading trader zone files:', e);
     }
 
     // 3. Remove from all Trader profile files
@@ -427,20 +505,34 @@ async function removeItemFromMarketplaceCompletely(className, paths) {
             }
 
             if (changed) {
-                await writeFileAtomic(filePath, JSON.stringify(json, null, 4) + '\n');
-                report.traderFiles++;
+                plan.push({kind: 'trader', filePath, apiPath: apiPath('/api/trader-profile', file), current: content, next: JSON.stringify(json, null, 4) + '\n'});
             }
         }
     } catch (e) {
-        console.error('Error removing from trader files:', e);
+        console.error('Error reading trader files:', e);
     }
 
-    return report;
+    return plan;
 }
 
 const groupFolderCaches = new Map();
 const groupFilesCaches = new Map();
 const groupSpawnableFilesCaches = new Map();
+const groupEventsFilesCaches = new Map();
+
+// Parsed mapgroupproto.xml / mapgrouppos.xml / areaflags.map, keyed by absolute path and
+// reparsed when the file's mtime changes. All are large and rarely edited, so parsing per
+// request is wasteful. Pass encoding null to hand `parse` the raw Buffer.
+const parsedFileCache = new Map();
+
+async function readParsedFile(path, parse, encoding = 'utf8') {
+    const st = await stat(path);
+    const hit = parsedFileCache.get(path);
+    if (hit && hit.mtimeMs === st.mtimeMs) return hit.data;
+    const data = parse(encoding ? await readFile(path, encoding) : await readFile(path));
+    parsedFileCache.set(path, {mtimeMs: st.mtimeMs, data});
+    return data;
+}
 
 async function getGroupFolderMap(profile, paths) {
     let cache = groupFolderCaches.get(profile.id);
@@ -463,13 +555,22 @@ async function getGroupSpawnableFilesMap(profile, paths) {
     return groupSpawnableFilesCaches.get(profile.id) || {};
 }
 
+async function getGroupEventsFilesMap(profile, paths) {
+    let cache = groupEventsFilesCaches.get(profile.id);
+    if (cache) return cache;
+    await loadEconomyCoreCaches(profile, paths);
+    return groupEventsFilesCaches.get(profile.id) || {};
+}
+
 async function loadEconomyCoreCaches(profile, paths) {
     const folderCache = {};
     const filesCache = {};
     const spawnableFilesCache = {};
+    const eventsFilesCache = {};
     groupFolderCaches.set(profile.id, folderCache);
     groupFilesCaches.set(profile.id, filesCache);
     groupSpawnableFilesCaches.set(profile.id, spawnableFilesCache);
+    groupEventsFilesCaches.set(profile.id, eventsFilesCache);
     try {
         const xml = await readFile(paths.economyCorePath, 'utf8');
         // Match each <ce folder="...">...</ce>
@@ -484,19 +585,22 @@ async function loadEconomyCoreCaches(profile, paths) {
             if (!group) continue;
             if (!folderCache[group]) folderCache[group] = folder;
             const content = ceMatch[2] || '';
-            // Collect <file name="..." type="types"/> or type="spawnabletypes"
+            // Collect <file name="..." type="types"/>, type="spawnabletypes" or type="events"
             const fileRe = /<file\b[^>]*\bname="([^"]+)"[^>]*\btype="([^"]+)"[^>]*\/?>/gi;
             let fMatch;
             const files = [];
             const spawnableFiles = [];
+            const eventsFiles = [];
             while ((fMatch = fileRe.exec(content)) !== null) {
                 const name = fMatch[1];
                 const type = (fMatch[2] || '').trim().toLowerCase();
                 if (name && type === 'types') files.push(name);
                 if (name && type === 'spawnabletypes') spawnableFiles.push(name);
+                if (name && type === 'events') eventsFiles.push(name);
             }
             if (files.length) filesCache[group] = files;
             if (spawnableFiles.length) spawnableFilesCache[group] = spawnableFiles;
+            if (eventsFiles.length) eventsFilesCache[group] = eventsFiles;
         }
     } catch {
         // leave caches as empty objects if read fails
@@ -599,6 +703,27 @@ async function spawnableTypesFilePath(profile, paths, group, fileName = null) {
     ]) : null;
 }
 
+/**
+ * Resolve a group's events file. Only names cfgeconomycore.xml declares as type="events" for
+ * the group, or the canonical events.xml, are accepted (see server/events.js).
+ * @returns {Promise<string|null>} absolute path, or null if the group/file is not allowed
+ */
+async function groupEventsFilePath(profile, paths, group, fileName = null) {
+    const folder = await getDeclaredGroupFolder(profile, paths, group);
+    if (!folder) return null;
+    const eventsMap = await getGroupEventsFilesMap(profile, paths);
+    const typesMap = await getGroupFilesMap(profile, paths);
+    const spawnableMap = await getGroupSpawnableFilesMap(profile, paths);
+    const declaredEvents = eventsMap[group] || [];
+    const name = fileName || declaredEvents[0] || 'events.xml';
+    const allowed = isAllowedEventsFileName({
+        fileName: name,
+        declaredEvents,
+        declaredOther: [...(typesMap[group] || []), ...(spawnableMap[group] || [])]
+    });
+    return allowed ? join(paths.missionPath, folder, name) : null;
+}
+
 async function ensureSpawnableTypeFileInEconomyCore(profile, paths, group, fileName) {
     const economyCore = paths.economyCorePath;
     try {
@@ -640,6 +765,7 @@ async function ensureSpawnableTypeFileInEconomyCore(profile, paths, group, fileN
         groupFolderCaches.delete(profile.id);
         groupFilesCaches.delete(profile.id);
         groupSpawnableFilesCaches.delete(profile.id);
+        groupEventsFilesCaches.delete(profile.id);
     } catch (e) {
         console.error('Failed to update economycore:', e);
     }
@@ -717,6 +843,7 @@ async function ensureTypesGroupInEconomyCore(profile, paths, folder, files) {
     groupFolderCaches.delete(profile.id);
     groupFilesCaches.delete(profile.id);
     groupSpawnableFilesCaches.delete(profile.id);
+    groupEventsFilesCaches.delete(profile.id);
 }
 
 async function createBackupIfExists(target) {
@@ -774,6 +901,126 @@ async function writeFileAtomic(target, data) {
     return target;
 }
 
+/**
+ * Audit log name of a written file: mission-relative, or `ExpansionMod/...` for profile files.
+ * @param {ReturnType<typeof getPaths>} paths
+ * @param {string} target
+ */
+function auditFileName(paths, target) {
+    for (const base of [paths.missionPath, paths.profilesPath]) {
+        const rel = relative(base, target);
+        if (rel && !rel.startsWith('..') && !isAbsolute(rel)) return rel.split(sep).join('/');
+    }
+    return target;
+}
+
+/**
+ * writeFileAtomic for an edit made through the API: whatever the write changed is recorded in the
+ * mission's audit log under `editorId`. A failure to record is logged, never thrown.
+ * @param {ReturnType<typeof getPaths>} paths
+ * @param {string} target
+ * @param {string | Buffer} data a Buffer when a snapshot restore puts back the stored bytes
+ * @param {string} editorId
+ * @param {{kind: string, parse: (xml: string) => Promise<Record<string, any>>}} [entryParser] parses
+ *   entries instead of the parser `auditFileChanges` picks from the root element
+ * @returns {Promise<string>} the ETag of the written content, for the PUT's response
+ */
+async function writeAudited(paths, target, data, editorId, entryParser) {
+    const prev = await readFile(target, 'utf8').catch(() => null);
+    await writeFileAtomic(target, data);
+    try {
+        const file = auditFileName(paths, target);
+        const next = String(data);
+        const {kind, changes} = entryParser
+            ? {kind: entryParser.kind, changes: auditEntryChanges(await entryParser.parse(prev || ''), await entryParser.parse(next))}
+            : auditFileChanges(file, prev, next);
+        await appendAuditRecords(paths.auditLogPath, toAuditRecords(changes, {editorId, file, kind}));
+    } catch (e) {
+        console.warn('Failed to write audit log:', e);
+    }
+    return contentEtag(data);
+}
+
+/**
+ * The If-Match check a PUT to a mission or Expansion file makes before writing `target` (see
+ * server/concurrency.js). Answers 428 or 409 itself, the 409 with the file's current content and
+ * ETag, and returns false when the write must not go ahead. Routes read the request body first,
+ * so a refused request is never answered with its body left unread, and call it through
+ * ifMatchPasses, which checks again under the file's write lock and holds it until the write.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ * @param {string} target
+ * @returns {Promise<boolean>}
+ */
+async function checkIfMatch(req, res, target) {
+    const current = await readFile(target, 'utf8').catch(() => null);
+    const result = checkPrecondition(req.headers, current);
+    if (result === 'required') {
+        send(res, 428, JSON.stringify({error: 'If-Match header required: send the ETag the file was loaded with'}), {'Content-Type': 'application/json'});
+        return false;
+    }
+    if (result === 'conflict') {
+        const etag = current === null ? null : contentEtag(current);
+        send(res, 409, JSON.stringify({error: 'The file was changed since it was loaded', etag, content: current}), {
+            'Content-Type': 'application/json',
+            ...(etag ? {ETag: etag} : {})
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Delete a file through the API, recording the removal in the audit log when it existed.
+ * @param {ReturnType<typeof getPaths>} paths
+ * @param {string} target
+ * @param {string} editorId
+ */
+async function removeAudited(paths, target, editorId) {
+    const existed = await stat(target).then(() => true, () => false);
+    await rm(target, {force: true});
+    if (!existed) return;
+    try {
+        const file = auditFileName(paths, target);
+        const {kind, changes} = auditFileChanges(file, '', null);
+        await appendAuditRecords(paths.auditLogPath, toAuditRecords(changes, {editorId, file, kind}));
+    } catch (e) {
+        console.warn('Failed to write audit log:', e);
+    }
+}
+
+/**
+ * The types PUT's write, also used to revert audited changes: back up the file, write it, and
+ * record what changed per type and field.
+ * @param {ReturnType<typeof getPaths>} paths
+ * @param {string} target
+ * @param {string} xml
+ * @param {string} editorId
+ * @returns {Promise<string>} the written file's ETag
+ */
+async function writeTypesFile(paths, target, xml, editorId) {
+    await createBackupIfExists(target);
+    return await writeAudited(paths, target, xml, editorId, {kind: 'types', parse: parseTypesWithSrcHelpers});
+}
+
+/**
+ * The declared, writable types file an audit record's mission-relative path names.
+ * @returns {Promise<{group: string, fileBase: string, target: string} | null>}
+ */
+async function findDeclaredTypesFile(profile, paths, file) {
+    const overrides = String(file).match(/^db\/vanilla_overrides\/([^/]+)\.xml$/i);
+    if (overrides) return {group: 'vanilla_overrides', fileBase: overrides[1], target: join(paths.dbDirPath, 'vanilla_overrides', `${overrides[1]}.xml`)};
+    const folders = await getGroupFolderMap(profile, paths);
+    for (const [group, names] of Object.entries(await getGroupFilesMap(profile, paths))) {
+        if (group === 'vanilla' || !folders[group]) continue;
+        for (const name of names) {
+            const target = join(paths.missionPath, folders[group], name);
+            if (auditFileName(paths, target) === file) return {group, fileBase: name.replace(/\.xml$/i, ''), target};
+        }
+    }
+    return null;
+}
+
 /**
  * Try to use /src/utils/xml.js parseTypesXml to parse XML into Type[] on the server.
  * Falls back to internal regex parser if DOMParser or import is not available.
@@ -826,109 +1073,6 @@ function typesArrayToMap(arr) {
     return out;
 }
 
-// Minimal XML parsing for types to compute field-level diffs
-function parseTypesToMap(xml) {
-    /** @type {Record<string, any>} */
-    const out = {};
-    if (!xml || typeof xml !== 'string') return out;
-    const typeRe = /<type\b[^>]*name="([^"]+)"[^>]*>([\s\S]*?)<\/type>/gi;
-    let m;
-    while ((m = typeRe.exec(xml)) !== null) {
-        const name = m[1];
-        const inner = m[2] || '';
-        const getTxt = (tag) => {
-            const r = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'i');
-            const mm = inner.match(r);
-            return mm ? mm[1].trim() : '';
-        };
-        const getAttrInSelfClosing = (tag, attr) => {
-            const r = new RegExp(`<${tag}\\b[^>]*\\b${attr}="([^"]*)"[^>]*\\/?>`, 'i');
-            const mm = inner.match(r);
-            return mm ? mm[1] : null;
-        };
-        const getAttrNameList = (tag) => {
-            const reg = new RegExp(`<${tag}\\b[^>]*\\bname="([^"]+)"[^>]*\\/?>`, 'gi');
-            const arr = [];
-            let am;
-            while ((am = reg.exec(inner)) !== null) {
-                if (am[1]) arr.push(am[1]);
-            }
-            arr.sort((a, b) => a.localeCompare(b));
-            return arr;
-        };
-
-        const nominal = getTxt('nominal');
-        const min = getTxt('min');
-        const lifetime = getTxt('lifetime');
-        const restock = getTxt('restock');
-        const quantmin = getTxt('quantmin');
-        const quantmax = getTxt('quantmax');
-        const category = (inner.match(/<category\b[^>]*name="([^"]+)"/i)?.[1]) || '';
-
-        const usage = getAttrNameList('usage');
-        const value = getAttrNameList('value');
-        const tagArr = getAttrNameList('tag');
-
-        const flags = {
-            count_in_cargo: +(getAttrInSelfClosing('flags', 'count_in_cargo') || '0'),
-            count_in_hoarder: +(getAttrInSelfClosing('flags', 'count_in_hoarder') || '0'),
-            count_in_map: +(getAttrInSelfClosing('flags', 'count_in_map') || '0'),
-            count_in_player: +(getAttrInSelfClosing('flags', 'count_in_player') || '0'),
-            crafted: +(getAttrInSelfClosing('flags', 'crafted') || '0'),
-            deloot: +(getAttrInSelfClosing('flags', 'deloot') || '0'),
-        };
-
-        out[name] = {
-            category,
-            nominal, min, lifetime, restock,
-            quantmin, quantmax,
-            usage, value, tag: tagArr,
-            flags
-        };
-    }
-    return out;
-}
-
-function diffTypeFields(a = {}, b = {}) {
-    const specs = [];
-    const cmp = (label, key) => {
-        if ((a[key] ?? '') !== (b[key] ?? '')) specs.push(`${label}(${a[key] ?? ''} > ${b[key] ?? ''})`);
-    };
-    cmp('Category', 'category');
-    cmp('Nominal', 'nominal');
-    cmp('Min', 'min');
-    cmp('Lifetime', 'lifetime');
-    cmp('Restock', 'restock');
-    cmp('Quantmin', 'quantmin');
-    cmp('Quantmax', 'quantmax');
-
-    // Flags: per-flag 0/1 diffs only
-    const fk = ['count_in_cargo', 'count_in_hoarder', 'count_in_map', 'count_in_player', 'crafted', 'deloot'];
-    const flagDiffs = [];
-    for (const k of fk) {
-        const av = (a.flags?.[k] ?? 0) ? 1 : 0;
-        const bv = (b.flags?.[k] ?? 0) ? 1 : 0;
-        if (av !== bv) flagDiffs.push(`${k}: ${av} > ${bv}`);
-    }
-    if (flagDiffs.length) specs.push(`Flags(${flagDiffs.join(', ')})`);
-
-    // Array fields
-    const arrFields = [
-        ['Usage', 'usage'],
-        ['Value', 'value'],
-        ['Tag', 'tag']
-    ];
-    for (const [label, key] of arrFields) {
-        const aa = Array.isArray(a[key]) ? a[key] : [];
-        const bb = Array.isArray(b[key]) ? b[key] : [];
-        if (JSON.stringify(aa) !== JSON.stringify(bb)) {
-            specs.push(`${label}([${aa.join(', ')}] > [${bb.join(', ')}])`);
-        }
-    }
-
-    return specs;
-}
-
 // Build a stash report using positions matching:
 // - Parse {<x, y, z>} at end of line and use (x, z)
 // - For each "Dug out", scan backward to find the nearest prior "Dug in" within ±1 on x and z
@@ -1073,12 +1217,6 @@ async function generateStashReport(start, end, paths) {
     return report;
 }
 
-
-function formatTs(d) {
-    // Preserve original format but use moment for consistency
-    return moment(d).format('DD-MM-YY H:mm:ss');
-}
-
 // ----- ADM records utilities -----
 function pad2(n) {
     return String(n).padStart(2, '0');
@@ -1435,8 +1573,9 @@ async function synthesizeEconomyCoreXml(paths) {
     for (const {folder, files} of all) {
         lines.push(`\t<ce folder="${folder}">`);
         for (const name of files) {
-            // Only include types files (type="types")
-            lines.push(`\t\t<file name="${name}" type="types"/>`);
+            // Events files keep their own type; everything else is declared as types
+            const type = CANONICAL_EVENTS_FILE_RE.test(name) ? 'events' : 'types';
+            lines.push(`\t\t<file name="${name}" type="${type}"/>`);
         }
         lines.push('\t</ce>');
     }
@@ -1445,6 +1584,30 @@ async function synthesizeEconomyCoreXml(paths) {
     return lines.join('\n');
 }
 
+/**
+ * Parse every *.json file in `dir`, sorted by name. Unreadable files are skipped (as the game
+ * skips them) and a missing folder yields [].
+ * @returns {Promise<{name: string, json: any}[]>}
+ */
+async function readJsonDir(dir) {
+    const out = [];
+    let entries;
+    try {
+        entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+        return out;
+    }
+    for (const e of entries) {
+        if (!e.isFile() || !e.name.toLowerCase().endsWith('.json')) continue;
+        try {
+            out.push({ name: e.name.replace(/\.json$/i, ''), json: JSON.parse(await readFile(join(dir, e.name), 'utf8')) });
+        } catch {
+            // skip unparseable files
+        }
+    }
+    return out.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
 // Read a settings file and confirm it parses as JSON. Throws (handled as 404 by the
 // callers' catch blocks) when the file is empty, all-NUL (crash-corrupted), or otherwise
 // not valid JSON — so the client falls back to defaults instead of choking on garbage.
@@ -1466,6 +1629,28 @@ async function readBody(req) {
     });
 }
 
+// Raw request body, for binary uploads; rejects past `limit` bytes with err.code 'TOO_LARGE'.
+async function readBodyBuffer(req, limit) {
+    return new Promise((resolveBody, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (c) => {
+            size += c.length;
+            if (size > limit) {
+                reject(Object.assign(new Error('Request body too large'), { code: 'TOO_LARGE' }));
+                req.destroy();
+                return;
+            }
+            chunks.push(c);
+        });
+        req.on('end', () => {
+            // eslint-disable-next-line no-undef
+            resolveBody(Buffer.concat(chunks));
+        });
+        req.on('error', reject);
+    });
+}
+
 function notFound(res) {
     send(res, 404, JSON.stringify({error: 'Not found'}), {'Content-Type': 'application/json'});
 }
@@ -2013,45 +2198,8 @@ async function lintDataDir(root) {
     };
 }
 
-// Parse a single-line trader .map entry into structured data
-function parseTraderMapLine(line) {
-    const raw = String(line || '').trim();
-    // Expected: Class.File|x y z|ox oy oz|a,b,c
-    const parts = raw.split('|');
-    const head = (parts[0] || '').trim();
-    const dotIdx = head.lastIndexOf('.');
-    const className = dotIdx > 0 ? head.slice(0, dotIdx) : '';
-    const traderFileName = dotIdx > 0 ? head.slice(dotIdx + 1) : '';
-    const pos = (parts[1] || '').trim().split(/\s+/).map(Number).filter(n => !Number.isNaN(n));
-    while (pos.length < 3) pos.push(0);
-    const ori = (parts[2] || '').trim().split(/\s+/).map(Number).filter(n => !Number.isNaN(n));
-    while (ori.length < 3) ori.push(0);
-    const gear = (parts[3] || '').trim().length
-        ? (parts[3] || '').split(',').map(s => s.trim()).filter(Boolean)
-        : [];
-    return {
-        className,
-        traderFileName,
-        position: pos.slice(0, 3),
-        orientation: ori.slice(0, 3),
-        gear
-    };
-}
-
-// Build a single-line trader .map entry from structured data
-function buildTraderMapLine({ className, traderFileName, position, orientation, gear }) {
-    const pos = (Array.isArray(position) ? position : []).map(n => Number(n)).slice(0, 3);
-    while (pos.length < 3) pos.push(0);
-    const ori = (Array.isArray(orientation) ? orientation : []).map(n => Number(n)).slice(0, 3);
-    while (ori.length < 3) ori.push(0);
-    const posStr = `${pos[0]} ${pos[1]} ${pos[2]}`;
-    const oriStr = `${ori[0]} ${ori[1]} ${ori[2]}`;
-    const gearArr = Array.isArray(gear) ? gear.map(s => String(s).trim()).filter(Boolean) : [];
-    const gearStr = gearArr.join(',');
-    return `${String(className)}.${String(traderFileName)}|${posStr}|${oriStr}|${gearStr}`;
-}
-
 const server = http.createServer(async (req, res) => {
+    const heldWriteLocks = [];
     try {
         // Preflight CORS
         if (req.method === 'OPTIONS') {
@@ -2128,23 +2276,7 @@ const server = http.createServer(async (req, res) => {
                 if (!snapshotDir) { notFound(res); return; }
 
                 if (req.method === 'GET') {
-                    try {
-                        const entries = await readdir(snapshotDir, { withFileTypes: true });
-                        const snapshots = [];
-                        for (const entry of entries) {
-                            if (entry.isDirectory()) {
-                                try {
-                                    const metaPath = join(snapshotDir, entry.name, 'metadata.json');
-                                    const metaData = await readFile(metaPath, 'utf8');
-                                    snapshots.push(JSON.parse(metaData));
-                                } catch { /* skip */ }
-                            }
-                        }
-                        snapshots.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
-                        send(res, 200, JSON.stringify(snapshots), { 'Content-Type': 'application/json' });
-                    } catch {
-                        send(res, 200, JSON.stringify([]), { 'Content-Type': 'application/json' });
-                    }
+                    send(res, 200, JSON.stringify(await listSnapshots(snapshotDir)), { 'Content-Type': 'application/json' });
                     return;
                 }
                 if (req.method === 'POST') {
@@ -2167,6 +2299,110 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
+            // /api/profiles/:id/snapshots/schedule — interval, session snapshots and retention rules
+            if (parts.length === 5 && parts[3] === 'snapshots' && parts[4] === 'schedule') {
+                const { paths: pPaths } = await getSnapshotPaths(profileId);
+                if (!pPaths) { notFound(res); return; }
+                if (req.method === 'GET') {
+                    json(res, 200, await loadSnapshotSchedule(pPaths));
+                    return;
+                }
+                if (req.method === 'PUT') {
+                    let parsed;
+                    try {
+                        parsed = JSON.parse(await readBody(req) || '{}');
+                    } catch {
+                        badRequest(res, 'Invalid JSON');
+                        return;
+                    }
+                    const schedule = normalizeSnapshotSchedule(parsed);
+                    await mkdir(dirname(pPaths.snapshotSchedulePath), { recursive: true });
+                    await writeFileAtomic(pPaths.snapshotSchedulePath, JSON.stringify(schedule, null, 2));
+                    const pruned = await pruneSnapshots(profileId);
+                    json(res, 200, { schedule, pruned });
+                    return;
+                }
+                methodNotAllowed(res);
+                return;
+            }
+
+            // /api/profiles/:id/snapshots/import — body: a snapshot archive (see snapshot-archive.js)
+            if (parts.length === 5 && parts[3] === 'snapshots' && parts[4] === 'import') {
+                if (req.method !== 'POST') { methodNotAllowed(res); return; }
+                const profile = profiles.find(p => String(p.id).toLowerCase() === String(profileId).toLowerCase());
+                if (!profile) { notFound(res); return; }
+                const pPaths = getPaths(profile);
+                const { snapshotDir } = await getSnapshotPaths(profile.id);
+                let archive;
+                try {
+                    archive = readSnapshotArchive(await readZip(await readBodyBuffer(req, SNAPSHOT_ARCHIVE_LIMIT), { maxSize: SNAPSHOT_ARCHIVE_UNPACKED_LIMIT }));
+                } catch (e) {
+                    if (e.code === 'TOO_LARGE') {
+                        send(res, 413, JSON.stringify({ error: e.message }), { 'Content-Type': 'application/json' });
+                        return;
+                    }
+                    badRequest(res, e.message);
+                    return;
+                }
+                const fromMission = archive.meta?.missionName || null;
+                const { files: remapped, changed } = remapMissionName(archive.files, fromMission, profile.missionName);
+                // Only what a restore could put back is kept
+                const coreXml = new TextDecoder().decode(remapped.get('cfgeconomycore.xml'));
+                const sources = snapshotSources(pPaths, coreXml);
+                const files = new Map([...remapped].filter(([rel]) => liveSnapshotPath(sources, rel)));
+                const ignored = [...remapped.keys()].filter(rel => !files.has(rel));
+                try {
+                    const id = crypto.randomUUID();
+                    const { compress } = await loadSnapshotSchedule(pPaths);
+                    const storage = await writeSnapshotFiles(snapshotDir, join(snapshotDir, id), files, { compress });
+                    const metadata = {
+                        id,
+                        name: `Imported: ${archive.meta?.name || url.searchParams.get('name') || 'archive'}`,
+                        description: archive.meta?.description || '',
+                        timestamp: new Date().toISOString(),
+                        editorId: req.headers['x-editor-id'] || 'unknown',
+                        kind: 'manual',
+                        storage,
+                        importedFrom: {
+                            profileName: archive.meta?.profileName || null,
+                            missionName: fromMission,
+                            timestamp: archive.meta?.timestamp || null
+                        }
+                    };
+                    await writeFileAtomic(join(snapshotDir, id, 'metadata.json'), JSON.stringify(metadata, null, 2));
+                    json(res, 201, {
+                        snapshot: metadata,
+                        remapped: changed.length ? { from: fromMission, to: profile.missionName, files: changed } : null,
+                        ignored
+                    });
+                } catch (e) {
+                    send(res, 500, JSON.stringify({ error: e.message }), { 'Content-Type': 'application/json' });
+                }
+                return;
+            }
+
+            // /api/profiles/:id/snapshots/:snapshotId/export — the snapshot as a zip
+            if (parts.length === 6 && parts[3] === 'snapshots' && parts[5] === 'export') {
+                if (req.method !== 'GET') { methodNotAllowed(res); return; }
+                const profile = profiles.find(p => String(p.id).toLowerCase() === String(profileId).toLowerCase());
+                if (!profile) { notFound(res); return; }
+                const { snapshotDir } = await getSnapshotPaths(profile.id);
+                const snapshot = await openSnapshot(snapshotDir, parts[4]);
+                if (!snapshot) { notFound(res); return; }
+                const meta = { ...snapshot.meta, profileName: profile.name, missionName: profile.missionName };
+                const entries = [{ name: ARCHIVE_METADATA_FILE, data: new TextEncoder().encode(JSON.stringify(meta, null, 2)) }];
+                for (const [rel, ref] of snapshot.files) {
+                    entries.push({ name: rel, data: await readStoredFile(ref) });
+                }
+                // eslint-disable-next-line no-undef
+                const zip = Buffer.from(await createZip(entries).arrayBuffer());
+                send(res, 200, zip, {
+                    'Content-Type': 'application/zip',
+                    'Content-Disposition': `attachment; filename="${snapshotArchiveName(meta)}"`
+                });
+                return;
+            }
+
             // /api/profiles/:id/snapshots/:snapshotId
             if (parts.length === 5 && parts[3] === 'snapshots') {
                 const snapshotId = parts[4];
@@ -2174,8 +2410,10 @@ const server = http.createServer(async (req, res) => {
                 if (!snapshotDir) { notFound(res); return; }
 
                 if (req.method === 'DELETE') {
+                    if (!/^[A-Za-z0-9-]+$/.test(snapshotId)) { notFound(res); return; }
                     try {
                         await rm(join(snapshotDir, snapshotId), { recursive: true, force: true });
+                        await collectGarbageBlobs(snapshotDir);
                         send(res, 200, JSON.stringify({ ok: true }), { 'Content-Type': 'application/json' });
                     } catch (e) {
                         send(res, 500, JSON.stringify({ error: e.message }), { 'Content-Type': 'application/json' });
@@ -2186,6 +2424,50 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
+            // /api/profiles/:id/snapshots/:a/diff/:b — per-file changes from side a to side b,
+            // either of which may be `current` (the live mission read in snapshot layout)
+            if (parts.length === 7 && parts[3] === 'snapshots' && parts[5] === 'diff') {
+                if (req.method !== 'GET') { methodNotAllowed(res); return; }
+                const { snapshotDir, paths: pPaths } = await getSnapshotPaths(profileId);
+                if (!pPaths) { notFound(res); return; }
+                const readSide = async (id) => {
+                    if (id === 'current') {
+                        const coreXml = await readFile(pPaths.economyCorePath, 'utf8').catch(() => '');
+                        return {
+                            meta: { id: 'current', name: 'Current mission', timestamp: new Date().toISOString() },
+                            files: await listSnapshotFiles(snapshotSources(pPaths, coreXml))
+                        };
+                    }
+                    return openSnapshot(snapshotDir, id);
+                };
+                const a = await readSide(parts[4]);
+                const b = await readSide(parts[6]);
+                if (!a || !b) { notFound(res); return; }
+                json(res, 200, { a: a.meta, b: b.meta, files: await diffSnapshotFiles(a.files, b.files, readStoredText) });
+                return;
+            }
+
+            // /api/profiles/:id/snapshots/:snapshotId/types — the snapshot's types files, raw,
+            // in merge order (vanilla first, vanilla_overrides last)
+            if (parts.length === 6 && parts[3] === 'snapshots' && parts[5] === 'types') {
+                const snapshotId = parts[4];
+                const { snapshotDir } = await getSnapshotPaths(profileId);
+                if (!snapshotDir || !/^[A-Za-z0-9-]+$/.test(snapshotId)) { notFound(res); return; }
+                if (req.method !== 'GET') { methodNotAllowed(res); return; }
+                const snapshot = await openSnapshot(snapshotDir, snapshotId);
+                if (!snapshot) { notFound(res); return; }
+                const read = (rel) => snapshot.files.has(rel) ? readStoredText(snapshot.files.get(rel)) : Promise.reject(new Error('not captured'));
+                const coreXml = await read('cfgeconomycore.xml').catch(() => '');
+                const files = [];
+                for (const entry of snapshotTypesFiles(coreXml)) {
+                    try {
+                        files.push({ group: entry.group, file: entry.file, xml: await read(entry.path) });
+                    } catch { /* not captured */ }
+                }
+                json(res, 200, { files });
+                return;
+            }
+
             // /api/profiles/:id/snapshots/:snapshotId/restore
             if (parts.length === 6 && parts[3] === 'snapshots' && parts[5] === 'restore') {
                 const snapshotId = parts[4];
@@ -2193,21 +2475,93 @@ const server = http.createServer(async (req, res) => {
                 if (!pPaths) { notFound(res); return; }
 
                 if (req.method === 'POST') {
-                    const srcDir = join(snapshotDir, snapshotId);
+                    // Optional body {paths, entries}: restore only those snapshot-relative files or
+                    // folders, and/or single <type> entries ({path, keys}) of types files.
+                    let selection = null;
+                    const body = await readBody(req);
+                    if (body && body.trim()) {
+                        try {
+                            const parsed = JSON.parse(body);
+                            if (parsed && (parsed.paths || parsed.entries)) {
+                                selection = {
+                                    paths: Array.isArray(parsed.paths) ? parsed.paths.filter(p => typeof p === 'string' && p) : [],
+                                    entries: Array.isArray(parsed.entries)
+                                        ? parsed.entries
+                                            .filter(e => typeof e?.path === 'string' && Array.isArray(e.keys))
+                                            .map(e => ({ path: e.path, keys: e.keys.filter(k => typeof k === 'string' && k) }))
+                                            .filter(e => e.keys.length)
+                                        : []
+                                };
+                            }
+                        } catch {
+                            badRequest(res, 'Invalid JSON');
+                            return;
+                        }
+                        if (selection && !selection.paths.length && !selection.entries.length) {
+                            badRequest(res, 'Nothing selected to restore');
+                            return;
+                        }
+                    }
                     try {
-                        await stat(srcDir);
-                        const meta = await readFile(join(srcDir, 'metadata.json'), 'utf8');
-                        const metaJson = JSON.parse(meta);
-                        await internalCreateSnapshot(profileId, `Pre-restore: ${metaJson.name}`, `Auto backup before restore`, 'system');
-                        const items = await readdir(srcDir);
-                        for (const item of items) {
-                            if (item === 'metadata.json') continue;
-                            const src = join(srcDir, item);
-                            const dest = item === 'ExpansionMod' ? join(pPaths.profilesPath, 'ExpansionMod') : join(pPaths.missionPath, item);
-                            try { await rm(dest, { recursive: true, force: true }); } catch { /* ignore */ }
-                            await cp(src, dest, { recursive: true });
+                        const snapshot = await openSnapshot(snapshotDir, snapshotId);
+                        if (!snapshot) { notFound(res); return; }
+                        const snapFiles = snapshot.files;
+                        const snapCore = snapFiles.has('cfgeconomycore.xml') ? await readStoredText(snapFiles.get('cfgeconomycore.xml')) : '';
+                        const liveCore = await readFile(pPaths.economyCorePath, 'utf8').catch(() => '');
+                        // Folders the snapshot declared may since have been dropped from the live economycore.
+                        const sources = [...snapshotSources(pPaths, snapCore), ...snapshotSources(pPaths, liveCore)];
+                        // A full restore puts back every source the snapshot captured, each as a whole
+                        const restorePaths = selection
+                            ? selection.paths
+                            : snapshotSources(pPaths, snapCore).map(s => s.rel)
+                                .filter(rel => [...snapFiles.keys()].some(f => f === rel || f.startsWith(`${rel}/`)));
+                        const entrySelection = selection ? selection.entries : [];
+                        const liveFiles = await listSnapshotFiles(sources);
+                        const { copy, remove } = selectRestoreFiles(snapFiles.keys(), liveFiles.keys(), restorePaths);
+                        const unmapped = [...copy, ...entrySelection.map(e => e.path)].filter(rel => !liveSnapshotPath(sources, rel));
+                        if (unmapped.length) {
+                            badRequest(res, `Cannot restore ${unmapped.join(', ')}`);
+                            return;
                         }
-                        send(res, 200, JSON.stringify({ ok: true }), { 'Content-Type': 'application/json' });
+                        await internalCreateSnapshot(profileId, `Pre-restore: ${snapshot.meta.name}`,
+                            selection ? `Auto backup before partial restore` : `Auto backup before restore`, 'system', 'automatic');
+                        // Written like any other edit, one file at a time under its write lock: backed up,
+                        // and recorded in the audit log so each change can be looked up and reverted.
+                        const editorId = String(req.headers['x-editor-id'] || 'unknown');
+                        for (const rel of copy) {
+                            const dest = liveSnapshotPath(sources, rel);
+                            const content = await readStoredFile(snapFiles.get(rel));
+                            await fileWriteLocks.run(dest, async () => {
+                                await createBackupIfExists(dest);
+                                await writeAudited(pPaths, dest, content, editorId);
+                            });
+                        }
+                        for (const rel of remove) {
+                            const dest = liveFiles.get(rel);
+                            await fileWriteLocks.run(dest, async () => {
+                                await createBackupIfExists(dest);
+                                await removeAudited(pPaths, dest, editorId);
+                            });
+                        }
+                        const entries = [];
+                        const skipped = [];
+                        for (const { path, keys } of entrySelection) {
+                            const dest = liveSnapshotPath(sources, path);
+                            const snap = snapFiles.has(path) ? await readStoredText(snapFiles.get(path)) : '';
+                            const restored = await fileWriteLocks.run(dest, async () => {
+                                const live = await readFile(dest, 'utf8').catch(() => null);
+                                if (live === null) return null;
+                                const spliced = spliceTypeEntries(live, snap, keys);
+                                if (spliced.restored.length) await writeTypesFile(pPaths, dest, spliced.xml, editorId);
+                                return spliced.restored;
+                            });
+                            if (restored === null) {
+                                skipped.push(path);
+                                continue;
+                            }
+                            entries.push(...restored.map(key => ({ path, key })));
+                        }
+                        json(res, 200, { ok: true, copied: copy, removed: remove, entries, skipped });
                     } catch (e) {
                         send(res, 500, JSON.stringify({ error: e.message }), { 'Content-Type': 'application/json' });
                     }
@@ -2249,6 +2603,7 @@ const server = http.createServer(async (req, res) => {
                     await saveProfiles();
                     groupFolderCaches.delete(profileId);
                     groupFilesCaches.delete(profileId);
+                    groupEventsFilesCaches.delete(profileId);
                     send(res, 200, JSON.stringify(profiles[index]), {'Content-Type': 'application/json'});
                     return;
                 }
@@ -2257,6 +2612,7 @@ const server = http.createServer(async (req, res) => {
                     await saveProfiles();
                     groupFolderCaches.delete(profileId);
                     groupFilesCaches.delete(profileId);
+                    groupEventsFilesCaches.delete(profileId);
                     send(res, 200, JSON.stringify({ok: true}), {'Content-Type': 'application/json'});
                     return;
                 }
@@ -2324,6 +2680,114 @@ const server = http.createServer(async (req, res) => {
         }
 
         const paths = profile ? getPaths(profile) : null;
+        const editorId = String(req.headers['x-editor-id'] || 'unknown');
+
+        // Hold the write locks of `targets` until this request has been answered. A request takes
+        // all its locks in one call, in path order, so two requests writing the same files can't
+        // each wait for a lock the other holds.
+        const holdWriteLocks = async (targets) => {
+            for (const target of [...new Set(targets)].sort()) {
+                heldWriteLocks.push(await fileWriteLocks.acquire(target));
+            }
+        };
+
+        // An editing write (isEditingWrite) takes the session snapshot once it is going ahead:
+        // file PUTs after their If-Match passed, so a write refused with 409/428 takes none.
+        const startEditingWrite = async () => {
+            if (profile && isEditingWrite(req.method, pathname)) await snapshotBeforeSessionWrite(profile, editorId);
+        };
+        // The If-Match check that counts runs under the file's write lock, which the route keeps
+        // until it has written, so a second save sent with the same ETag is checked against this
+        // one's write. The session snapshot is taken before the lock, once a first check passed,
+        // so it doesn't hold up other saves of the file.
+        const ifMatchPasses = async (target) => {
+            if (!await checkIfMatch(req, res, target)) return false;
+            await startEditingWrite();
+            await holdWriteLocks([target]);
+            return await checkIfMatch(req, res, target);
+        };
+
+        // POST /api/audit/:id/revert {force?} — put back the value a type field had before the
+        // audited change, through the types PUT's write. 409 with the three values when the field
+        // has been changed again since, unless forced.
+        const matchAuditRevert = pathname.match(/^\/api\/audit\/([^/]+)\/revert$/);
+        if (matchAuditRevert) {
+            if (req.method !== 'POST') {
+                methodNotAllowed(res);
+                return;
+            }
+            let force = false;
+            try {
+                force = JSON.parse((await readBody(req)) || '{}').force === true;
+            } catch {
+                badRequest(res, 'Invalid JSON');
+                return;
+            }
+            const id = decodeURIComponent(matchAuditRevert[1]);
+            const record = (await readAuditRecords(paths.auditLogPath)).find(r => r.id === id);
+            if (!record) {
+                notFound(res);
+                return;
+            }
+            if (!isRevertibleTypeChange(record)) {
+                badRequest(res, 'Only changes to a single field of a type can be reverted');
+                return;
+            }
+            const source = await findDeclaredTypesFile(profile, paths, record.file);
+            if (!source) {
+                badRequest(res, `${record.file} is not a declared types file any more`);
+                return;
+            }
+            await holdWriteLocks([source.target]);
+            const xml = await readFile(source.target, 'utf8').catch(() => null);
+            const before = xml === null ? undefined : (await parseTypesWithSrcHelpers(xml))[record.classname];
+            const plan = planTypeFieldRevert(record, before);
+            const result = {group: source.group, file: source.fileBase, classname: record.classname, field: record.field};
+            if (plan.status === 'missing') {
+                json(res, 404, {error: `${record.classname} is no longer in ${record.file}`, ...result});
+                return;
+            }
+            if (plan.status === 'conflict' && !force) {
+                json(res, 409, {
+                    error: `${record.field} of ${record.classname} has been changed again since`,
+                    ...result,
+                    conflict: {original: plan.original, changed: plan.changed, current: plan.current}
+                });
+                return;
+            }
+            if (plan.status === 'reverted') {
+                json(res, 200, {ok: true, ...result, changes: []});
+                return;
+            }
+            const next = setTypeField(xml, record.classname, record.field, record.old);
+            await writeTypesFile(paths, source.target, next, editorId);
+            const after = (await parseTypesWithSrcHelpers(next))[record.classname];
+            json(res, 200, {ok: true, ...result, changes: diffTypeFields(before, after)});
+            return;
+        }
+
+        // GET /api/audit?editor=&classname=&file=&from=&to=&limit=&offset= — the mission's audit
+        // log, newest first.
+        if (pathname === '/api/audit') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            const q = (k) => url.searchParams.get(k) || undefined;
+            const limit = Math.min(1000, Math.max(1, Number(q('limit')) || 200));
+            const offset = Math.max(0, Number(q('offset')) || 0);
+            const result = filterAuditRecords(await readAuditRecords(paths.auditLogPath), {
+                editor: q('editor'),
+                classname: q('classname'),
+                file: q('file'),
+                from: q('from'),
+                to: q('to'),
+                limit,
+                offset
+            });
+            json(res, 200, result);
+            return;
+        }
 
         // GET/PUT definitions (allow optional trailing slash)
         if (pathname === '/api/definitions' || pathname === '/api/definitions/') {
@@ -2343,9 +2807,10 @@ const server = http.createServer(async (req, res) => {
                     return;
                 }
                 const p = paths.defsPath;
+                if (!await ifMatchPasses(p)) return;
                 await createBackupIfExists(p);
-                await writeFileAtomic(p, body);
-                send(res, 200, JSON.stringify({ok: true}), {'Content-Type': 'application/json'});
+                const etag = await writeAudited(paths, p, body, editorId);
+                send(res, 200, JSON.stringify({ok: true}), {'Content-Type': 'application/json', ETag: etag});
                 return;
             }
             methodNotAllowed(res);
@@ -2372,8 +2837,10 @@ const server = http.createServer(async (req, res) => {
         }
 
         // POST create a new custom types group (a <ce folder="db/<name>"> block with
-        // an empty types.xml + spawnabletypes.xml on disk). Distinct from the types PUT
+        // an empty types.xml + spawnabletypes.xml on disk, plus events.xml when `events` is set). Distinct from the types PUT
         // so that "create structure" and "write content" stay separate concerns.
+        // Takes no If-Match: it only creates seed files that don't exist yet, checked under their
+        // write locks, and adds the group to cfgeconomycore.xml, which no route saves whole.
         if (pathname === '/api/types-group' || pathname === '/api/types-group/') {
             if (req.method !== 'POST') {
                 methodNotAllowed(res);
@@ -2397,22 +2864,27 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
             const folder = `db/${group}`;
+            const withEvents = data.events === true;
             const seedFiles = [
                 { name: 'types.xml', type: 'types' },
                 { name: 'spawnabletypes.xml', type: 'spawnabletypes' },
             ];
+            if (withEvents) seedFiles.push({ name: 'events.xml', type: 'events' });
 
             // Idempotent: if the group is already declared, report it rather than erroring.
             const existingFolders = await getGroupFolderMap(profile, paths);
             const alreadyExists = Object.prototype.hasOwnProperty.call(existingFolders, group);
 
             // Create the folder + empty seed files on disk (only if absent).
+            await startEditingWrite();
             const dir = join(paths.missionPath, folder);
             await mkdir(dir, {recursive: true});
             const seeds = {
                 'types.xml': '<?xml version="1.0" encoding="UTF-8"?>\n<types>\n</types>\n',
                 'spawnabletypes.xml': '<?xml version="1.0" encoding="UTF-8"?>\n<spawnabletypes>\n</spawnabletypes>\n',
             };
+            if (withEvents) seeds['events.xml'] = '<?xml version="1.0" encoding="UTF-8"?>\n<events>\n</events>\n';
+            await holdWriteLocks(Object.keys(seeds).map(name => join(dir, name)));
             for (const [name, content] of Object.entries(seeds)) {
                 const target = join(dir, name);
                 let exists = false;
@@ -2423,7 +2895,7 @@ const server = http.createServer(async (req, res) => {
                     // absent
                 }
                 if (!exists) {
-                    await writeFileAtomic(target, content);
+                    await writeAudited(paths, target, content, editorId);
                 }
             }
 
@@ -2436,6 +2908,7 @@ const server = http.createServer(async (req, res) => {
                 folder,
                 file: 'types',
                 spawnableFile: 'spawnabletypes',
+                eventsFile: withEvents ? 'events' : null,
                 alreadyExists,
             }), {'Content-Type': 'application/json'});
             return;
@@ -2639,8 +3112,9 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
             if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!await ifMatchPasses(target)) return;
                 try {
-                    const body = await readBody(req);
                     // Validate JSON before writing to disk
                     const parsed = JSON.parse(body || '{}');
                     // Guard against wiping containers: if the editor fell back to empty
@@ -2661,8 +3135,8 @@ const server = http.createServer(async (req, res) => {
                     }
                     const out = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, out);
-                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json'});
+                    const etag = await writeAudited(paths, target, out, editorId);
+                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json', ETag: etag});
                 } catch (e) {
                     badRequest(res, `Invalid AirdropSettings payload: ${e.message}`);
                 }
@@ -2689,14 +3163,15 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
             if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!await ifMatchPasses(target)) return;
                 try {
-                    const body = await readBody(req);
                     // Validate JSON before writing to disk
                     const parsed = JSON.parse(body || '{}');
                     const out = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, out);
-                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json'});
+                    const etag = await writeAudited(paths, target, out, editorId);
+                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json', ETag: etag});
                 } catch (e) {
                     badRequest(res, `Invalid MissionSettings payload: ${e.message}`);
                 }
@@ -2728,14 +3203,15 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
             if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!await ifMatchPasses(target)) return;
                 try {
-                    const body = await readBody(req);
                     // Validate JSON before writing to disk
                     const parsed = JSON.parse(body || '{}');
                     const out = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, out);
-                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json'});
+                    const etag = await writeAudited(paths, target, out, editorId);
+                    send(res, 200, JSON.stringify({ ok: true }), {'Content-Type': 'application/json', ETag: etag});
                 } catch (e) {
                     badRequest(res, `Invalid ${label} payload: ${e.message}`);
                 }
@@ -2897,7 +3373,7 @@ const server = http.createServer(async (req, res) => {
                     for (const entry of entries) {
                         if (!entry.isFile() || !/^Airdrop_.+\.json$/i.test(entry.name)) continue;
                         try {
-                            const raw = await readFile(join(dir, entry.name), 'utf8');
+                            let raw = await readFile(join(dir, entry.name), 'utf8');
                             const { data: norm, changed } = normalizeMissionDropLocation(JSON.parse(raw));
                             if (changed) {
                                 // Self-heal legacy array-form DropLocation on disk so the engine
@@ -2905,12 +3381,15 @@ const server = http.createServer(async (req, res) => {
                                 // failure break the listing.
                                 try {
                                     await createBackupIfExists(join(dir, entry.name));
-                                    await writeFileAtomic(join(dir, entry.name), JSON.stringify(norm, null, 4));
+                                    const healed = JSON.stringify(norm, null, 4);
+                                    await writeFileAtomic(join(dir, entry.name), healed);
+                                    raw = healed;
                                 } catch (e) {
                                     console.error(`Failed to self-heal DropLocation in ${entry.name}: ${e.message}`);
                                 }
                             }
-                            missions.push({ file: entry.name, data: norm });
+                            // Per-file ETag: each mission is saved on its own with `?file=`
+                            missions.push({ file: entry.name, data: norm, etag: contentEtag(raw) });
                         } catch {
                             missions.push({ file: entry.name, data: null, error: 'Failed to parse' });
                         }
@@ -2936,9 +3415,10 @@ const server = http.createServer(async (req, res) => {
                     // Guard: no save path may ever persist an array-form DropLocation.
                     const { data: norm } = normalizeMissionDropLocation(parsed);
                     const missionTarget = join(dir, fileName);
+                    if (!await ifMatchPasses(missionTarget)) return;
                     await createBackupIfExists(missionTarget);
-                    await writeFileAtomic(missionTarget, JSON.stringify(norm, null, 4));
-                    send(res, 200, JSON.stringify({ ok: true, file: fileName }), {'Content-Type': 'application/json'});
+                    const etag = await writeAudited(paths, missionTarget, JSON.stringify(norm, null, 4), editorId);
+                    send(res, 200, JSON.stringify({ ok: true, file: fileName }), {'Content-Type': 'application/json', ETag: etag});
                 } catch (e) {
                     badRequest(res, `Invalid mission payload: ${e.message}`);
                 }
@@ -2951,8 +3431,9 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Mission file name must match Airdrop_*.json and contain only safe characters.');
                     return;
                 }
+                if (!await ifMatchPasses(join(dir, fileName))) return;
                 try {
-                    await rm(join(dir, fileName), { force: true });
+                    await removeAudited(paths, join(dir, fileName), editorId);
                     send(res, 200, JSON.stringify({ ok: true, file: fileName }), {'Content-Type': 'application/json'});
                 } catch (e) {
                     send(res, 500, JSON.stringify({ error: e.message }), {'Content-Type': 'application/json'});
@@ -3073,6 +3554,8 @@ const server = http.createServer(async (req, res) => {
                     return;
                 }
 
+                if (!await ifMatchPasses(target)) return;
+
                 let isNew = false;
                 try {
                     await stat(target);
@@ -3081,13 +3564,13 @@ const server = http.createServer(async (req, res) => {
                 }
 
                 const backup = await createBackupIfExists(target);
-                await writeFileAtomic(target, body);
+                const etag = await writeAudited(paths, target, body, editorId);
 
                 if (isNew && group !== '__root' && group !== 'vanilla' && group !== 'vanilla_overrides') {
                     await ensureSpawnableTypeFileInEconomyCore(profile, paths, group, String(target).split(/[\\/]/).pop());
                 }
 
-                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json'});
+                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json', ETag: etag});
                 return;
             }
 
@@ -3113,9 +3596,176 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Empty body');
                     return;
                 }
+                if (!await ifMatchPasses(target)) return;
+                const backup = await createBackupIfExists(target);
+                const etag = await writeAudited(paths, target, body, editorId);
+                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json', ETag: etag});
+                return;
+            }
+            methodNotAllowed(res);
+            return;
+        }
+
+        // Which building prototypes (and how many loot points) can host an item with the given
+        // usage/value/category/tag flags, from mapgroupproto.xml + mapgrouppos.xml.
+        // positions=0 skips the instance list when only the counts are wanted.
+        if (pathname === '/api/mapgroups/loot-positions') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            let protos;
+            let instances;
+            try {
+                protos = await readParsedFile(paths.mapGroupProtoPath, parseMapGroupProto);
+                instances = await readParsedFile(paths.mapGroupPosPath, parseMapGroupPos);
+            } catch {
+                json(res, 404, {error: 'mapgroupproto.xml or mapgrouppos.xml not found in the mission folder'});
+                return;
+            }
+            const list = (key) => (url.searchParams.get(key) || '').split(',').map(s => s.trim()).filter(Boolean);
+            const result = queryLootPositions(protos, instances, {
+                usage: list('usage'),
+                value: list('value'),
+                category: url.searchParams.get('category') || '',
+                tag: list('tag'),
+            });
+            if (url.searchParams.get('positions') === '0') result.positions = [];
+            json(res, 200, {...result, prototypeCount: Object.keys(protos).length});
+            return;
+        }
+
+        // Read-only usage/value raster from areaflags.map, for the tier overlay on the heat map
+        // and live map. ?layer=value|usage, ?size= caps the returned grid edge (default 512).
+        // Cells are base64 little-endian uint16 masks, bit i = flags[i].
+        if (pathname === '/api/mission/areaflags') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            const layer = url.searchParams.get('layer') === 'usage' ? 'usage' : 'value';
+            const target = Math.min(2048, Math.max(64, Number(url.searchParams.get('size')) || 512));
+            let source = paths.areaFlagsPath;
+            try {
+                const rel = findAreaFlagsPath(await readFile(paths.environmentPath, 'utf8'));
+                if (rel) source = join(paths.missionPath, rel);
+            } catch {
+                // no cfgenvironment.xml; the mission-root default stands
+            }
+            let grid;
+            try {
+                grid = await readParsedFile(source, parseAreaFlags, null);
+            } catch (e) {
+                const missing = e && e.code === 'ENOENT';
+                json(res, missing ? 404 : 422, {error: missing ? 'areaflags.map not found in the mission folder' : String(e.message || e)});
+                return;
+            }
+            let flags = [];
+            try {
+                flags = parseLimitsFlagOrder(await readFile(paths.defsPath, 'utf8'))[layer];
+            } catch {
+                // unnamed bits; the client labels them by index
+            }
+            const {size, mask} = downsampleMask(grid[layer], grid.size, target);
+            json(res, 200, {
+                layer,
+                flags,
+                size,
+                sourceSize: grid.size,
+                // eslint-disable-next-line no-undef
+                cells: Buffer.from(mask.buffer, mask.byteOffset, mask.byteLength).toString('base64'),
+            });
+            return;
+        }
+
+        if (pathname === '/api/mission/playerspawnpoints') {
+            const target = paths.playerSpawnPointsPath;
+            if (req.method === 'GET') {
+                try {
+                    const xml = await readFile(target, 'utf8');
+                    send(res, 200, xml, {'Content-Type': 'application/xml; charset=utf-8'});
+                } catch {
+                    const empty = '<?xml version="1.0" encoding="UTF-8"?>\n<playerspawnpoints></playerspawnpoints>\n';
+                    send(res, 200, empty, {'Content-Type': 'application/xml; charset=utf-8'});
+                }
+                return;
+            }
+            if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!body || typeof body !== 'string') {
+                    badRequest(res, 'Empty body');
+                    return;
+                }
+                if (!/<playerspawnpoints\b/i.test(body)) {
+                    badRequest(res, 'Body is not a <playerspawnpoints> document');
+                    return;
+                }
+                if (!await ifMatchPasses(target)) return;
+                const backup = await createBackupIfExists(target);
+                const etag = await writeAudited(paths, target, body, editorId);
+                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json', ETag: etag});
+                return;
+            }
+            methodNotAllowed(res);
+            return;
+        }
+
+        // GET/PUT db/events.xml and cfgeventspawns.xml. Same write rules as the types PUT:
+        // backup, then an atomic write recorded per event and field in the audit log.
+        // /api/events/:group/:file? addresses a group's own type="events" file instead.
+        const matchGroupEvents = pathname.match(/^\/api\/events\/([^/]+)(?:\/([^/]+))?$/);
+        if (pathname === '/api/events' || pathname === '/api/eventspawns' || matchGroupEvents) {
+            const isSpawns = pathname === '/api/eventspawns';
+            let target = isSpawns ? paths.eventSpawnsPath : paths.eventsPath;
+            let group = null;
+            if (matchGroupEvents) {
+                group = decodeURIComponent(matchGroupEvents[1]);
+                const fileName = matchGroupEvents[2] ? decodeURIComponent(matchGroupEvents[2]) : null;
+                if (!isSafeName(group) || (fileName && !isSafeName(fileName))) {
+                    badRequest(res, 'Invalid group or file');
+                    return;
+                }
+                target = await groupEventsFilePath(profile, paths, group, fileName);
+                if (!target) {
+                    badRequest(res, `"${fileName || 'events.xml'}" is not an events file of group "${group}"`);
+                    return;
+                }
+            }
+            if (req.method === 'GET') {
+                try {
+                    const xml = await readFile(target, 'utf8');
+                    send(res, 200, xml, {'Content-Type': 'application/xml; charset=utf-8'});
+                } catch {
+                    const empty = isSpawns
+                        ? '<?xml version="1.0" encoding="UTF-8"?>\n<eventposdef></eventposdef>\n'
+                        : '<?xml version="1.0" encoding="UTF-8"?>\n<events></events>\n';
+                    send(res, 200, empty, {'Content-Type': 'application/xml; charset=utf-8'});
+                }
+                return;
+            }
+            if (req.method === 'PUT') {
+                const body = await readBody(req);
+                if (!body || typeof body !== 'string') {
+                    badRequest(res, 'Empty body');
+                    return;
+                }
+                if (!await ifMatchPasses(target)) return;
                 const backup = await createBackupIfExists(target);
-                await writeFileAtomic(target, body);
-                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json'});
+                const etag = await writeAudited(paths, target, body, editorId);
+
+                // A group's events file is only loaded by the server once cfgeconomycore.xml
+                // declares it, so register it on first save (as spawnabletypes files are).
+                if (group) {
+                    const eventsMap = await getGroupEventsFilesMap(profile, paths);
+                    const fileName = String(target).split(/[\\/]/).pop();
+                    const declared = (eventsMap[group] || []).some(n => n.toLowerCase() === fileName.toLowerCase());
+                    if (!declared) {
+                        const folder = await getDeclaredGroupFolder(profile, paths, group);
+                        await ensureTypesGroupInEconomyCore(profile, paths, folder, [{name: fileName, type: 'events'}]);
+                    }
+                }
+
+                send(res, 200, JSON.stringify({ok: true, path: target, backup}), {'Content-Type': 'application/json', ETag: etag});
                 return;
             }
             methodNotAllowed(res);
@@ -3152,7 +3802,8 @@ const server = http.createServer(async (req, res) => {
                     if (!data.Items && data.divingLootListNormal) {
                         data.Items = data.divingLootListNormal;
                     }
-                    send(res, 200, JSON.stringify(data), { 'Content-Type': 'application/json; charset=utf-8' });
+                    // Tagged by the file on disk, not the remapped body
+                    send(res, 200, JSON.stringify(data), { 'Content-Type': 'application/json; charset=utf-8', ETag: contentEtag(content) });
                 } catch {
                     // Return a default empty config if not found
                     send(res, 200, JSON.stringify({ Items: [], divingLootListNormal: [], divingLootListElite: [] }), { 'Content-Type': 'application/json; charset=utf-8' });
@@ -3161,6 +3812,7 @@ const server = http.createServer(async (req, res) => {
             }
             if (req.method === 'POST' || req.method === 'PUT') {
                 const body = await readBody(req);
+                if (!await ifMatchPasses(target)) return;
                 try {
                     const parsed = JSON.parse(body);
                     // Map Items back to divingLootListNormal for mod compatibility
@@ -3168,8 +3820,8 @@ const server = http.createServer(async (req, res) => {
                         parsed.divingLootListNormal = parsed.Items;
                     }
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, JSON.stringify(parsed, null, 4));
-                    send(res, 200, JSON.stringify({ ok: true }), { 'Content-Type': 'application/json' });
+                    const etag = await writeAudited(paths, target, JSON.stringify(parsed, null, 4), editorId);
+                    send(res, 200, JSON.stringify({ ok: true }), { 'Content-Type': 'application/json', ETag: etag });
                 } catch (e) {
                     badRequest(res, `Invalid JSON or write error: ${e.message}`);
                 }
@@ -3228,65 +3880,10 @@ const server = http.createServer(async (req, res) => {
                     return;
                 }
 
-                // Read previous content if present for diff
-                let prev = '';
-                try {
-                    prev = await readFile(target, 'utf8');
-                } catch {
-                    // no previous file
-                }
-
-                // Write new content
-                await createBackupIfExists(target);
-                await writeFileAtomic(target, body);
-
-                // Compute detailed changes (added/removed/modified with field-level diffs)
-                try {
-                    const editorID = (req.headers['x-editor-id'] && String(req.headers['x-editor-id'])) || 'unknown';
-                    const oldMap = await parseTypesWithSrcHelpers(prev);
-                    const newMap = await parseTypesWithSrcHelpers(body);
-
-                    const oldNames = new Set(Object.keys(oldMap));
-                    const newNames = new Set(Object.keys(newMap));
-
-                    const added = [...newNames].filter(n => !oldNames.has(n));
-                    const removed = [...oldNames].filter(n => !newNames.has(n));
-                    const common = [...oldNames].filter(n => newNames.has(n));
+                if (!await ifMatchPasses(target)) return;
+                const etag = await writeTypesFile(paths, target, body, editorId);
 
-                    const changes = [];
-
-                    // Added
-                    for (const name of added) {
-                        const ts = new Date();
-                        changes.push(`${formatTs(ts)} - [${editorID}] ${name} added`);
-                    }
-                    // Removed
-                    for (const name of removed) {
-                        const ts = new Date();
-                        changes.push(`${formatTs(ts)} - [${editorID}] ${name} removed`);
-                    }
-                    // Modified (with fields spec)
-                    for (const name of common) {
-                        const diffs = diffTypeFields(oldMap[name], newMap[name]);
-                        if (diffs.length) {
-                            const ts = new Date();
-                            changes.push(`${formatTs(ts)} - [${editorID}] ${name} modified [fields: ${diffs.join(', ')}]`);
-                        }
-                    }
-
-                    if (changes.length) {
-                        const dir = await declaredGroupDir(profile, paths, group);
-                        if (dir) {
-                            await mkdir(dir, {recursive: true});
-                            let block = `File: ${fileBase}.xml\n` + changes.join('\n') + '\n\n';
-                            await appendFile(join(dir, 'changes.txt'), block, 'utf8');
-                        }
-                    }
-                } catch (e) {
-                    console.warn('Failed to append changes.txt:', e);
-                }
-
-                send(res, 200, JSON.stringify({ok: true, path: target}), {'Content-Type': 'application/json'});
+                send(res, 200, JSON.stringify({ok: true, path: target}), {'Content-Type': 'application/json', ETag: etag});
                 return;
             }
             methodNotAllowed(res);
@@ -3348,12 +3945,13 @@ const server = http.createServer(async (req, res) => {
                 }
                 if (req.method === 'PUT') {
                     const body = await readBody(req);
+                    if (!await ifMatchPasses(filePath)) return;
                     try {
                         // Validate JSON
                         const parsed = JSON.parse(body);
                         await createBackupIfExists(filePath);
-                        await writeFileAtomic(filePath, JSON.stringify(parsed, null, 4));
-                        send(res, 200, JSON.stringify({ok: true}), {'Content-Type': 'application/json'});
+                        const etag = await writeAudited(paths, filePath, JSON.stringify(parsed, null, 4), editorId);
+                        send(res, 200, JSON.stringify({ok: true}), {'Content-Type': 'application/json', ETag: etag});
                     } catch (e) {
                         badRequest(res, `Invalid JSON or write error: ${e.message}`);
                     }
@@ -3382,6 +3980,38 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        // Market analysis: every listed item's price/stock range plus arbitrage loops
+        if (pathname === '/api/market/analysis') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            const categories = await readJsonDir(paths.marketDirPath);
+            let settings = null;
+            try {
+                settings = JSON.parse(await readFile(paths.marketSettingsPath, 'utf8'));
+            } catch {
+                // Missing MarketSettings.json: Expansion's default sell percentage applies.
+            }
+            send(res, 200, JSON.stringify(analyzeMarket(categories, settings)), { 'Content-Type': 'application/json' });
+            return;
+        }
+
+        // Market references: every classname named by market categories, trader profiles and zones
+        if (pathname === '/api/market/references') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            const references = collectMarketReferences({
+                market: await readJsonDir(paths.marketDirPath),
+                traders: await readJsonDir(paths.traderProfilesDirPath),
+                zones: await readJsonDir(paths.traderZonesDirPath),
+            });
+            send(res, 200, JSON.stringify({ references }), { 'Content-Type': 'application/json' });
+            return;
+        }
+
         // Market category read/write
         const matchMarketCat = pathname.match(/^\/api\/market\/category\/([^/]+)$/);
         if (matchMarketCat) {
@@ -3416,11 +4046,12 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Invalid JSON');
                     return;
                 }
+                if (!await ifMatchPasses(target)) return;
                 try {
                     const formatted = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, formatted + (formatted.endsWith('\n') ? '' : '\n'));
-                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json' });
+                    const etag = await writeAudited(paths, target, formatted + (formatted.endsWith('\n') ? '' : '\n'), editorId);
+                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json', ETag: etag });
                 } catch {
                     send(res, 500, JSON.stringify({ error: 'Failed to write category' }), { 'Content-Type': 'application/json' });
                 }
@@ -3450,15 +4081,131 @@ const server = http.createServer(async (req, res) => {
                 return;
             }
 
+            // `etags` maps the API path of each category, trader zone and trader profile the client
+            // has loaded to the ETag it was loaded with, checked as that file's If-Match. A file
+            // the client never loaded has no entry and is rewritten from its current content, as
+            // no older copy of it can be saved over the removal later.
+            const etags = parsed.etags && typeof parsed.etags === 'object' ? parsed.etags : null;
+            if (!etags) {
+                send(res, 428, JSON.stringify({ error: 'etags required: send the ETag each loaded market file was loaded with' }), { 'Content-Type': 'application/json' });
+                return;
+            }
             try {
-                const results = await removeItemFromMarketplaceCompletely(className, paths);
-                send(res, 200, JSON.stringify({ ok: true, results }), { 'Content-Type': 'application/json' });
+                const check = async () => {
+                    const files = await planItemRemoval(className, paths);
+                    const conflicts = files
+                        .filter(f => typeof etags[f.apiPath] === 'string' && checkPrecondition({ 'if-match': etags[f.apiPath] }, f.current) !== 'ok')
+                        .map(f => ({ path: f.apiPath, etag: contentEtag(f.current) }));
+                    return { files, conflicts };
+                };
+                // Checked once before the session snapshot and again under the write locks of
+                // every file the purge could touch, like a PUT's If-Match (see ifMatchPasses).
+                let { files, conflicts } = await check();
+                if (!conflicts.length) {
+                    await startEditingWrite();
+                    const dirs = [paths.marketDirPath, paths.traderZonesDirPath, paths.traderProfilesDirPath];
+                    const candidates = (await Promise.all(dirs.map(dir => readdir(dir)
+                        .then(names => names.filter(n => n.toLowerCase().endsWith('.json')).map(n => join(dir, n)), () => []))))
+                        .flat();
+                    await holdWriteLocks(candidates);
+                    ({ files, conflicts } = await check());
+                    files = files.filter(f => candidates.includes(f.filePath));
+                }
+                if (conflicts.length) {
+                    send(res, 409, JSON.stringify({ error: 'Market files were changed since they were loaded', conflicts }), { 'Content-Type': 'application/json' });
+                    return;
+                }
+                const results = { marketFiles: 0, traderZoneFiles: 0, traderFiles: 0 };
+                const written = {};
+                for (const f of files) {
+                    written[f.apiPath] = await writeAudited(paths, f.filePath, f.next, editorId);
+                    results[`${f.kind}Files`]++;
+                }
+                send(res, 200, JSON.stringify({ ok: true, results, etags: written }), { 'Content-Type': 'application/json' });
             } catch (e) {
                 send(res, 500, JSON.stringify({ error: 'Failed to remove item', detail: String(e) }), { 'Content-Type': 'application/json' });
             }
             return;
         }
 
+        // Market import: write a set of category files, with a snapshot of the current state first
+        if (pathname === '/api/market/import') {
+            if (req.method !== 'POST') {
+                methodNotAllowed(res);
+                return;
+            }
+            let parsed;
+            try {
+                parsed = JSON.parse(await readBody(req));
+            } catch {
+                badRequest(res, 'Invalid JSON');
+                return;
+            }
+            const categories = parsed?.categories && typeof parsed.categories === 'object' ? parsed.categories : null;
+            const names = categories ? Object.keys(categories) : [];
+            if (!names.length) {
+                badRequest(res, 'Missing categories');
+                return;
+            }
+            for (const name of names) {
+                if (!isSafeName(name) || !Array.isArray(categories[name]?.Items)) {
+                    badRequest(res, `Invalid category ${name}`);
+                    return;
+                }
+            }
+            const categoryPath = name => join(paths.marketDirPath, `${name.replace(/\.json$/i, '')}.json`);
+
+            // Each category takes the precondition its own PUT would: `etags[name]` is the ETag it
+            // was loaded with (If-Match), null for a category the client doesn't have (If-None-Match: *).
+            const etags = parsed.etags && typeof parsed.etags === 'object' ? parsed.etags : null;
+            if (!etags) {
+                send(res, 428, JSON.stringify({ error: 'etags required: send the ETag each category was loaded with' }), { 'Content-Type': 'application/json' });
+                return;
+            }
+            await holdWriteLocks(names.map(categoryPath));
+            const conflicts = [];
+            for (const name of names) {
+                const current = await readFile(categoryPath(name), 'utf8').catch(() => null);
+                const headers = typeof etags[name] === 'string' ? { 'if-match': etags[name] } : { 'if-none-match': '*' };
+                if (checkPrecondition(headers, current) !== 'ok') {
+                    conflicts.push({ name, etag: current === null ? null : contentEtag(current), content: current });
+                }
+            }
+            if (conflicts.length) {
+                send(res, 409, JSON.stringify({ error: 'Categories were changed since they were loaded', conflicts }), { 'Content-Type': 'application/json' });
+                return;
+            }
+
+            let snapshot;
+            try {
+                const source = String(parsed.source || 'market pack');
+                snapshot = await internalCreateSnapshot(
+                    profile.id,
+                    `Pre-import: ${source}`,
+                    `Auto backup before importing ${names.length} market categor${names.length === 1 ? 'y' : 'ies'}`,
+                    req.headers['x-editor-id'] || 'system',
+                    'automatic'
+                );
+            } catch (e) {
+                send(res, 500, JSON.stringify({ error: 'Failed to snapshot before import', detail: String(e) }), { 'Content-Type': 'application/json' });
+                return;
+            }
+            try {
+                await mkdir(paths.marketDirPath, { recursive: true });
+                const written = {};
+                for (const name of names) {
+                    const target = categoryPath(name);
+                    const formatted = JSON.stringify(categories[name], null, 4);
+                    await createBackupIfExists(target);
+                    written[name] = await writeAudited(paths, target, formatted + '\n', editorId);
+                }
+                send(res, 200, JSON.stringify({ ok: true, written: names, etags: written, snapshot }), { 'Content-Type': 'application/json' });
+            } catch (e) {
+                send(res, 500, JSON.stringify({ error: 'Failed to write categories', detail: String(e), snapshot }), { 'Content-Type': 'application/json' });
+            }
+            return;
+        }
+
         // Traders: list (.map files)
         if (pathname === '/api/traders') {
             if (req.method !== 'GET') {
@@ -3479,6 +4226,36 @@ const server = http.createServer(async (req, res) => {
             return;
         }
 
+        // Trader placements: every NPC of every .map file, plus every trader zone's position and radius
+        if (pathname === '/api/trader-placements') {
+            if (req.method !== 'GET') {
+                methodNotAllowed(res);
+                return;
+            }
+            const traders = [];
+            try {
+                const entries = await readdir(paths.tradersDirPath, { withFileTypes: true });
+                for (const e of entries) {
+                    if (!e.isFile() || !e.name.toLowerCase().endsWith('.map')) continue;
+                    const file = e.name.replace(/\.map$/i, '');
+                    try {
+                        const text = await readFile(join(paths.tradersDirPath, e.name), 'utf8');
+                        // The file's ETag on every NPC, for the trader PUT's If-Match
+                        const etag = contentEtag(text);
+                        for (const npc of parseTraderMapFile(text)) traders.push({ file, etag, ...npc });
+                    } catch {
+                        // skip unreadable files
+                    }
+                }
+            } catch {
+                // No traders folder yet.
+            }
+            traders.sort((a, b) => a.file.localeCompare(b.file, undefined, { sensitivity: 'base' }) || a.index - b.index);
+            const zones = (await readJsonDir(paths.traderZonesDirPath)).map(({ name, json }) => traderZoneSummary(name, json));
+            send(res, 200, JSON.stringify({ traders, zones }), { 'Content-Type': 'application/json' });
+            return;
+        }
+
         // Trader read/write (.map)
         const matchTrader = pathname.match(/^\/api\/traders\/([^/]+)$/);
         if (matchTrader) {
@@ -3495,7 +4272,7 @@ const server = http.createServer(async (req, res) => {
                     const text = await readFile(target, 'utf8');
                     const line = (text || '').split(/\r?\n/)[0] || '';
                     const parsed = parseTraderMapLine(line);
-                    send(res, 200, JSON.stringify({ name: fileBase, ...parsed }), { 'Content-Type': 'application/json' });
+                    send(res, 200, JSON.stringify({ name: fileBase, ...parsed }), { 'Content-Type': 'application/json', ETag: contentEtag(text) });
                 } catch {
                     notFound(res);
                 }
@@ -3514,7 +4291,7 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Invalid JSON');
                     return;
                 }
-                const { className, traderFileName, position, orientation, gear } = payload || {};
+                const { className, traderFileName, position, orientation, gear, line: lineIndex } = payload || {};
                 if (typeof className !== 'string' || !className || typeof traderFileName !== 'string' || !traderFileName) {
                     badRequest(res, 'Missing className or traderFileName');
                     return;
@@ -3530,11 +4307,19 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Invalid orientation');
                     return;
                 }
+                if (lineIndex !== undefined && !(Number.isInteger(lineIndex) && lineIndex >= 0)) {
+                    badRequest(res, 'Invalid line');
+                    return;
+                }
                 const line = buildTraderMapLine({ className, traderFileName, position: pos, orientation: ori, gear: att });
+                if (!await ifMatchPasses(target)) return;
                 try {
+                    // Without `line` the file is rewritten as this one NPC; with it, only that
+                    // line changes (or is appended), so the other NPCs of the file are kept.
+                    const existing = lineIndex === undefined ? '' : await readFile(target, 'utf8').catch(() => '');
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, line + (line.endsWith('\n') ? '' : '\n'));
-                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json' });
+                    const etag = await writeAudited(paths, target, setTraderMapLine(existing, lineIndex ?? 0, line), editorId);
+                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json', ETag: etag });
                 } catch {
                     send(res, 500, JSON.stringify({ error: 'Failed to write trader map' }), { 'Content-Type': 'application/json' });
                 }
@@ -3597,11 +4382,12 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Invalid JSON');
                     return;
                 }
+                if (!await ifMatchPasses(target)) return;
                 try {
                     const formatted = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, formatted + (formatted.endsWith('\n') ? '' : '\n'));
-                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json' });
+                    const etag = await writeAudited(paths, target, formatted + (formatted.endsWith('\n') ? '' : '\n'), editorId);
+                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json', ETag: etag });
                 } catch {
                     send(res, 500, JSON.stringify({ error: 'Failed to write trader profile' }), { 'Content-Type': 'application/json' });
                 }
@@ -3665,11 +4451,12 @@ const server = http.createServer(async (req, res) => {
                     badRequest(res, 'Invalid JSON');
                     return;
                 }
+                if (!await ifMatchPasses(target)) return;
                 try {
                     const formatted = JSON.stringify(parsed, null, 4);
                     await createBackupIfExists(target);
-                    await writeFileAtomic(target, formatted + (formatted.endsWith('\n') ? '' : '\n'));
-                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json' });
+                    const etag = await writeAudited(paths, target, formatted + (formatted.endsWith('\n') ? '' : '\n'), editorId);
+                    send(res, 200, JSON.stringify({ ok: true, path: target }), { 'Content-Type': 'application/json', ETag: etag });
                 } catch {
                     send(res, 500, JSON.stringify({ error: 'Failed to write trader zone' }), { 'Content-Type': 'application/json' });
                 }
@@ -3715,6 +4502,8 @@ const server = http.createServer(async (req, res) => {
     } catch (err) {
         console.error('Server error:', err);
         send(res, 500, JSON.stringify({error: 'Internal Server Error'}), {'Content-Type': 'application/json'});
+    } finally {
+        for (const release of heldWriteLocks) release();
     }
 });
 
@@ -3723,5 +4512,7 @@ server.listen(PORT, async () => {
     // restart keeps it until the mod's next catalog push. The mod latches
     // catalog delivery after one success, so it won't resend just for our bounce.
     await ingest.loadPersistedCatalog();
+    // Scheduled snapshots: check every profile's interval once a minute
+    setInterval(() => { runScheduledSnapshots(); }, 60 * 1000).unref();
     console.log(`XML persistence server listening on http://localhost:${PORT}`);
 });
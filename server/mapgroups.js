@@ -0,0 +1,152 @@
+/**
+ * Regex-level readers for mapgroupproto.xml (building prototypes and their loot containers)
+ * and mapgrouppos.xml (where each building instance sits), plus the CE matching rules that
+ * answer "which buildings, and how many loot points, can host an item with these flags".
+ *
+ * Both files run to megabytes on the vanilla maps, so only what the query needs is kept:
+ * per-container point counts (not the points themselves) and instance x/z.
+ */
+
+function readAttrs(tag) {
+    /** @type {Record<string, string>} */
+    const attrs = {};
+    const re = /([A-Za-z_][\w.-]*)\s*=\s*"([^"]*)"/g;
+    let m;
+    while ((m = re.exec(tag)) !== null) attrs[m[1]] = m[2];
+    return attrs;
+}
+
+function namesOf(xml, tag) {
+    const out = [];
+    const re = new RegExp(`<${tag}\\b[^>]*\\bname="([^"]+)"[^>]*\\/?>`, 'gi');
+    let m;
+    while ((m = re.exec(xml)) !== null) out.push(m[1]);
+    return out;
+}
+
+/**
+ * @typedef {{name: string, categories: string[], tags: string[], points: number}} ProtoContainer
+ * @typedef {{usage: string[], value: string[], containers: ProtoContainer[]}} ProtoGroup
+ */
+
+/**
+ * Parse mapgroupproto.xml into a name-keyed map of building prototypes.
+ * Usage/value flags are read from the group itself; category/tag flags from each container.
+ * @param {string} xml
+ * @returns {Record<string, ProtoGroup>}
+ */
+export function parseMapGroupProto(xml) {
+    /** @type {Record<string, ProtoGroup>} */
+    const out = {};
+    if (!xml || typeof xml !== 'string') return out;
+    const groupRe = /<group\b[^>]*\bname="([^"]+)"[^>]*>([\s\S]*?)<\/group>/gi;
+    let m;
+    while ((m = groupRe.exec(xml)) !== null) {
+        const inner = m[2] || '';
+        const containers = [];
+        const containerRe = /<container\b([^>]*)>([\s\S]*?)<\/container>/gi;
+        let cm;
+        while ((cm = containerRe.exec(inner)) !== null) {
+            const body = cm[2] || '';
+            containers.push({
+                name: readAttrs(cm[1]).name || '',
+                categories: namesOf(body, 'category'),
+                tags: namesOf(body, 'tag'),
+                points: (body.match(/<point\b/gi) || []).length,
+            });
+        }
+        // Group-level flags sit outside the containers.
+        const outer = inner.replace(containerRe, '');
+        out[m[1]] = {usage: namesOf(outer, 'usage'), value: namesOf(outer, 'value'), containers};
+    }
+    return out;
+}
+
+/**
+ * Parse mapgrouppos.xml into building instances. `pos` is "x y z"; y is dropped.
+ * @param {string} xml
+ * @returns {{name: string, x: number, z: number}[]}
+ */
+export function parseMapGroupPos(xml) {
+    const out = [];
+    if (!xml || typeof xml !== 'string') return out;
+    const re = /<group\b[^>]*\/?>/gi;
+    let m;
+    while ((m = re.exec(xml)) !== null) {
+        const a = readAttrs(m[0]);
+        if (!a.name || !a.pos) continue;
+        const [x, , z] = a.pos.trim().split(/\s+/).map(Number);
+        if (!Number.isFinite(x) || !Number.isFinite(z)) continue;
+        out.push({name: a.name, x, z});
+    }
+    return out;
+}
+
+const lowerSet = (arr) => new Set((arr || []).map(s => String(s).toLowerCase()));
+const intersects = (set, arr) => (arr || []).some(s => set.has(String(s).toLowerCase()));
+
+/**
+ * Containers of `proto` that can host an item with the given flags, per the CE rules:
+ *   - usage: the item must share a usage with the building (an item without usage spawns in none);
+ *   - value: only enforced when the prototype declares values — otherwise tiers come from the
+ *     map position (areaflags.map), which this check does not read;
+ *   - category: the container must list the item's category;
+ *   - tag: an item with tags needs a container carrying one of them; an untagged item fits any.
+ * @param {ProtoGroup} proto
+ * @param {{usage?: string[], value?: string[], category?: string, tag?: string[]}} flags
+ * @returns {ProtoContainer[]}
+ */
+export function matchingContainers(proto, flags) {
+    if (!proto) return [];
+    const usage = lowerSet(flags.usage);
+    if (!usage.size || !intersects(usage, proto.usage)) return [];
+    const value = lowerSet(flags.value);
+    if (value.size && proto.value.length && !intersects(value, proto.value)) return [];
+    const category = flags.category ? String(flags.category).toLowerCase() : '';
+    const tags = lowerSet(flags.tag);
+    return proto.containers.filter(c => {
+        if (category && !c.categories.some(n => n.toLowerCase() === category)) return false;
+        if (tags.size && !intersects(tags, c.tags)) return false;
+        return true;
+    });
+}
+
+/**
+ * Answer a loot-position query over parsed prototypes and instances.
+ * @param {Record<string, ProtoGroup>} protos
+ * @param {{name: string, x: number, z: number}[]} instances
+ * @param {{usage?: string[], value?: string[], category?: string, tag?: string[]}} flags
+ * @returns {{buildings: number, points: number,
+ *   prototypes: {name: string, instances: number, pointsEach: number, containers: string[]}[],
+ *   positions: {name: string, x: number, z: number}[]}}
+ */
+export function queryLootPositions(protos, instances, flags) {
+    /** @type {Map<string, {name: string, instances: number, pointsEach: number, containers: string[]}>} */
+    const hits = new Map();
+    for (const [name, proto] of Object.entries(protos || {})) {
+        const containers = matchingContainers(proto, flags);
+        if (!containers.length) continue;
+        hits.set(name, {
+            name,
+            instances: 0,
+            pointsEach: containers.reduce((sum, c) => sum + c.points, 0),
+            containers: containers.map(c => c.name),
+        });
+    }
+    const positions = [];
+    for (const inst of instances || []) {
+        const hit = hits.get(inst.name);
+        if (!hit) continue;
+        hit.instances++;
+        positions.push(inst);
+    }
+    const prototypes = [...hits.values()]
+        .filter(p => p.instances > 0)
+        .sort((a, b) => b.instances * b.pointsEach - a.instances * a.pointsEach || a.name.localeCompare(b.name));
+    return {
+        buildings: positions.length,
+        points: prototypes.reduce((sum, p) => sum + p.instances * p.pointsEach, 0),
+        prototypes,
+        positions,
+    };
+}
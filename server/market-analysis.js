@@ -0,0 +1,237 @@
+/**
+ * Whole-market analysis over the Expansion category files (profiles/ExpansionMod/Market/*.json):
+ * one flat row per listed item with its buy and sell price range, and the arbitrage loops the
+ * price settings allow.
+ *
+ * Expansion buys at a price sliding from MaxPriceThreshold (stock at its minimum) down to
+ * MinPriceThreshold (stock at its maximum), and pays SellPricePercent of that when a player sells.
+ * An item with SellPricePercent -1 uses the server-wide default from MarketSettings.json.
+ */
+
+/** Expansion's own default when MarketSettings.json is missing or has no SellPricePercent. */
+export const DEFAULT_SELL_PRICE_PERCENT = 75;
+
+function num(v, fallback = 0) {
+    const n = Number(v);
+    return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * The server-wide sell percentage from a parsed MarketSettings.json.
+ * @param {any} settings
+ * @returns {number}
+ */
+export function defaultSellPercent(settings) {
+    const pct = Number(settings?.SellPricePercent);
+    return Number.isFinite(pct) && pct >= 0 ? pct : DEFAULT_SELL_PRICE_PERCENT;
+}
+
+/**
+ * @typedef {{
+ *   className: string,
+ *   category: string,
+ *   minPrice: number,
+ *   maxPrice: number,
+ *   sellPercent: number,
+ *   defaultSell: boolean,
+ *   minSell: number,
+ *   maxSell: number,
+ *   minStock: number,
+ *   maxStock: number,
+ *   variants: string[]
+ * }} MarketRow
+ */
+
+/**
+ * Flatten category files into one row per listed item. Classnames are lowercased as Expansion
+ * does on load; a class listed in two categories yields two rows.
+ * @param {{name: string, json: any}[]} categories
+ * @param {number} [sellDefault] percentage used for items with SellPricePercent -1
+ * @returns {MarketRow[]}
+ */
+export function flattenMarketItems(categories, sellDefault = DEFAULT_SELL_PRICE_PERCENT) {
+    /** @type {MarketRow[]} */
+    const rows = [];
+    for (const {name, json} of categories || []) {
+        const items = Array.isArray(json?.Items) ? json.Items : [];
+        for (const item of items) {
+            const className = String(item?.ClassName || '').toLowerCase();
+            if (!className) continue;
+            const own = num(item.SellPricePercent, -1);
+            const sellPercent = own >= 0 ? own : sellDefault;
+            const minPrice = num(item.MinPriceThreshold);
+            const maxPrice = num(item.MaxPriceThreshold);
+            rows.push({
+                className,
+                category: name,
+                minPrice,
+                maxPrice,
+                sellPercent,
+                defaultSell: own < 0,
+                minSell: Math.floor(minPrice * sellPercent / 100),
+                maxSell: Math.floor(maxPrice * sellPercent / 100),
+                minStock: num(item.MinStockThreshold),
+                maxStock: num(item.MaxStockThreshold),
+                variants: Array.isArray(item.Variants) ? item.Variants.map(v => String(v).toLowerCase()) : [],
+            });
+        }
+    }
+    return rows;
+}
+
+/**
+ * @typedef {{
+ *   kind: 'self' | 'duplicate',
+ *   className: string,
+ *   buyCategory: string,
+ *   buyPrice: number,
+ *   sellCategory: string,
+ *   sellPrice: number,
+ *   profit: number
+ * }} ArbitrageLoop
+ */
+
+/**
+ * Buy-then-sell loops that pay out more than they cost.
+ *
+ * - `self`: SellPricePercent above 100 makes selling an item back worth more than buying it.
+ * - `duplicate`: a class listed in two categories (so possibly at two traders) whose best sell
+ *   price in one beats its cheapest buy price in the other.
+ *
+ * Checks are against the extremes of each range (cheapest buy at full stock, dearest sell at
+ * minimum stock), so a flagged pair can be exploited at some stock level, not necessarily now.
+ * @param {MarketRow[]} rows
+ * @returns {ArbitrageLoop[]}
+ */
+export function findArbitrage(rows) {
+    /** @type {ArbitrageLoop[]} */
+    const loops = [];
+    /** @type {Map<string, MarketRow[]>} */
+    const byClass = new Map();
+    for (const row of rows) {
+        if (row.sellPercent > 100 && row.maxPrice > 0) {
+            loops.push({
+                kind: 'self',
+                className: row.className,
+                buyCategory: row.category,
+                buyPrice: row.maxPrice,
+                sellCategory: row.category,
+                sellPrice: row.maxSell,
+                profit: row.maxSell - row.maxPrice,
+            });
+        }
+        const list = byClass.get(row.className) || [];
+        list.push(row);
+        byClass.set(row.className, list);
+    }
+    for (const [className, list] of byClass) {
+        if (list.length < 2) continue;
+        for (const buy of list) {
+            for (const sell of list) {
+                if (buy === sell || buy.category === sell.category) continue;
+                if (sell.maxSell > buy.minPrice) {
+                    loops.push({
+                        kind: 'duplicate',
+                        className,
+                        buyCategory: buy.category,
+                        buyPrice: buy.minPrice,
+                        sellCategory: sell.category,
+                        sellPrice: sell.maxSell,
+                        profit: sell.maxSell - buy.minPrice,
+                    });
+                }
+            }
+        }
+    }
+    return loops.sort((a, b) => b.profit - a.profit || a.className.localeCompare(b.className));
+}
+
+/**
+ * The payload of GET /api/market/analysis.
+ * @param {{name: string, json: any}[]} categories
+ * @param {any} [settings] parsed MarketSettings.json, if present
+ */
+export function analyzeMarket(categories, settings) {
+    const sellPricePercent = defaultSellPercent(settings);
+    const items = flattenMarketItems(categories, sellPricePercent);
+    return {sellPricePercent, items, arbitrage: findArbitrage(items)};
+}
+
+/**
+ * @typedef {{
+ *   className: string,
+ *   categories: string[],
+ *   variantOf: string[],
+ *   attachmentOf: string[],
+ *   traders: string[],
+ *   zones: string[],
+ *   minPrice: number | null,
+ *   maxPrice: number | null
+ * }} MarketReference
+ */
+
+/**
+ * Every classname the market side names, and where: listed in a category, offered as a variant
+ * or spawn attachment of a listed item, in a trader profile's Items, or in a trader zone's Stock.
+ * Variants sell at their parent's price, so they carry it; min/maxPrice are the cheapest over
+ * all listings, i.e. the least a player ever pays (null for classes that are not sold).
+ * @param {{market?: {name: string, json: any}[], traders?: {name: string, json: any}[], zones?: {name: string, json: any}[]}} files
+ * @returns {MarketReference[]}
+ */
+export function collectMarketReferences({market = [], traders = [], zones = []}) {
+    /** @type {Map<string, MarketReference>} */
+    const refs = new Map();
+    const ref = (name) => {
+        const className = String(name || '').toLowerCase();
+        if (!className) return null;
+        let r = refs.get(className);
+        if (!r) {
+            r = {className, categories: [], variantOf: [], attachmentOf: [], traders: [], zones: [], minPrice: null, maxPrice: null};
+            refs.set(className, r);
+        }
+        return r;
+    };
+    const addUnique = (list, value) => {
+        if (!list.includes(value)) list.push(value);
+    };
+    const price = (r, item) => {
+        const min = num(item.MinPriceThreshold);
+        const max = num(item.MaxPriceThreshold);
+        r.minPrice = r.minPrice === null ? min : Math.min(r.minPrice, min);
+        r.maxPrice = r.maxPrice === null ? max : Math.min(r.maxPrice, max);
+    };
+
+    for (const {name, json} of market) {
+        for (const item of Array.isArray(json?.Items) ? json.Items : []) {
+            const r = ref(item?.ClassName);
+            if (!r) continue;
+            addUnique(r.categories, name);
+            price(r, item);
+            for (const v of Array.isArray(item.Variants) ? item.Variants : []) {
+                const vr = ref(v);
+                if (!vr) continue;
+                addUnique(vr.variantOf, r.className);
+                price(vr, item);
+            }
+            for (const a of Array.isArray(item.SpawnAttachments) ? item.SpawnAttachments : []) {
+                const ar = ref(a);
+                if (ar) addUnique(ar.attachmentOf, r.className);
+            }
+        }
+    }
+    for (const {name, json} of traders) {
+        const items = json?.Items && typeof json.Items === 'object' && !Array.isArray(json.Items) ? json.Items : {};
+        for (const key of Object.keys(items)) {
+            const r = ref(key);
+            if (r) addUnique(r.traders, name);
+        }
+    }
+    for (const {name, json} of zones) {
+        const stock = json?.Stock && typeof json.Stock === 'object' && !Array.isArray(json.Stock) ? json.Stock : {};
+        for (const key of Object.keys(stock)) {
+            const r = ref(key);
+            if (r) addUnique(r.zones, name);
+        }
+    }
+    return [...refs.values()].sort((a, b) => a.className.localeCompare(b.className));
+}
@@ -0,0 +1,90 @@
+/**
+ * Snapshot archives: a snapshot as one zip (its files at their snapshot-relative paths plus
+ * `metadata.json`, which also records the mission it came from) for moving configs between
+ * servers. Reading an archive also accepts a zipped mission folder, with or without a single
+ * top-level folder around it.
+ */
+
+export const ARCHIVE_METADATA_FILE = 'metadata.json';
+
+// Files whose contents may name the mission folder; everything else (areaflags.map, images) is binary.
+const TEXT_EXTENSIONS = /\.(xml|json|txt|cfg|c)$/i;
+
+const isSafeRelative = (p) => !!p && !p.startsWith('/') && !/^[A-Za-z]:/.test(p)
+    && p.split('/').every(seg => seg && seg !== '..' && seg !== '.');
+
+/**
+ * Files and metadata of an uploaded archive, validated to hold a mission's CE layout.
+ * @param {{name: string, data: Uint8Array}[]} entries from `readZip`
+ * @returns {{meta: object | null, files: Map<string, Uint8Array>}}
+ * @throws {Error} with a message fit for the client when the layout is wrong
+ */
+export function readSnapshotArchive(entries) {
+    let items = entries
+        .map(e => ({name: e.name.replace(/\\/g, '/'), data: e.data}))
+        .filter(e => !e.name.endsWith('/') && !e.name.startsWith('__MACOSX/'));
+    // Zipped folder: every entry under one top-level folder that holds the mission files
+    const tops = new Set(items.map(e => e.name.split('/')[0]));
+    if (tops.size === 1 && !items.some(e => e.name === 'cfgeconomycore.xml') && items.every(e => e.name.includes('/'))) {
+        const prefix = `${[...tops][0]}/`;
+        items = items.map(e => ({...e, name: e.name.slice(prefix.length)}));
+    }
+    const unsafe = items.filter(e => !isSafeRelative(e.name));
+    if (unsafe.length) throw new Error(`Archive has unsafe paths: ${unsafe.map(e => e.name).slice(0, 5).join(', ')}`);
+
+    let meta = null;
+    const files = new Map();
+    for (const {name, data} of items) {
+        if (name === ARCHIVE_METADATA_FILE) {
+            try {
+                meta = JSON.parse(new TextDecoder().decode(data));
+            } catch {
+                throw new Error(`${ARCHIVE_METADATA_FILE} is not valid JSON`);
+            }
+            continue;
+        }
+        if (name === 'manifest.json' || name.split('/').some(seg => seg.startsWith('.lootmaster'))) continue;
+        files.set(name, data);
+    }
+    if (!files.has('cfgeconomycore.xml')) throw new Error('Archive has no cfgeconomycore.xml at its root');
+    if (![...files.keys()].some(rel => rel.startsWith('db/'))) throw new Error('Archive has no db/ folder');
+    return {meta: meta && typeof meta === 'object' ? meta : null, files};
+}
+
+/**
+ * Replace the source mission's folder name (e.g. `dayzOffline.chernarusplus`) with the target's
+ * in every text file that mentions it.
+ * @param {Map<string, Uint8Array>} files
+ * @param {string} from
+ * @param {string} to
+ * @returns {{files: Map<string, Uint8Array>, changed: string[]}}
+ */
+export function remapMissionName(files, from, to) {
+    if (!from || !to || from === to) return {files, changed: []};
+    const out = new Map();
+    const changed = [];
+    for (const [rel, data] of files) {
+        if (!TEXT_EXTENSIONS.test(rel)) {
+            out.set(rel, data);
+            continue;
+        }
+        const text = new TextDecoder().decode(data);
+        if (!text.includes(from)) {
+            out.set(rel, data);
+            continue;
+        }
+        out.set(rel, new TextEncoder().encode(text.split(from).join(to)));
+        changed.push(rel);
+    }
+    return {files: out, changed};
+}
+
+/**
+ * Download name for an exported snapshot.
+ * @param {{name?: string, timestamp?: string}} meta
+ */
+export function snapshotArchiveName(meta) {
+    const name = String(meta?.name || 'snapshot').replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '') || 'snapshot';
+    const date = String(meta?.timestamp || '').slice(0, 10);
+    return `${name}${date ? `-${date}` : ''}.zip`;
+}
@@ -0,0 +1,399 @@
+/**
+ * What changed between two snapshots, or a snapshot and the live mission.
+ *
+ * Both sides are read as snapshot-relative file lists (see `snapshotSources`). Files whose
+ * root element marks them as types, spawnabletypes, randompresets, events or event spawns are
+ * diffed per entry and field in the `Label(old > new)` form; JSON files are diffed per key, with
+ * arrays of market items keyed by ClassName. Anything else is only reported as changed. The
+ * entry parsers and JSON walk here also back the audit log (see audit.js).
+ */
+import {readdir, readFile, stat} from 'node:fs/promises';
+import {join} from 'node:path';
+import {parseEventsToMap, diffEventFields, parseEventSpawnsToMap, diffEventSpawnFields} from './events.js';
+
+/**
+ * Minimal XML parsing for types to compute field-level diffs.
+ * @param {string} xml
+ * @returns {Record<string, any>}
+ */
+export function parseTypesToMap(xml) {
+    /** @type {Record<string, any>} */
+    const out = {};
+    if (!xml || typeof xml !== 'string') return out;
+    const typeRe = /<type\b[^>]*name="([^"]+)"[^>]*>([\s\S]*?)<\/type>/gi;
+    let m;
+    while ((m = typeRe.exec(xml)) !== null) {
+        const name = m[1];
+        const inner = m[2] || '';
+        const getTxt = (tag) => {
+            const r = new RegExp(`<${tag}>([\\s\\S]*?)<\\/${tag}>`, 'i');
+            const mm = inner.match(r);
+            return mm ? mm[1].trim() : '';
+        };
+        const getAttrInSelfClosing = (tag, attr) => {
+            const r = new RegExp(`<${tag}\\b[^>]*\\b${attr}="([^"]*)"[^>]*\\/?>`, 'i');
+            const mm = inner.match(r);
+            return mm ? mm[1] : null;
+        };
+        const getAttrNameList = (tag) => {
+            const reg = new RegExp(`<${tag}\\b[^>]*\\bname="([^"]+)"[^>]*\\/?>`, 'gi');
+            const arr = [];
+            let am;
+            while ((am = reg.exec(inner)) !== null) {
+                if (am[1]) arr.push(am[1]);
+            }
+            arr.sort((a, b) => a.localeCompare(b));
+            return arr;
+        };
+
+        const nominal = getTxt('nominal');
+        const min = getTxt('min');
+        const lifetime = getTxt('lifetime');
+        const restock = getTxt('restock');
+        const quantmin = getTxt('quantmin');
+        const quantmax = getTxt('quantmax');
+        const category = (inner.match(/<category\b[^>]*name="([^"]+)"/i)?.[1]) || '';
+
+        const usage = getAttrNameList('usage');
+        const value = getAttrNameList('value');
+        const tagArr = getAttrNameList('tag');
+
+        const flags = {
+            count_in_cargo: +(getAttrInSelfClosing('flags', 'count_in_cargo') || '0'),
+            count_in_hoarder: +(getAttrInSelfClosing('flags', 'count_in_hoarder') || '0'),
+            count_in_map: +(getAttrInSelfClosing('flags', 'count_in_map') || '0'),
+            count_in_player: +(getAttrInSelfClosing('flags', 'count_in_player') || '0'),
+            crafted: +(getAttrInSelfClosing('flags', 'crafted') || '0'),
+            deloot: +(getAttrInSelfClosing('flags', 'deloot') || '0'),
+        };
+
+        out[name] = {
+            category,
+            nominal, min, lifetime, restock,
+            quantmin, quantmax,
+            usage, value, tag: tagArr,
+            flags
+        };
+    }
+    return out;
+}
+
+/**
+ * Field-level diff of two parsed types, in the `Label(old > new)` form.
+ * @param {any} a
+ * @param {any} b
+ * @returns {string[]}
+ */
+export function diffTypeFields(a = {}, b = {}) {
+    const specs = [];
+    const cmp = (label, key) => {
+        if ((a[key] ?? '') !== (b[key] ?? '')) specs.push(`${label}(${a[key] ?? ''} > ${b[key] ?? ''})`);
+    };
+    cmp('Category', 'category');
+    cmp('Nominal', 'nominal');
+    cmp('Min', 'min');
+    cmp('Lifetime', 'lifetime');
+    cmp('Restock', 'restock');
+    cmp('Quantmin', 'quantmin');
+    cmp('Quantmax', 'quantmax');
+
+    // Flags: per-flag 0/1 diffs only
+    const fk = ['count_in_cargo', 'count_in_hoarder', 'count_in_map', 'count_in_player', 'crafted', 'deloot'];
+    const flagDiffs = [];
+    for (const k of fk) {
+        const av = (a.flags?.[k] ?? 0) ? 1 : 0;
+        const bv = (b.flags?.[k] ?? 0) ? 1 : 0;
+        if (av !== bv) flagDiffs.push(`${k}: ${av} > ${bv}`);
+    }
+    if (flagDiffs.length) specs.push(`Flags(${flagDiffs.join(', ')})`);
+
+    // Array fields
+    const arrFields = [
+        ['Usage', 'usage'],
+        ['Value', 'value'],
+        ['Tag', 'tag']
+    ];
+    for (const [label, key] of arrFields) {
+        const aa = Array.isArray(a[key]) ? a[key] : [];
+        const bb = Array.isArray(b[key]) ? b[key] : [];
+        if (JSON.stringify(aa) !== JSON.stringify(bb)) {
+            specs.push(`${label}([${aa.join(', ')}] > [${bb.join(', ')}])`);
+        }
+    }
+
+    return specs;
+}
+
+const attr = (tag, name) => tag.match(new RegExp(`\\b${name}="([^"]*)"`, 'i'))?.[1] ?? null;
+
+/** `preset X` for a preset reference, else `chance [item:chance, ...]`. */
+function describeBlock(open, inner) {
+    const preset = attr(open, 'preset');
+    if (preset !== null) return `preset ${preset}`;
+    const items = [];
+    const itemRe = /<item\b[^>]*>/gi;
+    let m;
+    while ((m = itemRe.exec(inner || '')) !== null) items.push(`${attr(m[0], 'name')}:${attr(m[0], 'chance') ?? '1'}`);
+    return `${attr(open, 'chance') ?? '1'} [${items.join(', ')}]`;
+}
+
+function readBlocks(inner, tag) {
+    const out = [];
+    const re = new RegExp(`(<${tag}\\b[^>]*?)(?:\\/>|>([\\s\\S]*?)<\\/${tag}>)`, 'gi');
+    let m;
+    while ((m = re.exec(inner)) !== null) out.push(describeBlock(m[1], m[2]));
+    return out;
+}
+
+/**
+ * Parse cfgspawnabletypes.xml into a name-keyed map. Attachment and cargo blocks keep their
+ * order, since DayZ rolls them in file order.
+ * @param {string} xml
+ * @returns {Record<string, {hoarder: boolean, damage: string, tag: string[], attachments: string[], cargo: string[]}>}
+ */
+export function parseSpawnableTypesToMap(xml) {
+    const out = {};
+    const typeRe = /<type\b[^>]*name="([^"]+)"[^>]*>([\s\S]*?)<\/type>/gi;
+    let m;
+    while ((m = typeRe.exec(String(xml || ''))) !== null) {
+        const inner = m[2] || '';
+        const damage = inner.match(/<damage\b[^>]*>/i)?.[0];
+        const tags = [];
+        const tagRe = /<tag\b[^>]*name="([^"]+)"/gi;
+        let t;
+        while ((t = tagRe.exec(inner)) !== null) tags.push(t[1]);
+        out[m[1]] = {
+            hoarder: /<hoarder\b/i.test(inner),
+            damage: damage ? `${attr(damage, 'min') ?? ''}-${attr(damage, 'max') ?? ''}` : '',
+            tag: tags,
+            attachments: readBlocks(inner, 'attachments'),
+            cargo: readBlocks(inner, 'cargo')
+        };
+    }
+    return out;
+}
+
+/**
+ * Field-level diff of two parsed spawnabletypes entries.
+ * @param {any} a
+ * @param {any} b
+ * @returns {string[]}
+ */
+export function diffSpawnableFields(a = {}, b = {}) {
+    const specs = [];
+    if (!!a.hoarder !== !!b.hoarder) specs.push(`Hoarder(${a.hoarder ? 1 : 0} > ${b.hoarder ? 1 : 0})`);
+    if ((a.damage ?? '') !== (b.damage ?? '')) specs.push(`Damage(${a.damage ?? ''} > ${b.damage ?? ''})`);
+    for (const [label, key, sep] of [['Tag', 'tag', ', '], ['Attachments', 'attachments', '; '], ['Cargo', 'cargo', '; ']]) {
+        const aa = a[key] || [];
+        const bb = b[key] || [];
+        if (JSON.stringify(aa) !== JSON.stringify(bb)) specs.push(`${label}([${aa.join(sep)}] > [${bb.join(sep)}])`);
+    }
+    return specs;
+}
+
+/**
+ * Parse cfgrandompresets.xml into a map keyed by `cargo:Name` / `attachments:Name`.
+ * @param {string} xml
+ * @returns {Record<string, {chance: string, items: string[]}>}
+ */
+export function parseRandomPresetsToMap(xml) {
+    const out = {};
+    const re = /<(cargo|attachments)\b([^>]*)>([\s\S]*?)<\/\1>/gi;
+    let m;
+    while ((m = re.exec(String(xml || ''))) !== null) {
+        const name = attr(m[2], 'name');
+        if (!name) continue;
+        const items = [];
+        const itemRe = /<item\b[^>]*>/gi;
+        let it;
+        while ((it = itemRe.exec(m[3])) !== null) items.push(`${attr(it[0], 'name')}:${attr(it[0], 'chance') ?? '1'}`);
+        out[`${m[1].toLowerCase()}:${name}`] = {chance: attr(m[2], 'chance') ?? '1', items};
+    }
+    return out;
+}
+
+/**
+ * Field-level diff of two parsed random presets.
+ * @param {any} a
+ * @param {any} b
+ * @returns {string[]}
+ */
+export function diffRandomPresetFields(a = {}, b = {}) {
+    const specs = [];
+    if ((a.chance ?? '') !== (b.chance ?? '')) specs.push(`Chance(${a.chance ?? ''} > ${b.chance ?? ''})`);
+    const aa = a.items || [];
+    const bb = b.items || [];
+    if (JSON.stringify(aa) !== JSON.stringify(bb)) specs.push(`Items([${aa.join(', ')}] > [${bb.join(', ')}])`);
+    return specs;
+}
+
+/**
+ * @typedef {{key: string, status: 'added'|'removed'|'modified', fields: string[]}} EntryChange
+ * @typedef {'types'|'spawnabletypes'|'randompresets'|'events'|'eventspawns'|'json'|'text'} FileKind
+ */
+
+/** Entry-level changes between two name-keyed maps, added and removed first, then modified. */
+function diffMaps(oldMap, newMap, diff) {
+    const out = [];
+    for (const key of Object.keys(newMap)) {
+        if (!(key in oldMap)) out.push({key, status: 'added', fields: []});
+    }
+    for (const key of Object.keys(oldMap)) {
+        if (!(key in newMap)) out.push({key, status: 'removed', fields: []});
+    }
+    for (const key of Object.keys(oldMap)) {
+        if (!(key in newMap)) continue;
+        const fields = diff(oldMap[key], newMap[key]);
+        if (fields.length) out.push({key, status: 'modified', fields});
+    }
+    return out;
+}
+
+const XML_KINDS = [
+    ['types', /<types\b/i, parseTypesToMap, diffTypeFields],
+    ['spawnabletypes', /<spawnabletypes\b/i, parseSpawnableTypesToMap, diffSpawnableFields],
+    ['randompresets', /<randompresets\b/i, parseRandomPresetsToMap, diffRandomPresetFields],
+    ['events', /<events\b/i, parseEventsToMap, diffEventFields],
+    ['eventspawns', /<eventposdef\b/i, parseEventSpawnsToMap, diffEventSpawnFields]
+];
+
+const isPlainObject = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
+const byClassName = (arr) => arr.length > 0 && arr.every(v => isPlainObject(v) && typeof v.ClassName === 'string');
+
+function shortJson(v) {
+    const s = JSON.stringify(v) ?? '';
+    return s.length > 80 ? `${s.slice(0, 77)}...` : s;
+}
+
+/**
+ * Per-key changes between two parsed JSON documents, with the raw values. Objects recurse
+ * (`a.b.c`); arrays of items with a ClassName recurse by class (`Items[apple]`); any other array
+ * is compared whole.
+ * @param {any} a
+ * @param {any} b
+ * @param {string} [path]
+ * @param {{key: string, status: 'added'|'removed'|'modified', old: any, new: any}[]} [out]
+ */
+export function walkJsonChanges(a, b, path = '', out = []) {
+    if (isPlainObject(a) && isPlainObject(b)) {
+        for (const k of new Set([...Object.keys(a), ...Object.keys(b)])) walkJsonChanges(a[k], b[k], path ? `${path}.${k}` : k, out);
+        return out;
+    }
+    if (Array.isArray(a) && Array.isArray(b) && (byClassName(a) || byClassName(b)) && [...a, ...b].every(v => isPlainObject(v) && typeof v.ClassName === 'string')) {
+        const index = (arr) => new Map(arr.map(v => [v.ClassName.toLowerCase(), v]));
+        const am = index(a);
+        const bm = index(b);
+        for (const k of new Set([...am.keys(), ...bm.keys()])) walkJsonChanges(am.get(k), bm.get(k), `${path}[${k}]`, out);
+        return out;
+    }
+    if (JSON.stringify(a) === JSON.stringify(b)) return out;
+    const key = path || '(root)';
+    out.push({key, status: a === undefined ? 'added' : b === undefined ? 'removed' : 'modified', old: a, new: b});
+    return out;
+}
+
+/**
+ * Per-key diff of two parsed JSON documents (see `walkJsonChanges`), values shortened for display.
+ * @param {any} a
+ * @param {any} b
+ * @returns {EntryChange[]}
+ */
+export function diffJsonKeys(a, b) {
+    return walkJsonChanges(a, b).map(c => ({
+        key: c.key,
+        status: c.status,
+        fields: [c.status === 'added' ? shortJson(c.new) : c.status === 'removed' ? shortJson(c.old) : `${shortJson(c.old)} > ${shortJson(c.new)}`]
+    }));
+}
+
+/**
+ * The entry parser for an XML document by its root element, if it is one of the kinds diffed
+ * per entry.
+ * @param {string} xml
+ * @returns {{kind: FileKind, parse: (xml: string) => Record<string, any>} | null}
+ */
+export function xmlEntryParser(xml) {
+    const found = XML_KINDS.find(([, root]) => root.test(String(xml || '')));
+    return found ? {kind: found[0], parse: found[2]} : null;
+}
+
+/**
+ * Classify a file and diff its two revisions. Either side may be null (file added/removed),
+ * in which case only the kind is worked out.
+ * @param {string} rel snapshot-relative path
+ * @param {string|null} aText
+ * @param {string|null} bText
+ * @returns {{kind: FileKind, changes: EntryChange[]}}
+ */
+export function diffFileContents(rel, aText, bText) {
+    const sample = bText ?? aText ?? '';
+    if (/\.json$/i.test(rel)) {
+        if (aText === null || bText === null) return {kind: 'json', changes: []};
+        try {
+            return {kind: 'json', changes: diffJsonKeys(JSON.parse(aText), JSON.parse(bText))};
+        } catch {
+            return {kind: 'text', changes: []};
+        }
+    }
+    if (/\.xml$/i.test(rel)) {
+        for (const [kind, root, parse, diff] of XML_KINDS) {
+            if (!root.test(sample)) continue;
+            if (aText === null || bText === null) return {kind, changes: []};
+            return {kind, changes: diffMaps(parse(aText), parse(bText), diff)};
+        }
+    }
+    return {kind: 'text', changes: []};
+}
+
+const isLootmasterDir = (name) => name.startsWith('.lootmaster');
+
+/**
+ * Every file under `sources`, as snapshot-relative path (forward slashes) → absolute path.
+ * Missing sources are skipped, as are the editor's own `.lootmaster*` folders.
+ * @param {{rel: string, abs: string}[]} sources
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function listSnapshotFiles(sources) {
+    const out = new Map();
+    const walk = async (rel, abs) => {
+        let info;
+        try {
+            info = await stat(abs);
+        } catch {
+            return;
+        }
+        if (info.isFile()) {
+            if (rel) out.set(rel, abs);
+            return;
+        }
+        if (!info.isDirectory()) return;
+        for (const entry of await readdir(abs, {withFileTypes: true})) {
+            if (isLootmasterDir(entry.name)) continue;
+            await walk(rel ? `${rel}/${entry.name}` : entry.name, join(abs, entry.name));
+        }
+    };
+    for (const {rel, abs} of sources) await walk(rel, abs);
+    return out;
+}
+
+/**
+ * Diff two file lists from `listSnapshotFiles` (or `openSnapshot`, with its reader). Unchanged
+ * files are left out.
+ * @template R
+ * @param {Map<string, R>} aFiles
+ * @param {Map<string, R>} bFiles
+ * @param {(ref: R) => Promise<string>} [read] reads a file reference; paths by default
+ * @returns {Promise<{path: string, status: 'added'|'removed'|'modified', kind: FileKind, changes: EntryChange[]}[]>}
+ */
+export async function diffSnapshotFiles(aFiles, bFiles, read = (ref) => readFile(ref, 'utf8')) {
+    const paths = [...new Set([...aFiles.keys(), ...bFiles.keys()])].sort((x, y) => x.localeCompare(y));
+    const out = [];
+    for (const path of paths) {
+        const aText = aFiles.has(path) ? await read(aFiles.get(path)).catch(() => null) : null;
+        const bText = bFiles.has(path) ? await read(bFiles.get(path)).catch(() => null) : null;
+        if (aText === bText) continue;
+        const status = aText === null ? 'added' : bText === null ? 'removed' : 'modified';
+        out.push({path, status, ...diffFileContents(path, aText, bText)});
+    }
+    return out;
+}
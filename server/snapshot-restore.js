@@ -0,0 +1,68 @@
+/**
+ * Selective snapshot restore: which files a restore of some paths copies back or deletes, and
+ * putting individual <type> entries of a types or spawnabletypes file back without touching
+ * the rest of it.
+ *
+ * Paths are snapshot-relative (see `snapshotSources`); a folder restores like the full restore
+ * does, so live files under it that the snapshot doesn't have are removed.
+ */
+
+const escapeRe = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const under = (rel, path) => rel === path || rel.startsWith(`${path}/`);
+
+/**
+ * @param {Iterable<string>} snapshotFiles snapshot-relative files the snapshot holds
+ * @param {Iterable<string>} liveFiles the live mission's files in snapshot layout
+ * @param {string[]} paths files or folders to restore
+ * @returns {{copy: string[], remove: string[]}}
+ */
+export function selectRestoreFiles(snapshotFiles, liveFiles, paths) {
+    const wanted = (rel) => paths.some(p => under(rel, p));
+    const snap = [...snapshotFiles];
+    const inSnapshot = new Set(snap);
+    return {
+        copy: snap.filter(wanted).sort(),
+        remove: [...liveFiles].filter(rel => wanted(rel) && !inSnapshot.has(rel)).sort()
+    };
+}
+
+/** A whole <type name="..."> element, self-closing or not; `line` also takes its indent and newline. */
+function typeBlockRe(name, line) {
+    const body = `<type\\b[^>]*\\bname="${escapeRe(name)}"[^>]*?(?:\\/>|>[\\s\\S]*?<\\/type>)`;
+    return new RegExp(line ? `^[ \\t]*${body}[ \\t]*\\r?\\n?` : body, 'im');
+}
+
+/**
+ * Put the snapshot's version of each named <type> back into the live file: replaced where the
+ * live file has it, appended before the closing root tag where it doesn't, removed where the
+ * snapshot doesn't have it. Everything else in the live file is left as it is.
+ * @param {string} liveXml
+ * @param {string} snapshotXml
+ * @param {string[]} names classnames
+ * @returns {{xml: string, restored: string[]}} `restored` lists the names that changed the file
+ */
+export function spliceTypeEntries(liveXml, snapshotXml, names) {
+    let xml = String(liveXml || '');
+    const restored = [];
+    const indent = xml.match(/^([ \t]*)<type\b/m)?.[1] ?? '    ';
+    const newline = xml.includes('\r\n') ? '\r\n' : '\n';
+    for (const name of names) {
+        const snap = String(snapshotXml || '').match(typeBlockRe(name, false))?.[0];
+        const live = xml.match(typeBlockRe(name, false))?.[0];
+        if (snap && live) {
+            if (snap === live) continue;
+            xml = xml.replace(typeBlockRe(name, false), () => snap);
+        } else if (snap) {
+            const close = xml.search(/^[ \t]*<\/(types|spawnabletypes)>\s*$/im);
+            if (close < 0) continue;
+            xml = `${xml.slice(0, close)}${indent}${snap}${newline}${xml.slice(close)}`;
+        } else if (live) {
+            xml = xml.replace(typeBlockRe(name, true), '');
+        } else {
+            continue;
+        }
+        restored.push(name);
+    }
+    return {xml, restored};
+}
@@ -0,0 +1,151 @@
+/**
+ * Automatic snapshots: the per-mission schedule (.lootmaster/snapshot-schedule.json), when a
+ * scheduled or session snapshot is due, and which snapshots the retention rules prune.
+ *
+ * Snapshot metadata carries a `kind`: `manual` (taken by hand), `scheduled` (the interval timer)
+ * or `automatic` (before a session's first write, a restore or an import). Only scheduled and
+ * automatic snapshots are ever pruned; manual ones stay until deleted by hand.
+ */
+
+import moment from 'moment';
+
+export const SNAPSHOT_KINDS = ['manual', 'scheduled', 'automatic'];
+
+export const DEFAULT_SNAPSHOT_SCHEDULE = {
+    intervalHours: 0,        // 0 disables scheduled snapshots
+    sessionSnapshots: true,  // snapshot before the first write of each editing session
+    sessionGapMinutes: 30,   // idle time after which an editor's next write starts a new session
+    keepLast: 10,
+    keepDailyDays: 7,
+    keepWeeklyWeeks: 4,
+    compress: false          // gzip newly stored snapshot files
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const clampInt = (v, fallback, max) => {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) && n >= 0 ? Math.min(n, max) : fallback;
+};
+
+/**
+ * Fill in defaults and clamp a stored or submitted schedule.
+ * @param {any} input
+ * @returns {typeof DEFAULT_SNAPSHOT_SCHEDULE}
+ */
+export function normalizeSnapshotSchedule(input) {
+    const s = input && typeof input === 'object' ? input : {};
+    const d = DEFAULT_SNAPSHOT_SCHEDULE;
+    return {
+        intervalHours: clampInt(s.intervalHours, d.intervalHours, 24 * 7),
+        sessionSnapshots: typeof s.sessionSnapshots === 'boolean' ? s.sessionSnapshots : d.sessionSnapshots,
+        sessionGapMinutes: Math.max(1, clampInt(s.sessionGapMinutes, d.sessionGapMinutes, 24 * 60)),
+        keepLast: clampInt(s.keepLast, d.keepLast, 1000),
+        keepDailyDays: clampInt(s.keepDailyDays, d.keepDailyDays, 365),
+        keepWeeklyWeeks: clampInt(s.keepWeeklyWeeks, d.keepWeeklyWeeks, 520),
+        compress: typeof s.compress === 'boolean' ? s.compress : d.compress
+    };
+}
+
+/**
+ * A snapshot's kind; snapshots from before kinds were recorded count as automatic when the
+ * server took them and manual otherwise.
+ * @param {{kind?: string, editorId?: string}} meta
+ */
+export function snapshotKind(meta) {
+    if (SNAPSHOT_KINDS.includes(meta?.kind)) return meta.kind;
+    return meta?.editorId === 'system' ? 'automatic' : 'manual';
+}
+
+/**
+ * @param {ReturnType<typeof normalizeSnapshotSchedule>} schedule
+ * @param {{kind?: string, timestamp: string}[]} snapshots
+ * @param {number} now epoch ms
+ */
+export function isScheduledSnapshotDue(schedule, snapshots, now) {
+    if (!schedule.intervalHours) return false;
+    const last = Math.max(-Infinity, ...snapshots
+        .filter(s => snapshotKind(s) === 'scheduled')
+        .map(s => Date.parse(s.timestamp))
+        .filter(Number.isFinite));
+    return now - last >= schedule.intervalHours * HOUR;
+}
+
+/**
+ * Ids of the scheduled and automatic snapshots the retention rules don't keep: the newest
+ * `keepLast`, plus the newest of each day for `keepDailyDays` days and of each ISO week for
+ * `keepWeeklyWeeks` weeks (local time). Manual snapshots are never returned.
+ * @param {{id: string, kind?: string, timestamp: string}[]} snapshots
+ * @param {ReturnType<typeof normalizeSnapshotSchedule>} schedule
+ * @param {number} now epoch ms
+ * @returns {string[]}
+ */
+export function selectSnapshotsToPrune(snapshots, schedule, now) {
+    const prunable = snapshots
+        .filter(s => snapshotKind(s) !== 'manual' && Number.isFinite(Date.parse(s.timestamp)))
+        .sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+    const keep = new Set(prunable.slice(0, schedule.keepLast).map(s => s.id));
+    const keepNewestPer = (windowMs, bucket) => {
+        const seen = new Set();
+        for (const s of prunable) {
+            if (now - Date.parse(s.timestamp) > windowMs) break;
+            const key = bucket(moment(s.timestamp));
+            if (seen.has(key)) continue;
+            seen.add(key);
+            keep.add(s.id);
+        }
+    };
+    keepNewestPer(schedule.keepDailyDays * DAY, m => m.format('YYYY-MM-DD'));
+    keepNewestPer(schedule.keepWeeklyWeeks * 7 * DAY, m => m.format('GGGG-WW'));
+    return prunable.filter(s => !keep.has(s.id)).map(s => s.id);
+}
+
+/**
+ * The writes that edit mission or Expansion files, as `[method, pathname]` patterns. Market
+ * imports snapshot themselves, audit reverts undo an edit, and log queries, loadouts and the
+ * airdrop editor's own state don't touch the mission, so none of those are listed.
+ */
+const EDITING_WRITES = [
+    ['PUT', /^\/api\/definitions\/?$/],
+    ['POST', /^\/api\/types-group\/?$/],
+    ['PUT', /^\/api\/types\/[^/]+\/[^/]+$/],
+    ['PUT', /^\/api\/spawnabletypes\/[^/]+(?:\/.+)?$/],
+    ['PUT', /^\/api\/(?:events|eventspawns)$/],
+    ['PUT', /^\/api\/events\/[^/]+(?:\/[^/]+)?$/],
+    ['PUT', /^\/api\/mission\/(?:randompresets|playerspawnpoints)$/],
+    ['PUT', /^\/api\/expansion\/(?:airdrop|mission|territory|basebuilding)-settings$/],
+    ['PUT', /^\/api\/expansion\/airdrop-missions$/],
+    ['DELETE', /^\/api\/expansion\/airdrop-missions$/],
+    ['POST', /^\/api\/deerisle\/diving-loot$/],
+    ['PUT', /^\/api\/deerisle\/diving-loot$/],
+    ['PUT', /^\/api\/addons\/[^/]+\/.+$/],
+    ['PUT', /^\/api\/market\/category\/[^/]+$/],
+    ['POST', /^\/api\/market\/remove-item-completely$/],
+    ['PUT', /^\/api\/(?:traders|trader-profile|traderzones)\/[^/]+$/],
+];
+
+/**
+ * Whether a request is a write that edits the mission, and so may start an editing session.
+ * @param {string} method
+ * @param {string} pathname
+ */
+export function isEditingWrite(method, pathname) {
+    return EDITING_WRITES.some(([m, pattern]) => m === method && pattern.test(pathname));
+}
+
+/**
+ * Tracks each editor's last write per profile; `startsSession` records a write and says whether
+ * it is the first of a new session (no write from that editor within `gapMs`).
+ */
+export function createSessionTracker() {
+    const lastWrite = new Map();
+    return {
+        startsSession(profileId, editorId, now, gapMs) {
+            const key = `${String(profileId).toLowerCase()}\n${editorId}`;
+            const prev = lastWrite.get(key);
+            lastWrite.set(key, now);
+            return prev === undefined || now - prev >= gapMs;
+        }
+    };
+}
@@ -0,0 +1,152 @@
+/**
+ * Content-addressed snapshot storage. A snapshot folder holds `metadata.json` and a
+ * `manifest.json` mapping each snapshot-relative path to the sha256 of its contents; the contents
+ * live once in `<snapshotDir>/.blobs/<2 hex>/<hash>` (or `<hash>.gz` when stored compressed), so
+ * files that didn't change are shared between snapshots.
+ *
+ * Older snapshots are plain copies of the files in the snapshot folder; `openSnapshot` reads both
+ * layouts into the same rel -> file reference map, and `readStoredFile` reads either kind of
+ * reference (a path, or a blob with its compression).
+ */
+
+import {mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile} from 'node:fs/promises';
+import {join} from 'node:path';
+import {gzip, gunzip} from 'node:zlib';
+import {promisify} from 'node:util';
+import crypto from 'node:crypto';
+import {listSnapshotFiles} from './snapshot-diff.js';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+export const BLOB_DIR = '.blobs';
+export const MANIFEST_FILE = 'manifest.json';
+export const METADATA_FILE = 'metadata.json';
+
+// A blob younger than this may belong to a snapshot whose manifest isn't written yet.
+const GC_GRACE_MS = 60 * 60 * 1000;
+
+const blobPath = (snapshotDir, hash, gz) => join(snapshotDir, BLOB_DIR, hash.slice(0, 2), gz ? `${hash}.gz` : hash);
+
+const exists = (p) => stat(p).then(() => true, () => false);
+
+/**
+ * Store `files` (rel -> live path, or the contents themselves) as blobs and write the snapshot's
+ * manifest. Contents already stored, compressed or not, are reused.
+ * @param {string} snapshotDir
+ * @param {string} targetDir the snapshot's own folder
+ * @param {Map<string, string | Uint8Array>} files
+ * @param {{compress?: boolean}} [options]
+ * @returns {Promise<{files: number, bytes: number, storedBytes: number}>} `storedBytes` counts new blobs only
+ */
+export async function writeSnapshotFiles(snapshotDir, targetDir, files, {compress = false} = {}) {
+    const manifest = {version: 1, files: {}};
+    const stats = {files: 0, bytes: 0, storedBytes: 0};
+    for (const [rel, src] of [...files].sort(([a], [b]) => a.localeCompare(b))) {
+        let data;
+        try {
+            // eslint-disable-next-line no-undef
+            data = typeof src === 'string' ? await readFile(src) : Buffer.from(src);
+        } catch {
+            continue; // vanished while snapshotting
+        }
+        const hash = crypto.createHash('sha256').update(data).digest('hex');
+        let gz = await exists(blobPath(snapshotDir, hash, true));
+        if (!gz && !await exists(blobPath(snapshotDir, hash, false))) {
+            gz = compress;
+            const stored = gz ? await gzipAsync(data) : data;
+            const target = blobPath(snapshotDir, hash, gz);
+            await mkdir(join(target, '..'), {recursive: true});
+            const tmp = `${target}.tmp-${crypto.randomUUID()}`;
+            await writeFile(tmp, stored);
+            await rename(tmp, target);
+            stats.storedBytes += stored.length;
+        } else {
+            // Keep garbage collection from taking a blob this snapshot is about to reference
+            const now = new Date();
+            await utimes(blobPath(snapshotDir, hash, gz), now, now).catch(() => {});
+        }
+        manifest.files[rel] = {hash, size: data.length, gzip: gz};
+        stats.files++;
+        stats.bytes += data.length;
+    }
+    await mkdir(targetDir, {recursive: true});
+    await writeFile(join(targetDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+    return stats;
+}
+
+/**
+ * A snapshot's metadata and files, in either layout.
+ * @param {string} snapshotDir
+ * @param {string} id
+ * @returns {Promise<{meta: object, dir: string, files: Map<string, string | {blob: string, gzip: boolean}>} | null>}
+ */
+export async function openSnapshot(snapshotDir, id) {
+    if (!/^[A-Za-z0-9-]+$/.test(String(id))) return null;
+    const dir = join(snapshotDir, id);
+    let meta;
+    try {
+        meta = JSON.parse(await readFile(join(dir, METADATA_FILE), 'utf8'));
+    } catch {
+        return null;
+    }
+    let manifest = null;
+    try {
+        manifest = JSON.parse(await readFile(join(dir, MANIFEST_FILE), 'utf8'));
+    } catch { /* directory-style snapshot */ }
+    if (manifest) {
+        const files = new Map(Object.entries(manifest.files || {})
+            .map(([rel, f]) => [rel, {blob: blobPath(snapshotDir, f.hash, f.gzip), gzip: !!f.gzip}]));
+        return {meta, dir, files};
+    }
+    const files = await listSnapshotFiles([{rel: '', abs: dir}]);
+    files.delete(METADATA_FILE);
+    return {meta, dir, files};
+}
+
+/**
+ * Contents of a file reference from `openSnapshot` or `listSnapshotFiles`.
+ * @param {string | {blob: string, gzip: boolean}} ref
+ * @returns {Promise<Buffer>}
+ */
+export async function readStoredFile(ref) {
+    if (typeof ref === 'string') return readFile(ref);
+    const data = await readFile(ref.blob);
+    return ref.gzip ? gunzipAsync(data) : data;
+}
+
+/** @param {string | {blob: string, gzip: boolean}} ref */
+export async function readStoredText(ref) {
+    return (await readStoredFile(ref)).toString('utf8');
+}
+
+/**
+ * Remove blobs no snapshot manifest references any more (skipping recently written ones).
+ * @param {string} snapshotDir
+ * @param {number} [now]
+ * @returns {Promise<number>} blobs removed
+ */
+export async function collectGarbageBlobs(snapshotDir, now = Date.now()) {
+    const referenced = new Set();
+    for (const entry of await readdir(snapshotDir, {withFileTypes: true}).catch(() => [])) {
+        if (!entry.isDirectory() || entry.name === BLOB_DIR) continue;
+        try {
+            const manifest = JSON.parse(await readFile(join(snapshotDir, entry.name, MANIFEST_FILE), 'utf8'));
+            for (const f of Object.values(manifest.files || {})) referenced.add(f.hash);
+        } catch { /* directory-style or half-written snapshot */ }
+    }
+    let removed = 0;
+    const root = join(snapshotDir, BLOB_DIR);
+    for (const bucket of await readdir(root).catch(() => [])) {
+        for (const name of await readdir(join(root, bucket)).catch(() => [])) {
+            const hash = name.replace(/\.gz$/, '');
+            if (referenced.has(hash)) continue;
+            const p = join(root, bucket, name);
+            const info = await stat(p).catch(() => null);
+            if (!info || now - info.mtimeMs < GC_GRACE_MS) continue;
+            await rm(p, {force: true});
+            removed++;
+        }
+    }
+    return removed;
+}
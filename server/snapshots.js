@@ -0,0 +1,128 @@
+/**
+ * Layout helpers for mission snapshots (`<missionPath>/.lootmaster/snapshots/<id>/`).
+ *
+ * A snapshot mirrors the mission root for the files it captures (cfg*.xml, db/, expansion/)
+ * plus ExpansionMod/ for the profile-side Market and Traders. Types folders declared in
+ * cfgeconomycore.xml outside db/ are stored under `ceFolders/<folder>` instead of at their
+ * mission-relative path, so restoring one can replace exactly that folder rather than the
+ * whole top-level directory it happens to sit in.
+ */
+import {join} from 'node:path';
+
+/** Snapshot subdirectory holding the declared CE folders that live outside db/. */
+export const CE_FOLDERS_DIR = 'ceFolders';
+
+/** Mission-root files a snapshot copies as they are. */
+export const SNAPSHOT_ROOT_FILES = [
+    'cfgeconomycore.xml',
+    'cfglimitsdefinition.xml',
+    'cfgspawnabletypes.xml',
+    'cfgrandompresets.xml'
+];
+
+const isSafeRelative = (p) => !!p && !p.startsWith('/') && !/^[A-Za-z]:/.test(p)
+    && p.split('/').every(seg => seg && seg !== '..' && seg !== '.');
+
+const isUnderDb = (folder) => folder === 'db' || folder.startsWith('db/');
+
+/**
+ * Every <ce folder> in cfgeconomycore.xml with its declared types files, in file order.
+ * Folders are normalised to forward slashes; ones that would leave the mission are dropped.
+ * @param {string} xml
+ * @returns {{folder: string, group: string, typesFiles: string[]}[]}
+ */
+export function declaredCeFolders(xml) {
+    const out = [];
+    const ceRe = /<ce\b[^>]*\bfolder="([^"]+)"[^>]*>([\s\S]*?)<\/ce>/gi;
+    let m;
+    while ((m = ceRe.exec(String(xml || ''))) !== null) {
+        const folder = m[1].replace(/\\/g, '/').replace(/^\.\//, '').replace(/\/+$/, '');
+        if (!isSafeRelative(folder)) continue;
+        const group = folder.split('/').pop();
+        const typesFiles = [];
+        const fileRe = /<file\b[^>]*\bname="([^"]+)"[^>]*\btype="types"[^>]*\/?>/gi;
+        let f;
+        while ((f = fileRe.exec(m[2] || '')) !== null) {
+            if (/^[A-Za-z0-9._-]+$/.test(f[1])) typesFiles.push(f[1]);
+        }
+        out.push({folder, group, typesFiles});
+    }
+    return out;
+}
+
+/**
+ * Declared CE folders a snapshot must copy on top of db/ (which it copies whole).
+ * @param {string} economyCoreXml
+ * @returns {string[]} mission-relative folders
+ */
+export function extraCeFolders(economyCoreXml) {
+    const seen = new Set();
+    return declaredCeFolders(economyCoreXml)
+        .map(c => c.folder)
+        .filter(folder => !isUnderDb(folder) && !seen.has(folder) && seen.add(folder));
+}
+
+/**
+ * Where a mission-relative CE folder is stored inside a snapshot.
+ * @param {string} folder
+ * @returns {string}
+ */
+export function snapshotCeFolderPath(folder) {
+    return isUnderDb(folder) ? folder : `${CE_FOLDERS_DIR}/${folder}`;
+}
+
+/**
+ * The types files a snapshot holds, in the order the editor merges them: vanilla first,
+ * declared groups in cfgeconomycore order, vanilla_overrides last (later entries win).
+ * @param {string} economyCoreXml the snapshot's own cfgeconomycore.xml
+ * @returns {{group: string, file: string, path: string}[]} `file` without .xml; `path` relative to the snapshot
+ */
+export function snapshotTypesFiles(economyCoreXml) {
+    const out = [{group: 'vanilla', file: 'types', path: 'db/types.xml'}];
+    const overrides = [];
+    for (const {folder, group, typesFiles} of declaredCeFolders(economyCoreXml)) {
+        for (const name of typesFiles) {
+            const entry = {group, file: name.replace(/\.xml$/i, ''), path: `${snapshotCeFolderPath(folder)}/${name}`};
+            if (group === 'vanilla_overrides') overrides.push(entry);
+            else if (!(folder === 'db' && name.toLowerCase() === 'types.xml')) out.push(entry);
+        }
+    }
+    if (!overrides.length) overrides.push({group: 'vanilla_overrides', file: 'types', path: 'db/vanilla_overrides/types.xml'});
+    return [...out, ...overrides];
+}
+
+/**
+ * Everything a snapshot captures, as snapshot-relative path → live path (files and folders).
+ * The same list drives taking a snapshot and reading the live mission in snapshot layout.
+ * @param {{missionPath: string, marketDirPath: string, traderProfilesDirPath: string}} paths
+ * @param {string} economyCoreXml the live cfgeconomycore.xml
+ * @returns {{rel: string, abs: string}[]}
+ */
+export function snapshotSources(paths, economyCoreXml) {
+    return [
+        ...SNAPSHOT_ROOT_FILES.map(f => ({rel: f, abs: join(paths.missionPath, f)})),
+        {rel: 'db', abs: join(paths.missionPath, 'db')},
+        ...extraCeFolders(economyCoreXml).map(folder => ({rel: snapshotCeFolderPath(folder), abs: join(paths.missionPath, folder)})),
+        {rel: 'expansion', abs: join(paths.missionPath, 'expansion')},
+        {rel: 'ExpansionMod/Market', abs: paths.marketDirPath},
+        {rel: 'ExpansionMod/Traders', abs: paths.traderProfilesDirPath}
+    ];
+}
+
+/**
+ * Where a snapshot-relative path lives in the mission, by the longest source it falls under
+ * (so `ceFolders/x/...` beats nothing and `ExpansionMod/Market/...` maps to the market folder).
+ * @param {{rel: string, abs: string}[]} sources
+ * @param {string} rel
+ * @returns {string|null} null for paths outside every source or that would leave it
+ */
+export function liveSnapshotPath(sources, rel) {
+    if (!isSafeRelative(rel)) return null;
+    let best = null;
+    for (const s of sources) {
+        if ((rel === s.rel || rel.startsWith(`${s.rel}/`)) && (!best || s.rel.length > best.rel.length)) best = s;
+    }
+    if (!best) return null;
+    const rest = rel.slice(best.rel.length).replace(/^\//, '');
+    return rest ? join(best.abs, ...rest.split('/')) : best.abs;
+}
@@ -0,0 +1,96 @@
+/**
+ * Expansion trader `.map` files (mpmissions/<map>/expansion/traders/*.map): one NPC per line,
+ *
+ *     EntityClass.TraderProfile|x y z|yaw pitch roll|Gear1,Gear2,...
+ *
+ * A file may hold several NPCs. Lines are addressed by their index among the non-blank lines,
+ * which is also the order the game spawns them in.
+ */
+
+const splitLines = (text) => String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+
+/**
+ * Parse a single-line trader .map entry into structured data.
+ * @param {string} line
+ * @returns {{className: string, traderFileName: string, position: number[], orientation: number[], gear: string[]}}
+ */
+export function parseTraderMapLine(line) {
+    const raw = String(line || '').trim();
+    // Expected: Class.File|x y z|ox oy oz|a,b,c
+    const parts = raw.split('|');
+    const head = (parts[0] || '').trim();
+    const dotIdx = head.lastIndexOf('.');
+    const className = dotIdx > 0 ? head.slice(0, dotIdx) : '';
+    const traderFileName = dotIdx > 0 ? head.slice(dotIdx + 1) : '';
+    const pos = (parts[1] || '').trim().split(/\s+/).map(Number).filter(n => !Number.isNaN(n));
+    while (pos.length < 3) pos.push(0);
+    const ori = (parts[2] || '').trim().split(/\s+/).map(Number).filter(n => !Number.isNaN(n));
+    while (ori.length < 3) ori.push(0);
+    const gear = (parts[3] || '').trim().length
+        ? (parts[3] || '').split(',').map(s => s.trim()).filter(Boolean)
+        : [];
+    return {
+        className,
+        traderFileName,
+        position: pos.slice(0, 3),
+        orientation: ori.slice(0, 3),
+        gear
+    };
+}
+
+/**
+ * Build a single-line trader .map entry from structured data.
+ * @param {{className: string, traderFileName: string, position?: number[], orientation?: number[], gear?: string[]}} entry
+ * @returns {string}
+ */
+export function buildTraderMapLine({ className, traderFileName, position, orientation, gear }) {
+    const pos = (Array.isArray(position) ? position : []).map(n => Number(n)).slice(0, 3);
+    while (pos.length < 3) pos.push(0);
+    const ori = (Array.isArray(orientation) ? orientation : []).map(n => Number(n)).slice(0, 3);
+    while (ori.length < 3) ori.push(0);
+    const posStr = `${pos[0]} ${pos[1]} ${pos[2]}`;
+    const oriStr = `${ori[0]} ${ori[1]} ${ori[2]}`;
+    const gearArr = Array.isArray(gear) ? gear.map(s => String(s).trim()).filter(Boolean) : [];
+    const gearStr = gearArr.join(',');
+    return `${String(className)}.${String(traderFileName)}|${posStr}|${oriStr}|${gearStr}`;
+}
+
+/**
+ * Every NPC in a .map file, with its line index.
+ * @param {string} text
+ */
+export function parseTraderMapFile(text) {
+    return splitLines(text).map((line, index) => ({ index, ...parseTraderMapLine(line) }));
+}
+
+/**
+ * Replace line `index` of a .map file, or append when `index` is past the last line.
+ * Blank lines are dropped; the result ends with a newline.
+ * @param {string} text current file contents ('' for a new file)
+ * @param {number} index
+ * @param {string} line
+ * @returns {string}
+ */
+export function setTraderMapLine(text, index, line) {
+    const lines = splitLines(text);
+    if (index < lines.length) lines[index] = line;
+    else lines.push(line);
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Where a trader zone sits, from its JSON (Expansion's `m_DisplayName`, `Position`, `Radius`).
+ * @param {string} name file base name
+ * @param {any} json
+ */
+export function traderZoneSummary(name, json) {
+    const pos = Array.isArray(json?.Position) ? json.Position.map(Number) : [];
+    while (pos.length < 3) pos.push(0);
+    const radius = Number(json?.Radius);
+    return {
+        name,
+        displayName: typeof json?.m_DisplayName === 'string' && json.m_DisplayName ? json.m_DisplayName : name,
+        position: pos.slice(0, 3).map(n => (Number.isFinite(n) ? n : 0)),
+        radius: Number.isFinite(radius) ? radius : 0,
+    };
+}
@@ -8,7 +8,10 @@ import EditForm from './components/EditForm';
 import { SyncIndicator } from './components/SyncIndicator';
 import ExportModal from './components/ExportModal';
 import UnknownEntriesModal from './components/UnknownEntriesModal';
+import CatalogWarningsModal from './components/CatalogWarningsModal';
 import SummaryModal from './components/SummaryModal';
+import TypeMergeModal from './components/TypeMergeModal';
+import ConflictReloadModal from './components/ConflictReloadModal';
 import { ManageDefinitionsModal } from './components/ManageDefinitionsModal';
 import { NewGroupModal } from './components/NewGroupModal';
 import { NewTypeModal } from './components/NewTypeModal';
@@ -26,6 +29,16 @@ import ProfileManager from './components/ProfileManager';
 import { SnapshotModal } from './components/SnapshotModal';
 import { LoadoutDesigner } from './components/LoadoutDesigner';
 import { SpawnableTypesManager } from './components/SpawnableTypesManager';
+import { EventsEditor } from './components/EventsEditor';
+import { PlayerSpawnPointsEditor } from './components/PlayerSpawnPointsEditor';
+import { LootPositionsView } from './components/LootPositionsView';
+import { NominalBudgetView } from './components/NominalBudgetView';
+import { MarketAnalysisView } from './components/MarketAnalysisView';
+import { MarketConsistencyView } from './components/MarketConsistencyView';
+import { TraderPlacementView } from './components/TraderPlacementView';
+import { TraderCoverageView } from './components/TraderCoverageView';
+import { MarketImportView } from './components/MarketImportView';
+import { TypeConflictsView } from './components/TypeConflictsView';
 import HeatMapModal from './components/HeatMapModal';
 import ItemScanModal from './components/ItemScanModal';
 import LiveMapView from './components/live/LiveMapView';
@@ -86,9 +99,15 @@ export default function App() {
         setChangeEditorID,
         reloadFromFiles,
         persistCleChanges,
+        typeMerge,
+        conflictReload,
         persistSpawnableChanges,
         persistRandomPresetsChanges,
+        refreshBaselineFromAPI,
         spawnableFilesByGroup,
+        eventsFilesByGroup,
+        groupEvents,
+        setGroupEventsFile,
         spawnableTypesByGroup,
         setSpawnableTypesByGroup,
         randomPresets,
@@ -96,6 +115,10 @@ export default function App() {
         loadouts,
         setLoadouts,
         globalsDefaults,
+        baselineFiles,
+        lootFiles,
+        keepTypeDefinition,
+        revertTypeField,
         loadWarnings,
         // Profiles
         profiles,
@@ -133,7 +156,7 @@ export default function App() {
     const [editorID, setEditorID] = useState(() => localStorage.getItem('dayz-editor:id') || '');
     // Navigation is driven by the URL hash so a refresh / deep link restores the screen.
     const { view, navigate } = useHashRoute(); // e.g. 'cle', 'profiles', 'addons:expansion:airdrops'
-    const [modal, setModal] = useState<string | null>(null); // 'export', 'unknowns', 'manage-definitions', 'new-group', 'new-type'
+    const [modal, setModal] = useState<string | null>(null); // 'export', 'unknowns', 'catalog-warnings', 'manage-definitions', 'new-group', 'new-type'
     const setView = useCallback((id: string) => {
         navigate(id);
         setModal(null);
@@ -343,6 +366,7 @@ export default function App() {
                                         <Button variant="secondary-gray" icon={FolderPlus} onClick={() => setModal('new-group')}>New group</Button>
                                         <Button variant="secondary-gray" icon={FilePlus} onClick={() => setModal('new-type')}>New type</Button>
                                         <Button variant="secondary-gray" icon={Download} onClick={() => setModal('export')}>Export</Button>
+                                        <Button variant="secondary-gray" icon={AlertTriangle} onClick={() => setModal('catalog-warnings')}>Catalog check</Button>
                                         <Button variant="secondary-gray" icon={RefreshCw} onClick={reloadFromFiles}>Reload</Button>
                                         <SectionSaveButton dirty={cleDirty} onSave={persistCleChanges} label="Save" />
                                     </div>
@@ -380,6 +404,8 @@ export default function App() {
                                                     showGroupColumn={filters.groups.length !== 1}
                                                     nameQuery={filters.name}
                                                     searchIn={filters.searchIn}
+                                                    spawnableTypesByGroup={spawnableTypesByGroup}
+                                                    catalogWarningsOnly={filters.catalogWarningsOnly}
                                                     onFilteredCountChange={setDisplayFilteredCount}
                                                 />
                                             </div>
@@ -402,6 +428,7 @@ export default function App() {
                                                         loadouts={loadouts}
                                                         spawnableDirty={spawnableDirty}
                                                         onSaveSpawnable={persistSpawnableChanges}
+                                                        onRevertTypeField={revertTypeField}
                                                     />
                                                 </div>
                                             )}
@@ -420,6 +447,15 @@ export default function App() {
                                 isPanel={true}
                             />
                         )}
+                        {view === 'addons:expansion:trader-map' && (
+                            <TraderPlacementView
+                                selectedProfileId={selectedProfileId!}
+                                missionName={selectedProfile?.missionName}
+                            />
+                        )}
+                        {view === 'addons:expansion:trader-coverage' && (
+                            <TraderCoverageView selectedProfileId={selectedProfileId!} />
+                        )}
                         {view === 'addons:expansion:market-categories' && (
                             <MarketCategoryEditorModal
                                 onClose={() => setView('cle')}
@@ -427,6 +463,21 @@ export default function App() {
                                 isPanel={true}
                             />
                         )}
+                        {view === 'addons:expansion:market-analysis' && (
+                            <MarketAnalysisView
+                                selectedProfileId={selectedProfileId!}
+                                lootTypes={lootTypes || []}
+                            />
+                        )}
+                        {view === 'addons:expansion:market-consistency' && (
+                            <MarketConsistencyView
+                                selectedProfileId={selectedProfileId!}
+                                lootTypes={lootTypes || []}
+                            />
+                        )}
+                        {view === 'addons:expansion:market-import' && (
+                            <MarketImportView selectedProfileId={selectedProfileId!} />
+                        )}
                         {view === 'live:map' && (
                             <LiveMapView
                                 onClose={() => setView('cle')}
@@ -466,6 +517,14 @@ export default function App() {
                                 isPanel={true}
                             />
                         )}
+                        {view === 'map-tools:loot-positions' && (
+                            <LootPositionsView
+                                selectedProfileId={selectedProfileId!}
+                                missionName={selectedProfile?.missionName}
+                                definitions={definitions!}
+                                lootTypes={lootTypes || []}
+                            />
+                        )}
                         {view === 'mission-files:random-presets' && (
                             <RandomPresetsModal 
                                 onClose={() => setView('cle')}
@@ -500,6 +559,23 @@ export default function App() {
                                 }}
                             />
                         )}
+                        {view === 'mission-files:events' && (
+                            <EventsEditor
+                                selectedProfileId={selectedProfileId!}
+                                missionName={selectedProfile?.missionName}
+                                eventsFilesByGroup={eventsFilesByGroup}
+                                groupEvents={groupEvents}
+                                onGroupEventsChange={setGroupEventsFile}
+                                groups={groups}
+                                onEventsFileRegistered={refreshBaselineFromAPI}
+                            />
+                        )}
+                        {view === 'mission-files:player-spawns' && (
+                            <PlayerSpawnPointsEditor
+                                selectedProfileId={selectedProfileId!}
+                                missionName={selectedProfile?.missionName}
+                            />
+                        )}
                         {view === 'loadout-designer' && (
                             <LoadoutDesigner
                                 typeOptions={allTypeNames}
@@ -517,6 +593,20 @@ export default function App() {
                                 inline={true}
                             />
                         )}
+                        {view === 'tools:nominal-budget' && (
+                            <NominalBudgetView
+                                selectedProfileId={selectedProfileId!}
+                                lootTypes={lootTypes || []}
+                                baselineFiles={baselineFiles}
+                            />
+                        )}
+                        {view === 'tools:type-conflicts' && (
+                            <TypeConflictsView
+                                selectedProfileId={selectedProfileId!}
+                                lootFiles={lootFiles}
+                                onKeep={keepTypeDefinition}
+                            />
+                        )}
                         {view === 'tools:adm' && (
                             <AdmRecordsModal 
                                 onClose={() => setView('cle')}
@@ -581,9 +671,33 @@ export default function App() {
                     onClose={() => setModal(null)} 
                 />
             )}
+            {modal === 'catalog-warnings' && (
+                <CatalogWarningsModal
+                    types={lootTypes || []}
+                    spawnableTypesByGroup={spawnableTypesByGroup}
+                    onSelectType={(name) => {
+                        setSelection(new Set([name]));
+                        setLastClickedId(name);
+                        setModal(null);
+                    }}
+                    onClose={() => setModal(null)}
+                />
+            )}
             {summaryOpen && (
                 <SummaryModal summary={summary!} onClose={closeSummary} />
             )}
+            {typeMerge && (
+                <TypeMergeModal
+                    key={`${typeMerge.group}/${typeMerge.file}`}
+                    group={typeMerge.group}
+                    file={typeMerge.file}
+                    conflicts={typeMerge.conflicts}
+                    onResolve={typeMerge.resolve}
+                />
+            )}
+            {conflictReload && (
+                <ConflictReloadModal label={conflictReload.label} onResolve={conflictReload.resolve} />
+            )}
             {modal === 'manage-definitions' && manageDefKind && (
                 <ManageDefinitionsModal
                     kind={manageDefKind}
@@ -52,6 +52,11 @@ interface AirdropDropLocationMapProps {
    * zoom and panning still work there. Default 'auto'.
    */
   zoomControls?: 'auto' | 'always' | 'hidden';
+  /**
+   * Show the radius handle on the selected marker. Pass false for point-only layers (e.g.
+   * event spawn positions) where every marker has no meaningful radius. Default true.
+   */
+  resizable?: boolean;
 }
 
 type DragMode = 'center' | 'radius' | null;
@@ -78,6 +83,7 @@ export const AirdropDropLocationMap: React.FC<AirdropDropLocationMapProps> = ({
   labelPrefix = 'Drop',
   zoomable = true,
   zoomControls = 'auto',
+  resizable = true,
 }) => {
   const dragRef = useRef<{ mode: DragMode; index: number }>({ mode: null, index: -1 });
   const [, forceRender] = useState(0);
@@ -242,7 +248,7 @@ export const AirdropDropLocationMap: React.FC<AirdropDropLocationMapProps> = ({
                   )}
                 />
                 {/* Radius handle (right edge of the circle), only when selected */}
-                {isSel && (
+                {isSel && resizable && (
                   <div
                     onPointerDown={startDrag('radius', i)}
                     title="Drag to resize radius"
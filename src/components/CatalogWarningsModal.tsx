@@ -0,0 +1,73 @@
+import { Modal } from '@/components/base/modal/modal';
+import { Button } from '@/components/base/button/button';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertTriangle } from 'lucide-react';
+import { useCatalogWarnings } from '@/hooks/useCatalogWarnings';
+import type { CatalogIssue } from '@/utils/validation.js';
+import type { Type } from '@/utils/xml';
+
+interface CatalogWarningsModalProps {
+  types: Type[];
+  spawnableTypesByGroup: Record<string, Record<string, any>>;
+  /** Select the type in the table (and close the modal). */
+  onSelectType: (name: string) => void;
+  onClose: () => void;
+}
+
+const SECTIONS: { kind: CatalogIssue['kind']; title: string }[] = [
+  { kind: 'unknown-type', title: 'Types not in the catalog' },
+  { kind: 'unknown-attachment', title: 'Unknown attachments' },
+  { kind: 'unknown-cargo', title: 'Unknown cargo' },
+  { kind: 'no-slot', title: 'Attachments that fit no slot' },
+];
+
+export default function CatalogWarningsModal({ types, spawnableTypesByGroup, onSelectType, onClose }: CatalogWarningsModalProps) {
+  const warnings = useCatalogWarnings(types, spawnableTypesByGroup);
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title="Catalog Warnings"
+      description="Classnames the companion mod's catalog does not know, and attachments their parent has no slot for."
+      footer={<Button variant="secondary-gray" onClick={onClose}>Close</Button>}
+      icon={AlertTriangle}
+      iconVariant="warning"
+    >
+      {!warnings.available ? (
+        <p className="text-sm text-gray-500">No catalog yet. Connect the companion mod to check classnames.</p>
+      ) : !warnings.hasAny ? (
+        <p className="text-sm text-gray-500">Every classname is known to the catalog.</p>
+      ) : (
+        <div className="space-y-6">
+          {SECTIONS.map(({ kind, title }) => {
+            const items = warnings.issues.filter(i => i.kind === kind);
+            if (!items.length) return null;
+            return (
+              <div key={kind} className="space-y-2">
+                <h4 className="flex items-center gap-2 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+                  {title} <Badge size="sm" color="warning">{items.length}</Badge>
+                </h4>
+                <ul className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {items.map((issue, i) => (
+                    <li key={`${issue.type}/${issue.item || ''}/${i}`} className="py-1.5 flex items-baseline gap-3 text-sm">
+                      <button
+                        type="button"
+                        className="font-medium text-primary-700 hover:underline dark:text-primary-400"
+                        onClick={() => onSelectType(issue.type)}
+                      >
+                        {issue.type}
+                      </button>
+                      <span className="flex-1 text-gray-600 dark:text-gray-300">{issue.item ? issue.message : ''}</span>
+                      {issue.source && <span className="text-xs text-gray-400">{issue.source}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+}
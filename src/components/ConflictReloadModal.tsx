@@ -0,0 +1,38 @@
+import { Modal } from '@/components/base/modal/modal';
+import { Button } from '@/components/base/button/button';
+import { AlertTriangle } from 'lucide-react';
+
+interface ConflictReloadModalProps {
+  /** The file whose save was refused, e.g. `spawnable types vanilla/cfgspawnabletypes.xml`. */
+  label: string;
+  /** true to reload the file from the server, false to keep the edits here. */
+  onResolve: (reload: boolean) => void;
+}
+
+/**
+ * Shown when saving a file that has no per-entry merge (spawnable types, random presets) was
+ * refused because someone else saved it since it was loaded. Reloading takes their version and
+ * drops the unsaved edits to that file; keeping them leaves the save failed.
+ */
+export default function ConflictReloadModal({ label, onResolve }: ConflictReloadModalProps) {
+  return (
+    <Modal
+      isOpen={true}
+      onClose={() => onResolve(false)}
+      title={`${label.charAt(0).toUpperCase()}${label.slice(1)} changed on the server`}
+      description="Someone else saved this file since you loaded it, so your save was stopped to keep their changes. Reload it to continue from their version; your unsaved changes to this file are discarded."
+      icon={AlertTriangle}
+      iconVariant="warning"
+      footer={
+        <>
+          <Button variant="secondary-gray" onClick={() => onResolve(false)}>Keep my changes</Button>
+          <Button variant="primary" onClick={() => onResolve(true)}>Reload from server</Button>
+        </>
+      }
+    >
+      <p className="text-sm text-gray-600 dark:text-gray-400">
+        Keeping your changes leaves them unsaved here. Saving them later is refused again until the file is reloaded.
+      </p>
+    </Modal>
+  );
+}
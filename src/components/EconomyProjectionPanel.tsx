@@ -0,0 +1,100 @@
+import { useMemo, useState } from 'react';
+import { Badge } from '@/components/base/badges/badges';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { AlertCircle } from 'lucide-react';
+import { simulateType, seededRng, type EconomyGlobals, type SimType } from '@/utils/economySimulator';
+
+interface EconomyProjectionPanelProps {
+  /** The type as currently edited (unsaved values included). */
+  type: SimType;
+  globals: EconomyGlobals;
+}
+
+const WINDOWS = [
+  { label: '6 hours', value: '6' },
+  { label: '24 hours', value: '24' },
+  { label: '3 days', value: '72' },
+];
+
+// Chart box in SVG user units; the svg stretches to the section's width.
+const W = 320;
+const H = 120;
+
+/**
+ * Expected world count of one type over time (economySimulator), drawn against its nominal
+ * and min. Seeded, so the curve only moves when an input does.
+ */
+export function EconomyProjectionPanel({ type, globals }: EconomyProjectionPanelProps) {
+  const [players, setPlayers] = useState(40);
+  const [hours, setHours] = useState('24');
+  const [avoidance, setAvoidance] = useState(0);
+
+  const { times, projection } = useMemo(
+    () => simulateType(type, globals, { hours: Number(hours), players, cleanupAvoidance: avoidance / 100 }, seededRng(1)),
+    [type, globals, hours, players, avoidance],
+  );
+
+  const top = Math.max(1, projection.nominal, projection.min, projection.highest);
+  const end = times[times.length - 1] || 1;
+  const x = (t: number) => (t / end) * W;
+  const y = (c: number) => H - (c / top) * H;
+  const points = projection.counts.map((c, i) => `${x(times[i]).toFixed(1)},${y(c).toFixed(1)}`).join(' ');
+
+  return (
+    <section className="min-w-[200px] break-inside-avoid mb-8">
+      <div className="flex items-center gap-2 mb-4">
+        <Badge color="brand" size="sm" type="modern">Projected World Count</Badge>
+      </div>
+      <div className="p-4 space-y-3 bg-gray-50 dark:bg-gray-950/20 rounded-xl border border-gray-100 dark:border-gray-800">
+        <div className="grid grid-cols-3 gap-3">
+          <Input
+            label="Players"
+            type="number"
+            size="sm"
+            value={String(players)}
+            onChange={e => setPlayers(Math.max(0, parseInt(e.target.value) || 0))}
+          />
+          <Select label="Window" size="sm" value={hours} options={WINDOWS} onChange={e => setHours(e.target.value)} />
+          <Input
+            label="Cleanup avoided"
+            type="number"
+            size="sm"
+            suffix="%"
+            hint="Expired copies with a player nearby"
+            value={String(avoidance)}
+            onChange={e => setAvoidance(Math.min(100, Math.max(0, parseInt(e.target.value) || 0)))}
+          />
+        </div>
+
+        <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-32 overflow-visible">
+          <line x1={0} x2={W} y1={y(projection.nominal)} y2={y(projection.nominal)}
+            className="stroke-gray-300 dark:stroke-gray-700" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+          {projection.min > 0 && (
+            <line x1={0} x2={W} y1={y(projection.min)} y2={y(projection.min)}
+              className="stroke-warning-400" strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+          )}
+          <polyline points={points} fill="none" className="stroke-primary-600" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        </svg>
+        <div className="flex justify-between text-[10px] text-gray-400">
+          <span>0h</span>
+          <span className="text-gray-500">
+            <span className="text-gray-400">- - </span>nominal {projection.nominal}
+            {projection.min > 0 && <span className="text-warning-500"> · min {projection.min}</span>}
+          </span>
+          <span>{hours}h</span>
+        </div>
+
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Average {projection.mean.toFixed(1)}, lowest {projection.lowest}; at or above min{' '}
+          {Math.round(projection.atOrAboveMin * 100)}% of the time; {projection.respawned} respawned.
+        </p>
+        {projection.issues.map(issue => (
+          <p key={issue.code} className="flex items-start gap-1.5 text-xs text-warning-600">
+            <AlertCircle size={14} className="shrink-0 mt-0.5" /> {issue.message}
+          </p>
+        ))}
+      </div>
+    </section>
+  );
+}
@@ -1,6 +1,7 @@
 import { useState, useCallback } from 'react';
 import { useTabParam } from '@/hooks/useHashRoute';
 import EditFormCLETab from './EditFormCLETab';
+import EditFormHistoryTab, { type RevertTypeField } from './EditFormHistoryTab';
 import EditFormMarketplaceTab from './EditFormMarketplaceTab';
 import EditFormSpawnableTab from './EditFormSpawnableTab';
 import { cx } from '@/utils/cx';
@@ -8,6 +9,7 @@ import { Button } from '@/components/base/button/button';
 import { SectionSaveButton } from '@/components/base/SectionSaveButton';
 import { X, Save as SaveIcon } from 'lucide-react';
 import type { Type } from '@/utils/xml';
+import type { EconomyGlobals } from '@/utils/economySimulator';
 
 interface EditFormProps {
   definitions: {
@@ -26,12 +28,15 @@ interface EditFormProps {
   spawnableTypesByGroup?: Record<string, Record<string, any>>;
   setSpawnableTypesByGroup?: (next: any) => void;
   randomPresets?: { presets: any[] };
-  globalsDefaults?: { LootDamageMin: number | null; LootDamageMax: number | null };
+  /** globals.xml values: damage defaults for the Spawnable tab, respawn knobs for the CLE tab's projection. */
+  globalsDefaults?: { LootDamageMin: number | null; LootDamageMax: number | null } & Partial<Record<keyof EconomyGlobals, number | null>>;
   loadouts?: any[];
   /** Whether spawnabletypes edits are pending. Enables the Spawnable tab's save button. */
   spawnableDirty?: boolean;
   /** Persists spawnabletypes edits. Resolve with { ok } / { ok:false, error } — never throw. */
   onSaveSpawnable?: () => Promise<{ ok: boolean; error?: string }>;
+  /** Reverts one audited type field change (History tab). See useLootData.revertTypeField. */
+  onRevertTypeField?: RevertTypeField;
 }
 
 export default function EditForm({ 
@@ -49,9 +54,10 @@ export default function EditForm({
   globalsDefaults = { LootDamageMin: null, LootDamageMax: null },
   loadouts = [],
   spawnableDirty = false,
-  onSaveSpawnable
+  onSaveSpawnable,
+  onRevertTypeField
 }: EditFormProps) {
-  const [activeTab, setActiveTab] = useTabParam<'CLE' | 'Spawnable' | 'Marketplace'>('CLE', ['CLE', 'Spawnable', 'Marketplace']);
+  const [activeTab, setActiveTab] = useTabParam<'CLE' | 'Spawnable' | 'Marketplace' | 'History'>('CLE', ['CLE', 'Spawnable', 'Marketplace', 'History']);
   const [marketTabOpened, setMarketTabOpened] = useState(false);
   const [canSaveCLE, setCanSaveCLE] = useState(false);
   const [saveCLE, setSaveCLE] = useState<null | (() => void)>(null);
@@ -59,12 +65,18 @@ export default function EditForm({
   const registerSaveHandler = useCallback((fn: null | (() => void)) => {
     setSaveCLE(() => fn);
   }, []);
+  const [marketDirty, setMarketDirty] = useState(false);
+  const [saveMarket, setSaveMarket] = useState<null | (() => Promise<{ ok: boolean; error?: string }>)>(null);
+  const registerMarketSaveHandler = useCallback((fn: null | (() => Promise<{ ok: boolean; error?: string }>)) => {
+    setSaveMarket(() => fn);
+  }, []);
 
   const tabs = [
     { id: 'CLE', label: 'Loot Economy' },
     { id: 'Spawnable', label: 'Spawnable / Cargo' },
     ...(selectedProfile?.addons?.includes('expansion') ? [{ id: 'Marketplace', label: 'Marketplace' }] : []),
-  ] as { id: 'CLE' | 'Spawnable' | 'Marketplace'; label: string }[];
+    { id: 'History', label: 'History' },
+  ] as { id: 'CLE' | 'Spawnable' | 'Marketplace' | 'History'; label: string }[];
 
   const itemsText = selectedTypes.length === 1 ? '1 item' : `${selectedTypes.length} items`;
 
@@ -99,6 +111,14 @@ export default function EditForm({
                 label="Save Spawnable"
               />
             </div>
+          ) : activeTab === 'Marketplace' && saveMarket ? (
+            <div className="flex-1 [&>div]:w-full [&_button]:w-full">
+              <SectionSaveButton
+                dirty={marketDirty}
+                onSave={saveMarket}
+                label="Save Market"
+              />
+            </div>
           ) : (
             <Button
                 variant="primary"
@@ -157,6 +177,7 @@ export default function EditForm({
             registerSaveHandler={registerSaveHandler}
             selectedProfileId={selectedProfileId}
             selectedProfile={selectedProfile}
+            globalsDefaults={globalsDefaults}
           />
         </div>
 
@@ -180,9 +201,21 @@ export default function EditForm({
               typeOptionsByCategory={typeOptionsByCategory}
               activated={marketTabOpened}
               selectedProfileId={selectedProfileId}
+              onDirtyChange={setMarketDirty}
+              registerSaveHandler={registerMarketSaveHandler}
             />
           </div>
         )}
+
+        {/* Refetches each time it is shown, so saves made on the other tabs appear */}
+        <div className={cx(activeTab !== 'History' && "hidden")}>
+          <EditFormHistoryTab
+            selectedTypes={selectedTypes}
+            activated={activeTab === 'History'}
+            selectedProfileId={selectedProfileId}
+            onRevert={onRevertTypeField}
+          />
+        </div>
       </div>
     </div>
   );
@@ -9,6 +9,10 @@ import { Clock, Info, AlertCircle } from 'lucide-react';
 import { cx } from '@/utils/cx';
 import type { Type } from '@/utils/xml';
 import { apiFetch } from '@/utils/api';
+import { useHashRoute } from '@/hooks/useHashRoute';
+import { useLootPositions } from '@/hooks/useLootPositions';
+import { economyGlobalsFrom, type EconomyGlobals, type SimType } from '@/utils/economySimulator';
+import { EconomyProjectionPanel } from './EconomyProjectionPanel';
 
 interface EditFormCLETabProps {
   definitions: {
@@ -23,6 +27,8 @@ interface EditFormCLETabProps {
   registerSaveHandler?: (fn: null | (() => void)) => void;
   selectedProfileId: string;
   selectedProfile?: { id: string; addons?: string[] };
+  /** globals.xml respawn knobs for the projected-count chart; vanilla values when absent. */
+  globalsDefaults?: Partial<Record<keyof EconomyGlobals, number | null>>;
 }
 
 export default function EditFormCLETab({
@@ -32,7 +38,8 @@ export default function EditFormCLETab({
   onCanSaveChange,
   registerSaveHandler,
   selectedProfileId,
-  selectedProfile
+  selectedProfile,
+  globalsDefaults
 }: EditFormCLETabProps) {
   const base = selectedTypes[0];
 
@@ -217,14 +224,15 @@ export default function EditFormCLETab({
 
   const saveDivingConfig = async () => {
     try {
-      await apiFetch(`/api/deerisle/diving-loot`, {
-        method: 'POST',
+      const res = await apiFetch(`/api/deerisle/diving-loot`, {
+        method: 'PUT',
         headers: {
           'Content-Type': 'application/json'
         },
         profileId: selectedProfileId,
         body: JSON.stringify(divingConfig)
       });
+      if (!res.ok) throw new Error((await res.json().catch(() => ({}))).error || `HTTP ${res.status}`);
       setDivingConfigDirty(false);
     } catch (e) {
       console.error('Failed to save diving config', e);
@@ -267,6 +275,38 @@ export default function EditFormCLETab({
     return counts.every(c => c === first) ? first : null;
   }, [divingConfig, selectedTypes]);
 
+  // "Can spawn in N buildings / M points" sanity check against mapgroupproto/mapgrouppos, for
+  // the flags as currently edited. Single selection only: mixed flags have no one answer.
+  const { navigate } = useHashRoute();
+  const lootFlags = useMemo(() => {
+    if (selectedTypes.length !== 1) return null;
+    const on = (g: 'usage' | 'value' | 'tag') => Object.keys(form[g] || {}).filter(k => form[g][k] === true);
+    return { usage: on('usage'), value: on('value'), category: form.category || '', tag: on('tag') };
+  }, [form, selectedTypes.length]);
+  // Value flags ticked on every selected type, for the heat map's tier overlay link.
+  const checkedValues = useMemo(
+    () => Object.keys(form.value || {}).filter(k => form.value[k] === true),
+    [form.value],
+  );
+  const lootPositions = useLootPositions(selectedProfileId, lootFlags?.usage.length ? lootFlags : null, { withPositions: false });
+
+  // Projected world count for the values as edited. Single selection only, and only once the
+  // numbers the CE needs are filled in.
+  const economyGlobals = useMemo(() => economyGlobalsFrom(globalsDefaults), [globalsDefaults]);
+  const simType = useMemo<SimType | null>(() => {
+    if (selectedTypes.length !== 1) return null;
+    const nums = ['nominal', 'min', 'lifetime', 'restock'] as const;
+    if (nums.some(k => form[k] === '' || form[k] === null)) return null;
+    return {
+      name: base.name,
+      nominal: Number(form.nominal),
+      min: Number(form.min),
+      lifetime: Number(form.lifetime),
+      restock: Number(form.restock),
+      flags: form.flags,
+    };
+  }, [form, selectedTypes.length, base]);
+
   const applyLifetime = () => {
     const total = (lp.weeks * 604800) + (lp.days * 86400) + (lp.hours * 3600) + (lp.minutes * 60) + lp.seconds;
     setForm((f: any) => ({ ...f, lifetime: total }));
@@ -500,12 +540,38 @@ export default function EditFormCLETab({
           options={definitions?.usageflags || []} 
           state={form.usage} 
           onToggle={key => cycleTri('usage', key)} 
+          footer={lootFlags && (
+            lootFlags.usage.length === 0 ? (
+              <p className="text-xs text-gray-400">No usage flag: this item won't spawn in buildings.</p>
+            ) : lootPositions.result ? (
+              <button
+                type="button"
+                onClick={() => navigate('map-tools:loot-positions', { type: base.name })}
+                className={cx('text-xs font-medium hover:underline',
+                  lootPositions.result.points ? 'text-gray-500 dark:text-gray-400' : 'text-warning-600')}
+                title="Show these buildings on the map"
+              >
+                {lootPositions.result.points
+                  ? `Can spawn in ${lootPositions.result.buildings} buildings / ${lootPositions.result.points} points`
+                  : 'No building can host these flags'}
+              </button>
+            ) : null
+          )}
         />
         <TriStatePanel
           title="Value"
           options={definitions?.valueflags || []}
           state={form.value}
           onToggle={key => cycleTri('value', key)}
+          footer={checkedValues.length > 0 && (
+            <button
+              type="button"
+              onClick={() => navigate('map-tools:heatmap', { tiers: checkedValues.join(',') })}
+              className="text-xs font-medium text-gray-500 dark:text-gray-400 hover:underline"
+            >
+              Show these tiers on the map
+            </button>
+          )}
         />
         <TriStatePanel
           title="Tags"
@@ -513,6 +579,7 @@ export default function EditFormCLETab({
           state={form.tag}
           onToggle={key => cycleTri('tag', key)}
         />
+        {simType && <EconomyProjectionPanel type={simType} globals={economyGlobals} />}
 
         {/* Deerisle Specifics */}
         {hasDivingConfig && (
@@ -574,13 +641,16 @@ function TriStatePanel({
   options, 
   state, 
   onToggle,
-  labelFormatter
+  labelFormatter,
+  footer
 }: { 
   title: string, 
   options: string[], 
   state: any, 
   onToggle: (k: string) => void,
-  labelFormatter?: (opt: string) => string
+  labelFormatter?: (opt: string) => string,
+  /** Rendered under the chips, e.g. the loot-position count under Usage. */
+  footer?: React.ReactNode
 }) {
   return (
     <section className="min-w-[200px] break-inside-avoid mb-8">
@@ -608,6 +678,7 @@ function TriStatePanel({
           );
         })}
       </div>
+      {footer && <div className="mt-2 px-1">{footer}</div>}
     </section>
   );
 }
@@ -0,0 +1,253 @@
+import { Fragment, useEffect, useState } from 'react';
+import moment from 'moment';
+import { Badge } from '@/components/base/badges/badges';
+import { Button } from '@/components/base/button/button';
+import { AlertCircle, AlertTriangle, History, RefreshCw, Undo2 } from 'lucide-react';
+import { apiFetch } from '@/utils/api';
+import type { Type } from '@/utils/xml';
+
+/** One line of the server's audit log (see server/audit.js). */
+export interface AuditRecord {
+  id: string;
+  ts: string;
+  editorId: string;
+  file: string;
+  kind: string;
+  classname: string | null;
+  change: 'added' | 'removed' | 'modified';
+  field: string | null;
+  old: unknown;
+  new: unknown;
+}
+
+interface RevertConflict {
+  original: unknown;
+  changed: unknown;
+  current: unknown;
+}
+
+/** Resolves with { ok, changes? } / { ok:false, conflict?, error? } — never throws. */
+export type RevertTypeField = (
+  recordId: string,
+  options?: { force?: boolean },
+) => Promise<{ ok: boolean; changes?: string[]; conflict?: RevertConflict; error?: string }>;
+
+interface EditFormHistoryTabProps {
+  selectedTypes: Type[];
+  activated: boolean;
+  selectedProfileId: string;
+  /** Undoes a single type field change; the Revert buttons only show when given. */
+  onRevert?: RevertTypeField;
+}
+
+const PAGE_SIZE = 200;
+
+const CHANGE_BADGES = { added: 'success', removed: 'error', modified: 'blue' } as const;
+
+const isRevertible = (r: AuditRecord) => r.kind === 'types' && r.change === 'modified' && !!r.field;
+
+const formatValue = (v: unknown) => {
+  if (v === null || v === undefined || v === '') return '—';
+  if (Array.isArray(v)) return `[${v.join(', ')}]`;
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+};
+
+/**
+ * History tab: every recorded change to the selected type across all files that define it
+ * (types, spawnabletypes, market), newest first. Only loads once the tab is first opened, and
+ * only for a single selected type. A types field change can be reverted; when the field has been
+ * changed again since, the revert stops and shows all three values before going ahead.
+ */
+export default function EditFormHistoryTab({ selectedTypes, activated, selectedProfileId, onRevert }: EditFormHistoryTabProps) {
+  const name = selectedTypes.length === 1 ? selectedTypes[0].name : null;
+  const [records, setRecords] = useState<AuditRecord[]>([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadTick, setReloadTick] = useState(0);
+  const [reverting, setReverting] = useState<string | null>(null);
+  const [conflict, setConflict] = useState<(RevertConflict & { id: string }) | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const fetchPage = async (offset: number) => {
+    const params = new URLSearchParams({ classname: name!, limit: String(PAGE_SIZE), offset: String(offset) });
+    const res = await apiFetch(`/api/audit?${params}`, { profileId: selectedProfileId });
+    if (!res.ok) throw new Error(`Failed to load history (HTTP ${res.status})`);
+    return await res.json() as { total: number; records: AuditRecord[] };
+  };
+
+  useEffect(() => {
+    if (!activated || !name) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const page = await fetchPage(0);
+        if (cancelled) return;
+        setRecords(page.records);
+        setTotal(page.total);
+      } catch (e) {
+        if (!cancelled) setError(e instanceof Error ? e.message : String(e));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [activated, name, selectedProfileId, reloadTick]);
+
+  const loadMore = async () => {
+    setLoading(true);
+    try {
+      const page = await fetchPage(records.length);
+      setRecords(prev => [...prev, ...page.records]);
+      setTotal(page.total);
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const revert = async (r: AuditRecord, force = false) => {
+    if (!onRevert) return;
+    setReverting(r.id);
+    setError(null);
+    setNotice(null);
+    const result = await onRevert(r.id, { force });
+    setReverting(null);
+    if (result.conflict) {
+      setConflict({ id: r.id, ...result.conflict });
+      return;
+    }
+    setConflict(null);
+    if (!result.ok) {
+      setError(result.error || 'Revert failed');
+      return;
+    }
+    setNotice(result.changes?.length
+      ? `Reverted ${r.classname}: ${result.changes.join(', ')}`
+      : `${r.field} of ${r.classname} already has its earlier value`);
+    setReloadTick(t => t + 1);
+  };
+
+  if (!activated) return null;
+
+  if (!name) {
+    return (
+      <div className="p-8 text-center bg-gray-50 dark:bg-gray-950/20 rounded-xl border border-dashed border-gray-200 dark:border-gray-800">
+        <History size={24} className="mx-auto mb-2 text-gray-400" />
+        <p className="text-sm text-gray-500">Select a single type to see its change history.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4 animate-in fade-in slide-in-from-bottom-2 duration-500">
+      <div className="flex items-center justify-between">
+        <Badge color="brand" size="sm" type="modern">
+          {total === 1 ? '1 change' : `${total} changes`} to {name}
+        </Badge>
+        <Button size="xs" variant="tertiary" icon={RefreshCw} onClick={() => setReloadTick(t => t + 1)} disabled={loading}>
+          Reload
+        </Button>
+      </div>
+
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-error-600">
+          <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+        </div>
+      )}
+      {notice && <p className="text-sm text-success-600">{notice}</p>}
+
+      {loading && !records.length ? (
+        <p className="text-sm text-gray-500">Loading history…</p>
+      ) : !records.length ? (
+        <div className="p-8 text-center bg-gray-50 dark:bg-gray-950/20 rounded-xl border border-dashed border-gray-200 dark:border-gray-800">
+          <History size={24} className="mx-auto mb-2 text-gray-400" />
+          <p className="text-sm text-gray-500">No recorded changes for {name}.</p>
+        </div>
+      ) : (
+        <div className="overflow-x-auto rounded-xl border border-gray-200 dark:border-gray-800">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50 dark:bg-gray-950/20 text-gray-500 dark:text-gray-400">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold">When</th>
+                <th className="px-3 py-2 text-left font-semibold">Editor</th>
+                <th className="px-3 py-2 text-left font-semibold">File</th>
+                <th className="px-3 py-2 text-left font-semibold">Change</th>
+                {onRevert && <th className="px-3 py-2" />}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+              {records.map(r => (
+                <Fragment key={r.id}>
+                  <tr className="align-top">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300" title={moment(r.ts).fromNow()}>
+                      {moment(r.ts).format('YYYY-MM-DD HH:mm')}
+                    </td>
+                    <td className="px-3 py-2 text-gray-700 dark:text-gray-300">{r.editorId}</td>
+                    <td className="px-3 py-2 font-mono text-gray-500 dark:text-gray-400 break-all">{r.file}</td>
+                    <td className="px-3 py-2">
+                      <div className="flex flex-wrap items-center gap-1.5">
+                        <Badge size="sm" color={CHANGE_BADGES[r.change] ?? 'gray'}>{r.change}</Badge>
+                        {r.field && <span className="font-semibold text-gray-900 dark:text-white">{r.field}</span>}
+                        {r.change === 'modified' && (
+                          <span className="font-mono text-gray-600 dark:text-gray-300">
+                            {formatValue(r.old)} → {formatValue(r.new)}
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    {onRevert && (
+                      <td className="px-3 py-2 text-right">
+                        {isRevertible(r) && (
+                          <Button size="xs" variant="tertiary" icon={Undo2} onClick={() => revert(r)} disabled={reverting !== null}>
+                            Revert
+                          </Button>
+                        )}
+                      </td>
+                    )}
+                  </tr>
+                  {conflict?.id === r.id && (
+                    <tr>
+                      <td colSpan={5} className="px-3 py-3 bg-warning-50 dark:bg-warning-950/20">
+                        <div className="flex items-start gap-2 text-sm text-warning-700 dark:text-warning-300 mb-2">
+                          <AlertTriangle size={16} className="shrink-0 mt-0.5" />
+                          {r.field} has been changed again since this change. Reverting sets it back to the value before this change.
+                        </div>
+                        <dl className="grid grid-cols-3 gap-2 mb-3">
+                          {([['Before this change', conflict.original], ['This change set', conflict.changed], ['Current value', conflict.current]] as const).map(([label, v]) => (
+                            <div key={label} className="rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 px-2 py-1.5">
+                              <dt className="text-gray-500 dark:text-gray-400">{label}</dt>
+                              <dd className="font-mono text-gray-900 dark:text-white break-all">{formatValue(v)}</dd>
+                            </div>
+                          ))}
+                        </dl>
+                        <div className="flex gap-2">
+                          <Button size="xs" variant="primary" icon={Undo2} onClick={() => revert(r, true)} disabled={reverting !== null}>
+                            Revert anyway
+                          </Button>
+                          <Button size="xs" variant="secondary-gray" onClick={() => setConflict(null)}>
+                            Keep current value
+                          </Button>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {records.length < total && (
+        <Button size="sm" variant="secondary-gray" onClick={loadMore} disabled={loading}>
+          Load more ({total - records.length})
+        </Button>
+      )}
+    </div>
+  );
+}
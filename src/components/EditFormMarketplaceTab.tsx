@@ -1,6 +1,22 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
 import { Badge } from '@/components/base/badges/badges';
-import { Store } from 'lucide-react';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { AlertCircle, Plus, RefreshCw, Store, X } from 'lucide-react';
+import { apiFetch } from '@/utils/api';
 import type { Type } from '@/utils/xml';
+import {
+  MARKET_FIELDS,
+  applyMarketDraft,
+  findMarketEntries,
+  newMarketItem,
+  putMarketCategory,
+  sharedMarketValue,
+  type MarketCategory,
+  type MarketDraft,
+  type MarketField,
+} from '@/utils/market';
 
 interface EditFormMarketplaceTabProps {
   selectedTypes: Type[];
@@ -8,28 +24,279 @@ interface EditFormMarketplaceTabProps {
   typeOptionsByCategory: Record<string, string[]>;
   activated: boolean;
   selectedProfileId: string;
+  /** Reports whether there are unsaved market edits (drives the header's Save button). */
+  onDirtyChange?: (dirty: boolean) => void;
+  /** Hands the header the save action. Resolves with { ok } / { ok:false, error } — never throws. */
+  registerSaveHandler?: (fn: null | (() => Promise<{ ok: boolean; error?: string }>)) => void;
 }
 
-export default function EditFormMarketplaceTab({ 
-  selectedTypes: _selectedTypes, 
-  typeOptions: _typeOptions, 
+const FIELD_LABELS: Record<MarketField, string> = {
+  MinPriceThreshold: 'Min price',
+  MaxPriceThreshold: 'Max price',
+  SellPricePercent: 'Sell %',
+  MinStockThreshold: 'Min stock',
+  MaxStockThreshold: 'Max stock',
+  QuantityPercent: 'Quantity %',
+};
+
+type Form = Record<MarketField, number | '' | null> & { Variants: string[] | null };
+
+/**
+ * Marketplace tab: the Expansion market entries of the selected type(s), edited in place.
+ * Every category file is read once the tab is first opened; values the selection disagrees on
+ * show as "Mixed" and are only written when typed over, as on the Loot Economy tab.
+ */
+export default function EditFormMarketplaceTab({
+  selectedTypes,
+  typeOptions,
   typeOptionsByCategory: _typeOptionsByCategory,
-  activated: _activated,
-  selectedProfileId: _selectedProfileId
+  activated,
+  selectedProfileId,
+  onDirtyChange,
+  registerSaveHandler,
 }: EditFormMarketplaceTabProps) {
-  // Mocking marketplace integration for now as it needs a backend endpoint
+  const [categories, setCategories] = useState<Record<string, MarketCategory> | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadTick, setReloadTick] = useState(0);
+  const [addTo, setAddTo] = useState('');
+  const [variantInput, setVariantInput] = useState('');
+
+  useEffect(() => {
+    if (!activated) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await apiFetch('/api/market/categories', { profileId: selectedProfileId });
+        const json = await res.json().catch(() => ({ categories: [] }));
+        const names: string[] = Array.isArray(json.categories) ? json.categories : [];
+        const loaded = await Promise.all(names.map(async name => {
+          const r = await apiFetch(`/api/market/category/${encodeURIComponent(name)}`, { profileId: selectedProfileId });
+          return [name, r.ok ? await r.json().catch(() => null) : null] as const;
+        }));
+        if (cancelled) return;
+        const next: Record<string, MarketCategory> = {};
+        for (const [name, cat] of loaded) if (cat && Array.isArray(cat.Items)) next[name] = cat;
+        setCategories(next);
+      } catch (e) {
+        if (!cancelled) setError(String(e));
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [activated, selectedProfileId, reloadTick]);
+
+  const names = useMemo(() => selectedTypes.map(t => t.name), [selectedTypes]);
+  const found = useMemo(() => (categories ? findMarketEntries(categories, names) : {}), [categories, names]);
+  const entries = useMemo(() => Object.values(found).flat(), [found]);
+  const unlisted = useMemo(() => names.filter(n => !found[n.toLowerCase()]?.length), [names, found]);
+
+  const initial = useMemo(() => {
+    const items = entries.map(e => e.item);
+    const obj: any = {};
+    for (const f of MARKET_FIELDS) obj[f] = sharedMarketValue(items, it => Number(it[f])); // null => Mixed
+    obj.Variants = sharedMarketValue(items, it => [...(it.Variants || [])].map(v => v.toLowerCase()).sort());
+    return obj as Form;
+  }, [entries]);
+
+  const [form, setForm] = useState<Form>(initial);
+  useEffect(() => setForm(initial), [initial]);
+
+  const draft = useMemo(() => {
+    const d: MarketDraft = {};
+    for (const f of MARKET_FIELDS) {
+      const v = form[f];
+      if (typeof v === 'number' && Number.isFinite(v) && v !== initial[f]) d[f] = v;
+    }
+    if (form.Variants && JSON.stringify(form.Variants) !== JSON.stringify(initial.Variants)) d.Variants = form.Variants;
+    return d;
+  }, [form, initial]);
+  const dirty = entries.length > 0 && Object.keys(draft).length > 0;
+
+  useEffect(() => { onDirtyChange?.(dirty); }, [dirty, onDirtyChange]);
+
+  const save = useCallback(async () => {
+    if (!categories || !dirty) return { ok: true };
+    const selected = new Set(names.map(n => n.toLowerCase()));
+    const next = { ...categories };
+    try {
+      for (const [name, json] of Object.entries(categories)) {
+        const updated = applyMarketDraft(json, selected, draft);
+        if (updated === json) continue;
+        const res = await putMarketCategory(selectedProfileId, name, updated);
+        if (!res.ok) return { ok: false, error: `Failed to save ${name} (HTTP ${res.status})` };
+        next[name] = updated;
+      }
+    } finally {
+      setCategories(next);
+    }
+    return { ok: true };
+  }, [categories, dirty, names, draft, selectedProfileId]);
+
+  useEffect(() => {
+    registerSaveHandler?.(save);
+    return () => registerSaveHandler?.(null);
+  }, [save, registerSaveHandler]);
+
+  const addUnlisted = async () => {
+    if (!categories || !addTo || !categories[addTo]) return;
+    // New entries take the prices being edited, where the selection agrees on them.
+    const template: Partial<Record<MarketField, number>> = {};
+    for (const f of MARKET_FIELDS) if (typeof form[f] === 'number') template[f] = form[f] as number;
+    const json = categories[addTo];
+    const updated = { ...json, Items: [...json.Items, ...unlisted.map(n => newMarketItem(n, template))] };
+    setError(null);
+    const res = await putMarketCategory(selectedProfileId, addTo, updated);
+    if (!res.ok) {
+      setError(`Failed to add to ${addTo} (HTTP ${res.status})`);
+      return;
+    }
+    setCategories({ ...categories, [addTo]: updated });
+  };
+
+  const setNum = (key: MarketField, strVal: string) => {
+    setForm(f => ({ ...f, [key]: strVal === '' ? '' : Number(strVal) }));
+  };
+
+  const addVariant = () => {
+    const v = variantInput.trim().toLowerCase();
+    if (!v) return;
+    setForm(f => ({ ...f, Variants: [...new Set([...(f.Variants || []), v])].sort() }));
+    setVariantInput('');
+  };
+
+  if (!activated) return null;
+
+  if (loading && !categories) {
+    return <p className="text-sm text-gray-500">Loading market categories…</p>;
+  }
+
+  const categoryNames = Object.keys(categories || {});
+
   return (
     <div className="space-y-8 animate-in fade-in slide-in-from-bottom-2 duration-500">
-      <section className="p-12 text-center bg-gray-50 dark:bg-gray-950/20 rounded-2xl border border-dashed border-gray-200 dark:border-gray-800">
-        <div className="size-16 bg-white dark:bg-gray-900 rounded-2xl flex items-center justify-center text-gray-400 mx-auto mb-4 shadow-sm border border-gray-100 dark:border-gray-800">
-          <Store size={32} />
+      {error && (
+        <div className="flex items-start gap-2 text-sm text-error-600">
+          <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+        </div>
+      )}
+
+      <section>
+        <div className="flex items-center justify-between mb-4">
+          <Badge color="brand" size="sm" type="modern">Market Listing</Badge>
+          <Button size="xs" variant="tertiary" icon={RefreshCw} onClick={() => setReloadTick(t => t + 1)} disabled={loading}>
+            Reload
+          </Button>
         </div>
-        <h3 className="text-lg font-bold text-gray-900 dark:text-white mb-2">Marketplace Integration</h3>
-        <p className="text-sm text-gray-500 dark:text-gray-400 max-w-md mx-auto mb-6">
-          Connect your server's Expansion Market or Trader configs to manage prices and availability directly from the CLE editor.
-        </p>
-        <Badge color="warning" size="md" type="modern">Coming Soon</Badge>
+        {categoryNames.length === 0 ? (
+          <div className="p-8 text-center bg-gray-50 dark:bg-gray-950/20 rounded-xl border border-dashed border-gray-200 dark:border-gray-800">
+            <Store size={24} className="mx-auto mb-2 text-gray-400" />
+            <p className="text-sm text-gray-500">No market categories found in ExpansionMod/Market.</p>
+          </div>
+        ) : (
+          <ul className="divide-y divide-gray-100 dark:divide-gray-800 rounded-xl border border-gray-200 dark:border-gray-800">
+            {names.map(n => {
+              const list = found[n.toLowerCase()] || [];
+              return (
+                <li key={n} className="flex items-center gap-3 px-4 py-2.5">
+                  <span className="text-sm font-semibold text-gray-900 dark:text-white truncate flex-1">{n}</span>
+                  {list.length ? list.map(e => (
+                    <Badge key={e.category} size="sm" color={list.length > 1 ? 'warning' : 'gray'}>
+                      {e.category}: {e.item.MinPriceThreshold}–{e.item.MaxPriceThreshold}
+                    </Badge>
+                  )) : <span className="text-xs text-gray-400 italic">Not sold</span>}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+        {unlisted.length > 0 && categoryNames.length > 0 && (
+          <div className="mt-3 flex items-end gap-2">
+            <div className="flex-1">
+              <Select
+                size="sm"
+                label={`Add ${unlisted.length === 1 ? unlisted[0] : `${unlisted.length} unlisted types`} to`}
+                value={addTo}
+                onChange={e => setAddTo(e.target.value)}
+                options={[{ label: 'Choose a category…', value: '' }, ...categoryNames.map(c => ({ label: categories![c].DisplayName ? `${c} (${categories![c].DisplayName})` : c, value: c }))]}
+              />
+            </div>
+            <Button size="sm" variant="secondary-gray" icon={Plus} disabled={!addTo} onClick={addUnlisted}>Add</Button>
+          </div>
+        )}
       </section>
+
+      {entries.length > 0 && (
+        <>
+          <section>
+            <div className="flex items-center gap-2 mb-4">
+              <Badge color="brand" size="sm" type="modern">Price & Stock</Badge>
+              {entries.length > 1 && <span className="text-xs text-gray-400">{entries.length} market entries</span>}
+            </div>
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+              {MARKET_FIELDS.map(f => (
+                <Input
+                  key={f}
+                  label={FIELD_LABELS[f]}
+                  type="number"
+                  value={form[f] ?? ''}
+                  placeholder={form[f] === null ? 'Mixed' : '0'}
+                  onChange={e => setNum(f, e.target.value)}
+                />
+              ))}
+            </div>
+            <p className="mt-2 text-xs text-gray-400">Sell % and Quantity % of -1 use the trader's defaults.</p>
+          </section>
+
+          <section>
+            <div className="flex items-center gap-2 mb-4">
+              <Badge color="brand" size="sm" type="modern">Variants</Badge>
+            </div>
+            {form.Variants === null ? (
+              <div className="flex items-center gap-3 text-sm text-gray-500">
+                Mixed across the selection.
+                <Button size="xs" variant="secondary-gray" onClick={() => setForm(f => ({ ...f, Variants: [] }))}>Replace for all</Button>
+              </div>
+            ) : (
+              <div className="space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  {form.Variants.map(v => (
+                    <Badge key={v} size="sm" color="gray" className="gap-1">
+                      {v}
+                      <button type="button" onClick={() => setForm(f => ({ ...f, Variants: (f.Variants || []).filter(x => x !== v) }))}>
+                        <X size={12} />
+                      </button>
+                    </Badge>
+                  ))}
+                  {!form.Variants.length && <span className="text-xs text-gray-400 italic">No variants</span>}
+                </div>
+                <div className="flex items-end gap-2">
+                  <div className="flex-1">
+                    <Input
+                      size="sm"
+                      placeholder="Variant classname"
+                      value={variantInput}
+                      list="market-variant-options"
+                      onChange={e => setVariantInput(e.target.value)}
+                      onKeyDown={e => { if (e.key === 'Enter') addVariant(); }}
+                    />
+                    <datalist id="market-variant-options">
+                      {variantInput.length >= 2 && typeOptions
+                        .filter(o => o.toLowerCase().includes(variantInput.toLowerCase()))
+                        .slice(0, 50)
+                        .map(o => <option key={o} value={o} />)}
+                    </datalist>
+                  </div>
+                  <Button size="sm" variant="secondary-gray" icon={Plus} onClick={addVariant} disabled={!variantInput.trim()}>Add</Button>
+                </div>
+              </div>
+            )}
+          </section>
+        </>
+      )}
     </div>
   );
 }
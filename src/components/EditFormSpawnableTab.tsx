@@ -42,6 +42,8 @@ import { vanillaSpawnableToLoadout, loadoutToSpawnableEntry } from '@/utils/load
 import { updateNodeInList, findNode, findParent } from '@/utils/tree';
 import { useCompatibleAttachments, useItemCapabilities, useAttachmentSlots } from '@/contexts/CatalogContext';
 import { TypeMetaPanel } from '@/components/catalog/TypeMetaPanel';
+import { AttachmentSlotCheck } from '@/components/catalog/AttachmentSlotCheck';
+import { checkAttachmentBlocks } from '@/utils/attachmentSlots';
 
 export default function EditFormSpawnableTab({ 
   selectedTypes, 
@@ -171,6 +173,15 @@ export default function EditFormSpawnableTab({
   const acceptsAttachments = rootAcceptsAttachments !== false;
   const holdsCargo = rootHoldsCargo !== false;
 
+  // Slot check of the root's <attachments> blocks against the slots the type exposes. Preset
+  // blocks are checked through the preset's items.
+  const rootSlotGraph = useAttachmentSlots(type.name, !isMulti);
+  const slotCheck = useMemo(() => checkAttachmentBlocks(rootSlotGraph, (entry.attachments || []).map((s: any) => (
+    s.preset
+      ? { preset: s.preset, items: randomPresets.presets?.find((p: any) => p.kind === XMLNodeKind.ATTACHMENTS && p.name === s.preset)?.items || [] }
+      : { items: s.items || [] }
+  ))), [rootSlotGraph, entry.attachments, randomPresets]);
+
   const updateSpawnableEntry = (updater: (entry: any) => any) => {
     const nextGroups = { ...spawnableTypesByGroup };
     if (!nextGroups[effectiveGroup]) {
@@ -268,6 +279,19 @@ export default function EditFormSpawnableTab({
     }));
   };
 
+  const handleAddCandidate = (name: string) => {
+    updateSpawnableEntry(current => ({
+      ...current,
+      sections: [...(current.sections || []), {
+        kind: XMLNodeKind.ATTACHMENTS,
+        chance: 1.0,
+        preset: '',
+        attrs: { chance: '1.00' },
+        items: [{ kind: XMLNodeKind.ITEM, name, chance: 1.0, attrs: { name, chance: '1.00' } }]
+      }]
+    }));
+  };
+
   const handleRemoveSection = (sectionIndexInKind: number, kind: string) => {
     updateSpawnableEntry(current => {
       let count = 0;
@@ -477,6 +501,13 @@ export default function EditFormSpawnableTab({
         </div>
       </section>
 
+      {/* Tree edits are mirrored from treeItems, so only the tiles view can take a new block from here. */}
+      <AttachmentSlotCheck
+        parentName={type.name}
+        check={slotCheck}
+        onAddCandidate={viewMode === 'tiles' ? handleAddCandidate : undefined}
+      />
+
       {/* View Toggle */}
       <div className="flex justify-end gap-2 mb-4">
         <Button 
@@ -664,9 +695,13 @@ export default function EditFormSpawnableTab({
                   <p className="text-sm font-bold text-gray-900 dark:text-white truncate">Slot {idx + 1}</p>
                   <Badge color="gray" size="sm">{chancePercent(slot.chance)}% Chance</Badge>
                   {slot.preset && <Badge color="blue" size="sm">Preset: {slot.preset}</Badge>}
+                  {slotCheck?.issues.some(i => (i.kind === 'no-slot' ? i.block === idx : i.blocks.includes(idx))) && (
+                    <Badge color="warning" size="sm">Slot mismatch</Badge>
+                  )}
                 </div>
                 <p className="text-xs text-gray-500 dark:text-gray-400 truncate">
                   {slot.items?.length || 0} possible items in this slot
+                  {slotCheck && !slot.preset && ` · ${[...new Set(slotCheck.itemSlots[idx]?.flat() || [])].join(', ') || 'fits no slot'}`}
                 </p>
               </div>
               <div className="flex items-center gap-2 opacity-0 group-hover:opacity-100 transition-opacity">
@@ -754,6 +789,7 @@ export default function EditFormSpawnableTab({
           presets={randomPresets.presets?.filter((p: any) => p.kind === editingSlot.kind) || []}
           typeOptions={typeOptions}
           compatibleClasses={compatibleClasses}
+          attachmentGraph={editingSlot.kind === XMLNodeKind.ATTACHMENTS ? rootSlotGraph : null}
           kind={editingSlot.kind}
         />
       )}
@@ -0,0 +1,442 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Badge } from '@/components/base/badges/badges';
+import { Toggle } from '@/components/base/toggle/toggle';
+import { Select } from '@/components/base/select/select';
+import {
+  Save01, RefreshCcw01, Plus, Trash01, CheckCircle, AlertCircle, MarkerPin01, SearchLg,
+} from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { useMapMetadata } from '@/hooks/useMapMetadata';
+import { AirdropDropLocationMap, DropLocation } from './AirdropDropLocationMap';
+import {
+  parseEventsXml, generateEventsXml, parseEventSpawnsXml, generateEventSpawnsXml,
+  DayZEvent, EventChild, EventSpawn,
+} from '@/utils/xml';
+
+interface EventsEditorProps {
+  selectedProfileId: string;
+  missionName?: string;
+  /** Per-group events files declared in cfgeconomycore.xml (`/samples/<folder>/<name>` paths). */
+  eventsFilesByGroup?: Record<string, string[]>;
+  /** Their events as loaded with the types (group -> file name -> events). */
+  groupEvents?: Record<string, Record<string, DayZEvent[]>>;
+  /** Called with a group events file after it was saved or reloaded here. */
+  onGroupEventsChange?: (group: string, file: string, events: DayZEvent[]) => void;
+  /** Custom types groups; each one without an events file is offered a new events.xml. */
+  groups?: string[];
+  /** Called after a save registered a new events file in cfgeconomycore.xml. */
+  onEventsFileRegistered?: () => void;
+}
+
+/** '' is the mission's db/events.xml; otherwise `<group>/<file name>`. */
+type SourceKey = string;
+
+const NON_CUSTOM_GROUPS = ['vanilla', 'vanilla_overrides', '__root'];
+
+type SaveState = { kind: 'idle' | 'saving' | 'ok' | 'error'; message?: string };
+
+type NumKey = 'nominal' | 'min' | 'max' | 'lifetime' | 'restock' | 'saferadius' | 'distanceradius' | 'cleanupradius';
+
+const NUM_FIELDS: { key: NumKey; label: string; suffix?: string; hint?: string }[] = [
+  { key: 'nominal', label: 'Nominal', hint: 'Target number of active instances.' },
+  { key: 'min', label: 'Min' },
+  { key: 'max', label: 'Max' },
+  { key: 'lifetime', label: 'Lifetime', suffix: 'sec' },
+  { key: 'restock', label: 'Restock', suffix: 'sec' },
+  { key: 'saferadius', label: 'Safe radius', suffix: 'm', hint: 'No spawn within this distance of a player.' },
+  { key: 'distanceradius', label: 'Distance radius', suffix: 'm', hint: 'Minimum distance between instances.' },
+  { key: 'cleanupradius', label: 'Cleanup radius', suffix: 'm', hint: 'Players inside keep the event from cleaning up.' },
+];
+
+const POSITION_OPTIONS = ['fixed', 'player', 'uniform'].map(v => ({ value: v, label: v }));
+const LIMIT_OPTIONS = ['child', 'parent', 'mixed', 'custom'].map(v => ({ value: v, label: v }));
+
+/**
+ * Mission Files → Events: edits db/events.xml, or a group's own type="events" file (event
+ * parameters and children), and the matching positions in cfgeventspawns.xml. Both files save
+ * through their own backed-up API routes, which record field-level entries in the audit log.
+ */
+export const EventsEditor: React.FC<EventsEditorProps> = ({
+  selectedProfileId, missionName, eventsFilesByGroup = {}, groupEvents = {}, onGroupEventsChange, groups = [],
+  onEventsFileRegistered,
+}) => {
+  const map = useMapMetadata(missionName);
+  const [source, setSource] = useState<SourceKey>('');
+  const [loading, setLoading] = useState(true);
+  const [saveState, setSaveState] = useState<SaveState>({ kind: 'idle' });
+
+  const [events, setEvents] = useState<DayZEvent[]>([]);
+  const [savedEvents, setSavedEvents] = useState<DayZEvent[]>([]);
+  const [spawns, setSpawns] = useState<EventSpawn[]>([]);
+  const [savedSpawns, setSavedSpawns] = useState<EventSpawn[]>([]);
+
+  const [selectedName, setSelectedName] = useState<string | null>(null);
+  const [selectedPosIdx, setSelectedPosIdx] = useState<number | null>(null);
+  const [search, setSearch] = useState('');
+  const [newName, setNewName] = useState('');
+
+  const sourceOptions = useMemo(() => {
+    const opts = [{ value: '', label: 'db/events.xml (mission)' }];
+    for (const [group, files] of Object.entries(eventsFilesByGroup)) {
+      for (const f of files) {
+        const name = f.split('/').pop() || f;
+        opts.push({ value: `${group}/${name}`, label: `${group} / ${name}` });
+      }
+    }
+    for (const group of groups) {
+      if (NON_CUSTOM_GROUPS.includes(group) || eventsFilesByGroup[group]?.length) continue;
+      opts.push({ value: `${group}/events.xml`, label: `${group} / events.xml (new)` });
+    }
+    return opts;
+  }, [eventsFilesByGroup, groups]);
+
+  const eventsUrl = (key: SourceKey) => {
+    if (!key) return '/api/events';
+    const [group, file] = key.split('/');
+    return `/api/events/${encodeURIComponent(group)}/${encodeURIComponent(file)}`;
+  };
+
+  // A group's events file comes from the copy loaded with the types unless `fresh` (Reload).
+  const load = async (key: SourceKey = source, fresh = false) => {
+    if (!selectedProfileId) return;
+    setLoading(true);
+    try {
+      const [group, file] = key.split('/');
+      const loaded = key && !fresh ? groupEvents[group]?.[file] : undefined;
+      const [eRes, sRes] = await Promise.all([
+        loaded ? null : apiFetch(eventsUrl(key), { profileId: selectedProfileId }),
+        apiFetch('/api/eventspawns', { profileId: selectedProfileId }),
+      ]);
+      const nextEvents = loaded || (eRes?.ok ? parseEventsXml(await eRes.text()) : []);
+      const nextSpawns = sRes.ok ? parseEventSpawnsXml(await sRes.text()) : [];
+      if (key && !loaded && eRes?.ok) onGroupEventsChange?.(group, file, nextEvents);
+      setEvents(nextEvents); setSavedEvents(nextEvents);
+      setSpawns(nextSpawns); setSavedSpawns(nextSpawns);
+    } catch (e) {
+      console.error('Failed to load events', e);
+      setSaveState({ kind: 'error', message: 'Failed to load events' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setSource('');
+    load('');
+    setSelectedName(null);
+    setSelectedPosIdx(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedProfileId]);
+
+  const eventsDirty = useMemo(() => JSON.stringify(events) !== JSON.stringify(savedEvents), [events, savedEvents]);
+  const spawnsDirty = useMemo(() => JSON.stringify(spawns) !== JSON.stringify(savedSpawns), [spawns, savedSpawns]);
+
+  const changeSource = (key: SourceKey) => {
+    if ((eventsDirty || spawnsDirty) && !window.confirm('Discard unsaved event changes?')) return;
+    setSource(key);
+    setSelectedName(null);
+    setSelectedPosIdx(null);
+    load(key);
+  };
+
+  const flash = (kind: SaveState['kind'], message?: string) => {
+    setSaveState({ kind, message });
+    if (kind === 'ok') setTimeout(() => setSaveState({ kind: 'idle' }), 2500);
+  };
+
+  const save = async () => {
+    setSaveState({ kind: 'saving' });
+    const headers = {
+      'Content-Type': 'application/xml',
+      'X-Editor-ID': localStorage.getItem('dayz-editor:id') || 'unknown',
+    };
+    try {
+      if (eventsDirty) {
+        const res = await apiFetch(eventsUrl(source), {
+          method: 'PUT', headers, profileId: selectedProfileId, body: generateEventsXml(events),
+        });
+        if (!res.ok) throw new Error(`Failed to save ${source || 'events.xml'}: ${res.statusText}`);
+        setSavedEvents(events);
+        const [group, file] = source.split('/');
+        if (source) onGroupEventsChange?.(group, file, events);
+        if (source && !eventsFilesByGroup[group]?.length) onEventsFileRegistered?.();
+      }
+      if (spawnsDirty) {
+        const res = await apiFetch('/api/eventspawns', {
+          method: 'PUT', headers, profileId: selectedProfileId, body: generateEventSpawnsXml(spawns),
+        });
+        if (!res.ok) throw new Error(`Failed to save cfgeventspawns.xml: ${res.statusText}`);
+        setSavedSpawns(spawns);
+      }
+      flash('ok');
+    } catch (e: any) { flash('error', e.message); }
+  };
+
+  const spawnByName = useMemo(() => new Map(spawns.map(s => [s.name, s])), [spawns]);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q ? events.filter(ev => ev.name.toLowerCase().includes(q)) : events;
+  }, [events, search]);
+
+  const selected = events.find(ev => ev.name === selectedName) || null;
+  const selectedSpawn = selectedName ? spawnByName.get(selectedName) || null : null;
+
+  const selectEvent = (name: string) => {
+    setSelectedName(name);
+    setSelectedPosIdx(null);
+  };
+
+  const newNameError = useMemo(() => {
+    const v = newName.trim();
+    if (!v) return null;
+    if (!/^[A-Za-z0-9_]+$/.test(v)) return 'Letters, numbers and underscore only';
+    if (events.some(ev => ev.name.toLowerCase() === v.toLowerCase())) return 'An event with this name already exists';
+    return null;
+  }, [newName, events]);
+
+  const addEvent = () => {
+    const name = newName.trim();
+    if (!name || newNameError) return;
+    const ev: DayZEvent = {
+      name, nominal: 0, min: 0, max: 0, lifetime: 3600, restock: 0,
+      saferadius: 500, distanceradius: 500, cleanupradius: 200,
+      flags: { deletable: false, init_random: false, remove_damaged: true },
+      position: 'fixed', limit: 'child', active: true, children: [],
+    };
+    setEvents([...events, ev]);
+    setNewName('');
+    selectEvent(name);
+  };
+
+  const deleteEvent = (name: string) => {
+    setEvents(events.filter(ev => ev.name !== name));
+    setSelectedName(null);
+    setSelectedPosIdx(null);
+  };
+
+  const updateEvent = (patch: Partial<DayZEvent>) => {
+    if (!selected) return;
+    setEvents(events.map(ev => (ev.name === selected.name ? { ...ev, ...patch } : ev)));
+  };
+
+  const updateChild = (idx: number, patch: Partial<EventChild>) => {
+    if (!selected) return;
+    updateEvent({ children: selected.children.map((c, i) => (i === idx ? { ...c, ...patch } : c)) });
+  };
+
+  const addChild = () => {
+    if (!selected) return;
+    updateEvent({ children: [...selected.children, { type: '', min: 1, max: 1, lootmin: 0, lootmax: 0 }] });
+  };
+
+  const removeChild = (idx: number) => {
+    if (!selected) return;
+    updateEvent({ children: selected.children.filter((_, i) => i !== idx) });
+  };
+
+  // --- Spawn positions -------------------------------------------------------
+
+  const setPositions = (positions: EventSpawn['positions']) => {
+    if (!selected) return;
+    if (spawnByName.has(selected.name)) {
+      setSpawns(spawns.map(s => (s.name === selected.name ? { ...s, positions } : s)));
+    } else {
+      setSpawns([...spawns, { name: selected.name, zone: null, positions }]);
+    }
+  };
+
+  const drops: DropLocation[] = useMemo(
+    () => (selectedSpawn?.positions || []).map((p, i) => ({ Name: `${selectedSpawn!.name} ${i + 1}`, x: p.x, z: p.z, Radius: 0 })),
+    [selectedSpawn]);
+
+  const handleMapChange = (next: DropLocation[]) => {
+    const current = selectedSpawn?.positions || [];
+    setPositions(next.map((d, i) => ({ ...current[i], x: Math.round(d.x), z: Math.round(d.z) })));
+  };
+
+  const addPosition = () => {
+    const current = selectedSpawn?.positions || [];
+    const half = Math.round(map.worldSize / 2);
+    setPositions([...current, { x: half, z: half, a: 0 }]);
+    setSelectedPosIdx(current.length);
+  };
+
+  const removePosition = (idx: number) => {
+    setPositions((selectedSpawn?.positions || []).filter((_, i) => i !== idx));
+    setSelectedPosIdx(null);
+  };
+
+  const selectedPos = selectedPosIdx !== null ? selectedSpawn?.positions[selectedPosIdx] : undefined;
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Events</h1>
+            <p className="text-xs text-gray-500">Edit <code>db/events.xml</code> or a group's events file, and the spawn positions in <code>cfgeventspawns.xml</code></p>
+          </div>
+          <div className="flex items-center gap-3">
+            {saveState.kind === 'ok' && (
+              <span className="flex items-center gap-1.5 text-sm text-success-600"><CheckCircle size={16} /> Saved</span>
+            )}
+            {saveState.kind === 'error' && (
+              <span className="flex items-center gap-1.5 text-sm text-error-600"><AlertCircle size={16} /> {saveState.message}</span>
+            )}
+            <Select size="sm" className="w-64" value={source} options={sourceOptions}
+              onChange={(e) => changeSource(e.target.value)} />
+            <Button size="sm" variant="secondary-gray" icon={RefreshCcw01} onClick={() => load(source, true)} disabled={loading}>Reload</Button>
+            <Button size="sm" variant="primary" icon={Save01} onClick={save}
+              disabled={(!eventsDirty && !spawnsDirty) || saveState.kind === 'saving'}>
+              Save Events
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      {loading && !events.length ? (
+        <div className="flex-1 flex items-center justify-center">
+          <RefreshCcw01 className="animate-spin text-primary-600" size={32} />
+        </div>
+      ) : (
+        <div className="flex-1 flex overflow-hidden">
+          <aside className="w-72 border-r border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50 overflow-auto flex flex-col">
+            <div className="p-3 space-y-2 border-b border-gray-200 dark:border-gray-800">
+              <Input size="sm" icon={SearchLg} placeholder="Filter events…" value={search}
+                onChange={(e) => setSearch(e.target.value)} />
+              <div className="flex items-start gap-2">
+                <Input size="sm" placeholder="New event name" value={newName} error={newNameError || undefined}
+                  onChange={(e) => setNewName(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') addEvent(); }} />
+                <Button size="sm" variant="secondary-gray" icon={Plus} onClick={addEvent}
+                  disabled={!newName.trim() || !!newNameError} />
+              </div>
+            </div>
+            <div className="p-2 space-y-1">
+              {filtered.length === 0 && (
+                <p className="p-3 text-xs text-gray-400">No events found.</p>
+              )}
+              {filtered.map(ev => {
+                const count = spawnByName.get(ev.name)?.positions.length ?? 0;
+                return (
+                  <button key={ev.name} onClick={() => selectEvent(ev.name)}
+                    className={cx('w-full text-left p-3 rounded-lg border transition-all',
+                      selectedName === ev.name ? 'bg-white dark:bg-gray-800 border-primary-200 dark:border-primary-800 shadow-sm'
+                        : 'border-transparent hover:bg-gray-100 dark:hover:bg-gray-800/50')}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-semibold truncate">{ev.name}</span>
+                      <Badge size="sm" color={ev.active ? 'success' : 'gray'}>{ev.active ? 'active' : 'off'}</Badge>
+                    </div>
+                    <span className="text-xs text-gray-400 truncate block">
+                      N{ev.nominal} · {ev.min}–{ev.max} · {count} position{count === 1 ? '' : 's'}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </aside>
+
+          {!selected ? (
+            <div className="flex-1 flex flex-col items-center justify-center text-center">
+              <MarkerPin01 size={40} className="text-gray-200 mb-3" />
+              <h3 className="text-base font-bold text-gray-900 dark:text-white">Select an event</h3>
+              <p className="text-sm text-gray-500 max-w-xs">Choose an event to edit its parameters, children and spawn positions.</p>
+            </div>
+          ) : (
+            <div className="flex-1 p-6 overflow-auto">
+              <div className="grid grid-cols-2 gap-6 max-w-6xl">
+                <div className="space-y-4">
+                  <div className="flex items-center justify-between gap-2">
+                    <h3 className="text-lg font-bold text-gray-900 dark:text-white">{selected.name}</h3>
+                    <Button size="sm" variant="error-secondary" icon={Trash01} onClick={() => deleteEvent(selected.name)}>Delete event</Button>
+                  </div>
+                  <div className="p-4 space-y-3 rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50">
+                    <div className="grid grid-cols-2 gap-4">
+                      {NUM_FIELDS.map(({ key, label, suffix, hint }) => (
+                        <Input key={key} size="sm" label={label} type="number" suffix={suffix} hint={hint}
+                          value={selected[key]} onChange={(e) => updateEvent({ [key]: Number(e.target.value) } as Partial<DayZEvent>)} />
+                      ))}
+                      <Select size="sm" label="Position" value={selected.position} options={POSITION_OPTIONS}
+                        onChange={(e) => updateEvent({ position: e.target.value })} />
+                      <Select size="sm" label="Limit" value={selected.limit} options={LIMIT_OPTIONS}
+                        onChange={(e) => updateEvent({ limit: e.target.value })} />
+                    </div>
+                    <Input size="sm" label="Secondary event" value={selected.secondary ?? ''}
+                      onChange={(e) => updateEvent({ secondary: e.target.value || undefined })} />
+                    <Toggle label="Active" isSelected={selected.active} onChange={(v) => updateEvent({ active: v })} />
+                    <Toggle label="Deletable" isSelected={selected.flags.deletable}
+                      onChange={(v) => updateEvent({ flags: { ...selected.flags, deletable: v } })} />
+                    <Toggle label="Init random" isSelected={selected.flags.init_random}
+                      onChange={(v) => updateEvent({ flags: { ...selected.flags, init_random: v } })} />
+                    <Toggle label="Remove damaged" isSelected={selected.flags.remove_damaged}
+                      onChange={(v) => updateEvent({ flags: { ...selected.flags, remove_damaged: v } })} />
+                  </div>
+
+                  <div className="p-4 space-y-3 rounded-xl border border-gray-200 dark:border-gray-800">
+                    <div className="flex items-center justify-between">
+                      <span className="text-xs font-bold uppercase tracking-wider text-gray-400">Children</span>
+                      <Button size="xs" variant="secondary-gray" icon={Plus} onClick={addChild} />
+                    </div>
+                    {selected.children.length === 0 && (
+                      <p className="text-xs text-gray-400">No children. Click + to add a spawned class.</p>
+                    )}
+                    {selected.children.map((c, i) => (
+                      <div key={i} className="grid grid-cols-[1fr_repeat(4,4.5rem)_auto] gap-2 items-end">
+                        <Input size="sm" label={i === 0 ? 'Type' : undefined} value={c.type}
+                          onChange={(e) => updateChild(i, { type: e.target.value })} />
+                        <Input size="sm" label={i === 0 ? 'Min' : undefined} type="number" value={c.min}
+                          onChange={(e) => updateChild(i, { min: Number(e.target.value) })} />
+                        <Input size="sm" label={i === 0 ? 'Max' : undefined} type="number" value={c.max}
+                          onChange={(e) => updateChild(i, { max: Number(e.target.value) })} />
+                        <Input size="sm" label={i === 0 ? 'Loot min' : undefined} type="number" value={c.lootmin}
+                          onChange={(e) => updateChild(i, { lootmin: Number(e.target.value) })} />
+                        <Input size="sm" label={i === 0 ? 'Loot max' : undefined} type="number" value={c.lootmax}
+                          onChange={(e) => updateChild(i, { lootmax: Number(e.target.value) })} />
+                        <Button size="sm" variant="error-secondary" icon={Trash01} onClick={() => removeChild(i)} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="space-y-3">
+                  <div className="flex items-center justify-between">
+                    <span className="text-xs font-bold uppercase tracking-wider text-gray-400">
+                      Spawn positions ({selectedSpawn?.positions.length ?? 0})
+                    </span>
+                    <div className="flex items-center gap-2">
+                      {selectedPosIdx !== null && (
+                        <Button size="sm" variant="error-secondary" icon={Trash01} onClick={() => removePosition(selectedPosIdx)}>Remove</Button>
+                      )}
+                      <Button size="sm" variant="secondary-gray" icon={Plus} onClick={addPosition}>Add position</Button>
+                    </div>
+                  </div>
+                  <AirdropDropLocationMap map={map} locations={drops} selectedIndex={selectedPosIdx}
+                    onSelect={setSelectedPosIdx} onChange={handleMapChange} labelPrefix={selected.name} resizable={false} />
+                  {selectedPos && selectedPosIdx !== null && (
+                    <div className="grid grid-cols-3 gap-2">
+                      <Input size="sm" label="X" type="number" value={selectedPos.x}
+                        onChange={(e) => setPositions(selectedSpawn!.positions.map((p, i) => (i === selectedPosIdx ? { ...p, x: Number(e.target.value) } : p)))} />
+                      <Input size="sm" label="Z" type="number" value={selectedPos.z}
+                        onChange={(e) => setPositions(selectedSpawn!.positions.map((p, i) => (i === selectedPosIdx ? { ...p, z: Number(e.target.value) } : p)))} />
+                      <Input size="sm" label="Angle" type="number" suffix="°" value={selectedPos.a ?? ''}
+                        onChange={(e) => setPositions(selectedSpawn!.positions.map((p, i) => (i === selectedPosIdx ? { ...p, a: Number(e.target.value) } : p)))} />
+                    </div>
+                  )}
+                  {!selectedSpawn && (
+                    <p className="text-xs text-gray-400">
+                      This event has no entry in <code>cfgeventspawns.xml</code>. Adding a position creates one.
+                    </p>
+                  )}
+                </div>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
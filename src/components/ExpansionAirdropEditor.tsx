@@ -18,7 +18,7 @@ import { Loadout, LoadoutNode } from '@/types/loadouts';
 import { expansionAirdropToLoadout } from '@/utils/loadouts';
 import { missionSelectionOdds } from '@/utils/airdropSimulator';
 import { cx } from '@/utils/cx';
-import { apiFetch } from '@/utils/api';
+import { apiFetch, rememberEtag } from '@/utils/api';
 import { useMapMetadata } from '@/hooks/useMapMetadata';
 import { MapMetadata } from '@/consts/maps';
 import { AirdropLootEditor } from './airdrop/AirdropLootEditor';
@@ -344,7 +344,12 @@ export const ExpansionAirdropEditor: React.FC<ExpansionAirdropEditorProps> = ({
         setSettings(fallback);
         setSavedSettings(fallback);
       }
-      const builtMissions = mRes.ok ? buildMissions(await mRes.json(), map.worldSize) : [];
+      const missionFiles = mRes.ok ? await mRes.json() : [];
+      // Each mission carries its file's ETag, which the mission PUT (?file=) sends back as If-Match.
+      for (const m of missionFiles) {
+        rememberEtag(`/api/expansion/airdrop-missions?file=${encodeURIComponent(m.file)}`, selectedProfileId, m.etag);
+      }
+      const builtMissions = mRes.ok ? buildMissions(missionFiles, map.worldSize) : [];
       if (mRes.ok) setMissions(builtMissions);
       if (msRes.ok) {
         const data = await msRes.json();
@@ -2009,7 +2014,11 @@ const MissionsTab: React.FC<MissionsTabProps> = ({
     const m = missions[idx];
     if (!m.isNew) {
       try {
-        await apiFetch(`/api/expansion/airdrop-missions?file=${encodeURIComponent(m.file)}`, { method: 'DELETE', profileId: selectedProfileId });
+        const res = await apiFetch(`/api/expansion/airdrop-missions?file=${encodeURIComponent(m.file)}`, { method: 'DELETE', profileId: selectedProfileId });
+        if (res.status === 409 || res.status === 428) {
+          setSaveState({ kind: 'error', message: `${m.file} was changed on the server since it was loaded; reload the missions before deleting it.` });
+          return;
+        }
       } catch (e) {
         console.error('Failed to delete mission file', m.file, e);
       }
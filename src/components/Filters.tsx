@@ -25,6 +25,8 @@ export interface FilterState {
   flags: string[];
   groups: string[];
   changeFilter: 'all' | 'changed' | 'unchanged';
+  /** Only types with catalog warnings (applied by TypesTable, which has catalog access). */
+  catalogWarningsOnly: boolean;
 }
 
 interface FiltersProps {
@@ -78,6 +80,7 @@ export default function Filters({
       tag: [],
       flags: [],
       changeFilter: 'all',
+      catalogWarningsOnly: false,
       groups: [],
     });
   };
@@ -245,6 +248,14 @@ export default function Filters({
               {filters.changeFilter === 'changed' && 'Show Unchanged Only'}
               {filters.changeFilter === 'unchanged' && 'Show All'}
             </Button>
+
+            <Button
+              variant={filters.catalogWarningsOnly ? 'secondary-color' : 'secondary-gray'}
+              className="w-full text-xs py-2 px-3"
+              onClick={() => setField('catalogWarningsOnly', !filters.catalogWarningsOnly)}
+            >
+              {filters.catalogWarningsOnly ? 'Show All' : 'Show Catalog Warnings Only'}
+            </Button>
           </div>
         </div>
 
@@ -9,6 +9,9 @@ import { Map as MapIcon, Maximize2, Zap, AlertCircle } from 'lucide-react';
 import moment from 'moment';
 import { useMapMetadata } from '../hooks/useMapMetadata';
 import { useMapPanZoom } from '@/hooks/useMapPanZoom';
+import { useHashRoute } from '@/hooks/useHashRoute';
+import { useAreaFlags } from '@/hooks/useAreaFlags';
+import { TierOverlay, TierOverlayControls } from './TierOverlay';
 import { cx } from '@/utils/cx';
 import { apiFetch } from '@/utils/api';
 import { buildPointGrid, countWithinRadius } from '@/utils/heatMapField';
@@ -60,6 +63,13 @@ export default function HeatMapModal({ onClose, selectedProfileId, missionName,
     /** Cursor readout: null while the dwell hasn't completed or there's no heat under the pointer. */
     const [hover, setHover] = useState<{ px: number; py: number; count: number } | null>(null);
 
+    // Value-tier overlay from areaflags.map. `?tiers=Tier3,Tier4` (the CLE tab's link) opens
+    // the map with those tiers already showing.
+    const { getParam } = useHashRoute();
+    const [tiersOn, setTiersOn] = useState(() => !!getParam('tiers'));
+    const [tierNames, setTierNames] = useState<string[]>(() => (getParam('tiers') || '').split(',').filter(Boolean));
+    const areaFlags = useAreaFlags(selectedProfileId, 'value', tiersOn);
+
     const canvasRef = useRef<HTMLCanvasElement>(null);
 
     // Shared with the Airdrop, Zones and Item Scan maps. Keyboard zoom is on because the
@@ -322,6 +332,18 @@ export default function HeatMapModal({ onClose, selectedProfileId, missionName,
                             Points: {coords.length}
                         </div>
                     </div>
+
+                    <div className="basis-full">
+                        <TierOverlayControls
+                            enabled={tiersOn}
+                            onEnabledChange={setTiersOn}
+                            data={areaFlags.data}
+                            selected={tierNames}
+                            onSelectedChange={setTierNames}
+                            loading={areaFlags.loading}
+                            error={areaFlags.error}
+                        />
+                    </div>
                 </div>
 
                 {/* Map Viewport */}
@@ -370,6 +392,7 @@ export default function HeatMapModal({ onClose, selectedProfileId, missionName,
                                 className="w-full h-full block pointer-events-none"
                             />
                         )}
+                        {tiersOn && areaFlags.data && <TierOverlay data={areaFlags.data} selected={tierNames} />}
                     </div>
 
                     {/* Overlay layer: untransformed, so blobs keep a constant on-screen size. */}
@@ -0,0 +1,258 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { Badge } from '@/components/base/badges/badges';
+import { Button } from '@/components/base/button/button';
+import { AlertCircle, Building07, RefreshCcw01, SearchLg, XClose } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import type { Type } from '@/utils/xml';
+import { useHashRoute } from '@/hooks/useHashRoute';
+import { useMapMetadata } from '@/hooks/useMapMetadata';
+import { useMapPanZoom } from '@/hooks/useMapPanZoom';
+import { useLootPositions, LootFlags } from '@/hooks/useLootPositions';
+import { MapZoomControls } from './MapZoomControls';
+
+interface LootPositionsViewProps {
+  selectedProfileId: string;
+  missionName?: string;
+  definitions: { categories: string[]; usageflags: string[]; valueflags: string[]; tags: string[] };
+  lootTypes: Type[];
+}
+
+/** Backing resolution of the building-dot canvas; it is stretched over the zoomed content box. */
+const CANVAS_SIZE = 2048;
+
+const EMPTY_FLAGS: LootFlags = { usage: [], value: [], category: '', tag: [] };
+
+const flagsOf = (t: Type): LootFlags => ({
+  usage: [...(t.usage || [])],
+  value: [...(t.value || [])],
+  category: t.category || '',
+  tag: [...(t.tag || [])],
+});
+
+/**
+ * Map Tools → Loot positions: which building prototypes in mapgroupproto.xml can host an
+ * item with a given usage/value/category/tag combination, how many loot points that is, and
+ * where those buildings sit (mapgrouppos.xml). Start from a type's own flags or set them by hand.
+ *
+ * Value tiers are normally decided by map position (areaflags.map), so the value filter only
+ * narrows prototypes that declare values themselves.
+ */
+export const LootPositionsView: React.FC<LootPositionsViewProps> = ({
+  selectedProfileId, missionName, definitions, lootTypes,
+}) => {
+  const map = useMapMetadata(missionName);
+  const { getParam, setParam } = useHashRoute();
+  const [flags, setFlags] = useState<LootFlags>(EMPTY_FLAGS);
+  const [typeName, setTypeName] = useState('');
+  const [typeSearch, setTypeSearch] = useState('');
+  const [highlight, setHighlight] = useState<string | null>(null);
+
+  const typeByName = useMemo(() => new Map(lootTypes.map(t => [t.name.toLowerCase(), t])), [lootTypes]);
+
+  const pickType = (name: string) => {
+    const t = typeByName.get(name.toLowerCase());
+    if (!t) return;
+    setTypeName(t.name);
+    setTypeSearch('');
+    setFlags(flagsOf(t));
+    setHighlight(null);
+    setParam('type', t.name);
+  };
+
+  // Deep link from the CLE tab: #/map-tools/loot-positions?type=<name>
+  const linkedType = getParam('type');
+  useEffect(() => {
+    if (linkedType && linkedType !== typeName) pickType(linkedType);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [linkedType, typeByName]);
+
+  const suggestions = useMemo(() => {
+    const q = typeSearch.trim().toLowerCase();
+    if (!q) return [];
+    return lootTypes.filter(t => t.name.toLowerCase().includes(q)).slice(0, 8);
+  }, [typeSearch, lootTypes]);
+
+  const { result, error, loading } = useLootPositions(selectedProfileId, flags.usage.length ? flags : null);
+
+  const toggle = (key: 'usage' | 'value' | 'tag', name: string) => {
+    const cur = flags[key];
+    setFlags({ ...flags, [key]: cur.includes(name) ? cur.filter(n => n !== name) : [...cur, name] });
+  };
+
+  const clear = () => {
+    setFlags(EMPTY_FLAGS);
+    setTypeName('');
+    setHighlight(null);
+    setParam('type', null);
+  };
+
+  const pickedType = typeName ? typeByName.get(typeName.toLowerCase()) : undefined;
+  const edited = !!pickedType && JSON.stringify(flags) !== JSON.stringify(flagsOf(pickedType));
+
+  // --- Map ------------------------------------------------------------------
+
+  const view = useMapPanZoom({ worldSize: map.worldSize, keyboardZoom: true });
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const positions = useMemo(() => result?.positions ?? [], [result]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!canvas || !ctx) return;
+    ctx.clearRect(0, 0, CANVAS_SIZE, CANVAS_SIZE);
+    const scale = CANVAS_SIZE / map.worldSize;
+    // Highlighted prototype last, so its dots sit on top.
+    const ordered = highlight
+      ? [...positions.filter(p => p.name !== highlight), ...positions.filter(p => p.name === highlight)]
+      : positions;
+    for (const p of ordered) {
+      const isHi = p.name === highlight;
+      ctx.fillStyle = isHi ? '#f97316' : highlight ? 'rgba(59,130,246,0.45)' : '#3b82f6';
+      ctx.beginPath();
+      ctx.arc(p.x * scale, CANVAS_SIZE - p.z * scale, isHi ? 5 : 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }, [positions, highlight, map.worldSize]);
+
+  const showImage = !!map.imagePath && !view.imageFailed;
+
+  const chips = (key: 'usage' | 'value' | 'tag', title: string, options: string[]) => (
+    <div className="space-y-1.5">
+      <span className="text-xs font-bold uppercase tracking-wider text-gray-400">{title}</span>
+      <div className="flex flex-wrap gap-1.5">
+        {options.map(name => {
+          const on = flags[key].includes(name);
+          return (
+            <button key={name} type="button" onClick={() => toggle(key, name)}
+              className={cx('px-2 py-0.5 rounded-md text-xs font-medium border transition-colors',
+                on ? 'bg-primary-50 border-primary-300 text-primary-700 dark:bg-primary-900/30 dark:border-primary-700 dark:text-primary-300'
+                  : 'border-gray-200 text-gray-500 hover:bg-gray-100 dark:border-gray-800 dark:hover:bg-gray-800')}>
+              {name}
+            </button>
+          );
+        })}
+        {options.length === 0 && <span className="text-xs text-gray-400">None defined.</span>}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Loot positions</h1>
+            <p className="text-xs text-gray-500">Buildings and loot points that can host an item, from <code>mapgroupproto.xml</code> and <code>mapgrouppos.xml</code></p>
+          </div>
+          <div className="flex items-center gap-3">
+            {loading && <RefreshCcw01 className="animate-spin text-primary-600" size={16} />}
+            {result && (
+              <Badge size="md" color={result.buildings ? 'brand' : 'warning'}>
+                {result.buildings} buildings / {result.points} points
+              </Badge>
+            )}
+            <Button size="sm" variant="secondary-gray" icon={XClose} onClick={clear}>Clear</Button>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 flex overflow-hidden">
+        <aside className="w-80 border-r border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50 overflow-auto p-4 space-y-5">
+          <div className="space-y-2">
+            <Input size="sm" icon={SearchLg} placeholder="Start from a type…" value={typeSearch}
+              onChange={(e) => setTypeSearch(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') pickType(suggestions[0]?.name || typeSearch.trim()); }} />
+            {suggestions.length > 0 && (
+              <div className="rounded-lg border border-gray-200 dark:border-gray-800 bg-white dark:bg-gray-900 divide-y divide-gray-100 dark:divide-gray-800">
+                {suggestions.map(t => (
+                  <button key={t.name} type="button" onClick={() => pickType(t.name)}
+                    className="w-full text-left px-3 py-1.5 text-sm hover:bg-gray-50 dark:hover:bg-gray-800 truncate">
+                    {t.name}
+                  </button>
+                ))}
+              </div>
+            )}
+            {typeName && (
+              <p className="text-xs text-gray-500">
+                Flags of <span className="font-semibold text-gray-700 dark:text-gray-300">{typeName}</span>
+                {edited && ' (edited)'}
+              </p>
+            )}
+          </div>
+          <Select size="sm" label="Category" value={flags.category || ''}
+            options={[{ label: '(Any)', value: '' }, ...definitions.categories.map(c => ({ label: c, value: c }))]}
+            onChange={(e) => setFlags({ ...flags, category: e.target.value })} />
+          {chips('usage', 'Usage', definitions.usageflags)}
+          {chips('value', 'Value', definitions.valueflags)}
+          {chips('tag', 'Tags', definitions.tags)}
+          <p className="text-xs text-gray-400">
+            Value tiers normally come from the map position (areaflags.map); this filter only narrows
+            building prototypes that declare a value themselves.
+          </p>
+        </aside>
+
+        <div className="flex-1 flex gap-4 p-6 overflow-hidden">
+          <div
+            ref={view.viewportRef}
+            {...view.viewportHandlers}
+            className={cx(
+              'relative flex-1 min-w-0 bg-gray-100 dark:bg-gray-900 rounded-xl overflow-hidden border border-gray-200 dark:border-gray-800 select-none touch-none',
+              view.isPanning ? 'cursor-grabbing' : view.canZoom && !view.atMin ? 'cursor-grab' : undefined
+            )}
+          >
+            <div style={view.contentStyle}>
+              {showImage ? (
+                <img src={map.imagePath} alt={map.displayName} {...view.imageProps}
+                  className="block h-full w-full opacity-90 pointer-events-none" />
+              ) : (
+                <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400 pointer-events-none">
+                  No map preview for "{map.displayName}"
+                </div>
+              )}
+              {/* World-space dots, so they live in the content box and scale with it. */}
+              <canvas ref={canvasRef} width={CANVAS_SIZE} height={CANVAS_SIZE}
+                className="absolute inset-0 h-full w-full pointer-events-none" />
+            </div>
+            {view.canZoom && <MapZoomControls map={view} />}
+          </div>
+
+          <div className="w-80 shrink-0 overflow-y-auto rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40">
+            {error ? (
+              <div className="flex items-start gap-2 p-4 text-sm text-error-600">
+                <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+              </div>
+            ) : !flags.usage.length ? (
+              <div className="p-6 flex flex-col items-center text-center gap-2">
+                <Building07 size={32} className="text-gray-300" />
+                <p className="text-sm text-gray-500">Pick a type or at least one usage flag. Items without usage never spawn in buildings.</p>
+              </div>
+            ) : result && result.prototypes.length === 0 ? (
+              <p className="p-4 text-sm text-warning-600">
+                No building prototype (of {result.prototypeCount}) matches these flags.
+              </p>
+            ) : (
+              <ul className="divide-y divide-gray-200 dark:divide-gray-800">
+                {(result?.prototypes || []).map(p => (
+                  <li key={p.name}
+                    onClick={() => setHighlight(highlight === p.name ? null : p.name)}
+                    className={cx('px-3 py-2 cursor-pointer hover:bg-white/60 dark:hover:bg-gray-950/40',
+                      highlight === p.name && 'bg-white dark:bg-gray-950/60')}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-900 dark:text-white truncate">{p.name}</span>
+                      <Badge size="sm" color="gray">×{p.instances}</Badge>
+                    </div>
+                    <p className="text-[11px] text-gray-500">
+                      {p.pointsEach} point{p.pointsEach === 1 ? '' : 's'} each · {p.containers.join(', ')}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
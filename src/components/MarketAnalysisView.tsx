@@ -0,0 +1,380 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, ArrowRight, RefreshCw, Save } from 'lucide-react';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import type { Type } from '@/utils/xml';
+import { putMarketCategory, type MarketCategory } from '@/utils/market';
+import {
+  applyPriceChanges,
+  planMarketRule,
+  tierOf,
+  type CleInfo,
+  type MarketAnalysis,
+  type MarketAnalysisRow,
+  type MarketRule,
+} from '@/utils/marketRules';
+
+interface MarketAnalysisViewProps {
+  selectedProfileId: string;
+  lootTypes: Type[];
+}
+
+type Metric = 'price' | 'stock';
+type ActionKind = 'multiply-price' | 'multiply-stock' | 'nominal';
+
+// Chart box in SVG user units; the svg stretches to the section's width.
+const W = 640;
+const H = 260;
+const PAD = 8;
+
+/** Same colours as the map's tier overlay, so Tier4 reads red everywhere. */
+const TIER_COLORS: Record<string, string> = {
+  tier1: 'rgb(34,197,94)',
+  tier2: 'rgb(234,179,8)',
+  tier3: 'rgb(249,115,22)',
+  tier4: 'rgb(239,68,68)',
+  unique: 'rgb(168,85,247)',
+};
+const OTHER_COLOR = 'rgb(156,163,175)';
+
+/** Preview rows rendered before "+N more". */
+const PREVIEW_ROWS = 200;
+
+const ALL = '';
+
+/** log10 scale over [lo, hi] onto [0, size]; values at or below 0 sit on the axis. */
+const logScale = (lo: number, hi: number, size: number) => {
+  const a = Math.log10(Math.max(1, lo));
+  const b = Math.max(a + 1, Math.log10(Math.max(1, hi)));
+  return (v: number) => ((Math.log10(Math.max(1, v)) - a) / (b - a)) * size;
+};
+
+/**
+ * Add-Ons → Expansion → Market analysis: every market item's price or stock range against its
+ * CLE nominal and value tier, the buy/sell loops the price settings allow, and bulk repricing
+ * rules previewed as a field-by-field diff before the category files are written.
+ */
+export const MarketAnalysisView: React.FC<MarketAnalysisViewProps> = ({ selectedProfileId, lootTypes }) => {
+  const [analysis, setAnalysis] = useState<MarketAnalysis | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [reloadTick, setReloadTick] = useState(0);
+  const [metric, setMetric] = useState<Metric>('price');
+
+  const [scopeCategory, setScopeCategory] = useState(ALL);
+  const [scopeCle, setScopeCle] = useState(ALL);
+  const [scopeTier, setScopeTier] = useState(ALL);
+  const [scopeName, setScopeName] = useState('');
+  const [actionKind, setActionKind] = useState<ActionKind>('multiply-price');
+  const [factor, setFactor] = useState('1.2');
+  const [base, setBase] = useState('10000');
+  const [exponent, setExponent] = useState('0.5');
+  const [writing, setWriting] = useState(false);
+  const [status, setStatus] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await apiFetch('/api/market/analysis', { profileId: selectedProfileId });
+        const body = await res.json().catch(() => null);
+        if (cancelled) return;
+        if (!res.ok || !body) {
+          setError((body && body.error) || `Failed to load the market (HTTP ${res.status}).`);
+          return;
+        }
+        setAnalysis(body);
+      } catch {
+        if (!cancelled) setError('Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedProfileId, reloadTick]);
+
+  const cle = useMemo(() => {
+    const map = new Map<string, CleInfo>();
+    for (const t of lootTypes) map.set(t.name.toLowerCase(), { nominal: t.nominal, category: t.category, value: t.value || [] });
+    return map;
+  }, [lootTypes]);
+
+  const rows = useMemo(() => analysis?.items || [], [analysis]);
+  const plotted = useMemo(() => rows.filter(r => (cle.get(r.className)?.nominal || 0) > 0), [rows, cle]);
+
+  const options = useMemo(() => {
+    const sorted = (s: Set<string>) => [...s].sort((a, b) => a.localeCompare(b));
+    const categories = new Set<string>();
+    const cleCategories = new Set<string>();
+    const tiers = new Set<string>();
+    for (const r of rows) {
+      categories.add(r.category);
+      const info = cle.get(r.className);
+      if (info?.category) cleCategories.add(info.category);
+      for (const v of info?.value || []) tiers.add(v);
+    }
+    return { categories: sorted(categories), cleCategories: sorted(cleCategories), tiers: sorted(tiers) };
+  }, [rows, cle]);
+
+  const rule = useMemo<MarketRule>(() => ({
+    scope: {
+      marketCategory: scopeCategory || undefined,
+      cleCategory: scopeCle || undefined,
+      tier: scopeTier || undefined,
+      name: scopeName.trim() || undefined,
+    },
+    action: actionKind === 'nominal'
+      ? { kind: 'nominal', base: parseFloat(base), exponent: parseFloat(exponent) }
+      : { kind: 'multiply', target: actionKind === 'multiply-price' ? 'price' : 'stock', factor: parseFloat(factor) },
+  }), [scopeCategory, scopeCle, scopeTier, scopeName, actionKind, factor, base, exponent]);
+
+  const changes = useMemo(() => planMarketRule(rows, cle, rule), [rows, cle, rule]);
+  const touchedCategories = useMemo(() => [...new Set(changes.map(c => c.category))], [changes]);
+
+  const applyRule = useCallback(async () => {
+    if (!changes.length) return;
+    setWriting(true);
+    setStatus(null);
+    const failed: string[] = [];
+    for (const name of touchedCategories) {
+      try {
+        // Re-read each file so edits made elsewhere since the analysis loaded are kept.
+        const res = await apiFetch(`/api/market/category/${encodeURIComponent(name)}`, { profileId: selectedProfileId });
+        if (!res.ok) { failed.push(name); continue; }
+        const json: MarketCategory = await res.json();
+        const put = await putMarketCategory(selectedProfileId, name, applyPriceChanges(json, name, changes));
+        if (!put.ok) failed.push(name);
+      } catch {
+        failed.push(name);
+      }
+    }
+    setWriting(false);
+    setStatus(failed.length
+      ? `Failed to write ${failed.join(', ')}.`
+      : `Wrote ${changes.length} change${changes.length === 1 ? '' : 's'} to ${touchedCategories.length} categor${touchedCategories.length === 1 ? 'y' : 'ies'}.`);
+    setReloadTick(t => t + 1);
+  }, [changes, touchedCategories, selectedProfileId]);
+
+  const chart = useMemo(() => {
+    const lo = (r: MarketAnalysisRow) => (metric === 'price' ? r.minPrice : r.minStock);
+    const hi = (r: MarketAnalysisRow) => (metric === 'price' ? r.maxPrice : r.maxStock);
+    const nominals = plotted.map(r => cle.get(r.className)!.nominal);
+    const values = plotted.flatMap(r => [lo(r), hi(r)]);
+    const xMax = Math.max(1, ...nominals);
+    const yMax = Math.max(1, ...values);
+    const x = logScale(1, xMax, W - 2 * PAD);
+    const y = logScale(1, yMax, H - 2 * PAD);
+    return {
+      xMax,
+      yMax,
+      points: plotted.map(r => {
+        const info = cle.get(r.className)!;
+        const tier = tierOf(info);
+        return {
+          key: `${r.category}/${r.className}`,
+          x: PAD + x(info.nominal),
+          y1: H - PAD - y(lo(r)),
+          y2: H - PAD - y(hi(r)),
+          color: (tier && TIER_COLORS[tier.toLowerCase()]) || OTHER_COLOR,
+          label: `${r.className} (${r.category}) · nominal ${info.nominal}${tier ? ` · ${tier}` : ''} · ${metric} ${lo(r)}–${hi(r)}`,
+        };
+      }),
+    };
+  }, [plotted, cle, metric]);
+
+  const card = (label: string, value: React.ReactNode, hint?: string) => (
+    <div className="flex-1 rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40 px-4 py-3">
+      <p className="text-xs font-bold uppercase tracking-wider text-gray-400">{label}</p>
+      <p className="text-2xl font-semibold text-gray-900 dark:text-white">{value}</p>
+      {hint && <p className="text-xs text-gray-500">{hint}</p>}
+    </div>
+  );
+
+  const optionList = (all: string, values: string[]) => [{ label: all, value: ALL }, ...values.map(v => ({ label: v, value: v }))];
+  const arbitrage = analysis?.arbitrage || [];
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Market analysis</h1>
+            <p className="text-xs text-gray-500">Prices and stock across every market category, against CLE nominal and value tier</p>
+          </div>
+          <Button size="sm" variant="secondary-gray" icon={RefreshCw} onClick={() => setReloadTick(t => t + 1)} disabled={loading}>
+            Reload
+          </Button>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-auto p-6 space-y-6">
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+
+        <div className="flex gap-4">
+          {card('Items', rows.length.toLocaleString(), `${options.categories.length} categories`)}
+          {card('Plotted', plotted.length.toLocaleString(), `${rows.length - plotted.length} without a CLE type or nominal`)}
+          {card('Arbitrage loops', arbitrage.length, arbitrage.length ? 'Sell price above a buy price' : 'None found')}
+          {card('Default sell', `${analysis?.sellPricePercent ?? '–'}%`, 'MarketSettings.json, for items at -1')}
+        </div>
+
+        <section className="space-y-3">
+          <div className="flex items-center justify-between gap-4">
+            <div className="flex items-center gap-3">
+              <Badge color="brand" size="sm" type="modern">{metric === 'price' ? 'Price' : 'Stock'} vs nominal</Badge>
+              <div className="flex items-center gap-3 text-[11px] text-gray-500">
+                {Object.entries(TIER_COLORS).map(([tier, color]) => (
+                  <span key={tier} className="inline-flex items-center gap-1 capitalize">
+                    <span className="size-2 rounded-full" style={{ background: color }} /> {tier}
+                  </span>
+                ))}
+                <span className="inline-flex items-center gap-1">
+                  <span className="size-2 rounded-full" style={{ background: OTHER_COLOR }} /> other
+                </span>
+              </div>
+            </div>
+            <Select
+              size="sm"
+              className="w-40"
+              value={metric}
+              onChange={e => setMetric(e.target.value as Metric)}
+              options={[{ label: 'Min/max price', value: 'price' }, { label: 'Min/max stock', value: 'stock' }]}
+            />
+          </div>
+          <div className="rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40 p-4">
+            <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-64 overflow-visible">
+              <line x1={PAD} x2={W - PAD} y1={H - PAD} y2={H - PAD} className="stroke-gray-300 dark:stroke-gray-700" vectorEffect="non-scaling-stroke" />
+              <line x1={PAD} x2={PAD} y1={PAD} y2={H - PAD} className="stroke-gray-300 dark:stroke-gray-700" vectorEffect="non-scaling-stroke" />
+              {chart.points.map(p => (
+                <g key={p.key}>
+                  <title>{p.label}</title>
+                  <line x1={p.x} x2={p.x} y1={p.y1} y2={p.y2} stroke={p.color} strokeOpacity={0.5} strokeWidth={2} vectorEffect="non-scaling-stroke" />
+                  <circle cx={p.x} cy={p.y2} r={2.5} fill={p.color} />
+                </g>
+              ))}
+            </svg>
+            <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+              <span>nominal 1 · {metric} 1</span>
+              <span>log scales; each line runs from min to max</span>
+              <span>nominal {chart.xMax.toLocaleString()} · {metric} {chart.yMax.toLocaleString()}</span>
+            </div>
+          </div>
+        </section>
+
+        {arbitrage.length > 0 && (
+          <section className="space-y-3">
+            <Badge color="warning" size="sm" type="modern">Arbitrage loops</Badge>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                  <th className="py-2 pr-3">Item</th>
+                  <th className="py-2 px-3">Buy</th>
+                  <th className="py-2 px-3">Sell</th>
+                  <th className="py-2 pl-3 text-right">Profit per loop</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                {arbitrage.map((a, i) => (
+                  <tr key={`${a.className}/${a.buyCategory}/${a.sellCategory}/${i}`}>
+                    <td className="py-1.5 pr-3 font-medium text-gray-900 dark:text-white">
+                      {a.className}
+                      {a.kind === 'self' && <span className="ml-2 text-xs text-gray-400">sell % above 100</span>}
+                    </td>
+                    <td className="py-1.5 px-3 text-gray-600 dark:text-gray-300">{a.buyCategory} @ {a.buyPrice.toLocaleString()}</td>
+                    <td className="py-1.5 px-3 text-gray-600 dark:text-gray-300">{a.sellCategory} @ {a.sellPrice.toLocaleString()}</td>
+                    <td className="py-1.5 pl-3 text-right tabular-nums text-warning-600">+{a.profit.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        )}
+
+        <section className="space-y-3">
+          <Badge color="brand" size="sm" type="modern">Bulk rule</Badge>
+          <div className="rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40 p-4 space-y-4">
+            <div className="grid grid-cols-4 gap-3">
+              <Select label="Market category" size="sm" value={scopeCategory} onChange={e => setScopeCategory(e.target.value)}
+                options={optionList('All categories', options.categories)} />
+              <Select label="CLE category" size="sm" value={scopeCle} onChange={e => setScopeCle(e.target.value)}
+                options={optionList('Any', options.cleCategories)} />
+              <Select label="Value tier" size="sm" value={scopeTier} onChange={e => setScopeTier(e.target.value)}
+                options={optionList('Any', options.tiers)} />
+              <Input label="Name contains" size="sm" value={scopeName} onChange={e => setScopeName(e.target.value)} />
+            </div>
+            <div className="grid grid-cols-4 gap-3 items-end">
+              <Select label="Action" size="sm" value={actionKind} onChange={e => setActionKind(e.target.value as ActionKind)}
+                options={[
+                  { label: 'Multiply prices', value: 'multiply-price' },
+                  { label: 'Multiply stock', value: 'multiply-stock' },
+                  { label: 'Price from nominal', value: 'nominal' },
+                ]} />
+              {actionKind === 'nominal' ? (
+                <>
+                  <Input label="Base price" type="number" size="sm" value={base} onChange={e => setBase(e.target.value)} />
+                  <Input label="Exponent" type="number" size="sm" value={exponent} onChange={e => setExponent(e.target.value)} />
+                  <p className="text-[11px] text-gray-500 pb-2">Max price = base × nominal<sup>−exponent</sup>; min keeps its ratio to max.</p>
+                </>
+              ) : (
+                <Input label="Factor" type="number" size="sm" value={factor} onChange={e => setFactor(e.target.value)} />
+              )}
+            </div>
+
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-xs text-gray-500">
+                {changes.length
+                  ? `${changes.length} change${changes.length === 1 ? '' : 's'} in ${touchedCategories.length} categor${touchedCategories.length === 1 ? 'y' : 'ies'}`
+                  : 'No items would change.'}
+              </p>
+              <div className="flex items-center gap-3">
+                {status && <span className="text-xs text-gray-500">{status}</span>}
+                <Button size="sm" icon={Save} onClick={applyRule} disabled={!changes.length || writing}>
+                  {writing ? 'Writing…' : 'Write categories'}
+                </Button>
+              </div>
+            </div>
+
+            {changes.length > 0 && (
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                    <th className="py-2 pr-3">Category</th>
+                    <th className="py-2 px-3">Item</th>
+                    <th className="py-2 px-3">Field</th>
+                    <th className="py-2 pl-3 text-right">Change</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {changes.slice(0, PREVIEW_ROWS).map(c => (
+                    <tr key={`${c.category}/${c.className}/${c.field}`}>
+                      <td className="py-1 pr-3 text-gray-500">{c.category}</td>
+                      <td className="py-1 px-3 font-medium text-gray-900 dark:text-white">{c.className}</td>
+                      <td className="py-1 px-3 text-gray-500">{c.field}</td>
+                      <td className="py-1 pl-3 text-right tabular-nums">
+                        <span className="text-gray-400">{c.from.toLocaleString()}</span>
+                        <ArrowRight size={12} className="inline mx-1.5 text-gray-400" />
+                        <span className={cx(c.to > c.from ? 'text-warning-600' : 'text-success-600')}>{c.to.toLocaleString()}</span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+            {changes.length > PREVIEW_ROWS && (
+              <p className="text-xs text-gray-400">+{changes.length - PREVIEW_ROWS} more not shown; all are written.</p>
+            )}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+};
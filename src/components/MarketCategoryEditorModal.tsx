@@ -17,6 +17,7 @@ import {
 } from '@untitledui/icons';
 import { cx } from '@/utils/cx';
 import { apiFetch } from '@/utils/api';
+import { removeItemCompletely, removeItemError } from '@/utils/market';
 
 interface MarketItem {
   ClassName: string;
@@ -272,18 +273,10 @@ export default function MarketCategoryEditorModal({ onClose, selectedProfileId,
       setBusy(true);
       setError(null);
       setNotice(null);
-      const res = await apiFetch('/api/market/remove-item-completely', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'X-Editor-ID': editorID || 'unknown'
-        },
-        profileId: selectedProfileId,
-        body: JSON.stringify({ className })
-      });
+      const res = await removeItemCompletely(selectedProfileId, className, editorID || 'unknown');
       if (!res.ok) {
-        const msg = await res.text().catch(() => '');
-        throw new Error(`Removal failed (${res.status}) ${msg}`);
+        setError(await removeItemError(res));
+        return;
       }
       const json = await res.json();
       let msg = `Successfully removed "${className}" from ${json.results.marketFiles} market files and ${json.results.traderZoneFiles} trader zones.`;
@@ -291,7 +284,16 @@ export default function MarketCategoryEditorModal({ onClose, selectedProfileId,
         msg += ` Also removed from ${json.results.traderFiles} trader profiles.`;
       }
       setNotice(msg);
-      setItems(prev => prev.filter(it => String(it.ClassName).toLowerCase() !== String(className).toLowerCase()));
+      // The purge rewrote this category on the server (variants and attachments too): take that
+      // copy, and with it the ETag the next save from here needs.
+      const fresh = await apiFetch(`/api/market/category/${encodeURIComponent(selectedCategory)}`, { profileId: selectedProfileId });
+      if (fresh.ok) {
+        const freshJson = await fresh.json();
+        setCategoryJson(freshJson);
+        setItems(dedupeItemsByClassName(Array.isArray(freshJson.Items) ? freshJson.Items : []).map(x => ({ ...x })));
+      } else {
+        setItems(prev => prev.filter(it => String(it.ClassName).toLowerCase() !== String(className).toLowerCase()));
+      }
     } catch (e) {
       setError(String(e));
     } finally {
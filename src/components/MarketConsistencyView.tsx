@@ -0,0 +1,206 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, CheckCircle2, RefreshCw, Trash2 } from 'lucide-react';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { useCatalog } from '@/contexts/CatalogContext';
+import type { Type } from '@/utils/xml';
+import {
+  checkMarketConsistency,
+  type ConsistencyKind,
+  type MarketReference,
+} from '@/utils/marketConsistency';
+import { removeItemCompletely, removeItemError } from '@/utils/market';
+
+interface MarketConsistencyViewProps {
+  selectedProfileId: string;
+  lootTypes: Type[];
+}
+
+const KINDS: { id: ConsistencyKind; label: string }[] = [
+  { id: 'orphaned', label: 'Orphaned' },
+  { id: 'not-spawnable', label: 'Sold, not spawnable' },
+  { id: 'cheap-trader-only', label: 'Trader-only, cheap' },
+];
+
+const where = (r: MarketReference) => [
+  ...r.categories.map(c => `Category ${c}`),
+  ...r.variantOf.map(p => `Variant of ${p}`),
+  ...r.attachmentOf.map(p => `Attachment of ${p}`),
+  ...r.traders.map(t => `Trader ${t}`),
+  ...r.zones.map(z => `Zone ${z}`),
+];
+
+/**
+ * Add-Ons → Expansion → Market ↔ CLE: classnames the market categories, trader profiles and
+ * trader zones name, checked against the loaded types and the catalog. Each row can be purged
+ * from every market file with the same removal the category editor offers.
+ */
+export const MarketConsistencyView: React.FC<MarketConsistencyViewProps> = ({ selectedProfileId, lootTypes }) => {
+  const { catalogByName } = useCatalog();
+  const [references, setReferences] = useState<MarketReference[] | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [reloadTick, setReloadTick] = useState(0);
+  const [cheapPrice, setCheapPrice] = useState(100);
+  const [kind, setKind] = useState<ConsistencyKind | null>(null);
+  const [removing, setRemoving] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const res = await apiFetch('/api/market/references', { profileId: selectedProfileId });
+        const body = await res.json().catch(() => null);
+        if (cancelled) return;
+        if (!res.ok || !body) {
+          setError((body && body.error) || `Failed to load the market (HTTP ${res.status}).`);
+          return;
+        }
+        setReferences(body.references);
+      } catch {
+        if (!cancelled) setError('Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedProfileId, reloadTick]);
+
+  const types = useMemo(() => new Map(lootTypes.map(t => [t.name.toLowerCase(), { nominal: t.nominal }])), [lootTypes]);
+  const catalogNames = useMemo(
+    () => (catalogByName.size ? new Set([...catalogByName.keys()].map(n => n.toLowerCase())) : null),
+    [catalogByName],
+  );
+  const issues = useMemo(
+    () => checkMarketConsistency(references || [], types, { catalogNames, cheapPrice }),
+    [references, types, catalogNames, cheapPrice],
+  );
+  const counts = useMemo(() => {
+    const out: Partial<Record<ConsistencyKind, number>> = {};
+    for (const i of issues) out[i.kind] = (out[i.kind] || 0) + 1;
+    return out;
+  }, [issues]);
+  const shown = kind ? issues.filter(i => i.kind === kind) : issues;
+
+  const removeCompletely = async (className: string) => {
+    if (!window.confirm(`Are you sure you want to remove "${className}" from ALL category files and ALL trader zone stock records?\n\nThis action is irreversible.`)) return;
+    setRemoving(className);
+    setError(null);
+    setNotice(null);
+    try {
+      const res = await removeItemCompletely(selectedProfileId, className, localStorage.getItem('dayz-editor:id') || 'unknown');
+      if (!res.ok) {
+        setError(await removeItemError(res));
+        return;
+      }
+      const { results } = await res.json();
+      setNotice(`Removed "${className}" from ${results.marketFiles} market files, ${results.traderZoneFiles} trader zones and ${results.traderFiles} trader profiles.`);
+      setReloadTick(t => t + 1);
+    } catch (e) {
+      setError(String(e));
+    } finally {
+      setRemoving(null);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Market ↔ CLE</h1>
+            <p className="text-xs text-gray-500">Market, trader and trader zone classnames checked against the loaded types and the catalog</p>
+          </div>
+          <div className="flex items-end gap-3">
+            <Input
+              label="Cheap at or below"
+              type="number"
+              size="sm"
+              className="w-36"
+              value={String(cheapPrice)}
+              onChange={e => setCheapPrice(Math.max(0, parseInt(e.target.value) || 0))}
+            />
+            <Button size="sm" variant="secondary-gray" icon={RefreshCw} onClick={() => setReloadTick(t => t + 1)} disabled={loading}>
+              Reload
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-auto p-6 space-y-5">
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+        {notice && <p className="text-sm text-success-700 dark:text-success-400">{notice}</p>}
+        {!catalogNames && (
+          <p className="text-xs text-gray-500">No catalog yet, so orphaned entries can't be told apart. Connect the companion mod to check them.</p>
+        )}
+
+        <div className="flex items-center gap-1.5">
+          {[{ id: null, label: 'All' }, ...KINDS].map(k => (
+            <button key={k.id || 'all'} type="button" onClick={() => setKind(k.id as ConsistencyKind | null)}
+              className={cx('px-3 py-1.5 rounded-lg text-sm font-medium transition-colors inline-flex items-center gap-2',
+                kind === k.id
+                  ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                  : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800')}>
+              {k.label}
+              <Badge size="sm" color={(k.id ? counts[k.id] : issues.length) ? 'warning' : 'gray'}>
+                {k.id ? counts[k.id] || 0 : issues.length}
+              </Badge>
+            </button>
+          ))}
+        </div>
+
+        {references && !shown.length ? (
+          <p className="flex items-center gap-2 text-sm text-success-700 dark:text-success-400">
+            <CheckCircle2 size={16} /> Nothing to report across {references.length.toLocaleString()} classnames.
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                <th className="py-2 pr-3">Class</th>
+                <th className="py-2 px-3">Issue</th>
+                <th className="py-2 px-3">Named by</th>
+                <th className="py-2 px-3 text-right">Price</th>
+                <th className="py-2 pl-3" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+              {shown.map(({ kind: k, reference: r, message }) => (
+                <tr key={r.className} className="align-top">
+                  <td className="py-1.5 pr-3 font-medium text-gray-900 dark:text-white">{r.className}</td>
+                  <td className="py-1.5 px-3">
+                    <Badge size="sm" color={k === 'orphaned' ? 'error' : 'warning'}>{KINDS.find(x => x.id === k)?.label}</Badge>
+                    <p className="text-xs text-gray-500 mt-1">{message}</p>
+                  </td>
+                  <td className="py-1.5 px-3">
+                    <div className="flex flex-wrap gap-1">
+                      {where(r).map(w => <Badge key={w} size="sm" color="gray">{w}</Badge>)}
+                    </div>
+                  </td>
+                  <td className="py-1.5 px-3 text-right tabular-nums text-gray-600 dark:text-gray-300">
+                    {r.maxPrice === null ? '–' : `${r.minPrice?.toLocaleString()}–${r.maxPrice.toLocaleString()}`}
+                  </td>
+                  <td className="py-1.5 pl-3 text-right">
+                    <Button size="xs" variant="secondary-gray" icon={Trash2} disabled={removing !== null} onClick={() => removeCompletely(r.className)}>
+                      {removing === r.className ? 'Removing…' : 'Remove everywhere'}
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
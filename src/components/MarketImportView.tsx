@@ -0,0 +1,298 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, CheckCircle2, FileArchive, FolderOpen, Upload } from 'lucide-react';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { readZip } from '@/utils/zip.js';
+import { MARKET_FIELDS, type MarketCategory } from '@/utils/market';
+import {
+  applyImportChoices,
+  defaultImportChoice,
+  diffMarketPack,
+  parseMarketPack,
+  type ImportChoice,
+  type ImportRow,
+  type ImportStatus,
+  type MarketPack,
+} from '@/utils/marketImport';
+
+interface MarketImportViewProps {
+  selectedProfileId: string;
+}
+
+const STATUSES: { id: ImportStatus; label: string; color: 'success' | 'brand' | 'warning' | 'gray' }[] = [
+  { id: 'new-category', label: 'New category', color: 'brand' },
+  { id: 'new', label: 'New item', color: 'success' },
+  { id: 'changed', label: 'Changed', color: 'warning' },
+  { id: 'same', label: 'Identical', color: 'gray' },
+];
+
+const CHOICES: { id: ImportChoice; label: string }[] = [
+  { id: 'ours', label: 'Keep ours' },
+  { id: 'theirs', label: 'Take theirs' },
+  { id: 'merge', label: 'Merge prices' },
+];
+
+/** Every .json in the picked files, with zips opened; names keep their folder path. */
+async function readPackFiles(files: File[]): Promise<{ name: string; text: string }[]> {
+  const decoder = new TextDecoder();
+  const out: { name: string; text: string }[] = [];
+  for (const file of files) {
+    if (/\.zip$/i.test(file.name)) {
+      for (const entry of await readZip(await file.arrayBuffer())) {
+        out.push({ name: `${file.name}/${entry.name}`, text: decoder.decode(entry.data) });
+      }
+    } else if (/\.json$/i.test(file.name)) {
+      out.push({ name: file.webkitRelativePath || file.name, text: await file.text() });
+    }
+  }
+  return out;
+}
+
+const fieldChange = (row: ImportRow, field: string) =>
+  `${field.replace(/Threshold$/, '')} ${JSON.stringify(row.ours?.[field] ?? null)} → ${JSON.stringify(row.theirs[field] ?? null)}`;
+
+/**
+ * Add-Ons → Expansion → Import pack: a wizard for Market category packs from other servers or
+ * mod authors. Pick a folder, a zip or loose .json files; every item is diffed against our
+ * categories and gets a choice (keep ours, take theirs, or average the prices). Importing
+ * writes only the categories that change, after the server has taken a snapshot.
+ */
+export const MarketImportView: React.FC<MarketImportViewProps> = ({ selectedProfileId }) => {
+  const [ours, setOurs] = useState<Record<string, MarketCategory> | null>(null);
+  // ETag each of our categories was loaded with; the import is refused (409) if one changed since.
+  const [ourEtags, setOurEtags] = useState<Record<string, string>>({});
+  const [pack, setPack] = useState<MarketPack | null>(null);
+  const [source, setSource] = useState('');
+  const [choices, setChoices] = useState<Record<string, ImportChoice>>({});
+  const [status, setStatus] = useState<ImportStatus | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+  const folderInput = useRef<HTMLInputElement>(null);
+
+  const loadOurs = useCallback(async () => {
+    const res = await apiFetch('/api/market/categories', { profileId: selectedProfileId });
+    const names: string[] = res.ok ? ((await res.json()).categories || []) : [];
+    const out: Record<string, MarketCategory> = {};
+    const etags: Record<string, string> = {};
+    for (const name of names) {
+      const r = await apiFetch(`/api/market/category/${encodeURIComponent(name)}`, { profileId: selectedProfileId });
+      if (!r.ok) continue;
+      out[name] = await r.json().catch(() => ({ Items: [] }));
+      const etag = r.headers.get('ETag');
+      if (etag) etags[name] = etag;
+    }
+    setOurs(out);
+    setOurEtags(etags);
+  }, [selectedProfileId]);
+
+  useEffect(() => {
+    loadOurs().catch(() => setError('Error connecting to server.'));
+  }, [loadOurs]);
+
+  const pick = async (list: FileList | null) => {
+    const files = Array.from(list || []);
+    if (!files.length) return;
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const parsed = parseMarketPack(await readPackFiles(files));
+      if (!Object.keys(parsed.categories).length) throw new Error('No market category files found in the selection.');
+      setPack(parsed);
+      setChoices({});
+      setStatus(null);
+      const first = files[0];
+      setSource(files.length === 1 ? first.name : (first.webkitRelativePath.split('/')[0] || `${files.length} files`));
+    } catch (e: any) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+      if (fileInput.current) fileInput.current.value = '';
+      if (folderInput.current) folderInput.current.value = '';
+    }
+  };
+
+  const rows = useMemo(() => (ours && pack ? diffMarketPack(ours, pack.categories) : []), [ours, pack]);
+  const counts = useMemo(() => {
+    const c: Partial<Record<ImportStatus, number>> = {};
+    for (const r of rows) c[r.status] = (c[r.status] || 0) + 1;
+    return c;
+  }, [rows]);
+  const shown = rows.filter(r => (status ? r.status === status : r.status !== 'same'));
+  const result = useMemo(
+    () => (ours && pack ? applyImportChoices(ours, pack.categories, rows, choices) : {}),
+    [ours, pack, rows, choices]
+  );
+  const resultNames = Object.keys(result);
+
+  const choose = (row: ImportRow, choice: ImportChoice) => setChoices(prev => ({ ...prev, [row.key]: choice }));
+  const chooseAll = (choice: ImportChoice) =>
+    setChoices(prev => {
+      const next = { ...prev };
+      for (const r of shown) {
+        if (r.status === 'same') continue;
+        next[r.key] = choice === 'merge' && !r.ours ? 'theirs' : choice;
+      }
+      return next;
+    });
+
+  const runImport = async () => {
+    if (!window.confirm(`Write ${resultNames.length} market categor${resultNames.length === 1 ? 'y' : 'ies'}? A snapshot of the current files is taken first.`)) return;
+    setBusy(true);
+    setError(null);
+    try {
+      const res = await apiFetch('/api/market/import', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Editor-ID': localStorage.getItem('dayz-editor:id') || 'unknown',
+        },
+        profileId: selectedProfileId,
+        body: JSON.stringify({
+          categories: result,
+          etags: Object.fromEntries(resultNames.map(name => [name, ourEtags[name] ?? null])),
+          source,
+        }),
+      });
+      const body = await res.json().catch(() => null);
+      if (res.status === 409) {
+        // Re-diff the pack against the categories as they are now; the choices made still apply.
+        await loadOurs();
+        const names = (body?.conflicts || []).map((c: { name: string }) => c.name).join(', ');
+        throw new Error(`Not imported: ${names || 'some categories'} changed on the server since they were loaded. The preview now shows the current files; review it and import again.`);
+      }
+      if (!res.ok) throw new Error(body?.error || `Import failed (${res.status})`);
+      setNotice(`Imported ${body.written.length} categor${body.written.length === 1 ? 'y' : 'ies'} from ${source}. Snapshot "${body.snapshot.name}" holds the previous state.`);
+      setPack(null);
+      setChoices({});
+      await loadOurs();
+    } catch (e: any) {
+      setError(e.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Import market pack</h1>
+            <p className="text-xs text-gray-500">Merge Expansion Market category files from another server or a mod author into ours</p>
+          </div>
+          <div className="flex items-center gap-3">
+            <input ref={fileInput} type="file" accept=".zip,.json" multiple className="hidden" onChange={e => pick(e.target.files)} />
+            <input ref={folderInput} type="file" className="hidden" onChange={e => pick(e.target.files)}
+              {...({ webkitdirectory: '', directory: '' } as Record<string, string>)} />
+            <Button size="sm" variant="secondary-gray" icon={FileArchive} onClick={() => fileInput.current?.click()} disabled={busy || !ours}>Zip or files…</Button>
+            <Button size="sm" variant="secondary-gray" icon={FolderOpen} onClick={() => folderInput.current?.click()} disabled={busy || !ours}>Folder…</Button>
+            <Button size="sm" icon={Upload} onClick={runImport} disabled={busy || !resultNames.length}>
+              {resultNames.length ? `Import ${resultNames.length} categor${resultNames.length === 1 ? 'y' : 'ies'}` : 'Import'}
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-auto p-6 space-y-5">
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+        {notice && (
+          <p className="flex items-center gap-2 text-sm text-success-700 dark:text-success-400">
+            <CheckCircle2 size={16} /> {notice}
+          </p>
+        )}
+
+        {!pack ? (
+          <p className="text-sm text-gray-500">
+            {ours ? 'Choose a zip, a folder or some category .json files to compare with our market.' : 'Loading our market categories…'}
+          </p>
+        ) : (
+          <>
+            <div className="flex items-center justify-between gap-4">
+              <div className="flex items-center gap-1.5">
+                <span className="text-sm font-medium text-gray-900 dark:text-white mr-2">{source}</span>
+                {[{ id: null, label: 'Differences' }, ...STATUSES].map(s => (
+                  <button key={s.id || 'diff'} type="button" onClick={() => setStatus(s.id as ImportStatus | null)}
+                    className={cx('px-3 py-1.5 rounded-lg text-sm font-medium transition-colors inline-flex items-center gap-2',
+                      status === s.id
+                        ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                        : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800')}>
+                    {s.label}
+                    <Badge size="sm" color="gray">{s.id ? counts[s.id] || 0 : rows.length - (counts.same || 0)}</Badge>
+                  </button>
+                ))}
+              </div>
+              <div className="flex items-center gap-2">
+                <span className="text-xs text-gray-400">All shown:</span>
+                {CHOICES.map(c => (
+                  <Button key={c.id} size="xs" variant="secondary-gray" onClick={() => chooseAll(c.id)} disabled={busy || status === 'same'}>{c.label}</Button>
+                ))}
+              </div>
+            </div>
+
+            {pack.skipped.length > 0 && (
+              <p className="text-xs text-gray-500">
+                Skipped {pack.skipped.map(s => `${s.file} (${s.reason})`).join(', ')}.
+              </p>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                  <th className="py-2 pr-3">Category</th>
+                  <th className="py-2 px-3">Class</th>
+                  <th className="py-2 px-3">Status</th>
+                  <th className="py-2 px-3">Differences</th>
+                  <th className="py-2 pl-3 text-right">Use</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                {shown.map(row => {
+                  const meta = STATUSES.find(s => s.id === row.status)!;
+                  const choice = choices[row.key] ?? defaultImportChoice(row);
+                  const numeric = row.changes.filter(f => (MARKET_FIELDS as readonly string[]).includes(f));
+                  const other = row.changes.filter(f => !numeric.includes(f));
+                  return (
+                    <tr key={row.key} className="align-top">
+                      <td className="py-1.5 pr-3 text-gray-600 dark:text-gray-300">{row.category}</td>
+                      <td className="py-1.5 px-3 font-medium text-gray-900 dark:text-white">{row.className}</td>
+                      <td className="py-1.5 px-3"><Badge size="sm" color={meta.color}>{meta.label}</Badge></td>
+                      <td className="py-1.5 px-3 text-xs text-gray-500">
+                        {numeric.map(f => <div key={f} className="tabular-nums">{fieldChange(row, f)}</div>)}
+                        {other.length > 0 && <div>{other.join(', ')} differ</div>}
+                      </td>
+                      <td className="py-1.5 pl-3">
+                        {row.status !== 'same' && (
+                          <div className="flex justify-end gap-1">
+                            {CHOICES.filter(c => c.id !== 'merge' || row.ours).map(c => (
+                              <button key={c.id} type="button" onClick={() => choose(row, c.id)}
+                                className={cx('px-2 py-1 rounded text-xs font-medium whitespace-nowrap',
+                                  choice === c.id
+                                    ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                                    : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800')}>
+                                {c.id === 'ours' && !row.ours ? 'Skip' : c.label}
+                              </button>
+                            ))}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {!shown.length && <p className="text-sm text-gray-500">Nothing here.</p>}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
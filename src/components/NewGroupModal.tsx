@@ -2,11 +2,12 @@ import React, { useMemo, useState } from 'react';
 import { Modal } from '@/components/base/modal/modal';
 import { Button } from '@/components/base/button/button';
 import { Input } from '@/components/base/input/input';
+import { Checkbox } from '@/components/base/checkbox/checkbox';
 import { FolderPlus, AlertTriangle } from 'lucide-react';
 
 interface NewGroupModalProps {
   groups: string[];
-  onCreate: (name: string) => Promise<{ ok: boolean; group?: string; file?: string; error?: string }>;
+  onCreate: (name: string, options: { events: boolean }) => Promise<{ ok: boolean; group?: string; file?: string; error?: string }>;
   onCreated: (group: string) => void;
   onClose: () => void;
 }
@@ -16,6 +17,7 @@ const SAFE_NAME_RE = /^[A-Za-z0-9._-]+$/;
 
 export const NewGroupModal: React.FC<NewGroupModalProps> = ({ groups, onCreate, onCreated, onClose }) => {
   const [name, setName] = useState('');
+  const [withEvents, setWithEvents] = useState(false);
   const [error, setError] = useState<string | null>(null);
   const [busy, setBusy] = useState(false);
 
@@ -33,7 +35,7 @@ export const NewGroupModal: React.FC<NewGroupModalProps> = ({ groups, onCreate,
     if (invalidReason) { setError(invalidReason); return; }
     setBusy(true);
     setError(null);
-    const res = await onCreate(v);
+    const res = await onCreate(v, { events: withEvents });
     setBusy(false);
     if (!res.ok) { setError(res.error || 'Failed to create group'); return; }
     onCreated(res.group || v);
@@ -78,10 +80,18 @@ export const NewGroupModal: React.FC<NewGroupModalProps> = ({ groups, onCreate,
           <p className="text-xs text-gray-500 mt-1.5 dark:text-gray-400">
             Will be created on disk at{' '}
             <code className="font-mono text-gray-700 dark:text-gray-300">db/{name.trim() || '<name>'}/</code>{' '}
-            with an empty <code className="font-mono">types.xml</code> and <code className="font-mono">spawnabletypes.xml</code>.
+            with an empty <code className="font-mono">types.xml</code> and <code className="font-mono">spawnabletypes.xml</code>
+            {withEvents && <> and <code className="font-mono">events.xml</code></>}.
           </p>
         </div>
 
+        <Checkbox
+          isSelected={withEvents}
+          onChange={setWithEvents}
+          label="Also create an events.xml"
+          hint={'Declared as type="events" in cfgeconomycore.xml and editable under Mission Files → Events.'}
+        />
+
         {error && (
           <div className="p-3 bg-error-50 rounded-lg border border-error-100 flex items-center gap-2 text-sm text-error-700 dark:bg-error-900/10 dark:border-error-800 dark:text-error-400">
             <AlertTriangle size={16} className="shrink-0" />
@@ -0,0 +1,245 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import moment from 'moment';
+import { Select } from '@/components/base/select/select';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, RefreshCcw01, TrendUp01 } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { parseTypesXml, type Type } from '@/utils/xml';
+import { mergeFromFiles } from '@/hooks/useLootData';
+import { useTabParam } from '@/hooks/useHashRoute';
+import {
+  BUDGET_DIMENSIONS,
+  budgetBy,
+  budgetTotals,
+  compareBudgets,
+  type BudgetDimension,
+} from '@/utils/nominalBudget';
+
+type TypeFiles = Record<string, Record<string, Type[]>>;
+
+interface NominalBudgetViewProps {
+  selectedProfileId: string;
+  lootTypes: Type[];
+  /** Types as last read from disk, per group and file (useLootData's baseline). */
+  baselineFiles: TypeFiles | null;
+}
+
+interface SnapshotMeta {
+  id: string;
+  name: string;
+  timestamp: string;
+}
+
+/** Rows with the biggest nominal growth are called out; the rest are just listed. */
+const TOP_INFLATORS = 5;
+const BASELINE = 'baseline';
+
+const isWorldObject = (name: string) =>
+  name.startsWith('Land_') || name.startsWith('StaticObj_') || name.toLowerCase().startsWith('static_');
+
+const signed = (n: number) => (n > 0 ? `+${n}` : String(n));
+const pctGrowth = (now: number, base: number) => (base > 0 ? `${signed(Math.round(((now - base) / base) * 100))}%` : 'new');
+
+/**
+ * Tools → Nominal budget: what nominal/min add up to across every loaded type, broken down
+ * by category, usage, value tier, tag and types group, against either the files on disk or
+ * a snapshot. Sorted by growth, so a mod pack that quietly doubles the weapon count tops the list.
+ */
+export const NominalBudgetView: React.FC<NominalBudgetViewProps> = ({ selectedProfileId, lootTypes, baselineFiles }) => {
+  const [dimension, setDimension] = useTabParam<BudgetDimension>('category', BUDGET_DIMENSIONS.map(d => d.id));
+  const [snapshots, setSnapshots] = useState<SnapshotMeta[]>([]);
+  const [compareWith, setCompareWith] = useState<string | null>(null);
+  const [snapshotTypes, setSnapshotTypes] = useState<Type[] | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Default to the latest snapshot ("since the last snapshot"), else the files on disk.
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots`, { profileId: selectedProfileId });
+        const list: SnapshotMeta[] = res.ok ? await res.json() : [];
+        if (cancelled) return;
+        setSnapshots(list);
+        setCompareWith(prev => prev ?? (list[0]?.id || BASELINE));
+      } catch {
+        if (!cancelled) setCompareWith(prev => prev ?? BASELINE);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedProfileId]);
+
+  useEffect(() => {
+    setSnapshotTypes(null);
+    setError(null);
+    if (!compareWith || compareWith === BASELINE) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/${compareWith}/types`, { profileId: selectedProfileId });
+        const body = await res.json().catch(() => null);
+        if (cancelled) return;
+        if (!res.ok || !body) {
+          setError((body && body.error) || `Failed to load snapshot (HTTP ${res.status}).`);
+          return;
+        }
+        const files: TypeFiles = {};
+        for (const f of body.files as { group: string; file: string; xml: string }[]) {
+          try {
+            (files[f.group] ||= {})[f.file] = parseTypesXml(f.xml);
+          } catch { /* unparseable file: leave it out of the comparison */ }
+        }
+        setSnapshotTypes(mergeFromFiles(files));
+      } catch {
+        if (!cancelled) setError('Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [compareWith, selectedProfileId]);
+
+  const current = useMemo(() => lootTypes.filter(t => !isWorldObject(t.name || '')), [lootTypes]);
+  const base = useMemo(() => {
+    const types = compareWith === BASELINE ? (baselineFiles ? mergeFromFiles(baselineFiles) : null) : snapshotTypes;
+    return types ? (types as Type[]).filter(t => !isWorldObject(t.name || '')) : null;
+  }, [compareWith, baselineFiles, snapshotTypes]);
+
+  const totals = useMemo(() => budgetTotals(current), [current]);
+  const baseTotals = useMemo(() => (base ? budgetTotals(base) : null), [base]);
+  const rows = useMemo(
+    () => compareBudgets(budgetBy(current, dimension), base ? budgetBy(base, dimension) : []),
+    [current, base, dimension],
+  );
+  const inflators = useMemo(
+    () => new Set(rows.filter(r => base && r.deltaNominal > 0).slice(0, TOP_INFLATORS).map(r => r.key)),
+    [rows, base],
+  );
+
+  const compareLabel = compareWith === BASELINE
+    ? 'files on disk'
+    : (() => {
+      const s = snapshots.find(x => x.id === compareWith);
+      return s ? `snapshot "${s.name}"` : 'snapshot';
+    })();
+  const multiValued = dimension === 'usage' || dimension === 'value' || dimension === 'tag';
+
+  const card = (label: string, now: number, was: number | undefined) => (
+    <div className="flex-1 rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40 px-4 py-3">
+      <p className="text-xs font-bold uppercase tracking-wider text-gray-400">{label}</p>
+      <p className="text-2xl font-semibold text-gray-900 dark:text-white">{now.toLocaleString()}</p>
+      {was !== undefined && (
+        <p className={cx('text-xs', now > was ? 'text-warning-600' : 'text-gray-500')}>
+          {signed(now - was)} vs {compareLabel} ({was.toLocaleString()})
+        </p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Nominal budget</h1>
+            <p className="text-xs text-gray-500">Total nominal and min across all loaded types, and where it grew</p>
+          </div>
+          <div className="flex items-center gap-3">
+            {loading && <RefreshCcw01 className="animate-spin text-primary-600" size={16} />}
+            <Select
+              size="sm"
+              value={compareWith || BASELINE}
+              onChange={e => setCompareWith(e.target.value)}
+              options={[
+                { label: 'Compare with files on disk', value: BASELINE },
+                ...snapshots.map(s => ({
+                  label: `Snapshot: ${s.name} (${moment(s.timestamp).format('YYYY-MM-DD HH:mm')})`,
+                  value: s.id,
+                })),
+              ]}
+            />
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-auto p-6 space-y-5">
+        <div className="flex gap-4">
+          {card('Types', totals.types, baseTotals?.types)}
+          {card('Nominal', totals.nominal, baseTotals?.nominal)}
+          {card('Min', totals.min, baseTotals?.min)}
+        </div>
+
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+
+        <div className="flex items-center gap-1.5">
+          {BUDGET_DIMENSIONS.map(d => (
+            <button key={d.id} type="button" onClick={() => setDimension(d.id)}
+              className={cx('px-3 py-1.5 rounded-lg text-sm font-medium transition-colors',
+                dimension === d.id
+                  ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300'
+                  : 'text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-800')}>
+              {d.label}
+            </button>
+          ))}
+        </div>
+        {multiValued && (
+          <p className="text-xs text-gray-400">A type with several flags counts in each of their rows, so these rows add up to more than the total.</p>
+        )}
+
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+              <th className="py-2 pr-3">{BUDGET_DIMENSIONS.find(d => d.id === dimension)?.label}</th>
+              <th className="py-2 px-3 text-right">Types</th>
+              <th className="py-2 px-3 text-right">Nominal</th>
+              <th className="py-2 px-3 text-right">Min</th>
+              <th className="py-2 px-3 text-right">Share</th>
+              {base && <th className="py-2 pl-3 text-right">Nominal change</th>}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+            {rows.map(r => {
+              const hot = inflators.has(r.key);
+              return (
+                <tr key={r.key} className={cx(hot && 'bg-warning-50/60 dark:bg-warning-900/10')}>
+                  <td className="py-1.5 pr-3 font-medium text-gray-900 dark:text-white">
+                    <span className="inline-flex items-center gap-1.5">
+                      {hot && <TrendUp01 size={14} className="text-warning-600" />}
+                      {r.key}
+                    </span>
+                  </td>
+                  <td className="py-1.5 px-3 text-right tabular-nums text-gray-600 dark:text-gray-300">{r.types}</td>
+                  <td className="py-1.5 px-3 text-right tabular-nums text-gray-900 dark:text-white">{r.nominal.toLocaleString()}</td>
+                  <td className="py-1.5 px-3 text-right tabular-nums text-gray-600 dark:text-gray-300">{r.min.toLocaleString()}</td>
+                  <td className="py-1.5 px-3 text-right tabular-nums text-gray-400">
+                    {totals.nominal ? `${((r.nominal / totals.nominal) * 100).toFixed(1)}%` : '–'}
+                  </td>
+                  {base && (
+                    <td className="py-1.5 pl-3 text-right tabular-nums">
+                      {r.deltaNominal === 0 ? (
+                        <span className="text-gray-400">0</span>
+                      ) : (
+                        <span className={r.deltaNominal > 0 ? 'text-warning-600' : 'text-success-600'}>
+                          {signed(r.deltaNominal)}
+                          {hot && <Badge size="sm" color="warning" className="ml-2">{pctGrowth(r.nominal, r.baseNominal)}</Badge>}
+                        </span>
+                      )}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {rows.length === 0 && <p className="text-sm text-gray-500">No types loaded.</p>}
+      </div>
+    </div>
+  );
+};
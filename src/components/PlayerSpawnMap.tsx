@@ -0,0 +1,178 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { cx } from '@/utils/cx';
+import { MapMetadata } from '@/consts/maps';
+import { useMapPanZoom } from '@/hooks/useMapPanZoom';
+import type { PlayerSpawnGroup, EventSpawnPos } from '@/utils/xml';
+import { MapZoomControls } from './MapZoomControls';
+
+interface PlayerSpawnMapProps {
+  map: MapMetadata;
+  groups: PlayerSpawnGroup[];
+  selectedGroup: number | null;
+  selectedPos: number | null;
+  onSelect: (group: number, pos: number | null) => void;
+  /** Replace the positions of one group (drag). */
+  onChangePositions: (group: number, positions: EventSpawnPos[]) => void;
+  /** Background click with a group selected: append a position there. */
+  onAddPosition: (x: number, z: number) => void;
+  /**
+   * generator_params grid_width/grid_height. The generator samples a grid of this size
+   * around each bubble, so the selected group's bubbles are drawn as rectangles of it.
+   */
+  gridWidth?: number;
+  gridHeight?: number;
+}
+
+/**
+ * Top-down map for cfgplayerspawnpoints.xml bubbles. Every group of the current section is
+ * drawn; the selected group's positions are highlighted and draggable, and clicking empty
+ * map area adds a bubble to it. Clicking another group's marker selects that group.
+ *
+ * Same three-layer structure as AirdropDropLocationMap (see `useMapPanZoom`).
+ */
+export const PlayerSpawnMap: React.FC<PlayerSpawnMapProps> = ({
+  map,
+  groups,
+  selectedGroup,
+  selectedPos,
+  onSelect,
+  onChangePositions,
+  onAddPosition,
+  gridWidth = 0,
+  gridHeight = 0,
+}) => {
+  const dragRef = useRef<{ group: number; pos: number } | null>(null);
+  const [, forceRender] = useState(0);
+
+  const worldSize = map.worldSize || 15360;
+
+  const view = useMapPanZoom({
+    worldSize,
+    isGestureBlocked: () => dragRef.current !== null,
+    onBackgroundClick: (hit) => {
+      if (selectedGroup === null) return;
+      onAddPosition(Math.round(hit.x), Math.round(hit.z));
+    },
+  });
+
+  const { toWorld } = view;
+
+  const applyDrag = useCallback((clientX: number, clientY: number) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const hit = toWorld(clientX, clientY);
+    const group = groups[drag.group];
+    if (!hit || !group) return;
+    onChangePositions(drag.group, group.positions.map((p, i) => (
+      i === drag.pos ? { ...p, x: Math.round(hit.x), z: Math.round(hit.z) } : p
+    )));
+  }, [groups, onChangePositions, toWorld]);
+
+  useEffect(() => {
+    const handleMove = (e: PointerEvent) => {
+      if (!dragRef.current) return;
+      e.preventDefault();
+      applyDrag(e.clientX, e.clientY);
+    };
+    const handleUp = () => {
+      if (dragRef.current) {
+        dragRef.current = null;
+        forceRender((n) => n + 1);
+      }
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [applyDrag]);
+
+  const startDrag = (group: number, pos: number) => (e: React.PointerEvent) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onSelect(group, pos);
+    // Only the selected group's bubbles move; a first press on another group just selects it.
+    if (group !== selectedGroup) return;
+    dragRef.current = { group, pos };
+    forceRender((n) => n + 1);
+  };
+
+  const showImage = !!map.imagePath && !view.imageFailed;
+  const boxW = view.projectLen(gridWidth);
+  const boxH = view.projectLen(gridHeight);
+
+  return (
+    <div
+      ref={view.viewportRef}
+      {...view.viewportHandlers}
+      className={cx(
+        'relative w-full aspect-square overflow-hidden rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-100 dark:bg-gray-900 select-none touch-none',
+        view.isPanning ? 'cursor-grabbing' : selectedGroup !== null ? 'cursor-crosshair' : view.canZoom && !view.atMin ? 'cursor-grab' : undefined
+      )}
+    >
+      {showImage ? (
+        <div style={view.contentStyle}>
+          <img
+            src={map.imagePath}
+            alt={map.displayName}
+            {...view.imageProps}
+            className="block h-full w-full opacity-90 pointer-events-none"
+          />
+        </div>
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400 pointer-events-none">
+          No map preview for "{map.displayName}"
+        </div>
+      )}
+
+      {view.size > 0 && (
+        <div className="absolute inset-0 pointer-events-none">
+          {selectedGroup !== null && boxW > 2 && boxH > 2 && groups[selectedGroup]?.positions.map((p, i) => {
+            const { px, py } = view.project(p.x, p.z);
+            return (
+              <div
+                key={`grid-${i}`}
+                style={{ left: px, top: py, width: boxW, height: boxH }}
+                className="absolute -translate-x-1/2 -translate-y-1/2 border border-primary-400/70 bg-primary-400/10"
+              />
+            );
+          })}
+          {groups.map((g, gi) => g.positions.map((p, pi) => {
+            const { px, py } = view.project(p.x, p.z);
+            const inGroup = gi === selectedGroup;
+            const isSel = inGroup && pi === selectedPos;
+            return (
+              <div
+                key={`${gi}-${pi}`}
+                onPointerDown={startDrag(gi, pi)}
+                title={`${g.name} ${pi + 1}`}
+                style={{ left: px, top: py }}
+                className={cx(
+                  'absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow-md pointer-events-auto',
+                  isSel ? 'z-20 h-3.5 w-3.5 bg-primary-700 cursor-move'
+                    : inGroup ? 'z-10 h-3 w-3 bg-primary-500 cursor-move'
+                      : 'h-2 w-2 bg-gray-500/80 cursor-pointer'
+                )}
+              />
+            );
+          }))}
+          {selectedGroup !== null && selectedPos !== null && groups[selectedGroup]?.positions[selectedPos] && (() => {
+            const p = groups[selectedGroup].positions[selectedPos];
+            const { px, py } = view.project(p.x, p.z);
+            return (
+              <div
+                style={{ left: px, top: py }}
+                className="absolute z-10 -translate-x-1/2 translate-y-3 whitespace-nowrap rounded bg-black/70 px-1.5 py-0.5 text-[10px] font-medium text-white"
+              >
+                {groups[selectedGroup].name} {selectedPos + 1}
+              </div>
+            );
+          })()}
+        </div>
+      )}
+
+      {view.canZoom && <MapZoomControls map={view} />}
+    </div>
+  );
+};
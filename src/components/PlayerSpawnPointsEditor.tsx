@@ -0,0 +1,398 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { useTabParam } from '@/hooks/useHashRoute';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Badge } from '@/components/base/badges/badges';
+import {
+  Save01, RefreshCcw01, Plus, Trash01, CheckCircle, AlertCircle, Users01, Copy01,
+} from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { useMapMetadata } from '@/hooks/useMapMetadata';
+import { PlayerSpawnMap } from './PlayerSpawnMap';
+import {
+  parsePlayerSpawnPointsXml, generatePlayerSpawnPointsXml, PLAYER_SPAWN_KINDS,
+  PlayerSpawnKind, PlayerSpawnPoints, PlayerSpawnSection, PlayerSpawnGroup, EventSpawnPos,
+} from '@/utils/xml';
+
+interface PlayerSpawnPointsEditorProps {
+  selectedProfileId: string;
+  missionName?: string;
+}
+
+type SaveState = { kind: 'idle' | 'saving' | 'ok' | 'error'; message?: string };
+
+const KIND_LABELS: Record<PlayerSpawnKind, string> = {
+  fresh: 'Fresh',
+  hop: 'Server hop',
+  travel: 'Travel',
+};
+
+const KIND_HINTS: Record<PlayerSpawnKind, string> = {
+  fresh: 'New characters.',
+  hop: 'Characters arriving from another server. Falls back to fresh when absent.',
+  travel: 'Characters arriving through a travel point. Falls back to fresh when absent.',
+};
+
+/** Vanilla values, used when a section is created from scratch. */
+const DEFAULT_SECTION: PlayerSpawnSection = {
+  spawnParams: {
+    min_dist_infected: '30', max_dist_infected: '70',
+    min_dist_player: '65', max_dist_player: '150',
+    min_dist_static: '0', max_dist_static: '2',
+  },
+  generatorParams: {
+    grid_density: '4', grid_width: '200', grid_height: '200',
+    min_dist_static: '0', max_dist_static: '2',
+    min_steepness: '-45', max_steepness: '45',
+  },
+  groupParams: { enablegroups: 'true', groups_as_regular: 'true', lifetime: '240', counter: '-1' },
+  groups: [],
+};
+
+/** Group attributes offered as fields; anything else on the element is kept as-is. */
+const GROUP_ATTR_FIELDS: { key: string; label: string; hint?: string }[] = [
+  { key: 'weight', label: 'Weight', hint: 'Relative share of spawns this group receives. Blank = 1.' },
+  { key: 'lifetime', label: 'Lifetime', hint: 'Seconds before the group rotates. Blank = group_params.' },
+  { key: 'counter', label: 'Counter', hint: 'Spawns before the group rotates. -1 = unlimited.' },
+];
+
+const weightOf = (g: PlayerSpawnGroup) => {
+  const w = Number(g.attrs.weight);
+  return g.attrs.weight != null && g.attrs.weight !== '' && Number.isFinite(w) ? Math.max(0, w) : 1;
+};
+
+const paramLabel = (key: string) => key.replace(/_/g, ' ');
+
+/**
+ * Mission Files → Player Spawns: edits cfgplayerspawnpoints.xml. Each section (fresh, hop,
+ * travel) has its own spawn/generator/group params and position bubbles, shown together on
+ * the map so groups can be rebalanced by eye instead of by guessing coordinates.
+ */
+export const PlayerSpawnPointsEditor: React.FC<PlayerSpawnPointsEditorProps> = ({ selectedProfileId, missionName }) => {
+  const map = useMapMetadata(missionName);
+  const [kind, setKind] = useTabParam<PlayerSpawnKind>('fresh', PLAYER_SPAWN_KINDS);
+  const [loading, setLoading] = useState(true);
+  const [saveState, setSaveState] = useState<SaveState>({ kind: 'idle' });
+
+  const [data, setData] = useState<PlayerSpawnPoints>({});
+  const [saved, setSaved] = useState<PlayerSpawnPoints>({});
+
+  const [selectedGroup, setSelectedGroup] = useState<number | null>(null);
+  const [selectedPos, setSelectedPos] = useState<number | null>(null);
+  const [newName, setNewName] = useState('');
+
+  const load = async () => {
+    if (!selectedProfileId) return;
+    setLoading(true);
+    try {
+      const res = await apiFetch('/api/mission/playerspawnpoints', { profileId: selectedProfileId });
+      const next = res.ok ? parsePlayerSpawnPointsXml(await res.text()) : {};
+      setData(next);
+      setSaved(next);
+    } catch (e) {
+      console.error('Failed to load player spawn points', e);
+      setSaveState({ kind: 'error', message: 'Failed to load player spawn points' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    setSelectedGroup(null);
+    setSelectedPos(null);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedProfileId]);
+
+  const dirty = useMemo(() => JSON.stringify(data) !== JSON.stringify(saved), [data, saved]);
+
+  const flash = (k: SaveState['kind'], message?: string) => {
+    setSaveState({ kind: k, message });
+    if (k === 'ok') setTimeout(() => setSaveState({ kind: 'idle' }), 2500);
+  };
+
+  const save = async () => {
+    setSaveState({ kind: 'saving' });
+    try {
+      const res = await apiFetch('/api/mission/playerspawnpoints', {
+        method: 'PUT', headers: { 'Content-Type': 'application/xml' }, profileId: selectedProfileId,
+        body: generatePlayerSpawnPointsXml(data),
+      });
+      if (!res.ok) throw new Error(`Failed to save cfgplayerspawnpoints.xml: ${res.statusText}`);
+      setSaved(data);
+      flash('ok');
+    } catch (e: any) { flash('error', e.message); }
+  };
+
+  const section = data[kind];
+  const groups = useMemo(() => section?.groups || [], [section]);
+  const group = selectedGroup !== null ? groups[selectedGroup] : undefined;
+  const totalWeight = groups.reduce((sum, g) => sum + weightOf(g), 0);
+
+  const changeKind = (next: PlayerSpawnKind) => {
+    setKind(next);
+    setSelectedGroup(null);
+    setSelectedPos(null);
+  };
+
+  const updateSection = (patch: Partial<PlayerSpawnSection>) => {
+    if (!section) return;
+    setData({ ...data, [kind]: { ...section, ...patch } });
+  };
+
+  const createSection = () => {
+    // Start hop/travel from fresh, which is what the server falls back to anyway.
+    const base = kind !== 'fresh' && data.fresh ? data.fresh : DEFAULT_SECTION;
+    setData({ ...data, [kind]: JSON.parse(JSON.stringify(base)) });
+  };
+
+  const removeSection = () => {
+    const next = { ...data };
+    delete next[kind];
+    setData(next);
+    setSelectedGroup(null);
+    setSelectedPos(null);
+  };
+
+  const setParam = (block: 'spawnParams' | 'generatorParams' | 'groupParams', key: string, value: string) => {
+    if (!section) return;
+    updateSection({ [block]: { ...section[block], [key]: value } });
+  };
+
+  const updateGroup = (idx: number, patch: Partial<PlayerSpawnGroup>) => {
+    updateSection({ groups: groups.map((g, i) => (i === idx ? { ...g, ...patch } : g)) });
+  };
+
+  const setGroupAttr = (key: string, value: string) => {
+    if (selectedGroup === null || !group) return;
+    const attrs = { ...group.attrs };
+    if (value === '') delete attrs[key];
+    else attrs[key] = value;
+    updateGroup(selectedGroup, { attrs });
+  };
+
+  const setPositions = (idx: number, positions: EventSpawnPos[]) => updateGroup(idx, { positions });
+
+  const newNameError = useMemo(() => {
+    const v = newName.trim();
+    if (!v) return null;
+    if (!/^[A-Za-z0-9_ -]+$/.test(v)) return 'Letters, numbers, space, dash and underscore only';
+    if (groups.some(g => g.name.toLowerCase() === v.toLowerCase())) return 'A group with this name already exists';
+    return null;
+  }, [newName, groups]);
+
+  const addGroup = () => {
+    const name = newName.trim();
+    if (!name || newNameError || !section) return;
+    updateSection({ groups: [...groups, { name, attrs: {}, positions: [] }] });
+    setNewName('');
+    setSelectedGroup(groups.length);
+    setSelectedPos(null);
+  };
+
+  const removeGroup = (idx: number) => {
+    updateSection({ groups: groups.filter((_, i) => i !== idx) });
+    setSelectedGroup(null);
+    setSelectedPos(null);
+  };
+
+  const addPosition = (x: number, z: number) => {
+    if (selectedGroup === null || !group) return;
+    setPositions(selectedGroup, [...group.positions, { x, z }]);
+    setSelectedPos(group.positions.length);
+  };
+
+  const removePosition = (idx: number) => {
+    if (selectedGroup === null || !group) return;
+    setPositions(selectedGroup, group.positions.filter((_, i) => i !== idx));
+    setSelectedPos(null);
+  };
+
+  const pos = group && selectedPos !== null ? group.positions[selectedPos] : undefined;
+  const editPos = (patch: Partial<EventSpawnPos>) => {
+    if (selectedGroup === null || !group || selectedPos === null) return;
+    setPositions(selectedGroup, group.positions.map((p, i) => (i === selectedPos ? { ...p, ...patch } : p)));
+  };
+
+  const paramBlock = (title: string, block: 'spawnParams' | 'generatorParams' | 'groupParams') => {
+    if (!section) return null;
+    const entries = Object.entries(section[block]);
+    return (
+      <div className="p-4 space-y-3 rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50">
+        <span className="text-xs font-bold uppercase tracking-wider text-gray-400">{title}</span>
+        {entries.length === 0 ? (
+          <p className="text-xs text-gray-400">Not set in this section.</p>
+        ) : (
+          <div className="grid grid-cols-2 gap-3">
+            {entries.map(([key, value]) => (
+              <Input key={key} size="sm" label={paramLabel(key)} value={value}
+                onChange={(e) => setParam(block, key, e.target.value)} />
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 pt-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Player Spawns</h1>
+            <p className="text-xs text-gray-500">Edit spawn bubbles and generator settings in <code>cfgplayerspawnpoints.xml</code></p>
+          </div>
+          <div className="flex items-center gap-3">
+            {saveState.kind === 'ok' && (
+              <span className="flex items-center gap-1.5 text-sm text-success-600"><CheckCircle size={16} /> Saved</span>
+            )}
+            {saveState.kind === 'error' && (
+              <span className="flex items-center gap-1.5 text-sm text-error-600"><AlertCircle size={16} /> {saveState.message}</span>
+            )}
+            <Button size="sm" variant="secondary-gray" icon={RefreshCcw01} onClick={load} disabled={loading}>Reload</Button>
+            <Button size="sm" variant="primary" icon={Save01} onClick={save}
+              disabled={!dirty || saveState.kind === 'saving'}>
+              Save Spawns
+            </Button>
+          </div>
+        </div>
+        <nav className="flex gap-1 mt-4">
+          {PLAYER_SPAWN_KINDS.map(id => (
+            <button
+              key={id}
+              onClick={() => changeKind(id)}
+              className={cx(
+                'flex items-center gap-2 px-4 py-2.5 text-sm font-semibold border-b-2 -mb-px transition-colors',
+                kind === id
+                  ? 'border-primary-600 text-primary-700 dark:text-primary-400'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 dark:hover:text-gray-300'
+              )}
+            >
+              {KIND_LABELS[id]}
+              <Badge size="sm" color={data[id] ? 'gray' : 'warning'}>
+                {data[id] ? data[id]!.groups.length : 'none'}
+              </Badge>
+            </button>
+          ))}
+        </nav>
+      </header>
+
+      {loading && !Object.keys(data).length ? (
+        <div className="flex-1 flex items-center justify-center">
+          <RefreshCcw01 className="animate-spin text-primary-600" size={32} />
+        </div>
+      ) : !section ? (
+        <div className="flex-1 flex flex-col items-center justify-center text-center gap-3">
+          <Users01 size={40} className="text-gray-200" />
+          <h3 className="text-base font-bold text-gray-900 dark:text-white">No {KIND_LABELS[kind].toLowerCase()} section</h3>
+          <p className="text-sm text-gray-500 max-w-xs">{KIND_HINTS[kind]}</p>
+          <Button size="sm" variant="secondary-gray" icon={kind === 'fresh' ? Plus : Copy01} onClick={createSection}>
+            {kind === 'fresh' || !data.fresh ? 'Create section' : 'Create from fresh'}
+          </Button>
+        </div>
+      ) : (
+        <div className="flex-1 flex overflow-hidden">
+          <aside className="w-72 border-r border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50 overflow-auto flex flex-col">
+            <div className="p-3 space-y-2 border-b border-gray-200 dark:border-gray-800">
+              <p className="text-xs text-gray-500">{KIND_HINTS[kind]}</p>
+              <div className="flex items-start gap-2">
+                <Input size="sm" placeholder="New group name" value={newName} error={newNameError || undefined}
+                  onChange={(e) => setNewName(e.target.value)}
+                  onKeyDown={(e) => { if (e.key === 'Enter') addGroup(); }} />
+                <Button size="sm" variant="secondary-gray" icon={Plus} onClick={addGroup}
+                  disabled={!newName.trim() || !!newNameError} />
+              </div>
+            </div>
+            <div className="p-2 space-y-1">
+              {groups.length === 0 && (
+                <p className="p-3 text-xs text-gray-400">No groups in this section.</p>
+              )}
+              {groups.map((g, i) => {
+                const share = totalWeight > 0 ? Math.round((weightOf(g) / totalWeight) * 100) : 0;
+                return (
+                  <button key={`${g.name}-${i}`} onClick={() => { setSelectedGroup(i); setSelectedPos(null); }}
+                    className={cx('w-full text-left p-3 rounded-lg border transition-all',
+                      selectedGroup === i ? 'bg-white dark:bg-gray-800 border-primary-200 dark:border-primary-800 shadow-sm'
+                        : 'border-transparent hover:bg-gray-100 dark:hover:bg-gray-800/50')}>
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-semibold truncate">{g.name || '(unnamed)'}</span>
+                      <Badge size="sm" color="gray">{share}%</Badge>
+                    </div>
+                    <span className="text-xs text-gray-400 truncate block">
+                      {g.positions.length} position{g.positions.length === 1 ? '' : 's'} · weight {weightOf(g)}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+          </aside>
+
+          <div className="flex-1 p-6 overflow-auto">
+            <div className="grid grid-cols-2 gap-6 max-w-6xl">
+              <div className="space-y-4">
+                {group && selectedGroup !== null && (
+                  <div className="p-4 space-y-3 rounded-xl border border-primary-200 dark:border-primary-800">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-xs font-bold uppercase tracking-wider text-gray-400">Group</span>
+                      <Button size="sm" variant="error-secondary" icon={Trash01} onClick={() => removeGroup(selectedGroup)}>Delete group</Button>
+                    </div>
+                    <Input size="sm" label="Name" value={group.name}
+                      onChange={(e) => updateGroup(selectedGroup, { name: e.target.value })} />
+                    <div className="grid grid-cols-3 gap-3">
+                      {GROUP_ATTR_FIELDS.map(({ key, label, hint }) => (
+                        <Input key={key} size="sm" label={label} type="number" hint={hint}
+                          value={group.attrs[key] ?? ''} onChange={(e) => setGroupAttr(key, e.target.value)} />
+                      ))}
+                    </div>
+                  </div>
+                )}
+                {paramBlock('Spawn params', 'spawnParams')}
+                {paramBlock('Generator params', 'generatorParams')}
+                {paramBlock('Group params', 'groupParams')}
+                <Button size="sm" variant="error-secondary" icon={Trash01} onClick={removeSection}>
+                  Remove {KIND_LABELS[kind].toLowerCase()} section
+                </Button>
+              </div>
+
+              <div className="space-y-3">
+                <div className="flex items-center justify-between">
+                  <span className="text-xs font-bold uppercase tracking-wider text-gray-400">
+                    {group ? `${group.name} (${group.positions.length})` : 'All groups'}
+                  </span>
+                  {pos && selectedPos !== null && (
+                    <Button size="sm" variant="error-secondary" icon={Trash01} onClick={() => removePosition(selectedPos)}>Remove</Button>
+                  )}
+                </div>
+                <PlayerSpawnMap
+                  map={map}
+                  groups={groups}
+                  selectedGroup={selectedGroup}
+                  selectedPos={selectedPos}
+                  onSelect={(g, p) => { setSelectedGroup(g); setSelectedPos(p); }}
+                  onChangePositions={setPositions}
+                  onAddPosition={addPosition}
+                  gridWidth={Number(section.generatorParams.grid_width) || 0}
+                  gridHeight={Number(section.generatorParams.grid_height) || 0}
+                />
+                <p className="text-xs text-gray-400">
+                  {group
+                    ? 'Click the map to add a bubble to this group; drag a bubble to move it. Rectangles show the generator grid.'
+                    : 'Select a group to edit its bubbles.'}
+                </p>
+                {pos && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <Input size="sm" label="X" type="number" value={pos.x}
+                      onChange={(e) => editPos({ x: Number(e.target.value) })} />
+                    <Input size="sm" label="Z" type="number" value={pos.z}
+                      onChange={(e) => editPos({ z: Number(e.target.value) })} />
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,279 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Badge } from '@/components/base/badges/badges';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { Checkbox } from '@/components/base/checkbox/checkbox';
+import { ArrowLeft, ArrowLeftRight, FileText, Folder, RotateCcw } from 'lucide-react';
+import moment from 'moment';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+
+export interface SnapshotSummary {
+    id: string;
+    name: string;
+    timestamp: string;
+}
+
+type ChangeStatus = 'added' | 'removed' | 'modified';
+
+interface EntryChange {
+    key: string;
+    status: ChangeStatus;
+    fields: string[];
+}
+
+interface FileDiff {
+    path: string;
+    status: ChangeStatus;
+    kind: 'types' | 'spawnabletypes' | 'randompresets' | 'events' | 'eventspawns' | 'json' | 'text';
+    changes: EntryChange[];
+}
+
+/** What a partial restore puts back: whole files or folders, and single classnames of types files. */
+export interface RestoreSelection {
+    paths: string[];
+    entries: { path: string; keys: string[] }[];
+}
+
+interface SnapshotDiffViewProps {
+    selectedProfileId: string;
+    snapshots: SnapshotSummary[];
+    /** Sides to open with; `current` is the live mission. */
+    initialA: string;
+    initialB: string;
+    onBack: () => void;
+    /** Offered when one side is a snapshot and the other the live mission; without a selection the whole snapshot. */
+    onRestore?: (id: string, selection?: RestoreSelection) => void;
+    restoring?: boolean;
+}
+
+const STATUS_COLORS: Record<ChangeStatus, 'success' | 'error' | 'warning'> = {
+    added: 'success',
+    removed: 'error',
+    modified: 'warning',
+};
+
+const KIND_LABELS: Record<FileDiff['kind'], string> = {
+    types: 'types',
+    spawnabletypes: 'spawnable types',
+    randompresets: 'random presets',
+    events: 'events',
+    eventspawns: 'event spawns',
+    json: 'JSON',
+    text: 'file',
+};
+
+/** Kinds whose entries can be restored one by one. */
+const ENTRY_KINDS = new Set<FileDiff['kind']>(['types', 'spawnabletypes']);
+
+const folderOf = (path: string) => path.includes('/') ? path.slice(0, path.lastIndexOf('/')) : '';
+
+const toggled = <T,>(set: Set<T>, value: T, on: boolean) => {
+    const next = new Set(set);
+    if (on) next.add(value); else next.delete(value);
+    return next;
+};
+
+/**
+ * Browsable diff between two snapshots, or a snapshot and the live mission: changed files on
+ * the left, and for the selected one every changed classname, preset or JSON key with its
+ * field changes (old > new).
+ */
+export const SnapshotDiffView: React.FC<SnapshotDiffViewProps> = ({
+    selectedProfileId,
+    snapshots,
+    initialA,
+    initialB,
+    onBack,
+    onRestore,
+    restoring = false
+}) => {
+    const [a, setA] = useState(initialA);
+    const [b, setB] = useState(initialB);
+    const [files, setFiles] = useState<FileDiff[] | null>(null);
+    const [error, setError] = useState<string | null>(null);
+    const [selected, setSelected] = useState<string | null>(null);
+    const [filter, setFilter] = useState('');
+    const [pickedPaths, setPickedPaths] = useState<Set<string>>(new Set());
+    const [pickedEntries, setPickedEntries] = useState<Record<string, Set<string>>>({});
+
+    useEffect(() => {
+        let cancelled = false;
+        (async () => {
+            setFiles(null);
+            setError(null);
+            try {
+                const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/${encodeURIComponent(a)}/diff/${encodeURIComponent(b)}`, {
+                    profileId: selectedProfileId
+                });
+                if (!res.ok) throw new Error(`Failed to compare (${res.status})`);
+                const body = await res.json();
+                if (cancelled) return;
+                setFiles(body.files);
+                setSelected(body.files[0]?.path ?? null);
+                setPickedPaths(new Set());
+                setPickedEntries({});
+            } catch (e: any) {
+                if (!cancelled) setError(e.message || String(e));
+            }
+        })();
+        return () => { cancelled = true; };
+    }, [selectedProfileId, a, b]);
+
+    const options = useMemo(() => [
+        { label: 'Current mission', value: 'current' },
+        ...snapshots.map(s => ({ label: `${s.name} (${moment(s.timestamp).format('YYYY-MM-DD HH:mm')})`, value: s.id }))
+    ], [snapshots]);
+
+    const needle = filter.trim().toLowerCase();
+    const file = files?.find(f => f.path === selected);
+    const changes = (file?.changes || []).filter(c => !needle || c.key.toLowerCase().includes(needle) || c.fields.some(f => f.toLowerCase().includes(needle)));
+    const shownFiles = (files || []).filter(f => !needle || f.path.toLowerCase().includes(needle) || f.changes.some(c => c.key.toLowerCase().includes(needle)));
+    const restoreId = a === 'current' && b !== 'current' ? b : b === 'current' && a !== 'current' ? a : null;
+    const selectable = !!onRestore && !!restoreId;
+
+    const groups = new Map<string, FileDiff[]>();
+    for (const f of shownFiles) {
+        const folder = folderOf(f.path);
+        groups.set(folder, [...(groups.get(folder) || []), f]);
+    }
+    const folders = [...groups.entries()];
+
+    // A picked folder covers its files, and a picked file its entries.
+    const folderPicked = (folder: string) => !!folder && pickedPaths.has(folder);
+    const filePicked = (path: string) => pickedPaths.has(path) || folderPicked(folderOf(path));
+    const entryKeys = (path: string) => filePicked(path) ? new Set<string>() : pickedEntries[path] || new Set<string>();
+    const selection: RestoreSelection = {
+        paths: [...pickedPaths].filter(p => !folderPicked(folderOf(p))).sort(),
+        entries: Object.entries(pickedEntries)
+            .filter(([path, keys]) => keys.size && !filePicked(path))
+            .map(([path, keys]) => ({ path, keys: [...keys].sort() }))
+    };
+    const selectionCount = selection.paths.length + selection.entries.reduce((n, e) => n + e.keys.length, 0);
+    const pickFolder = (folder: string, on: boolean) => {
+        let next = toggled(pickedPaths, folder, on);
+        if (on) next = new Set([...next].filter(p => folderOf(p) !== folder));
+        setPickedPaths(next);
+    };
+    const pickEntry = (path: string, key: string, on: boolean) =>
+        setPickedEntries(prev => ({ ...prev, [path]: toggled(prev[path] || new Set(), key, on) }));
+
+    return (
+        <div className="flex flex-col gap-4 min-h-0 flex-1">
+            <div className="flex flex-wrap items-end gap-3">
+                <Button variant="tertiary" size="sm" icon={ArrowLeft} onClick={onBack}>Snapshots</Button>
+                <div className="w-72"><Select size="sm" label="From" value={a} options={options} onChange={e => setA(e.target.value)} /></div>
+                <Button variant="secondary-gray" size="sm" icon={ArrowLeftRight} onClick={() => { setA(b); setB(a); }} title="Swap sides" />
+                <div className="w-72"><Select size="sm" label="To" value={b} options={options} onChange={e => setB(e.target.value)} /></div>
+                <div className="w-56"><Input size="sm" label="Filter" placeholder="File, classname or field…" value={filter} onChange={e => setFilter(e.target.value)} /></div>
+                {onRestore && restoreId && (
+                    <div className="ml-auto flex gap-2">
+                        <Button size="sm" variant="secondary-gray" icon={RotateCcw} onClick={() => onRestore(restoreId, selection)} disabled={restoring || !selectionCount}
+                            title="Tick files, folders or classnames to restore only those">
+                            Restore selected ({selectionCount})
+                        </Button>
+                        <Button size="sm" icon={RotateCcw} onClick={() => onRestore(restoreId)} disabled={restoring}>
+                            {restoring ? 'Restoring...' : 'Restore this snapshot'}
+                        </Button>
+                    </div>
+                )}
+            </div>
+
+            {error ? (
+                <p className="text-sm text-error-600">{error}</p>
+            ) : !files ? (
+                <p className="text-sm text-gray-500">Comparing…</p>
+            ) : a === b || !files.length ? (
+                <p className="text-sm text-gray-500">No differences.</p>
+            ) : (
+                <div className="flex gap-4 min-h-0 flex-1 max-h-[60vh]">
+                    <ul className="w-80 shrink-0 overflow-y-auto divide-y divide-gray-100 dark:divide-gray-800 border border-gray-200 dark:border-gray-800 rounded-xl">
+                        {folders.map(([folder, folderFiles]) => (
+                            <li key={folder || '/'}>
+                                {folder && (
+                                    <div className="px-3 py-1.5 flex items-center gap-2 text-xs font-semibold text-gray-500 bg-gray-50 dark:bg-gray-900">
+                                        {selectable && (
+                                            <Checkbox aria-label={`Restore folder ${folder}`} isSelected={folderPicked(folder)}
+                                                isIndeterminate={!folderPicked(folder) && folderFiles.some(f => pickedPaths.has(f.path))}
+                                                onChange={on => pickFolder(folder, on)} />
+                                        )}
+                                        <Folder size={14} className="shrink-0" />
+                                        <span className="truncate" title={folder}>{folder}/</span>
+                                    </div>
+                                )}
+                                <ul className="divide-y divide-gray-100 dark:divide-gray-800">
+                                    {folderFiles.map(f => (
+                                        <li key={f.path} className="flex items-center">
+                                            {selectable && (
+                                                <Checkbox className="pl-3" aria-label={`Restore ${f.path}`} isSelected={filePicked(f.path)}
+                                                    isDisabled={folderPicked(folder)}
+                                                    isIndeterminate={!filePicked(f.path) && entryKeys(f.path).size > 0}
+                                                    onChange={on => setPickedPaths(prev => toggled(prev, f.path, on))} />
+                                            )}
+                                            <button type="button" onClick={() => setSelected(f.path)}
+                                                className={cx('flex-1 min-w-0 px-3 py-2 text-left text-sm flex items-center justify-between gap-2',
+                                                    f.path === selected ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/20 dark:text-primary-300' : 'text-gray-700 hover:bg-gray-50 dark:text-gray-300 dark:hover:bg-gray-800')}>
+                                                <span className="truncate" title={f.path}>{folder ? f.path.slice(folder.length + 1) : f.path}</span>
+                                                <span className="flex items-center gap-1 shrink-0">
+                                                    {f.changes.length > 0 && <span className="text-xs text-gray-400">{f.changes.length}</span>}
+                                                    <Badge size="sm" color={STATUS_COLORS[f.status]}>{f.status}</Badge>
+                                                </span>
+                                            </button>
+                                        </li>
+                                    ))}
+                                </ul>
+                            </li>
+                        ))}
+                    </ul>
+
+                    <div className="flex-1 min-w-0 overflow-y-auto">
+                        {file && (
+                            <div className="space-y-3">
+                                <div className="flex items-center gap-2 text-sm">
+                                    <FileText size={16} className="text-gray-400" />
+                                    <span className="font-semibold text-gray-900 dark:text-white">{file.path}</span>
+                                    <Badge size="sm" color="gray">{KIND_LABELS[file.kind]}</Badge>
+                                </div>
+                                {file.status !== 'modified' ? (
+                                    <p className="text-sm text-gray-500">The whole file was {file.status}.</p>
+                                ) : !file.changes.length ? (
+                                    <p className="text-sm text-gray-500">The contents differ; this kind of file isn't broken down further.</p>
+                                ) : (
+                                    <table className="w-full text-sm">
+                                        <thead>
+                                            <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                                                {selectable && ENTRY_KINDS.has(file.kind) && <th className="py-2 pr-2 w-6" />}
+                                                <th className="py-2 pr-3">{file.kind === 'json' ? 'Key' : 'Entry'}</th>
+                                                <th className="py-2 px-3">Change</th>
+                                                <th className="py-2 pl-3">Fields</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                                            {changes.map(c => (
+                                                <tr key={`${c.status}:${c.key}`} className="align-top">
+                                                    {selectable && ENTRY_KINDS.has(file.kind) && (
+                                                        <td className="py-1.5 pr-2">
+                                                            <Checkbox aria-label={`Restore ${c.key}`} isDisabled={filePicked(file.path)}
+                                                                isSelected={filePicked(file.path) || entryKeys(file.path).has(c.key)}
+                                                                onChange={on => pickEntry(file.path, c.key, on)} />
+                                                        </td>
+                                                    )}
+                                                    <td className="py-1.5 pr-3 font-medium text-gray-900 dark:text-white break-all">{c.key}</td>
+                                                    <td className="py-1.5 px-3"><Badge size="sm" color={STATUS_COLORS[c.status]}>{c.status}</Badge></td>
+                                                    <td className="py-1.5 pl-3 text-xs text-gray-600 dark:text-gray-300 font-mono">
+                                                        {c.fields.map((f, i) => <div key={i} className="break-all">{f}</div>)}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
@@ -1,8 +1,10 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { Modal } from '@/components/base/modal/modal';
 import { Button } from '@/components/base/button/button';
 import { Badge } from '@/components/base/badges/badges';
 import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { Checkbox } from '@/components/base/checkbox/checkbox';
 import { 
     Camera, 
     Trash2, 
@@ -11,11 +13,19 @@ import {
     Calendar, 
     User, 
     AlertTriangle,
-    Clock
+    Clock,
+    GitCompare,
+    HardDrive,
+    Timer,
+    Download,
+    Upload
 } from 'lucide-react';
 import moment from 'moment';
 import { cx } from '@/utils/cx';
 import { apiFetch } from '@/utils/api';
+import { SnapshotDiffView, type RestoreSelection } from './SnapshotDiffView';
+
+type SnapshotKind = 'manual' | 'scheduled' | 'automatic';
 
 interface Snapshot {
     id: string;
@@ -23,8 +33,46 @@ interface Snapshot {
     description: string;
     timestamp: string;
     editorId: string;
+    kind: SnapshotKind;
+    /** Content-addressed snapshots only: files captured, their size, and how much was newly stored. */
+    storage?: { files: number; bytes: number; storedBytes: number };
+}
+
+/** Automatic snapshot settings, as stored in the mission's `.lootmaster/snapshot-schedule.json`. */
+interface SnapshotSchedule {
+    intervalHours: number;
+    sessionSnapshots: boolean;
+    sessionGapMinutes: number;
+    keepLast: number;
+    keepDailyDays: number;
+    keepWeeklyWeeks: number;
+    compress: boolean;
 }
 
+const KIND_BADGES: Record<SnapshotKind, { label: string; color: 'gray' | 'blue' | 'warning' }> = {
+    manual: { label: 'Manual', color: 'gray' },
+    scheduled: { label: 'Scheduled', color: 'blue' },
+    automatic: { label: 'Auto-backup', color: 'warning' },
+};
+
+const KIND_FILTERS = [
+    { label: 'All kinds', value: 'all' },
+    { label: 'Manual', value: 'manual' },
+    { label: 'Scheduled', value: 'scheduled' },
+    { label: 'Automatic', value: 'automatic' },
+];
+
+const formatSize = (bytes: number) =>
+    bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+
+const SCHEDULE_FIELDS: { key: Exclude<keyof SnapshotSchedule, 'sessionSnapshots' | 'compress'>; label: string; hint: string }[] = [
+    { key: 'intervalHours', label: 'Every (hours)', hint: '0 turns scheduled snapshots off' },
+    { key: 'sessionGapMinutes', label: 'Session gap (minutes)', hint: 'Idle time that ends an editing session' },
+    { key: 'keepLast', label: 'Keep last', hint: 'Newest scheduled/automatic snapshots kept' },
+    { key: 'keepDailyDays', label: 'Daily for (days)', hint: 'Newest of each day kept' },
+    { key: 'keepWeeklyWeeks', label: 'Weekly for (weeks)', hint: 'Newest of each week kept' },
+];
+
 interface SnapshotModalProps {
     onClose: () => void;
     selectedProfileId: string;
@@ -41,6 +89,13 @@ export const SnapshotModal: React.FC<SnapshotModalProps> = ({
     const [creating, setCreating] = useState(false);
     const [newSnapshot, setNewSnapshot] = useState({ name: '', description: '' });
     const [restoring, setRestoring] = useState<string | null>(null);
+    // Open diff: what restoring `b` would change relative to `a` (by default the live mission).
+    const [comparing, setComparing] = useState<{ a: string; b: string } | null>(null);
+    const [kindFilter, setKindFilter] = useState<'all' | SnapshotKind>('all');
+    const [schedule, setSchedule] = useState<SnapshotSchedule | null>(null);
+    const [savingSchedule, setSavingSchedule] = useState(false);
+    const [importing, setImporting] = useState(false);
+    const archiveInput = useRef<HTMLInputElement>(null);
 
     const fetchSnapshots = async () => {
         setLoading(true);
@@ -59,12 +114,48 @@ export const SnapshotModal: React.FC<SnapshotModalProps> = ({
         }
     };
 
+    const fetchSchedule = async () => {
+        try {
+            const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/schedule`, {
+                profileId: selectedProfileId
+            });
+            if (res.ok) setSchedule(await res.json());
+        } catch (err) {
+            console.error('Failed to fetch snapshot schedule', err);
+        }
+    };
+
     useEffect(() => {
         if (selectedProfileId) {
             fetchSnapshots();
+            fetchSchedule();
         }
     }, [selectedProfileId]);
 
+    const handleSaveSchedule = async () => {
+        if (!schedule) return;
+        setSavingSchedule(true);
+        try {
+            const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/schedule`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                profileId: selectedProfileId,
+                body: JSON.stringify(schedule)
+            });
+            if (res.ok) {
+                const body = await res.json();
+                setSchedule(body.schedule);
+                if (body.pruned.length) fetchSnapshots();
+            }
+        } catch (err) {
+            console.error('Failed to save snapshot schedule', err);
+        } finally {
+            setSavingSchedule(false);
+        }
+    };
+
+    const shownSnapshots = kindFilter === 'all' ? snapshots : snapshots.filter(s => s.kind === kindFilter);
+
     const handleCreate = async () => {
         if (!newSnapshot.name.trim()) return;
         setCreating(true);
@@ -89,6 +180,60 @@ export const SnapshotModal: React.FC<SnapshotModalProps> = ({
         }
     };
 
+    const handleExport = async (s: Snapshot) => {
+        try {
+            const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/${s.id}/export`, {
+                profileId: selectedProfileId
+            });
+            if (!res.ok) {
+                window.alert(`Failed to export snapshot (${res.status})`);
+                return;
+            }
+            const filename = res.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `${s.name}.zip`;
+            const url = URL.createObjectURL(await res.blob());
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = filename;
+            a.click();
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            console.error('Failed to export snapshot', err);
+        }
+    };
+
+    // Upload an exported snapshot (or a zipped mission folder) as a new snapshot of this profile.
+    const handleImport = async (file: File | undefined) => {
+        if (!file) return;
+        setImporting(true);
+        try {
+            const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/import?name=${encodeURIComponent(file.name.replace(/\.zip$/i, ''))}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/zip',
+                    'x-editor-id': localStorage.getItem('dayz-editor:id') || 'unknown'
+                },
+                profileId: selectedProfileId,
+                body: file
+            });
+            const body = await res.json();
+            if (!res.ok) {
+                window.alert(`Failed to import snapshot: ${body.error}`);
+                return;
+            }
+            const notes = [
+                body.remapped && `Mission name ${body.remapped.from} was replaced with ${body.remapped.to} in ${body.remapped.files.length} file(s).`,
+                body.ignored.length > 0 && `${body.ignored.length} file(s) outside the snapshot layout were left out.`
+            ].filter(Boolean);
+            window.alert([`Imported "${body.snapshot.name}".`, ...notes].join('\n\n'));
+            fetchSnapshots();
+        } catch (err) {
+            console.error('Failed to import snapshot', err);
+        } finally {
+            setImporting(false);
+            if (archiveInput.current) archiveInput.current.value = '';
+        }
+    };
+
     const handleDelete = async (id: string) => {
         if (!window.confirm('Are you sure you want to delete this snapshot? This cannot be undone.')) return;
         try {
@@ -104,17 +249,22 @@ export const SnapshotModal: React.FC<SnapshotModalProps> = ({
         }
     };
 
-    const handleRestore = async (id: string) => {
+    const handleRestore = async (id: string, selection?: RestoreSelection) => {
         const s = snapshots.find(x => x.id === id);
-        if (!window.confirm(`Are you sure you want to restore snapshot "${s?.name}"? \n\nThis will overwrite ALL current CLE files and Random Presets. A pre-restore snapshot will be created automatically.`)) return;
+        const message = selection
+            ? `Restore ${selection.paths.length} file(s)/folder(s) and ${selection.entries.reduce((n, e) => n + e.keys.length, 0)} classname(s) from snapshot "${s?.name}"? \n\nOnly the selected items are overwritten. A pre-restore snapshot will be created automatically.`
+            : `Are you sure you want to restore snapshot "${s?.name}"? \n\nThis will overwrite ALL current CLE files and Random Presets. A pre-restore snapshot will be created automatically.`;
+        if (!window.confirm(message)) return;
         
         setRestoring(id);
         try {
             const res = await apiFetch(`/api/profiles/${selectedProfileId}/snapshots/${id}/restore`, {
                 method: 'POST',
                 headers: {
-                    'x-editor-id': localStorage.getItem('dayz-editor:id') || 'unknown'
+                    'x-editor-id': localStorage.getItem('dayz-editor:id') || 'unknown',
+                    ...(selection ? { 'Content-Type': 'application/json' } : {})
                 },
+                body: selection ? JSON.stringify(selection) : undefined,
                 profileId: selectedProfileId
             });
             if (res.ok) {
@@ -143,121 +293,216 @@ export const SnapshotModal: React.FC<SnapshotModalProps> = ({
             description="Create and manage snapshots of your CLE configurations and mission files."
             footer={footer}
             inline={inline}
+            maxWidth={comparing ? 'max-w-7xl' : undefined}
         >
-            <div className={cx("space-y-6 overflow-y-auto pr-2 scrollbar-thin", inline ? "flex-1" : "max-h-[70vh]")}>
-                {/* Create Section */}
-                <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 dark:bg-gray-900 dark:border-gray-800 space-y-4">
-                    <div className="flex items-center gap-2 text-sm font-semibold text-gray-900 dark:text-white">
-                        <Plus size={18} className="text-primary-600" />
-                        Create New Snapshot
-                    </div>
-                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                        <Input 
-                            label="Snapshot Name" 
-                            placeholder="e.g. Pre-Wipe Stable" 
-                            value={newSnapshot.name}
-                            onChange={e => setNewSnapshot(prev => ({ ...prev, name: e.target.value }))}
-                        />
-                        <Input 
-                            label="Description (Optional)" 
-                            placeholder="Reason for snapshot..." 
-                            value={newSnapshot.description}
-                            onChange={e => setNewSnapshot(prev => ({ ...prev, description: e.target.value }))}
-                        />
-                    </div>
-                    <div className="flex justify-end">
-                        <Button 
-                            onClick={handleCreate} 
-                            disabled={!newSnapshot.name.trim() || creating}
-                            icon={Camera}
-                        >
-                            {creating ? 'Creating...' : 'Take Snapshot'}
-                        </Button>
-                    </div>
-                </div>
-
-                {/* List Section */}
-                <div className="space-y-4">
-                    <div className="flex items-center justify-between">
-                        <h3 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
-                            <Clock size={18} className="text-gray-400" />
-                            Previous Snapshots
-                        </h3>
-                        <Badge color="gray">{snapshots.length} total</Badge>
+            {comparing ? (
+                <SnapshotDiffView
+                    selectedProfileId={selectedProfileId}
+                    snapshots={snapshots}
+                    initialA={comparing.a}
+                    initialB={comparing.b}
+                    onBack={() => setComparing(null)}
+                    onRestore={handleRestore}
+                    restoring={!!restoring}
+                />
+            ) : (
+                <div className={cx("space-y-6 overflow-y-auto pr-2 scrollbar-thin", inline ? "flex-1" : "max-h-[70vh]")}>
+                    {/* Create Section */}
+                    <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 dark:bg-gray-900 dark:border-gray-800 space-y-4">
+                        <div className="flex items-center gap-2 text-sm font-semibold text-gray-900 dark:text-white">
+                            <Plus size={18} className="text-primary-600" />
+                            Create New Snapshot
+                        </div>
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                            <Input 
+                                label="Snapshot Name" 
+                                placeholder="e.g. Pre-Wipe Stable" 
+                                value={newSnapshot.name}
+                                onChange={e => setNewSnapshot(prev => ({ ...prev, name: e.target.value }))}
+                            />
+                            <Input 
+                                label="Description (Optional)" 
+                                placeholder="Reason for snapshot..." 
+                                value={newSnapshot.description}
+                                onChange={e => setNewSnapshot(prev => ({ ...prev, description: e.target.value }))}
+                            />
+                        </div>
+                        <div className="flex justify-end gap-2">
+                            <input ref={archiveInput} type="file" accept=".zip" className="hidden" onChange={e => handleImport(e.target.files?.[0])} />
+                            <Button
+                                variant="secondary-gray"
+                                icon={Upload}
+                                onClick={() => archiveInput.current?.click()}
+                                disabled={importing}
+                                title="Add a snapshot exported from another server, or a zipped mission folder"
+                            >
+                                {importing ? 'Importing...' : 'Import archive'}
+                            </Button>
+                            <Button 
+                                onClick={handleCreate} 
+                                disabled={!newSnapshot.name.trim() || creating}
+                                icon={Camera}
+                            >
+                                {creating ? 'Creating...' : 'Take Snapshot'}
+                            </Button>
+                        </div>
                     </div>
 
-                    {loading ? (
-                        <div className="py-12 flex flex-col items-center justify-center text-gray-500">
-                            <div className="size-8 border-2 border-primary-200 border-t-primary-600 rounded-full animate-spin mb-4" />
-                            Loading snapshots...
+                    {/* Schedule Section */}
+                    {schedule && (
+                        <div className="bg-gray-50 p-4 rounded-xl border border-gray-200 dark:bg-gray-900 dark:border-gray-800 space-y-4">
+                            <div className="flex items-center gap-2 text-sm font-semibold text-gray-900 dark:text-white">
+                                <Timer size={18} className="text-primary-600" />
+                                Automatic Snapshots
+                            </div>
+                            <div className="grid grid-cols-2 sm:grid-cols-5 gap-4">
+                                {SCHEDULE_FIELDS.map(f => (
+                                    <Input
+                                        key={f.key}
+                                        type="number"
+                                        size="sm"
+                                        label={f.label}
+                                        hint={f.hint}
+                                        value={String(schedule[f.key])}
+                                        onChange={e => setSchedule(prev => prev && ({ ...prev, [f.key]: Math.max(0, Number(e.target.value) || 0) }))}
+                                    />
+                                ))}
+                            </div>
+                            <div className="flex items-center justify-between gap-4">
+                                <div className="flex flex-col gap-2">
+                                    <Checkbox
+                                        label="Snapshot before the first change of each editing session"
+                                        isSelected={schedule.sessionSnapshots}
+                                        onChange={on => setSchedule(prev => prev && ({ ...prev, sessionSnapshots: on }))}
+                                    />
+                                    <Checkbox
+                                        label="Compress stored files (gzip)"
+                                        isSelected={schedule.compress}
+                                        onChange={on => setSchedule(prev => prev && ({ ...prev, compress: on }))}
+                                    />
+                                </div>
+                                <Button size="sm" variant="secondary-gray" onClick={handleSaveSchedule} disabled={savingSchedule}>
+                                    {savingSchedule ? 'Saving...' : 'Save schedule'}
+                                </Button>
+                            </div>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">Retention only prunes scheduled and automatic snapshots; manual ones are kept until you delete them.</p>
                         </div>
-                    ) : snapshots.length === 0 ? (
-                        <div className="py-12 text-center bg-white border border-dashed border-gray-300 rounded-xl dark:bg-gray-900 dark:border-gray-800">
-                            <Camera size={48} className="mx-auto text-gray-300 mb-4" />
-                            <p className="text-gray-500">No snapshots found for this profile.</p>
+                    )}
+
+                    {/* List Section */}
+                    <div className="space-y-4">
+                        <div className="flex items-center justify-between">
+                            <h3 className="text-sm font-semibold text-gray-900 dark:text-white flex items-center gap-2">
+                                <Clock size={18} className="text-gray-400" />
+                                Previous Snapshots
+                            </h3>
+                            <div className="flex items-center gap-2">
+                                <div className="w-40">
+                                    <Select size="sm" aria-label="Filter by kind" value={kindFilter} options={KIND_FILTERS}
+                                        onChange={e => setKindFilter(e.target.value as 'all' | SnapshotKind)} />
+                                </div>
+                                <Badge color="gray">{shownSnapshots.length === snapshots.length ? `${snapshots.length} total` : `${shownSnapshots.length} of ${snapshots.length}`}</Badge>
+                            </div>
                         </div>
-                    ) : (
-                        <div className="space-y-3">
-                            {snapshots.map(s => (
-                                <div 
-                                    key={s.id}
-                                    className="group flex flex-col sm:flex-row sm:items-center justify-between p-4 bg-white border border-gray-200 rounded-xl hover:border-primary-300 transition-all shadow-sm dark:bg-gray-800 dark:border-gray-700 dark:hover:border-primary-600"
-                                >
-                                    <div className="flex-1 min-w-0 pr-4">
-                                        <div className="flex items-center gap-2 mb-1">
-                                            <span className="font-bold text-gray-900 truncate dark:text-white" title={s.name}>{s.name}</span>
-                                            {s.name.startsWith('Pre-restore:') && (
-                                                <Badge color="warning" size="sm">Auto-backup</Badge>
-                                            )}
-                                        </div>
-                                        {s.description && (
-                                            <p className="text-sm text-gray-500 truncate mb-2 dark:text-gray-400">{s.description}</p>
-                                        )}
-                                        <div className="flex items-center gap-4 text-xs text-gray-400">
-                                            <div className="flex items-center gap-1">
-                                                <Calendar size={12} />
-                                                {moment(s.timestamp).fromNow()}
+
+                        {loading ? (
+                            <div className="py-12 flex flex-col items-center justify-center text-gray-500">
+                                <div className="size-8 border-2 border-primary-200 border-t-primary-600 rounded-full animate-spin mb-4" />
+                                Loading snapshots...
+                            </div>
+                        ) : shownSnapshots.length === 0 ? (
+                            <div className="py-12 text-center bg-white border border-dashed border-gray-300 rounded-xl dark:bg-gray-900 dark:border-gray-800">
+                                <Camera size={48} className="mx-auto text-gray-300 mb-4" />
+                                <p className="text-gray-500">{snapshots.length ? 'No snapshots of this kind.' : 'No snapshots found for this profile.'}</p>
+                            </div>
+                        ) : (
+                            <div className="space-y-3">
+                                {shownSnapshots.map(s => (
+                                    <div 
+                                        key={s.id}
+                                        className="group flex flex-col sm:flex-row sm:items-center justify-between p-4 bg-white border border-gray-200 rounded-xl hover:border-primary-300 transition-all shadow-sm dark:bg-gray-800 dark:border-gray-700 dark:hover:border-primary-600"
+                                    >
+                                        <div className="flex-1 min-w-0 pr-4">
+                                            <div className="flex items-center gap-2 mb-1">
+                                                <span className="font-bold text-gray-900 truncate dark:text-white" title={s.name}>{s.name}</span>
+                                                {s.kind !== 'manual' && (
+                                                    <Badge color={KIND_BADGES[s.kind].color} size="sm">{KIND_BADGES[s.kind].label}</Badge>
+                                                )}
                                             </div>
-                                            <div className="flex items-center gap-1">
-                                                <User size={12} />
-                                                {s.editorId}
+                                            {s.description && (
+                                                <p className="text-sm text-gray-500 truncate mb-2 dark:text-gray-400">{s.description}</p>
+                                            )}
+                                            <div className="flex items-center gap-4 text-xs text-gray-400">
+                                                <div className="flex items-center gap-1">
+                                                    <Calendar size={12} />
+                                                    {moment(s.timestamp).fromNow()}
+                                                </div>
+                                                <div className="flex items-center gap-1">
+                                                    <User size={12} />
+                                                    {s.editorId}
+                                                </div>
+                                                {s.storage && (
+                                                    <div className="flex items-center gap-1" title="Unchanged files are shared with other snapshots">
+                                                        <HardDrive size={12} />
+                                                        {s.storage.files} files, {formatSize(s.storage.bytes)} ({formatSize(s.storage.storedBytes)} new)
+                                                    </div>
+                                                )}
                                             </div>
                                         </div>
+                                        <div className="flex items-center gap-2 mt-4 sm:mt-0 border-t sm:border-t-0 pt-3 sm:pt-0">
+                                            <Button
+                                                variant="secondary-gray"
+                                                size="sm"
+                                                icon={GitCompare}
+                                                onClick={() => setComparing({ a: 'current', b: s.id })}
+                                                disabled={!!restoring}
+                                            >
+                                                Compare
+                                            </Button>
+                                            <Button
+                                                variant="secondary-gray"
+                                                size="sm"
+                                                icon={Download}
+                                                onClick={() => handleExport(s)}
+                                                disabled={!!restoring}
+                                                title="Download as a zip to import on another server"
+                                            >
+                                                Export
+                                            </Button>
+                                            <Button 
+                                                variant="secondary-gray" 
+                                                size="sm" 
+                                                icon={RotateCcw}
+                                                onClick={() => handleRestore(s.id)}
+                                                disabled={!!restoring}
+                                            >
+                                                {restoring === s.id ? 'Restoring...' : 'Restore'}
+                                            </Button>
+                                            <Button 
+                                                variant="tertiary" 
+                                                size="sm" 
+                                                className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:text-error-400 dark:hover:bg-error-900/30"
+                                                onClick={() => handleDelete(s.id)}
+                                                disabled={!!restoring}
+                                            >
+                                                <Trash2 size={18} />
+                                            </Button>
+                                        </div>
                                     </div>
-                                    <div className="flex items-center gap-2 mt-4 sm:mt-0 border-t sm:border-t-0 pt-3 sm:pt-0">
-                                        <Button 
-                                            variant="secondary-gray" 
-                                            size="sm" 
-                                            icon={RotateCcw}
-                                            onClick={() => handleRestore(s.id)}
-                                            disabled={!!restoring}
-                                        >
-                                            {restoring === s.id ? 'Restoring...' : 'Restore'}
-                                        </Button>
-                                        <Button 
-                                            variant="tertiary" 
-                                            size="sm" 
-                                            className="text-error-600 hover:text-error-700 hover:bg-error-50 dark:text-error-400 dark:hover:bg-error-900/30"
-                                            onClick={() => handleDelete(s.id)}
-                                            disabled={!!restoring}
-                                        >
-                                            <Trash2 size={18} />
-                                        </Button>
-                                    </div>
-                                </div>
-                            ))}
-                        </div>
-                    )}
-                </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
 
-                <div className="p-4 bg-warning-50 rounded-xl border border-warning-200 flex gap-3 dark:bg-warning-900/10 dark:border-warning-800">
-                    <AlertTriangle className="text-warning-600 shrink-0" size={20} />
-                    <div className="text-xs text-warning-800 dark:text-warning-300">
-                        <p className="font-bold mb-1 text-sm">Warning on Restore</p>
-                        Restoring a snapshot will completely replace your current mission files on the server. Always ensure you have backed up your current state if you're unsure. The system creates an automatic "Pre-restore" snapshot for safety.
+                    <div className="p-4 bg-warning-50 rounded-xl border border-warning-200 flex gap-3 dark:bg-warning-900/10 dark:border-warning-800">
+                        <AlertTriangle className="text-warning-600 shrink-0" size={20} />
+                        <div className="text-xs text-warning-800 dark:text-warning-300">
+                            <p className="font-bold mb-1 text-sm">Warning on Restore</p>
+                            Restoring a snapshot will completely replace your current mission files on the server. Use Compare to see what it would change first. Always ensure you have backed up your current state if you're unsure. The system creates an automatic "Pre-restore" snapshot for safety.
+                        </div>
                     </div>
                 </div>
-            </div>
+            )}
         </Modal>
     );
 };
@@ -8,6 +8,8 @@ import { Trash2, Package, Settings2, Search } from 'lucide-react';
 import { cx } from '@/utils/cx';
 import { XMLNodeKind } from '@/types/xml';
 import { useCatalog } from '@/contexts/CatalogContext';
+import { Badge } from '@/components/base/badges/badges';
+import { checkAttachmentBlocks, type SlotGraph } from '@/utils/attachmentSlots';
 
 interface SpawnableSlotModalProps {
   isOpen: boolean;
@@ -18,6 +20,8 @@ interface SpawnableSlotModalProps {
   typeOptions: string[];
   /** When editing an attachments slot, restrict the picker to these compatible classes. */
   compatibleClasses?: string[] | null;
+  /** The parent's exposed slots (catalog `accepts`), to show which slot each item fills. */
+  attachmentGraph?: SlotGraph | null;
   kind: XMLNodeKind.ATTACHMENTS | XMLNodeKind.CARGO;
   title?: string;
 }
@@ -30,6 +34,7 @@ export const SpawnableSlotModal: React.FC<SpawnableSlotModalProps> = ({
   presets,
   typeOptions,
   compatibleClasses,
+  attachmentGraph,
   kind,
   title
 }) => {
@@ -49,6 +54,12 @@ export const SpawnableSlotModal: React.FC<SpawnableSlotModalProps> = ({
   const restricted = kind === XMLNodeKind.ATTACHMENTS && !!(compatibleClasses && compatibleClasses.length > 0);
   const searchPool = restricted ? compatibleClasses! : typeOptions;
 
+  // Which of the parent's slots each configured item fills ([] = it can never attach).
+  const itemSlots = useMemo(
+    () => (kind === XMLNodeKind.ATTACHMENTS ? checkAttachmentBlocks(attachmentGraph, [editedSlot])?.itemSlots[0] : null) || null,
+    [kind, attachmentGraph, editedSlot]
+  );
+
   const filteredTypeOptions = useMemo(() => {
     // Restricted lists are short, so surface them as soon as the user starts typing.
     const minLen = restricted ? 1 : 2;
@@ -223,6 +234,11 @@ export const SpawnableSlotModal: React.FC<SpawnableSlotModalProps> = ({
                           <p className="text-xs text-gray-400 truncate">{displayNameFor(item.name)}</p>
                         )}
                       </div>
+                      {itemSlots?.[idx] && (
+                        itemSlots[idx].length
+                          ? <Badge color="gray" size="sm">{itemSlots[idx].join(', ')}</Badge>
+                          : <Badge color="warning" size="sm">Fits no slot</Badge>
+                      )}
                       <Slider
                         className="w-48 px-4 border-l border-gray-100 dark:border-gray-800"
                         labelPosition="hidden"
@@ -0,0 +1,150 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { Layers3 } from 'lucide-react';
+import { cx } from '@/utils/cx';
+import type { AreaFlagsLayer } from '@/hooks/useAreaFlags';
+
+/** Fixed colours for the vanilla tiers so they read the same on every map; others cycle PALETTE. */
+const TIER_RGB: Record<string, [number, number, number]> = {
+  tier1: [34, 197, 94],
+  tier2: [234, 179, 8],
+  tier3: [249, 115, 22],
+  tier4: [239, 68, 68],
+  unique: [168, 85, 247],
+};
+const PALETTE: [number, number, number][] = [
+  [14, 165, 233], [236, 72, 153], [20, 184, 166], [132, 204, 22], [99, 102, 241], [244, 63, 94],
+];
+
+function flagColor(name: string, index: number): [number, number, number] {
+  return TIER_RGB[name.toLowerCase()] || PALETTE[index % PALETTE.length];
+}
+
+const labelOf = (data: AreaFlagsLayer, bit: number) => data.flags[bit] || `Flag ${bit + 1}`;
+
+/** Bits that are set somewhere on the map; flags the raster never uses aren't offered. */
+function usedBits(data: AreaFlagsLayer): number[] {
+  let all = 0;
+  for (let i = 0; i < data.cells.length; i++) all |= data.cells[i];
+  const bits: number[] = [];
+  for (let b = 0; b < 16; b++) if (all & (1 << b)) bits.push(b);
+  return bits;
+}
+
+interface TierOverlayProps {
+  data: AreaFlagsLayer;
+  /** Flag names to paint. */
+  selected: string[];
+  /** 0..1. Default 0.35 — enough to read the tiers without hiding the terrain. */
+  opacity?: number;
+}
+
+/**
+ * Read-only areaflags.map layer for the top-down maps. Render it inside the map's **content**
+ * box (next to the `<img>`): it is world-sized, so it must pan and zoom with the image. Each
+ * cell is painted in the colour of the first selected flag it carries.
+ */
+export function TierOverlay({ data, selected, opacity = 0.35 }: TierOverlayProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext('2d');
+    if (!canvas || !ctx) return;
+    const { size, cells } = data;
+    const wanted = new Set(selected.map(n => n.toLowerCase()));
+    const bits = Array.from({ length: 16 }, (_, b) => b).filter(b => wanted.has(labelOf(data, b).toLowerCase()));
+    const img = ctx.createImageData(size, size);
+    const alpha = Math.round(opacity * 255);
+    for (let i = 0; i < cells.length; i++) {
+      const cell = cells[i];
+      if (!cell) continue;
+      const bit = bits.find(b => cell & (1 << b));
+      if (bit === undefined) continue;
+      const [r, g, b] = flagColor(labelOf(data, bit), bit);
+      img.data[i * 4] = r;
+      img.data[i * 4 + 1] = g;
+      img.data[i * 4 + 2] = b;
+      img.data[i * 4 + 3] = alpha;
+    }
+    ctx.putImageData(img, 0, 0);
+  }, [data, selected, opacity]);
+
+  return (
+    <canvas
+      ref={canvasRef}
+      width={data.size}
+      height={data.size}
+      // Cells are coarse (each is metres wide); smoothing would smear tier borders.
+      style={{ imageRendering: 'pixelated' }}
+      className="absolute inset-0 h-full w-full pointer-events-none"
+    />
+  );
+}
+
+interface TierOverlayControlsProps {
+  enabled: boolean;
+  onEnabledChange: (on: boolean) => void;
+  data: AreaFlagsLayer | null;
+  selected: string[];
+  onSelectedChange: (names: string[]) => void;
+  loading?: boolean;
+  error?: string | null;
+}
+
+/** Toolbar toggle for the tier overlay plus one chip per flag present in areaflags.map. */
+export function TierOverlayControls({
+  enabled, onEnabledChange, data, selected, onSelectedChange, loading, error,
+}: TierOverlayControlsProps) {
+  const bits = useMemo(() => (data ? usedBits(data) : []), [data]);
+
+  // Nothing picked yet (no deep link) when the layer arrives: start with every flag on.
+  useEffect(() => {
+    if (data && !selected.length) onSelectedChange(bits.map(b => labelOf(data, b)));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [data]);
+
+  const toggle = (name: string) => onSelectedChange(
+    selected.includes(name) ? selected.filter(n => n !== name) : [...selected, name],
+  );
+
+  return (
+    <div className="flex flex-wrap items-center gap-1.5">
+      <button
+        type="button"
+        onClick={() => onEnabledChange(!enabled)}
+        title={error || 'Value tiers from areaflags.map (read-only)'}
+        className={cx(
+          'flex items-center gap-1.5 px-2.5 py-1.5 rounded-lg text-xs font-medium border transition-colors',
+          enabled
+            ? 'bg-primary-50 text-primary-700 border-primary-200 dark:bg-primary-900/20 dark:text-primary-300 dark:border-primary-800'
+            : 'bg-white text-gray-500 border-gray-200 hover:bg-gray-50 dark:bg-gray-900 dark:text-gray-400 dark:border-gray-700',
+          error && enabled && 'opacity-60',
+        )}
+      >
+        <Layers3 size={13} />
+        Tiers
+        {enabled && loading && <span className="text-[10px] text-gray-400">(loading)</span>}
+      </button>
+      {enabled && error && <span className="text-xs text-error-600">{error}</span>}
+      {enabled && data && bits.map(bit => {
+        const name = labelOf(data, bit);
+        const on = selected.includes(name);
+        const [r, g, b] = flagColor(name, bit);
+        return (
+          <button
+            key={bit}
+            type="button"
+            onClick={() => toggle(name)}
+            className={cx(
+              'flex items-center gap-1.5 px-2 py-1 rounded-md text-xs font-medium border transition-colors',
+              on ? 'border-gray-300 text-gray-800 dark:border-gray-600 dark:text-gray-200' : 'border-transparent text-gray-400',
+            )}
+          >
+            <span className="h-2.5 w-2.5 rounded-sm" style={{ backgroundColor: `rgb(${r}, ${g}, ${b})`, opacity: on ? 1 : 0.35 }} />
+            {name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,211 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, RefreshCcw01 } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import type { MarketCategory } from '@/utils/market';
+import {
+  buildCoverage,
+  setTraderCategoryMode,
+  traderModeLabel,
+  TRADER_MODES,
+  HIDDEN_MODE,
+} from '@/utils/traderProfiles';
+
+interface TraderCoverageViewProps {
+  selectedProfileId: string;
+}
+
+const MODE_COLORS: Record<number, 'success' | 'brand' | 'warning' | 'gray'> = {
+  0: 'brand',
+  1: 'success',
+  2: 'warning',
+  [HIDDEN_MODE]: 'gray',
+};
+
+async function loadAll(profileId: string, listUrl: string, listKey: string, itemUrl: (name: string) => string) {
+  const res = await apiFetch(listUrl, { profileId });
+  const names: string[] = res.ok ? ((await res.json())[listKey] || []) : [];
+  const out: Record<string, any> = {};
+  for (const name of names) {
+    const r = await apiFetch(itemUrl(name), { profileId });
+    if (r.ok) out[name] = await r.json().catch(() => null);
+  }
+  return out;
+}
+
+/**
+ * Add-Ons → Expansion → Trader coverage: trader profiles against market categories. Each cell is the
+ * category's mode in that trader's Categories and opens a picker that writes the profile
+ * straight away; below, the market items no trader can buy or sell at all.
+ */
+export const TraderCoverageView: React.FC<TraderCoverageViewProps> = ({ selectedProfileId }) => {
+  const [categories, setCategories] = useState<Record<string, MarketCategory>>({});
+  const [traders, setTraders] = useState<Record<string, any>>({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [editing, setEditing] = useState<{ trader: string; category: string } | null>(null);
+  const [writing, setWriting] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const [cats, profs] = await Promise.all([
+        loadAll(selectedProfileId, '/api/market/categories', 'categories', n => `/api/market/category/${encodeURIComponent(n)}`),
+        loadAll(selectedProfileId, '/api/trader-profiles', 'profiles', n => `/api/trader-profile/${encodeURIComponent(n)}`),
+      ]);
+      setCategories(cats);
+      setTraders(profs);
+    } catch {
+      setError('Error connecting to server.');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedProfileId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const coverage = useMemo(() => buildCoverage(categories, traders), [categories, traders]);
+  const traderNames = useMemo(() => Object.keys(traders).sort((a, b) => a.localeCompare(b)), [traders]);
+
+  const setMode = async (trader: string, category: string, mode: number | null) => {
+    setWriting(true);
+    setError(null);
+    try {
+      // Re-read the profile so its Items and other fields are written back as they are on disk.
+      const res = await apiFetch(`/api/trader-profile/${encodeURIComponent(trader)}`, { profileId: selectedProfileId });
+      if (!res.ok) throw new Error(`Failed to read trader profile ${trader} (${res.status})`);
+      const next = setTraderCategoryMode(await res.json(), category, mode);
+      const put = await apiFetch(`/api/trader-profile/${encodeURIComponent(trader)}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Editor-ID': localStorage.getItem('dayz-editor:id') || 'unknown',
+        },
+        profileId: selectedProfileId,
+        body: JSON.stringify(next),
+      });
+      if (!put.ok) throw new Error(`Failed to save trader profile ${trader} (${put.status})`);
+      setTraders(prev => ({ ...prev, [trader]: next }));
+      setEditing(null);
+    } catch (e: any) {
+      setError(e.message);
+    } finally {
+      setWriting(false);
+    }
+  };
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Trader coverage</h1>
+            <p className="text-xs text-gray-500">Which trader trades which market category; click a cell to change it</p>
+          </div>
+          <Button size="sm" variant="secondary-gray" icon={RefreshCcw01} onClick={load} disabled={loading}>Reload</Button>
+        </div>
+      </header>
+
+      <div className="flex-1 overflow-auto p-6 space-y-6">
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+
+        {!loading && (!traderNames.length || !coverage.rows.length) ? (
+          <p className="text-sm text-gray-500">No trader profiles or market categories found.</p>
+        ) : (
+          <div className="overflow-x-auto rounded-xl border border-gray-200 dark:border-gray-800">
+            <table className="text-sm border-collapse">
+              <thead className="bg-gray-50 dark:bg-gray-900/80">
+                <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400">
+                  <th className="sticky left-0 z-10 bg-gray-50 dark:bg-gray-900 py-2 px-3 border-b border-gray-200 dark:border-gray-800">Category</th>
+                  {traderNames.map(t => (
+                    <th key={t} className="py-2 px-3 border-b border-gray-200 dark:border-gray-800 whitespace-nowrap normal-case">{t}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                {coverage.rows.map(row => {
+                  const covered = traderNames.some(t => {
+                    const m = row.cells[t]?.mode;
+                    return m !== null && m !== undefined && m !== HIDDEN_MODE;
+                  });
+                  return (
+                    <tr key={row.category}>
+                      <td className={cx(
+                        'sticky left-0 z-10 bg-white dark:bg-gray-950 py-1.5 px-3 whitespace-nowrap font-medium',
+                        covered ? 'text-gray-900 dark:text-white' : 'text-warning-700 dark:text-warning-400'
+                      )}>
+                        {row.category} <span className="text-xs font-normal text-gray-400">{row.items}</span>
+                      </td>
+                      {traderNames.map(t => {
+                        const cell = row.cells[t];
+                        const open = editing?.trader === t && editing.category === row.category;
+                        return (
+                          <td key={t} className="relative py-1 px-2 text-center">
+                            <button
+                              type="button"
+                              disabled={writing}
+                              onClick={() => setEditing(open ? null : { trader: t, category: row.category })}
+                              className={cx('w-full rounded-md px-1.5 py-1 hover:bg-gray-100 dark:hover:bg-gray-800', open && 'ring-2 ring-primary-300')}
+                              title={cell?.itemOverrides ? `${cell.itemOverrides} item(s) with their own mode in ${t}` : undefined}
+                            >
+                              {cell?.mode === null || cell?.mode === undefined
+                                ? <span className="text-gray-300 dark:text-gray-700">—</span>
+                                : <Badge size="sm" color={MODE_COLORS[cell.mode] || 'gray'}>{traderModeLabel(cell.mode)}</Badge>}
+                              {cell?.itemOverrides > 0 && <span className="ml-1 text-[10px] text-gray-400">+{cell.itemOverrides}</span>}
+                            </button>
+                            {open && (
+                              <div className="absolute left-1/2 top-full z-20 mt-1 -translate-x-1/2 flex gap-1 rounded-lg border border-gray-200 bg-white p-1 shadow-lg dark:border-gray-700 dark:bg-gray-900">
+                                {TRADER_MODES.map(m => (
+                                  <button key={m.value} type="button" disabled={writing}
+                                    onClick={() => setMode(t, row.category, m.value)}
+                                    className={cx('px-2 py-1 rounded text-xs font-medium whitespace-nowrap hover:bg-gray-100 dark:hover:bg-gray-800',
+                                      cell?.mode === m.value ? 'text-primary-700 dark:text-primary-400' : 'text-gray-600 dark:text-gray-300')}>
+                                    {m.label}
+                                  </button>
+                                ))}
+                                <button type="button" disabled={writing || cell?.mode === null}
+                                  onClick={() => setMode(t, row.category, null)}
+                                  className="px-2 py-1 rounded text-xs font-medium whitespace-nowrap text-error-600 hover:bg-error-50 disabled:opacity-40 dark:hover:bg-error-900/20">
+                                  Remove
+                                </button>
+                              </div>
+                            )}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <section className="space-y-2">
+          <h4 className="flex items-center gap-2 text-xs font-semibold text-gray-500 uppercase tracking-wider">
+            Items no trader covers <Badge size="sm" color={coverage.uncovered.length ? 'warning' : 'gray'}>{coverage.uncovered.length}</Badge>
+          </h4>
+          {coverage.uncovered.length === 0 ? (
+            <p className="text-sm text-gray-500">Every market item can be bought or sold somewhere.</p>
+          ) : (
+            <ul className="columns-3 gap-6 text-sm">
+              {coverage.uncovered.map(u => (
+                <li key={`${u.category}/${u.className}`} className="py-0.5 break-inside-avoid">
+                  <span className="text-gray-900 dark:text-white">{u.className}</span>{' '}
+                  <span className="text-xs text-gray-400">{u.category}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
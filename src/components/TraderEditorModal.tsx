@@ -5,45 +5,8 @@ import { Input } from './base/input/input';
 import { Select } from './base/select/select';
 import { ShoppingBag01, Trash01, Plus, Save01, XClose } from '@untitledui/icons';
 import { apiFetch } from '@/utils/api';
-
-const ENTITY_CLASSES = [
-  'ExpansionTraderAIMirek',
-  'ExpansionTraderAIDenis',
-  'ExpansionTraderAIBoris',
-  'ExpansionTraderAICyril',
-  'ExpansionTraderAIElias',
-  'ExpansionTraderAIFrancis',
-  'ExpansionTraderAIGuo',
-  'ExpansionTraderAIHassan',
-  'ExpansionTraderAIIndar',
-  'ExpansionTraderAIJose',
-  'ExpansionTraderAIKaito',
-  'ExpansionTraderAILewis',
-  'ExpansionTraderAIManua',
-  'ExpansionTraderAINiki',
-  'ExpansionTraderAIOliver',
-  'ExpansionTraderAIPeter',
-  'ExpansionTraderAIQuinn',
-  'ExpansionTraderAIRolf',
-  'ExpansionTraderAISeth',
-  'ExpansionTraderAITaiki',
-  'ExpansionTraderAILinda',
-  'ExpansionTraderAIMaria',
-  'ExpansionTraderAIFrida',
-  'ExpansionTraderAIGabi',
-  'ExpansionTraderAIHelga',
-  'ExpansionTraderAIIrena',
-  'ExpansionTraderAIJudy',
-  'ExpansionTraderAIKeiko',
-  'ExpansionTraderAIEva',
-  'ExpansionTraderAINaomi',
-  'ExpansionTraderAIBaty',
-];
-
-interface Category {
-  name: string;
-  flag: number;
-}
+import { TRADER_ENTITY_CLASSES as ENTITY_CLASSES } from '@/consts/traders';
+import { parseCategories, serializeCategories, type TraderCategory } from '@/utils/traderProfiles';
 
 interface TraderEditorModalProps {
   onClose: () => void;
@@ -59,28 +22,8 @@ function useEditorID() {
   }
 }
 
-function parseCategories(arr: any[]): Category[] {
-  const out: Category[] = [];
-  const seen = new Set();
-  for (const v of Array.isArray(arr) ? arr : []) {
-    if (typeof v !== 'string') continue;
-    const idx = v.lastIndexOf(':');
-    const rawName = idx >= 0 ? v.slice(0, idx) : v;
-    const rawFlag = idx >= 0 ? v.slice(idx + 1) : '';
-    const name = String(rawName).trim();
-    if (!name) continue;
-    const key = name.toLowerCase();
-    if (seen.has(key)) continue;
-    const f = Number(rawFlag);
-    const flag = Number.isFinite(f) ? f : 1;
-    seen.add(key);
-    out.push({ name, flag });
-  }
-  return out;
-}
-
-function dedupeCategoryList(list: Category[]): Category[] {
-  const out: Category[] = [];
+function dedupeCategoryList(list: TraderCategory[]): TraderCategory[] {
+  const out: TraderCategory[] = [];
   const seen = new Set();
   for (const item of Array.isArray(list) ? list : []) {
     const name = String(item && item.name || '').trim();
@@ -94,10 +37,6 @@ function dedupeCategoryList(list: Category[]): Category[] {
   return out;
 }
 
-function serializeCategories(list: Category[]) {
-  return list.map(({ name, flag }) => `${name}:${Number(flag) | 0}`);
-}
-
 export default function TraderEditorModal({ onClose, selectedProfileId, isPanel = false }: TraderEditorModalProps) {
   const editorID = useEditorID();
 
@@ -113,7 +52,7 @@ export default function TraderEditorModal({ onClose, selectedProfileId, isPanel
   const [attachments, setAttachments] = useState('');
 
   const [profileJson, setProfileJson] = useState<any>(null);
-  const [categories, setCategories] = useState<Category[]>([]);
+  const [categories, setCategories] = useState<TraderCategory[]>([]);
   const [marketCategories, setMarketCategories] = useState<string[]>([]);
   const [newCategory, setNewCategory] = useState('');
 
@@ -0,0 +1,222 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { cx } from '@/utils/cx';
+import { MapMetadata } from '@/consts/maps';
+import { useMapPanZoom } from '@/hooks/useMapPanZoom';
+import { traderKey, yawToScreen, yawToward, type TraderPlacement, type TraderZonePlacement } from '@/utils/traderMap';
+import { MapZoomControls } from './MapZoomControls';
+
+export type TraderMapSelection = { kind: 'trader'; key: string } | { kind: 'zone'; name: string } | null;
+
+type Drag =
+  | { kind: 'trader-move' | 'trader-rotate'; key: string }
+  | { kind: 'zone-move' | 'zone-radius'; name: string };
+
+interface TraderPlacementMapProps {
+  map: MapMetadata;
+  traders: TraderPlacement[];
+  zones: TraderZonePlacement[];
+  selection: TraderMapSelection;
+  onSelect: (selection: TraderMapSelection) => void;
+  onChangeTrader: (key: string, patch: Partial<TraderPlacement>) => void;
+  onChangeZone: (name: string, patch: Partial<TraderZonePlacement>) => void;
+  /** When set, a background click places a new trader there instead of clearing the selection. */
+  onPlace?: (x: number, z: number) => void;
+}
+
+/** Distance of the rotation handle from the trader, in CSS px. */
+const HANDLE_PX = 26;
+
+/**
+ * Top-down map of trader NPCs (facing arrows) and trader zones (radius circles). The selected
+ * trader drags to move and has a handle to turn it; the selected zone drags by its centre and
+ * resizes by the handle on its rim.
+ *
+ * Same three-layer structure as AirdropDropLocationMap (see `useMapPanZoom`).
+ */
+export const TraderPlacementMap: React.FC<TraderPlacementMapProps> = ({
+  map,
+  traders,
+  zones,
+  selection,
+  onSelect,
+  onChangeTrader,
+  onChangeZone,
+  onPlace,
+}) => {
+  const dragRef = useRef<Drag | null>(null);
+  const [, forceRender] = useState(0);
+
+  const view = useMapPanZoom({
+    worldSize: map.worldSize || 15360,
+    isGestureBlocked: () => dragRef.current !== null,
+    onBackgroundClick: (hit) => {
+      if (onPlace) onPlace(Math.round(hit.x), Math.round(hit.z));
+      else onSelect(null);
+    },
+  });
+
+  const { toWorld } = view;
+
+  const applyDrag = useCallback((clientX: number, clientY: number) => {
+    const drag = dragRef.current;
+    const hit = drag && toWorld(clientX, clientY);
+    if (!drag || !hit) return;
+    if ('key' in drag) {
+      const t = traders.find(x => traderKey(x) === drag.key);
+      if (!t) return;
+      if (drag.kind === 'trader-move') {
+        onChangeTrader(drag.key, { position: [Math.round(hit.x * 10) / 10, t.position[1], Math.round(hit.z * 10) / 10] });
+      } else {
+        onChangeTrader(drag.key, { orientation: [yawToward(hit.x - t.position[0], hit.z - t.position[2]), t.orientation[1], t.orientation[2]] });
+      }
+    } else {
+      const z = zones.find(x => x.name === drag.name);
+      if (!z) return;
+      if (drag.kind === 'zone-move') {
+        onChangeZone(drag.name, { position: [Math.round(hit.x), z.position[1], Math.round(hit.z)] });
+      } else {
+        onChangeZone(drag.name, { radius: Math.max(1, Math.round(Math.hypot(hit.x - z.position[0], hit.z - z.position[2]))) });
+      }
+    }
+  }, [traders, zones, onChangeTrader, onChangeZone, toWorld]);
+
+  useEffect(() => {
+    const handleMove = (e: PointerEvent) => {
+      if (!dragRef.current) return;
+      e.preventDefault();
+      applyDrag(e.clientX, e.clientY);
+    };
+    const handleUp = () => {
+      if (dragRef.current) {
+        dragRef.current = null;
+        forceRender((n) => n + 1);
+      }
+    };
+    window.addEventListener('pointermove', handleMove);
+    window.addEventListener('pointerup', handleUp);
+    return () => {
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+    };
+  }, [applyDrag]);
+
+  // A first press on an unselected marker only selects it; the next press drags.
+  const startDrag = (drag: Drag, selected: boolean, select: TraderMapSelection) => (e: React.PointerEvent) => {
+    e.stopPropagation();
+    e.preventDefault();
+    onSelect(select);
+    if (!selected) return;
+    dragRef.current = drag;
+    forceRender((n) => n + 1);
+  };
+
+  const showImage = !!map.imagePath && !view.imageFailed;
+
+  return (
+    <div
+      ref={view.viewportRef}
+      {...view.viewportHandlers}
+      className={cx(
+        'relative w-full aspect-square overflow-hidden rounded-lg border border-gray-200 dark:border-gray-800 bg-gray-100 dark:bg-gray-900 select-none touch-none',
+        view.isPanning ? 'cursor-grabbing' : onPlace ? 'cursor-crosshair' : view.canZoom && !view.atMin ? 'cursor-grab' : undefined
+      )}
+    >
+      {showImage ? (
+        <div style={view.contentStyle}>
+          <img
+            src={map.imagePath}
+            alt={map.displayName}
+            {...view.imageProps}
+            className="block h-full w-full opacity-90 pointer-events-none"
+          />
+        </div>
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400 pointer-events-none">
+          No map preview for "{map.displayName}"
+        </div>
+      )}
+
+      {view.size > 0 && (
+        <div className="absolute inset-0 pointer-events-none">
+          {zones.map(z => {
+            const { px, py } = view.project(z.position[0], z.position[2]);
+            const r = view.projectLen(z.radius);
+            const isSel = selection?.kind === 'zone' && selection.name === z.name;
+            return (
+              <React.Fragment key={`zone-${z.name}`}>
+                <div
+                  style={{ left: px, top: py, width: r * 2, height: r * 2 }}
+                  className={cx(
+                    'absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2',
+                    isSel ? 'border-primary-500 bg-primary-400/15' : 'border-success-500/70 bg-success-400/10'
+                  )}
+                />
+                <div
+                  onPointerDown={startDrag({ kind: 'zone-move', name: z.name }, isSel, { kind: 'zone', name: z.name })}
+                  title={`${z.displayName} (radius ${z.radius} m)`}
+                  style={{ left: px, top: py }}
+                  className={cx(
+                    'absolute -translate-x-1/2 -translate-y-1/2 rounded-sm border-2 border-white shadow-md pointer-events-auto',
+                    isSel ? 'z-20 h-3.5 w-3.5 bg-primary-600 cursor-move' : 'h-3 w-3 bg-success-600 cursor-pointer'
+                  )}
+                />
+                {isSel && (
+                  <div
+                    onPointerDown={startDrag({ kind: 'zone-radius', name: z.name }, true, selection)}
+                    title="Drag to resize"
+                    style={{ left: px + r, top: py }}
+                    className="absolute z-20 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-primary-600 bg-white shadow pointer-events-auto cursor-ew-resize"
+                  />
+                )}
+              </React.Fragment>
+            );
+          })}
+
+          {traders.map(t => {
+            const key = traderKey(t);
+            const { px, py } = view.project(t.position[0], t.position[2]);
+            const dir = yawToScreen(t.orientation[0]);
+            const isSel = selection?.kind === 'trader' && selection.key === key;
+            const len = isSel ? HANDLE_PX : 12;
+            return (
+              <React.Fragment key={`trader-${key}`}>
+                <svg className="absolute overflow-visible" style={{ left: px, top: py }} width={1} height={1}>
+                  <line x1={0} y1={0} x2={dir.dx * len} y2={dir.dy * len}
+                    className={isSel ? 'stroke-primary-600' : 'stroke-warning-600'} strokeWidth={2} />
+                </svg>
+                <div
+                  onPointerDown={startDrag({ kind: 'trader-move', key }, isSel, { kind: 'trader', key })}
+                  title={`${t.traderFileName} (${t.file}.map)`}
+                  style={{ left: px, top: py }}
+                  className={cx(
+                    'absolute -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-white shadow-md pointer-events-auto',
+                    isSel ? 'z-30 h-3.5 w-3.5 bg-primary-700 cursor-move' : 'z-10 h-3 w-3 bg-warning-500 cursor-pointer',
+                    t.isNew && !isSel && 'bg-warning-300'
+                  )}
+                />
+                {isSel && (
+                  <>
+                    <div
+                      onPointerDown={startDrag({ kind: 'trader-rotate', key }, true, selection)}
+                      title={`Facing ${t.orientation[0]}° — drag to turn`}
+                      style={{ left: px + dir.dx * HANDLE_PX, top: py + dir.dy * HANDLE_PX }}
+                      className="absolute z-30 h-3 w-3 -translate-x-1/2 -translate-y-1/2 rounded-full border-2 border-primary-600 bg-white shadow pointer-events-auto cursor-grab"
+                    />
+                    <div
+                      style={{ left: px, top: py }}
+                      className="absolute z-30 -translate-x-1/2 translate-y-3 whitespace-nowrap rounded bg-black/70 px-1.5 py-0.5 text-[10px] font-medium text-white"
+                    >
+                      {t.traderFileName || t.file}
+                    </div>
+                  </>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </div>
+      )}
+
+      {view.canZoom && <MapZoomControls map={view} />}
+    </div>
+  );
+};
@@ -0,0 +1,316 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import { Button } from '@/components/base/button/button';
+import { Input } from '@/components/base/input/input';
+import { Select } from '@/components/base/select/select';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertCircle, CheckCircle, LineChartUp01, Plus, RefreshCcw01, Save01 } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch, rememberEtag } from '@/utils/api';
+import { useMapMetadata } from '@/hooks/useMapMetadata';
+import { TRADER_ENTITY_CLASSES } from '@/consts/traders';
+import {
+  changedTraders,
+  nextTraderIndex,
+  traderKey,
+  type TraderPlacement,
+  type TraderZonePlacement,
+} from '@/utils/traderMap';
+import { TraderPlacementMap, type TraderMapSelection } from './TraderPlacementMap';
+import { TraderZoneStockModal } from './TraderZoneStockModal';
+
+interface TraderPlacementViewProps {
+  selectedProfileId: string;
+  missionName?: string;
+}
+
+type SaveState = { kind: 'idle' | 'saving' | 'ok' | 'error'; message?: string };
+
+const editorHeaders = () => ({
+  'Content-Type': 'application/json',
+  'X-Editor-ID': localStorage.getItem('dayz-editor:id') || 'unknown',
+});
+
+/**
+ * Add-Ons → Expansion → Trader map: every NPC from expansion/traders/*.map and every trader
+ * zone from expansion/traderzones/*.json on the map. NPCs move, turn and get created by
+ * clicking the map; zones move and resize. Saving rewrites only the changed .map lines and
+ * the Position/Radius of changed zones.
+ */
+export const TraderPlacementView: React.FC<TraderPlacementViewProps> = ({ selectedProfileId, missionName }) => {
+  const map = useMapMetadata(missionName);
+  const [traders, setTraders] = useState<TraderPlacement[]>([]);
+  const [savedTraders, setSavedTraders] = useState<TraderPlacement[]>([]);
+  const [zones, setZones] = useState<TraderZonePlacement[]>([]);
+  const [savedZones, setSavedZones] = useState<TraderZonePlacement[]>([]);
+  const [profiles, setProfiles] = useState<string[]>([]);
+  const [selection, setSelection] = useState<TraderMapSelection>(null);
+  const [placing, setPlacing] = useState(false);
+  const [simulating, setSimulating] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [saveState, setSaveState] = useState<SaveState>({ kind: 'idle' });
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [res, pRes] = await Promise.all([
+        apiFetch('/api/trader-placements', { profileId: selectedProfileId }),
+        apiFetch('/api/trader-profiles', { profileId: selectedProfileId }),
+      ]);
+      const body = res.ok ? await res.json() : { traders: [], zones: [] };
+      const pJson = await pRes.json().catch(() => ({ profiles: [] }));
+      // Each NPC carries its .map file's ETag, which the trader PUT sends back as If-Match.
+      for (const t of body.traders as (TraderPlacement & { etag?: string })[]) {
+        rememberEtag(`/api/traders/${encodeURIComponent(t.file)}`, selectedProfileId, t.etag);
+      }
+      setTraders(body.traders);
+      setSavedTraders(body.traders);
+      setZones(body.zones);
+      setSavedZones(body.zones);
+      setProfiles(Array.isArray(pJson.profiles) ? pJson.profiles : []);
+      setSelection(null);
+      if (!res.ok) setSaveState({ kind: 'error', message: `Failed to load traders (HTTP ${res.status})` });
+    } catch {
+      setSaveState({ kind: 'error', message: 'Error connecting to server.' });
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedProfileId]);
+
+  useEffect(() => { load(); }, [load]);
+
+  const pendingTraders = useMemo(() => changedTraders(traders, savedTraders), [traders, savedTraders]);
+  const pendingZones = useMemo(() => {
+    const before = new Map(savedZones.map(z => [z.name, JSON.stringify(z)]));
+    return zones.filter(z => before.get(z.name) !== JSON.stringify(z));
+  }, [zones, savedZones]);
+  const pending = pendingTraders.length + pendingZones.length;
+
+  const changeTrader = useCallback((key: string, patch: Partial<TraderPlacement>) => {
+    setTraders(prev => prev.map(t => (traderKey(t) === key ? { ...t, ...patch } : t)));
+  }, []);
+  const changeZone = useCallback((name: string, patch: Partial<TraderZonePlacement>) => {
+    setZones(prev => prev.map(z => (z.name === name ? { ...z, ...patch } : z)));
+  }, []);
+
+  const placeTrader = (x: number, z: number) => {
+    const template = selection?.kind === 'trader' ? traders.find(t => traderKey(t) === selection.key) : undefined;
+    let n = 1;
+    while (traders.some(t => t.file.toLowerCase() === `trader_${n}`)) n++;
+    const file = `Trader_${n}`;
+    const next: TraderPlacement = {
+      file,
+      index: 0,
+      className: template?.className || TRADER_ENTITY_CLASSES[0],
+      traderFileName: template?.traderFileName || profiles[0] || '',
+      position: [x, template?.position[1] ?? 0, z],
+      orientation: [0, 0, 0],
+      gear: template?.gear || [],
+      isNew: true,
+    };
+    setTraders(prev => [...prev, next]);
+    setSelection({ kind: 'trader', key: traderKey(next) });
+    setPlacing(false);
+  };
+
+  /** Re-file a new NPC; it's appended after whatever that file already holds. */
+  const renameNewTrader = (key: string, file: string) => {
+    const others = traders.filter(t => traderKey(t) !== key);
+    const index = nextTraderIndex(others, file);
+    setTraders(prev => prev.map(t => (traderKey(t) === key ? { ...t, file, index } : t)));
+    setSelection({ kind: 'trader', key: traderKey({ file, index }) });
+  };
+
+  const removeNewTrader = (key: string) => {
+    setTraders(prev => prev.filter(t => traderKey(t) !== key));
+    setSelection(null);
+  };
+
+  const save = async () => {
+    setSaveState({ kind: 'saving' });
+    try {
+      for (const t of pendingTraders) {
+        if (!/^[A-Za-z0-9._-]+$/.test(t.file)) throw new Error(`"${t.file}" is not a valid .map file name`);
+        if (!t.traderFileName) throw new Error(`${t.file}.map needs a trader profile`);
+        const res = await apiFetch(`/api/traders/${encodeURIComponent(t.file)}`, {
+          method: 'PUT',
+          headers: editorHeaders(),
+          profileId: selectedProfileId,
+          body: JSON.stringify({
+            className: t.className,
+            traderFileName: t.traderFileName,
+            position: t.position,
+            orientation: t.orientation,
+            gear: t.gear,
+            line: t.index,
+          }),
+        });
+        if (res.status === 409) throw new Error(`${t.file}.map was changed on the server since it was loaded. Reload before saving.`);
+        if (!res.ok) throw new Error(`Failed to save ${t.file}.map (${res.status})`);
+      }
+      for (const z of pendingZones) {
+        // Read the zone fresh and patch only what the map edits; Stock and the rest pass through.
+        const res = await apiFetch(`/api/traderzones/${encodeURIComponent(z.name)}`, { profileId: selectedProfileId });
+        if (!res.ok) throw new Error(`Failed to read trader zone ${z.name} (${res.status})`);
+        const json = await res.json();
+        const put = await apiFetch(`/api/traderzones/${encodeURIComponent(z.name)}`, {
+          method: 'PUT',
+          headers: editorHeaders(),
+          profileId: selectedProfileId,
+          body: JSON.stringify({ ...json, Position: z.position, Radius: z.radius }),
+        });
+        if (!put.ok) throw new Error(`Failed to save trader zone ${z.name} (${put.status})`);
+      }
+      const written = traders.map(({ isNew: _new, ...t }) => t);
+      setTraders(written);
+      setSavedTraders(written);
+      setSavedZones(zones);
+      setSaveState({ kind: 'ok' });
+      setTimeout(() => setSaveState({ kind: 'idle' }), 2500);
+    } catch (e: any) {
+      setSaveState({ kind: 'error', message: e.message });
+    }
+  };
+
+  const trader = selection?.kind === 'trader' ? traders.find(t => traderKey(t) === selection.key) : undefined;
+  const zone = selection?.kind === 'zone' ? zones.find(z => z.name === selection.name) : undefined;
+  const vec = (v: [number, number, number], i: number, n: number): [number, number, number] =>
+    v.map((c, j) => (j === i ? n : c)) as [number, number, number];
+  const num = (s: string) => (Number.isFinite(Number(s)) ? Number(s) : 0);
+
+  const classOptions = (current: string) =>
+    (TRADER_ENTITY_CLASSES.includes(current) || !current ? TRADER_ENTITY_CLASSES : [current, ...TRADER_ENTITY_CLASSES]).map(c => ({ label: c, value: c }));
+  const profileOptions = (current: string) =>
+    (profiles.includes(current) || !current ? profiles : [current, ...profiles]).map(p => ({ label: p, value: p }));
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between gap-4">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Trader map</h1>
+            <p className="text-xs text-gray-500">Trader NPCs and trader zones of {map.displayName}</p>
+          </div>
+          <div className="flex items-center gap-3">
+            {saveState.kind === 'ok' && <span className="flex items-center gap-1 text-xs text-success-600"><CheckCircle size={14} /> Saved</span>}
+            {saveState.kind === 'error' && <span className="flex items-center gap-1 text-xs text-error-600"><AlertCircle size={14} /> {saveState.message}</span>}
+            <Button size="sm" variant="secondary-gray" icon={RefreshCcw01} onClick={load} disabled={loading || saveState.kind === 'saving'}>Reload</Button>
+            <Button size="sm" variant={placing ? 'primary' : 'secondary-gray'} icon={Plus} onClick={() => setPlacing(p => !p)}>
+              {placing ? 'Click the map…' : 'New trader'}
+            </Button>
+            <Button size="sm" icon={Save01} onClick={save} disabled={!pending || saveState.kind === 'saving'}>
+              {saveState.kind === 'saving' ? 'Saving…' : pending ? `Save ${pending} change${pending === 1 ? '' : 's'}` : 'Save'}
+            </Button>
+          </div>
+        </div>
+      </header>
+
+      <div className="flex-1 min-h-0 flex gap-6 p-6 overflow-hidden">
+        <div className="flex-1 min-w-0 overflow-auto">
+          <TraderPlacementMap
+            map={map}
+            traders={traders}
+            zones={zones}
+            selection={selection}
+            onSelect={setSelection}
+            onChangeTrader={changeTrader}
+            onChangeZone={changeZone}
+            onPlace={placing ? placeTrader : undefined}
+          />
+          <p className="mt-2 text-xs text-gray-400">
+            Click a marker to select it, then drag to move. Drag the white handle to turn a trader or resize a zone.
+          </p>
+        </div>
+
+        <aside className="w-80 shrink-0 overflow-y-auto space-y-5">
+          {trader && (
+            <section className="space-y-3">
+              <div className="flex items-center gap-2">
+                <Badge color="warning" size="sm" type="modern">Trader</Badge>
+                <span className="text-xs text-gray-500">{trader.file}.map, line {trader.index + 1}</span>
+              </div>
+              {trader.isNew && (
+                <Input size="sm" label=".map file" value={trader.file} hint="An existing file gets this NPC appended."
+                  onChange={e => renameNewTrader(traderKey(trader), e.target.value)} />
+              )}
+              <Select size="sm" label="Entity class" value={trader.className} options={classOptions(trader.className)}
+                onChange={e => changeTrader(traderKey(trader), { className: e.target.value })} />
+              <Select size="sm" label="Trader profile" value={trader.traderFileName} options={profileOptions(trader.traderFileName)}
+                onChange={e => changeTrader(traderKey(trader), { traderFileName: e.target.value })} />
+              <div className="grid grid-cols-3 gap-2">
+                {(['X', 'Y', 'Z'] as const).map((label, i) => (
+                  <Input key={label} size="sm" type="number" label={label} value={String(trader.position[i])}
+                    onChange={e => changeTrader(traderKey(trader), { position: vec(trader.position, i, num(e.target.value)) })} />
+                ))}
+              </div>
+              <p className="text-[11px] text-gray-400">Y is the height above sea level; the map can't read terrain, so check it after moving a trader.</p>
+              <Input size="sm" type="number" label="Facing (yaw °)" value={String(trader.orientation[0])}
+                onChange={e => changeTrader(traderKey(trader), { orientation: vec(trader.orientation, 0, num(e.target.value)) })} />
+              {trader.isNew && (
+                <Button size="sm" variant="secondary-gray" onClick={() => removeNewTrader(traderKey(trader))}>Discard new trader</Button>
+              )}
+            </section>
+          )}
+
+          {zone && (
+            <section className="space-y-3">
+              <div className="flex items-center gap-2">
+                <Badge color="success" size="sm" type="modern">Trader zone</Badge>
+                <span className="text-xs text-gray-500">{zone.name}.json</span>
+              </div>
+              <p className="text-sm font-medium text-gray-900 dark:text-white">{zone.displayName}</p>
+              <div className="grid grid-cols-3 gap-2">
+                <Input size="sm" type="number" label="X" value={String(zone.position[0])}
+                  onChange={e => changeZone(zone.name, { position: vec(zone.position, 0, num(e.target.value)) })} />
+                <Input size="sm" type="number" label="Z" value={String(zone.position[2])}
+                  onChange={e => changeZone(zone.name, { position: vec(zone.position, 2, num(e.target.value)) })} />
+                <Input size="sm" type="number" label="Radius" value={String(zone.radius)}
+                  onChange={e => changeZone(zone.name, { radius: Math.max(0, num(e.target.value)) })} />
+              </div>
+              <Button size="sm" variant="secondary-gray" icon={LineChartUp01} onClick={() => setSimulating(zone.name)}>Simulate stock</Button>
+            </section>
+          )}
+
+          <section className="space-y-2">
+            <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">Traders ({traders.length})</h4>
+            <ul className="divide-y divide-gray-100 dark:divide-gray-800">
+              {traders.map(t => {
+                const key = traderKey(t);
+                const dirty = pendingTraders.includes(t);
+                return (
+                  <li key={key}>
+                    <button type="button" onClick={() => setSelection({ kind: 'trader', key })}
+                      className={cx('w-full py-1.5 flex items-center justify-between gap-2 text-left text-sm',
+                        selection?.kind === 'trader' && selection.key === key ? 'text-primary-700 dark:text-primary-400' : 'text-gray-700 dark:text-gray-300')}>
+                      <span className="truncate">{t.traderFileName || '—'} <span className="text-xs text-gray-400">{t.file}.map</span></span>
+                      {dirty && <Badge size="sm" color={t.isNew ? 'success' : 'warning'}>{t.isNew ? 'new' : 'edited'}</Badge>}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </section>
+
+          <section className="space-y-2">
+            <h4 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">Zones ({zones.length})</h4>
+            <ul className="divide-y divide-gray-100 dark:divide-gray-800">
+              {zones.map(z => (
+                <li key={z.name}>
+                  <button type="button" onClick={() => setSelection({ kind: 'zone', name: z.name })}
+                    className={cx('w-full py-1.5 flex items-center justify-between gap-2 text-left text-sm',
+                      selection?.kind === 'zone' && selection.name === z.name ? 'text-primary-700 dark:text-primary-400' : 'text-gray-700 dark:text-gray-300')}>
+                    <span className="truncate">{z.displayName} <span className="text-xs text-gray-400">{z.radius} m</span></span>
+                    {pendingZones.includes(z) && <Badge size="sm" color="warning">edited</Badge>}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        </aside>
+      </div>
+
+      {simulating && (
+        <TraderZoneStockModal selectedProfileId={selectedProfileId} zoneName={simulating} onClose={() => setSimulating(null)} />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,218 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Modal } from './base/modal/modal';
+import { Button } from './base/button/button';
+import { Input } from './base/input/input';
+import { Select } from './base/select/select';
+import { Badge } from './base/badges/badges';
+import { AlertCircle, LineChartUp01, RefreshCcw01 } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import type { MarketCategory } from '@/utils/market';
+import {
+  ACTION_ORDERS,
+  DEFAULT_SELL_PRICE_PERCENT,
+  simulateZone,
+  type ActionOrder,
+  type StockSimulation,
+  type TraderZoneInput,
+} from '@/utils/traderStockSimulator';
+
+interface TraderZoneStockModalProps {
+  selectedProfileId: string;
+  zoneName: string;
+  onClose: () => void;
+}
+
+const W = 600;
+const H = 220;
+const PAD = 8;
+
+const money = (n: number) => Math.round(n).toLocaleString();
+
+/** Stock (solid) and buy price (dashed) over the run, each scaled to its own range. */
+const StockChart: React.FC<{ sim: StockSimulation }> = ({ sim }) => {
+  const { steps } = sim;
+  const maxStock = Math.max(1, ...steps.map(s => s.stock));
+  const prices = steps.map(s => s.buyPrice);
+  const lo = Math.min(...prices);
+  const hi = Math.max(...prices);
+  const x = (i: number) => PAD + (i / Math.max(1, steps.length - 1)) * (W - PAD * 2);
+  const y = (v: number, min: number, max: number) => H - PAD - (max > min ? (v - min) / (max - min) : 0.5) * (H - PAD * 2);
+  const line = (read: (i: number) => number) => steps.map((_, i) => `${x(i)},${read(i)}`).join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${W} ${H}`} preserveAspectRatio="none" className="w-full h-56 overflow-visible">
+        <line x1={PAD} x2={W - PAD} y1={H - PAD} y2={H - PAD} className="stroke-gray-300 dark:stroke-gray-700" vectorEffect="non-scaling-stroke" />
+        <polyline points={line(i => y(steps[i].stock, 0, maxStock))} fill="none"
+          className="stroke-primary-600" strokeWidth={2} vectorEffect="non-scaling-stroke" />
+        <polyline points={line(i => y(prices[i], lo, hi))} fill="none"
+          className="stroke-warning-500" strokeWidth={2} strokeDasharray="4 3" vectorEffect="non-scaling-stroke" />
+        {steps.map((s, i) => !s.ok && (
+          <circle key={i} cx={x(i)} cy={y(s.stock, 0, maxStock)} r={3} className="fill-error-500">
+            <title>Step {s.step}: purchase refused, out of stock</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-[10px] text-gray-400 mt-1">
+        <span><span className="text-primary-600">━</span> stock 0–{maxStock}</span>
+        <span>{steps.length - 1} transactions</span>
+        <span><span className="text-warning-500">╍</span> buy price {money(lo)}–{money(hi)}</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Stock simulator for one trader zone: runs a number of player purchases and sales against every
+ * item in the zone's Stock, priced from the market categories, and charts the selected item.
+ * Read-only — nothing is written back to the zone.
+ */
+export const TraderZoneStockModal: React.FC<TraderZoneStockModalProps> = ({ selectedProfileId, zoneName, onClose }) => {
+  const [zone, setZone] = useState<TraderZoneInput | null>(null);
+  const [categories, setCategories] = useState<Record<string, MarketCategory>>({});
+  const [defaultSell, setDefaultSell] = useState(DEFAULT_SELL_PRICE_PERCENT);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [purchases, setPurchases] = useState(20);
+  const [sales, setSales] = useState(10);
+  const [order, setOrder] = useState<ActionOrder>('random');
+  const [seed, setSeed] = useState(0);
+  const [selected, setSelected] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const zRes = await apiFetch(`/api/traderzones/${encodeURIComponent(zoneName)}`, { profileId: selectedProfileId });
+        if (!zRes.ok) throw new Error(`Failed to read trader zone ${zoneName} (${zRes.status})`);
+        const zoneJson = await zRes.json();
+        const [cRes, aRes] = await Promise.all([
+          apiFetch('/api/market/categories', { profileId: selectedProfileId }),
+          apiFetch('/api/market/analysis', { profileId: selectedProfileId }),
+        ]);
+        const names: string[] = cRes.ok ? ((await cRes.json()).categories || []) : [];
+        const cats: Record<string, MarketCategory> = {};
+        for (const name of names) {
+          const r = await apiFetch(`/api/market/category/${encodeURIComponent(name)}`, { profileId: selectedProfileId });
+          if (r.ok) cats[name] = await r.json();
+        }
+        const analysis = aRes.ok ? await aRes.json() : null;
+        if (cancelled) return;
+        setZone(zoneJson);
+        setCategories(cats);
+        if (Number.isFinite(analysis?.sellPricePercent)) setDefaultSell(analysis.sellPricePercent);
+      } catch (e: any) {
+        if (!cancelled) setError(e.message || 'Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedProfileId, zoneName]);
+
+  const results = useMemo(() => {
+    if (!zone) return [];
+    // `seed` only forces a fresh shuffle when the order is random.
+    void seed;
+    return simulateZone(zone, categories, { purchases, sales, order, defaultSellPercent: defaultSell });
+  }, [zone, categories, purchases, sales, order, defaultSell, seed]);
+
+  const priced = results.filter(r => r.result);
+  const current = priced.find(r => r.className === selected) || priced[0];
+  const sim = current?.result;
+  const unpriced = results.length - priced.length;
+  const count = (v: string) => Math.max(0, Math.min(10000, Math.floor(Number(v) || 0)));
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={onClose}
+      title={`Stock simulator — ${zone?.m_DisplayName || zoneName}`}
+      description="How stock and prices in this zone move as players buy and sell. Nothing is saved."
+      icon={LineChartUp01}
+      maxWidth="max-w-5xl"
+      footer={<Button variant="secondary" onClick={onClose}>Close</Button>}
+    >
+      <div className="space-y-5">
+        {error && (
+          <div className="flex items-start gap-2 text-sm text-error-600">
+            <AlertCircle size={16} className="shrink-0 mt-0.5" /> {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-4 gap-3 items-end">
+          <Input size="sm" type="number" label="Purchases" value={String(purchases)} min={0} onChange={e => setPurchases(count(e.target.value))} />
+          <Input size="sm" type="number" label="Sales" value={String(sales)} min={0} onChange={e => setSales(count(e.target.value))} />
+          <Select size="sm" label="Order" value={order} options={ACTION_ORDERS} onChange={e => setOrder(e.target.value as ActionOrder)} />
+          <Button size="sm" variant="secondary-gray" icon={RefreshCcw01} disabled={order !== 'random'} onClick={() => setSeed(s => s + 1)}>Reshuffle</Button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading zone and market…</p>
+        ) : !priced.length ? (
+          <p className="text-sm text-gray-500">None of this zone's stock is listed in a market category.</p>
+        ) : (
+          <>
+            {current && sim && (
+              <section className="space-y-3">
+                <div className="flex items-center gap-2">
+                  <span className="text-sm font-medium text-gray-900 dark:text-white">{current.className}</span>
+                  <span className="text-xs text-gray-400">{current.category}</span>
+                  {sim.refused > 0 && <Badge size="sm" color="error">{sim.refused} refused</Badge>}
+                </div>
+                <StockChart sim={sim} />
+                <div className="grid grid-cols-4 gap-3 text-sm">
+                  {[
+                    ['Stock', `${current.startStock} → ${sim.finalStock}`],
+                    ['Buy price', `${money(sim.steps[0].buyPrice)} → ${money(sim.steps[sim.steps.length - 1].buyPrice)}`],
+                    ['Players paid', money(sim.takenIn)],
+                    ['Trader paid out', money(sim.paidOut)],
+                  ].map(([label, value]) => (
+                    <div key={label} className="rounded-lg border border-gray-200 dark:border-gray-800 px-3 py-2">
+                      <div className="text-[10px] font-bold uppercase tracking-wider text-gray-400">{label}</div>
+                      <div className="font-semibold text-gray-900 dark:text-white">{value}</div>
+                    </div>
+                  ))}
+                </div>
+              </section>
+            )}
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs font-bold uppercase tracking-wider text-gray-400 border-b border-gray-200 dark:border-gray-800">
+                  <th className="py-2 pr-3">Item</th>
+                  <th className="py-2 px-3 text-right">Stock</th>
+                  <th className="py-2 px-3 text-right">Buy price</th>
+                  <th className="py-2 px-3 text-right">Refused</th>
+                  <th className="py-2 pl-3 text-right">Net to trader</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                {priced.map(({ className, startStock, result }) => {
+                  const r = result!;
+                  const net = r.takenIn - r.paidOut;
+                  return (
+                    <tr key={className} onClick={() => setSelected(className)}
+                      className={cx('cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-900', current?.className === className && 'bg-primary-50 dark:bg-primary-900/20')}>
+                      <td className="py-1.5 pr-3 text-gray-900 dark:text-white">{className}</td>
+                      <td className="py-1.5 px-3 text-right tabular-nums">{startStock} → {r.finalStock}</td>
+                      <td className="py-1.5 px-3 text-right tabular-nums">{money(r.steps[0].buyPrice)} → {money(r.steps[r.steps.length - 1].buyPrice)}</td>
+                      <td className={cx('py-1.5 px-3 text-right tabular-nums', r.refused ? 'text-error-600' : 'text-gray-400')}>{r.refused}</td>
+                      <td className={cx('py-1.5 pl-3 text-right tabular-nums', net < 0 ? 'text-error-600' : 'text-gray-700 dark:text-gray-300')}>{money(net)}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+            {unpriced > 0 && (
+              <p className="text-xs text-gray-400">{unpriced} stocked item{unpriced === 1 ? ' is' : 's are'} in no market category and {unpriced === 1 ? 'was' : 'were'} skipped.</p>
+            )}
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+};
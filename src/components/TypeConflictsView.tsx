@@ -0,0 +1,187 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Input } from '@/components/base/input/input';
+import { Badge } from '@/components/base/badges/badges';
+import { Button } from '@/components/base/button/button';
+import { AlertCircle, CheckCircle, SearchLg } from '@untitledui/icons';
+import { cx } from '@/utils/cx';
+import { apiFetch } from '@/utils/api';
+import { parseEconomyCoreXml, type Type } from '@/utils/xml';
+import {
+  CONFLICT_FIELDS,
+  conflictFieldValue,
+  findTypeConflicts,
+  typesLoadOrder,
+  type ConflictEntry,
+} from '@/utils/typeConflicts';
+
+type TypeFiles = Record<string, Record<string, Type[]>>;
+
+interface TypeConflictsViewProps {
+  selectedProfileId: string;
+  lootFiles: TypeFiles | null;
+  onKeep: (name: string, keep: { group: string; file: string }) => Promise<{ ok: boolean; files?: { group: string; file: string }[]; error?: string }>;
+}
+
+const entryLabel = (e: ConflictEntry) => (e.group === 'vanilla' ? 'db/types.xml' : `${e.group}/${e.file}.xml`);
+
+/**
+ * Tools → Type conflicts: classnames defined in more than one types file. The server keeps
+ * whichever definition it loads last (db/types.xml, then cfgeconomycore.xml order), so the
+ * others are dead weight at best and a silent override at worst. Each conflict shows the
+ * competing definitions side by side and can be collapsed onto one of them.
+ */
+export const TypeConflictsView: React.FC<TypeConflictsViewProps> = ({ selectedProfileId, lootFiles, onKeep }) => {
+  const [loadOrder, setLoadOrder] = useState<string[] | null>(null);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState<string | null>(null);
+  const [onlyDiffering, setOnlyDiffering] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState<{ kind: 'ok' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const res = await apiFetch('/api/economycore', { profileId: selectedProfileId });
+        const { order, filesByGroup } = parseEconomyCoreXml(res.ok ? await res.text() : '<economycore/>');
+        if (!cancelled) setLoadOrder(typesLoadOrder(order, filesByGroup));
+      } catch {
+        if (!cancelled) setLoadOrder(typesLoadOrder([], {}));
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [selectedProfileId]);
+
+  const conflicts = useMemo(
+    () => (lootFiles && loadOrder ? findTypeConflicts(lootFiles, loadOrder) : []),
+    [lootFiles, loadOrder],
+  );
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return q ? conflicts.filter(c => c.name.toLowerCase().includes(q)) : conflicts;
+  }, [conflicts, search]);
+  const current = conflicts.find(c => c.name === selected) || filtered[0] || null;
+
+  const keep = async (entry: ConflictEntry) => {
+    if (!current) return;
+    const others = current.entries.filter(e => e !== entry && e.group !== 'vanilla').map(entryLabel);
+    if (!others.length) return;
+    if (!window.confirm(`Keep ${current.name} from ${entryLabel(entry)} and delete it from:\n\n${others.join('\n')}`)) return;
+    setSaving(true);
+    setMessage(null);
+    const res = await onKeep(current.name, { group: entry.group, file: entry.file });
+    setSaving(false);
+    setMessage(res.ok
+      ? { kind: 'ok', text: `Removed ${current.name} from ${(res.files || []).length} file(s).` }
+      : { kind: 'error', text: res.error || 'Save failed.' });
+  };
+
+  const fields = current ? (onlyDiffering ? current.fields : CONFLICT_FIELDS) : [];
+
+  return (
+    <div className="flex-1 flex flex-col h-full overflow-hidden bg-white dark:bg-gray-950">
+      <header className="px-6 py-5 border-b border-gray-200 dark:border-gray-800 shrink-0">
+        <div className="flex items-center justify-between">
+          <div>
+            <h1 className="text-lg font-bold text-gray-900 dark:text-white">Type conflicts</h1>
+            <p className="text-xs text-gray-500">Classnames defined in more than one types file; the server uses the one it loads last</p>
+          </div>
+          <Badge size="md" color={conflicts.length ? 'warning' : 'success'}>{conflicts.length} conflicts</Badge>
+        </div>
+      </header>
+
+      <div className="flex-1 flex overflow-hidden">
+        <aside className="w-72 border-r border-gray-200 dark:border-gray-800 bg-gray-50/50 dark:bg-gray-900/50 flex flex-col">
+          <div className="p-3 border-b border-gray-200 dark:border-gray-800">
+            <Input size="sm" icon={SearchLg} placeholder="Filter classnames…" value={search} onChange={e => setSearch(e.target.value)} />
+          </div>
+          <ul className="flex-1 overflow-auto divide-y divide-gray-100 dark:divide-gray-800">
+            {filtered.map(c => (
+              <li key={c.name}>
+                <button type="button" onClick={() => { setSelected(c.name); setMessage(null); }}
+                  className={cx('w-full text-left px-3 py-2 hover:bg-white/60 dark:hover:bg-gray-950/40',
+                    current?.name === c.name && 'bg-white dark:bg-gray-950/60')}>
+                  <span className="block text-sm font-medium text-gray-900 dark:text-white truncate">{c.name}</span>
+                  <span className="text-[11px] text-gray-500">
+                    {c.entries.length} files · {c.fields.length ? `${c.fields.length} fields differ` : 'identical'}
+                  </span>
+                </button>
+              </li>
+            ))}
+            {!filtered.length && (
+              <li className="p-4 text-sm text-gray-500">{loadOrder ? 'No duplicate classnames.' : 'Loading…'}</li>
+            )}
+          </ul>
+        </aside>
+
+        <div className="flex-1 overflow-auto p-6 space-y-4">
+          {current && (
+            <>
+              <div className="flex items-center justify-between gap-4">
+                <h2 className="text-base font-semibold text-gray-900 dark:text-white">{current.name}</h2>
+                <label className="flex items-center gap-2 text-xs text-gray-500">
+                  <input type="checkbox" checked={onlyDiffering} onChange={e => setOnlyDiffering(e.target.checked)} />
+                  Only fields that differ
+                </label>
+              </div>
+              {message && (
+                <p className={cx('flex items-center gap-1.5 text-sm', message.kind === 'ok' ? 'text-success-600' : 'text-error-600')}>
+                  {message.kind === 'ok' ? <CheckCircle size={16} /> : <AlertCircle size={16} />} {message.text}
+                </p>
+              )}
+
+              <table className="w-full text-sm border-collapse">
+                <thead>
+                  <tr className="text-left align-top">
+                    <th className="py-2 pr-3 text-xs font-bold uppercase tracking-wider text-gray-400 w-40">Field</th>
+                    {current.entries.map((e, i) => {
+                      const wins = e === current.winner;
+                      return (
+                        <th key={`${e.group}/${e.file}/${i}`} className="py-2 px-3 font-medium">
+                          <div className="flex flex-col gap-1.5">
+                            <span className="text-gray-900 dark:text-white">{entryLabel(e)}</span>
+                            <span>
+                              {wins ? <Badge size="sm" color="success">In effect</Badge>
+                                : e.loadIndex === null ? <Badge size="sm" color="gray">Not loaded</Badge>
+                                  : <Badge size="sm" color="warning">Overridden</Badge>}
+                            </span>
+                            <Button size="sm" variant="secondary-gray" disabled={saving}
+                              onClick={() => keep(e)}>
+                              Keep this one
+                            </Button>
+                          </div>
+                        </th>
+                      );
+                    })}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 dark:divide-gray-800">
+                  {fields.map(f => {
+                    const differs = current.fields.includes(f);
+                    return (
+                      <tr key={f} className={cx(differs && 'bg-warning-50/60 dark:bg-warning-900/10')}>
+                        <td className="py-1.5 pr-3 text-xs font-medium text-gray-500">{f}</td>
+                        {current.entries.map((e, i) => (
+                          <td key={`${e.group}/${e.file}/${i}`} className="py-1.5 px-3 tabular-nums text-gray-800 dark:text-gray-200">
+                            {conflictFieldValue(e.type, f) || <span className="text-gray-300">—</span>}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                  {!fields.length && (
+                    <tr><td colSpan={current.entries.length + 1} className="py-3 text-sm text-gray-500">The definitions are identical.</td></tr>
+                  )}
+                </tbody>
+              </table>
+              <p className="text-xs text-gray-400">
+                "Keep this one" deletes the classname from every other file and saves them (backed up, and recorded in the
+                audit log). db/types.xml is never edited; a definition loaded after it already takes precedence.
+              </p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,101 @@
+import { useState } from 'react';
+import { Modal } from '@/components/base/modal/modal';
+import { Button } from '@/components/base/button/button';
+import { Badge } from '@/components/base/badges/badges';
+import { GitMergeConflict } from 'lucide-react';
+import { conflictFieldValue } from '@/utils/typeConflicts';
+import type { TypeMergeChoice, TypeMergeConflict } from '@/utils/typeMerge';
+
+interface TypeMergeModalProps {
+  group: string;
+  file: string;
+  conflicts: TypeMergeConflict[];
+  /** Save with these choices, or null to cancel the save. */
+  onResolve: (choices: Record<string, TypeMergeChoice> | null) => void;
+}
+
+/**
+ * Shown when a types file was changed on the server while it was being edited here and the two
+ * sets of changes touch the same types. Every other change from either side is merged already;
+ * for each type listed the user keeps their version or the server's.
+ */
+export default function TypeMergeModal({ group, file, conflicts, onResolve }: TypeMergeModalProps) {
+  const [choices, setChoices] = useState<Record<string, TypeMergeChoice>>(
+    () => Object.fromEntries(conflicts.map(c => [c.name, 'mine' as const]))
+  );
+
+  const chooseAll = (choice: TypeMergeChoice) => setChoices(Object.fromEntries(conflicts.map(c => [c.name, choice])));
+
+  return (
+    <Modal
+      isOpen={true}
+      onClose={() => onResolve(null)}
+      title={`Merge ${group}/${file}`}
+      description="Someone else saved this file since you loaded it. Their other changes are merged with yours; pick which version to keep for the types you both changed."
+      icon={GitMergeConflict}
+      iconVariant="warning"
+      maxWidth="max-w-3xl"
+      footer={
+        <>
+          <Button variant="secondary-gray" onClick={() => onResolve(null)}>Cancel save</Button>
+          <Button variant="primary" onClick={() => onResolve(choices)}>Save merged file</Button>
+        </>
+      }
+    >
+      <div className="space-y-3">
+        <div className="flex items-center justify-between">
+          <Badge color="warning" size="sm">{conflicts.length === 1 ? '1 type' : `${conflicts.length} types`} changed on both sides</Badge>
+          <div className="flex gap-2">
+            <Button size="xs" variant="tertiary" onClick={() => chooseAll('mine')}>Keep all mine</Button>
+            <Button size="xs" variant="tertiary" onClick={() => chooseAll('theirs')}>Keep all theirs</Button>
+          </div>
+        </div>
+        <ul className="divide-y divide-gray-100 dark:divide-gray-800 rounded-xl border border-gray-200 dark:border-gray-800">
+          {conflicts.map(c => (
+            <li key={c.name} className="px-3 py-2.5 space-y-2">
+              <div className="flex items-center justify-between gap-3">
+                <span className="font-semibold text-sm text-gray-900 dark:text-white">{c.name}</span>
+                <div className="flex gap-1.5">
+                  {(['mine', 'theirs'] as const).map(choice => (
+                    <Button
+                      key={choice}
+                      size="xs"
+                      variant={choices[c.name] === choice ? 'primary' : 'secondary-gray'}
+                      onClick={() => setChoices(prev => ({ ...prev, [c.name]: choice }))}
+                    >
+                      {choice === 'mine' ? 'Mine' : 'Theirs'}
+                    </Button>
+                  ))}
+                </div>
+              </div>
+              {c.mine && c.theirs ? (
+                <table className="w-full text-xs">
+                  <thead className="text-gray-500 dark:text-gray-400">
+                    <tr>
+                      <th className="text-left font-medium py-0.5">Field</th>
+                      <th className="text-left font-medium py-0.5">Mine</th>
+                      <th className="text-left font-medium py-0.5">Theirs</th>
+                    </tr>
+                  </thead>
+                  <tbody className="font-mono text-gray-700 dark:text-gray-300">
+                    {c.fields.map(field => (
+                      <tr key={field}>
+                        <td className="py-0.5 pr-3 font-sans text-gray-500 dark:text-gray-400">{field}</td>
+                        <td className="py-0.5 pr-3">{conflictFieldValue(c.mine!, field) || '—'}</td>
+                        <td className="py-0.5">{conflictFieldValue(c.theirs!, field) || '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  {c.mine ? 'Deleted on the server; edited here.' : 'Deleted here; edited on the server.'}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      </div>
+    </Modal>
+  );
+}
@@ -5,10 +5,11 @@ import { formatLifetime } from '@/utils/time';
 import { Table, TableCard } from '@/components/application/table/table';
 import { Badge } from '@/components/base/badges/badges';
 import { cx } from '@/utils/cx';
-import { AlertCircle, Milk } from 'lucide-react';
+import { AlertCircle, AlertTriangle, Milk } from 'lucide-react';
 import { Button } from '@/components/base/button/button';
 import type { Type } from '@/utils/xml';
 import { useCatalog } from '@/contexts/CatalogContext';
+import { useCatalogWarnings } from '@/hooks/useCatalogWarnings';
 
 interface TypesTableProps {
   types: (Type & { group?: string; file?: string })[];
@@ -25,6 +26,10 @@ interface TypesTableProps {
   showGroupColumn?: boolean;
   nameQuery?: string;
   searchIn?: ('className' | 'displayName')[];
+  /** Enables the catalog check of spawnable attachments/cargo (badges and catalogWarningsOnly). */
+  spawnableTypesByGroup?: Record<string, Record<string, any>>;
+  /** Only show types with catalog warnings. */
+  catalogWarningsOnly?: boolean;
   onFilteredCountChange?: (count: number) => void;
 }
 
@@ -41,9 +46,12 @@ export default function TypesTable({
   showGroupColumn = true,
   nameQuery,
   searchIn,
+  spawnableTypesByGroup,
+  catalogWarningsOnly,
   onFilteredCountChange,
 }: TypesTableProps) {
   const { displayNameFor } = useCatalog();
+  const catalogWarnings = useCatalogWarnings(types, spawnableTypesByGroup);
   const [sort, setSort] = useState<{ key: SortKey | null; dir: 'asc' | 'desc' }>({
     key: 'name',
     dir: 'asc',
@@ -58,16 +66,17 @@ export default function TypesTable({
   const lastEventWasShift = useRef(false);
 
   const nameFilteredTypes = useMemo(() => {
-    if (!nameQuery) return types;
+    const candidates = catalogWarningsOnly ? types.filter(t => catalogWarnings.byType[t.name]) : types;
+    if (!nameQuery) return candidates;
     const q = nameQuery.toLowerCase();
     const byClass = !searchIn?.length || searchIn.includes('className');
     const byDisplay = !searchIn?.length || searchIn.includes('displayName');
-    return types.filter(t => {
+    return candidates.filter(t => {
       if (byClass && t.name.toLowerCase().includes(q)) return true;
       if (byDisplay && displayNameFor(t.name)?.toLowerCase().includes(q)) return true;
       return false;
     });
-  }, [types, nameQuery, searchIn, displayNameFor]);
+  }, [types, nameQuery, searchIn, displayNameFor, catalogWarningsOnly, catalogWarnings]);
 
   useLayoutEffect(() => {
     onFilteredCountChange?.(nameFilteredTypes.length);
@@ -82,7 +91,7 @@ export default function TypesTable({
           (unk.tag?.length || 0) +
           (unk.category ? 1 : 0) >
         0;
-      return { ...t, hasUnknown, unk };
+      return { ...t, hasUnknown, unk, catalogIssues: catalogWarnings.byType[t.name] };
     });
 
     if (sort.key) {
@@ -110,7 +119,7 @@ export default function TypesTable({
     }
 
     return arr;
-  }, [nameFilteredTypes, unknowns, sort]);
+  }, [nameFilteredTypes, unknowns, catalogWarnings, sort]);
 
   const maxNameWidth = useMemo(() => {
     if (rows.length === 0) return 20;
@@ -118,6 +127,7 @@ export default function TypesTable({
     for (const r of rows) {
       let width = r.name.length;
       if (r.hasUnknown) width += 10;
+      if (r.catalogIssues) width += 10;
       if (r.group === 'vanilla_overrides') width += 4;
       if (width > max)
       {
@@ -367,6 +377,13 @@ export default function TypesTable({
                         <AlertCircle size={12} className="mr-1" /> Unknown
                       </Badge>
                     )}
+                    {row.catalogIssues && (
+                      <span title={row.catalogIssues.map(i => i.message).join('\n')}>
+                        <Badge color="warning" size="sm" type="modern">
+                          <AlertTriangle size={12} className="mr-1" /> Catalog
+                        </Badge>
+                      </span>
+                    )}
                     {isOverride && (
                         <Milk size={12} className="mr-1" />
                     )}
@@ -0,0 +1,103 @@
+import { useState } from 'react';
+import { Badge } from '@/components/base/badges/badges';
+import { AlertTriangle, CheckCircle2, Plus } from 'lucide-react';
+import { cx } from '@/utils/cx';
+import { useCatalog } from '@/contexts/CatalogContext';
+import type { AttachmentCheck } from '@/utils/attachmentSlots';
+
+/** Candidates listed per slot before "show all". */
+const CANDIDATE_PREVIEW = 6;
+
+/**
+ * Slot check for a spawnable entry's `<attachments>` blocks (checkAttachmentBlocks): items that
+ * can never attach, blocks competing for one slot, and for every slot the parent exposes which
+ * block fills it and what could. Renders nothing when the catalog can't answer for the parent.
+ */
+export function AttachmentSlotCheck({
+  parentName,
+  check,
+  onAddCandidate,
+  className,
+}: {
+  parentName: string;
+  check: AttachmentCheck | null;
+  /** Add a new attachments block holding `name`; candidates are read-only without it. */
+  onAddCandidate?: (name: string) => void;
+  className?: string;
+}) {
+  const { displayNameFor } = useCatalog();
+  const [expanded, setExpanded] = useState<string | null>(null);
+  if (!check || !check.slots.length) return null;
+
+  const blockLabel = (b: number) => `Block ${b + 1}`;
+
+  return (
+    <section className={className}>
+      <div className="flex items-center gap-2 mb-3">
+        <Badge color={check.issues.length ? 'warning' : 'success'} size="sm" type="modern">Slot Check</Badge>
+        <span className="text-[11px] text-gray-400">{check.slots.length} slots on {parentName}</span>
+      </div>
+
+      <div className="rounded-xl border border-gray-200 dark:border-gray-800 bg-gray-50/60 dark:bg-gray-900/40 p-4 space-y-4">
+        {check.issues.length ? (
+          <ul className="space-y-1.5">
+            {check.issues.map((issue, i) => (
+              <li key={i} className="flex items-start gap-2 text-xs text-warning-700 dark:text-warning-400">
+                <AlertTriangle size={14} className="shrink-0 mt-px" />
+                {issue.kind === 'no-slot'
+                  ? <span>{blockLabel(issue.block)}: <b>{issue.item}</b> fits no slot of {parentName} and will never attach.</span>
+                  : <span>{issue.blocks.map(blockLabel).join(' and ')} {issue.blocks.length === 2 ? 'both' : 'all'} fill <b>{issue.slot}</b>; only the first to spawn attaches.</span>}
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="flex items-center gap-2 text-xs text-success-700 dark:text-success-400">
+            <CheckCircle2 size={14} /> Every attachment fits a free slot.
+          </p>
+        )}
+
+        <div className="divide-y divide-gray-100 dark:divide-gray-800">
+          {check.slots.map(s => {
+            const open = expanded === s.slot;
+            const shown = open ? s.candidates : s.candidates.slice(0, CANDIDATE_PREVIEW);
+            return (
+              <div key={s.slot} className="py-2 first:pt-0 last:pb-0">
+                <div className="flex items-center gap-2">
+                  <span className="text-xs font-semibold text-gray-700 dark:text-gray-300">{s.slot}</span>
+                  {s.blocks.length
+                    ? <Badge size="sm" color={s.blocks.length > 1 ? 'warning' : 'gray'}>{s.blocks.map(blockLabel).join(', ')}</Badge>
+                    : <span className="text-[11px] text-gray-400">empty</span>}
+                </div>
+                {s.candidates.length > 0 && (
+                  <div className="mt-1.5 flex flex-wrap gap-1.5">
+                    {shown.map(c => (
+                      <button
+                        key={c.name}
+                        type="button"
+                        disabled={!onAddCandidate}
+                        title={onAddCandidate ? `Add ${c.name} in a new attachments block` : c.name}
+                        onClick={() => onAddCandidate?.(c.name)}
+                        className={cx(
+                          'inline-flex items-center gap-1 px-2 py-0.5 rounded-md border text-[11px] border-gray-200 bg-white text-gray-600 dark:border-gray-700 dark:bg-gray-900 dark:text-gray-300',
+                          onAddCandidate && 'hover:border-primary-300 hover:text-primary-700 dark:hover:border-primary-700'
+                        )}
+                      >
+                        {onAddCandidate && <Plus size={10} />}
+                        {c.displayName || displayNameFor(c.name) || c.name}
+                      </button>
+                    ))}
+                    {s.candidates.length > CANDIDATE_PREVIEW && (
+                      <button type="button" className="text-[11px] text-primary-600 hover:underline" onClick={() => setExpanded(open ? null : s.slot)}>
+                        {open ? 'Show fewer' : `+${s.candidates.length - CANDIDATE_PREVIEW} more`}
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </section>
+  );
+}
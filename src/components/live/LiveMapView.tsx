@@ -10,6 +10,8 @@ import { useMapMetadata } from '@/hooks/useMapMetadata';
 import { useMapPanZoom } from '@/hooks/useMapPanZoom';
 import { useCfToolsStatus } from '@/hooks/useCfToolsStatus';
 import { useLiveSnapshot } from '@/hooks/useLiveSnapshot';
+import { useAreaFlags } from '@/hooks/useAreaFlags';
+import { TierOverlay, TierOverlayControls } from '../TierOverlay';
 import { useCfToolsActions } from '@/hooks/useCfToolsActions';
 import type { LiveLayerKey, LivePlayer } from '@/types/cftools';
 import LiveSidePanel from './LiveSidePanel';
@@ -67,6 +69,11 @@ export default function LiveMapView({
 
   const [selection, setSelection] = useState<MarkerSelection | null>(null);
 
+  // Read-only value-tier overlay (areaflags.map), under the live markers.
+  const [tiersOn, setTiersOn] = useState(false);
+  const [tierNames, setTierNames] = useState<string[]>([]);
+  const areaFlags = useAreaFlags(selectedProfileId, 'value', tiersOn);
+
   // Resolve the selected marker into a GameLabs action target. No selection →
   // world-context actions; player/vehicle/event selections narrow the raw
   // action panel to their context. referenceKeys verified against the GameLabs
@@ -181,7 +188,18 @@ export default function LiveMapView({
             <Badge color="brand" size="sm">{playerCount} online</Badge>
           )}
 
-          <div className="flex items-center gap-1 ml-auto">
+          <div className="ml-auto">
+            <TierOverlayControls
+              enabled={tiersOn}
+              onEnabledChange={setTiersOn}
+              data={areaFlags.data}
+              selected={tierNames}
+              onSelectedChange={setTierNames}
+              loading={areaFlags.loading}
+              error={areaFlags.error}
+            />
+          </div>
+          <div className="flex items-center gap-1">
             {LAYER_META.map(({ key, label, icon: Icon }) => {
               const on = enabledLayers.has(key);
               const layer = snapshot?.[key];
@@ -259,6 +277,7 @@ export default function LiveMapView({
                     {...view.imageProps}
                     className="w-full h-full block pointer-events-none"
                   />
+                  {tiersOn && areaFlags.data && <TierOverlay data={areaFlags.data} selected={tierNames} />}
                 </div>
               ) : (
                 <div className="absolute inset-0 flex items-center justify-center text-xs text-gray-400 pointer-events-none">
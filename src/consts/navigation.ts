@@ -30,7 +30,12 @@ export const NAV_ITEMS: NavItem[] = [
         addonRequirement: 'expansion',
         subItems: [
           { id: 'traders', label: 'Traders' },
+          { id: 'trader-map', label: 'Trader map' },
+          { id: 'trader-coverage', label: 'Trader coverage' },
           { id: 'market-categories', label: 'Categories' },
+          { id: 'market-analysis', label: 'Market analysis' },
+          { id: 'market-consistency', label: 'Market ↔ CLE' },
+          { id: 'market-import', label: 'Import pack' },
           { id: 'airdrops', label: 'Air Drops' },
           { id: 'bases-territories', label: 'Bases & Territories' }
         ]
@@ -44,14 +49,19 @@ export const NAV_ITEMS: NavItem[] = [
   ]},
   { id: 'map-tools', label: 'Map Tools', icon: MapIcon, subItems: [
     { id: 'heatmap', label: 'Heat map' },
-    { id: 'item-scan', label: 'Item scanner' }
+    { id: 'item-scan', label: 'Item scanner' },
+    { id: 'loot-positions', label: 'Loot positions' }
   ]},
   { id: 'mission-files', label: 'Mission Files', icon: FileCode, subItems: [
     { id: 'random-presets', label: 'Random Presets' },
-    { id: 'spawnable-types', label: 'Spawnable Types' }
+    { id: 'spawnable-types', label: 'Spawnable Types' },
+    { id: 'events', label: 'Events' },
+    { id: 'player-spawns', label: 'Player Spawns' }
   ]},
   { id: 'tools', label: 'Tools', icon: Settings, subItems: [
     { id: 'snapshots', label: 'Snapshots' },
+    { id: 'nominal-budget', label: 'Nominal budget' },
+    { id: 'type-conflicts', label: 'Type conflicts' },
     { id: 'adm', label: 'ADM records' },
     { 
       id: 'expansion', 
@@ -0,0 +1,34 @@
+/** Expansion's trader NPC classes, offered for the entity part of a `.map` line. */
+export const TRADER_ENTITY_CLASSES = [
+  'ExpansionTraderAIMirek',
+  'ExpansionTraderAIDenis',
+  'ExpansionTraderAIBoris',
+  'ExpansionTraderAICyril',
+  'ExpansionTraderAIElias',
+  'ExpansionTraderAIFrancis',
+  'ExpansionTraderAIGuo',
+  'ExpansionTraderAIHassan',
+  'ExpansionTraderAIIndar',
+  'ExpansionTraderAIJose',
+  'ExpansionTraderAIKaito',
+  'ExpansionTraderAILewis',
+  'ExpansionTraderAIManua',
+  'ExpansionTraderAINiki',
+  'ExpansionTraderAIOliver',
+  'ExpansionTraderAIPeter',
+  'ExpansionTraderAIQuinn',
+  'ExpansionTraderAIRolf',
+  'ExpansionTraderAISeth',
+  'ExpansionTraderAITaiki',
+  'ExpansionTraderAILinda',
+  'ExpansionTraderAIMaria',
+  'ExpansionTraderAIFrida',
+  'ExpansionTraderAIGabi',
+  'ExpansionTraderAIHelga',
+  'ExpansionTraderAIIrena',
+  'ExpansionTraderAIJudy',
+  'ExpansionTraderAIKeiko',
+  'ExpansionTraderAIEva',
+  'ExpansionTraderAINaomi',
+  'ExpansionTraderAIBaty',
+];
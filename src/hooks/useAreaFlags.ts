@@ -0,0 +1,70 @@
+import { useEffect, useState } from 'react';
+import { apiFetch } from '../utils/api';
+
+export interface AreaFlagsLayer {
+  layer: 'usage' | 'value';
+  /** Flag names in bit order (cfglimitsdefinition.xml); empty when the server couldn't read them. */
+  flags: string[];
+  /** Grid edge in cells; row 0 is the north edge of the map. */
+  size: number;
+  /** Edge of the areaflags.map grid before the server downsampled it. */
+  sourceSize: number;
+  /** One bitmask per cell, bit i = flags[i]. */
+  cells: Uint16Array;
+}
+
+function decodeCells(base64: string): Uint16Array {
+  const bin = atob(base64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  // The server sends little-endian uint16s; read them explicitly rather than trusting the
+  // platform's byte order.
+  const view = new DataView(bytes.buffer);
+  const out = new Uint16Array(bytes.length / 2);
+  for (let i = 0; i < out.length; i++) out[i] = view.getUint16(i * 2, true);
+  return out;
+}
+
+/**
+ * The mission's areaflags.map usage or value layer, fetched on first use (`enabled`) and kept
+ * for the life of the component. Read-only: Lootmaster never writes areaflags.map.
+ */
+export function useAreaFlags(
+  profileId: string | null | undefined,
+  layer: 'usage' | 'value',
+  enabled: boolean,
+) {
+  const [data, setData] = useState<AreaFlagsLayer | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    setData(null);
+    setError(null);
+  }, [profileId, layer]);
+
+  useEffect(() => {
+    if (!enabled || !profileId || data || error) return;
+    let cancelled = false;
+    (async () => {
+      setLoading(true);
+      try {
+        const res = await apiFetch(`/api/mission/areaflags?layer=${layer}`, { profileId });
+        const body = await res.json().catch(() => null);
+        if (cancelled) return;
+        if (!res.ok || !body) {
+          setError((body && body.error) || `Failed to load area flags (HTTP ${res.status}).`);
+          return;
+        }
+        setData({ ...body, cells: decodeCells(body.cells) });
+      } catch {
+        if (!cancelled) setError('Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [enabled, profileId, layer, data, error]);
+
+  return { data, error, loading };
+}
@@ -0,0 +1,53 @@
+import { useEffect, useMemo } from 'react';
+import { useCatalog } from '@/contexts/CatalogContext';
+import { validateCatalogClassnames, type CatalogIssue } from '@/utils/validation.js';
+import type { Type } from '@/utils/xml';
+
+export interface CatalogWarnings {
+  /** False until the mod has pushed a catalog; nothing is flagged without one. */
+  available: boolean;
+  hasAny: boolean;
+  issues: CatalogIssue[];
+  byType: Record<string, CatalogIssue[]>;
+}
+
+/**
+ * Check types and their cfgspawnabletypes entries against the catalog (validateCatalogClassnames).
+ * Loads the detail of every spawnable entry that lists attachments so the slot check can run;
+ * until a parent's detail arrives its attachments are only checked for existence.
+ */
+export function useCatalogWarnings(
+  types: Type[] | null | undefined,
+  spawnableTypesByGroup: Record<string, Record<string, any>> | null | undefined,
+): CatalogWarnings {
+  const { catalogByName, getTypeDetail, getCompatibleAttachments } = useCatalog();
+  const available = catalogByName.size > 0;
+
+  const parents = useMemo(() => {
+    const names = new Set<string>();
+    for (const files of Object.values(spawnableTypesByGroup || {})) {
+      for (const data of Object.values(files || {})) {
+        for (const entry of (data as any)?.types || []) {
+          if (entry?.name && (entry.sections || []).some((s: any) => s.kind === 'attachments' && s.items?.length)) names.add(entry.name);
+        }
+      }
+    }
+    return Array.from(names).sort();
+  }, [spawnableTypesByGroup]);
+
+  const key = parents.join('|');
+  useEffect(() => {
+    if (!available) return;
+    for (const name of parents) void getTypeDetail(name);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, available, getTypeDetail]);
+
+  return useMemo(() => {
+    if (!available) return { available, hasAny: false, issues: [], byType: {} };
+    const res = validateCatalogClassnames(types || [], spawnableTypesByGroup || {}, {
+      names: catalogByName.keys(),
+      compatibleAttachments: getCompatibleAttachments,
+    });
+    return { available, ...res };
+  }, [available, types, spawnableTypesByGroup, catalogByName, getCompatibleAttachments]);
+}
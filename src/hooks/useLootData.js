@@ -1,6 +1,7 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import {
   parseEconomyCoreXml,
+  parseEventsXml,
   parseGlobalsXml,
   parseLimitsXml,
   parseRandomPresetsXml,
@@ -13,7 +14,8 @@ import {
   generateSpawnableTypesXml,
   generateRandomPresetsXml
 } from '../utils/xml.js';
-import { getApiBase, apiFetch } from '../utils/api';
+import { getApiBase, apiFetch, rememberEtag } from '../utils/api';
+import { mergeTypeFiles } from '../utils/typeMerge';
 import { loadFromStorage, saveToStorage } from '../utils/storage.js';
 import { appendChangeLogs, loadAllGrouped, saveManyTypeFiles, clearAllTypeFiles, clearAllMissionFiles, clearChangeLog, saveMissionFile, loadMissionFile } from '../utils/idb.js';
 import { loadAllLoadouts } from '../utils/loadoutStore.js';
@@ -67,6 +69,7 @@ export function useLootData() {
     tag: /** @type {string[]} */([]),
     flags: /** @type {string[]} */([]),
     changeFilter: /** @type {'all'|'changed'|'unchanged'} */('all'),
+    catalogWarningsOnly: false,
     groups: /** @type {string[]} */([])
   });
   const [selection, setSelection] = useState(new Set());
@@ -92,11 +95,15 @@ export function useLootData() {
   const [baselineFiles, setBaselineFiles] = useState(/** @type {TypeFiles|null} */(null));
   const [baselineDefinitions, setBaselineDefinitions] = useState(/** @type {{categories: string[], usageflags: string[], valueflags: string[], tags: string[]}|null} */(null));
   const [spawnableFilesByGroup, setSpawnableFilesByGroup] = useState(/** @type {Record<string, string[]>} */({}));
+  // Per-group events files declared in cfgeconomycore.xml (type="events"); edited in the Events view.
+  const [eventsFilesByGroup, setEventsFilesByGroup] = useState(/** @type {Record<string, string[]>} */({}));
+  // Their events, loaded with the types: group -> file name -> events.
+  const [groupEvents, setGroupEvents] = useState(/** @type {Record<string, Record<string, import('../utils/xml').DayZEvent[]>>} */({}));
   const [spawnableTypesByGroup, setSpawnableTypesByGroup] = useState(/** @type {Record<string, Record<string, any>>} */({}));
   const [baselineSpawnableTypesByGroup, setBaselineSpawnableTypesByGroup] = useState(/** @type {Record<string, Record<string, any>>} */({}));
   const [randomPresets, setRandomPresets] = useState(/** @type {{presets: any[]}} */({ presets: [] }));
   const [baselineRandomPresets, setBaselineRandomPresets] = useState(/** @type {{presets: any[]}} */({ presets: [] }));
-  const [globalsDefaults, setGlobalsDefaults] = useState(/** @type {{LootDamageMin: number|null, LootDamageMax: number|null}} */({ LootDamageMin: null, LootDamageMax: null }));
+  const [globalsDefaults, setGlobalsDefaults] = useState(/** @type {{LootDamageMin: number|null, LootDamageMax: number|null, InitialSpawn: number|null, RespawnLimit: number|null, RespawnTypes: number|null}} */({ LootDamageMin: null, LootDamageMax: null, InitialSpawn: null, RespawnLimit: null, RespawnTypes: null }));
   const [loadouts, setLoadouts] = useState(/** @type {any[]} */([]));
 
   const [profiles, setProfiles] = useState(/** @type {{id: string, name: string, serverPath: string, missionName: string, addons?: string[]}[]} */([]));
@@ -133,6 +140,36 @@ export function useLootData() {
   const fetchWithProfile = useCallback((url, options = {}) =>
     apiFetch(url, { ...options, profileId: selectedProfileId }), [selectedProfileId]);
 
+  // What refreshBaselineFromAPI compares the server's files with, read through refs so it isn't
+  // re-created (and its load effect re-run) on every edit. applyFiles and applyBaseline update
+  // them at once, for a refresh that follows in the same call.
+  const lootFilesRef = useRef(lootFiles);
+  const definitionsRef = useRef(definitions);
+  const baselineDefinitionsRef = useRef(baselineDefinitions);
+  const baselineRef = useRef(/** @type {{profileId: string, files: TypeFiles|null}} */({ profileId: '', files: null }));
+  // Spawnable types and random presets, whose baselines loadMissionFilesFromAPI sets.
+  const baselineSpawnableRef = useRef(/** @type {Record<string, Record<string, any>>} */({}));
+  const baselineRandomPresetsRef = useRef(/** @type {{presets: any[]}|null} */(null));
+  useEffect(() => {
+    lootFilesRef.current = lootFiles;
+    definitionsRef.current = definitions;
+    baselineDefinitionsRef.current = baselineDefinitions;
+  }, [lootFiles, definitions, baselineDefinitions]);
+
+  // Set the types baseline. It is cached in IndexedDB with the edits, so edits still pending
+  // on the next visit are compared, and merged, against the revision they were made to.
+  const applyBaseline = useCallback((files) => {
+    baselineRef.current = { profileId: selectedProfileId, files };
+    setBaselineFiles(files);
+    void saveMissionFile('baselineFiles', baselineRef.current);
+  }, [selectedProfileId]);
+
+  // Replace one file's baseline, e.g. with what was just written to it.
+  const setBaselineFile = useCallback((group, file, types) => {
+    const files = baselineRef.current.files || {};
+    applyBaseline({ ...files, [group]: { ...files[group], [file]: types } });
+  }, [applyBaseline]);
+
   const loadMissionFilesFromAPI = useCallback(async (API_BASE, filesInput, warnings = []) => {
     const filesByGroup = filesInput?.filesByGroup || filesInput;
 
@@ -240,7 +277,7 @@ export function useLootData() {
       }
     }
 
-    let nextGlobals = { LootDamageMin: null, LootDamageMax: null };
+    let nextGlobals = { LootDamageMin: null, LootDamageMax: null, InitialSpawn: null, RespawnLimit: null, RespawnTypes: null };
     try {
       const res = await fetchWithProfile(`${API_BASE}/api/mission/globals`);
       if (res.ok) nextGlobals = parseGlobalsXml(await res.text());
@@ -248,13 +285,58 @@ export function useLootData() {
       warnings.push(`globals.xml: failed to parse XML (${String(e && e.message ? e.message : e)}).`);
     }
 
+    // The cached copy is the baseline, except for files with edits not saved yet, which keep theirs.
+    const nextBaselineSpawnable = cloneJson(nextSpawnable);
+    for (const [group, files] of Object.entries(baselineSpawnableRef.current)) {
+      for (const [file, data] of Object.entries(files)) {
+        if (nextBaselineSpawnable[group]?.[file] && JSON.stringify(data) !== JSON.stringify(nextSpawnable[group][file])) {
+          nextBaselineSpawnable[group][file] = data;
+        }
+      }
+    }
+    const prevPresets = baselineRandomPresetsRef.current;
+    const nextBaselinePresets = prevPresets && JSON.stringify(prevPresets) !== JSON.stringify(nextRandomPresets)
+      ? prevPresets
+      : cloneJson(nextRandomPresets);
+    baselineSpawnableRef.current = nextBaselineSpawnable;
+    baselineRandomPresetsRef.current = nextBaselinePresets;
+
     setSpawnableTypesByGroup(nextSpawnable);
-    setBaselineSpawnableTypesByGroup(cloneJson(nextSpawnable));
+    setBaselineSpawnableTypesByGroup(nextBaselineSpawnable);
     setRandomPresets(nextRandomPresets);
-    setBaselineRandomPresets(cloneJson(nextRandomPresets));
+    setBaselineRandomPresets(nextBaselinePresets);
     setGlobalsDefaults(nextGlobals);
   }, [fetchWithProfile]);
 
+  // Load the events files each group declares in cfgeconomycore.xml (type="events").
+  const loadGroupEventsFromAPI = useCallback(async (API_BASE, eFiles, warnings = []) => {
+    /** @type {Record<string, Record<string, import('../utils/xml').DayZEvent[]>>} */
+    const next = {};
+    for (const [group, files] of Object.entries(eFiles)) {
+      for (const f of files) {
+        const fileName = f.split('/').pop();
+        try {
+          const res = await fetchWithProfile(`${API_BASE}/api/events/${encodeURIComponent(group)}/${encodeURIComponent(fileName)}`);
+          if (!res.ok) {
+            warnings.push(`Group "${group}" events file "${fileName}": not found or cannot be read.`);
+            continue;
+          }
+          if (!next[group]) next[group] = {};
+          next[group][fileName] = parseEventsXml(await res.text());
+        } catch (e) {
+          warnings.push(`Group "${group}" events file "${fileName}": failed to parse XML (${String(e && e.message ? e.message : e)}).`);
+        }
+      }
+    }
+    setEventsFilesByGroup(eFiles);
+    setGroupEvents(next);
+  }, [fetchWithProfile]);
+
+  // Take a group events file the Events view saved or reloaded.
+  const setGroupEventsFile = useCallback((group, file, events) => {
+    setGroupEvents(prev => ({ ...prev, [group]: { ...prev[group], [file]: events } }));
+  }, []);
+
   const loadProfiles = useCallback(async () => {
     try {
       const API_BASE = getApiBase();
@@ -288,7 +370,10 @@ export function useLootData() {
     loadProfiles();
   }, [loadProfiles]);
 
-  // Refresh baseline (definitions + files) from live API
+  // Refresh baseline (definitions + files) from live API. The server's copy of a file becomes its
+  // baseline, and its ETag the one the file is saved against, unless the copy here differs from
+  // it: then the file keeps the baseline and ETag of the revision it was loaded at, so saving its
+  // edits merges with (409) what someone else saved since instead of overwriting it.
   const refreshBaselineFromAPI = useCallback(async () => {
     if (!profilesLoaded || !selectedProfileId) return false;
     try {
@@ -303,13 +388,40 @@ export function useLootData() {
       }
       if (!apiOk) return false;
 
+      // On first load the state is empty: compare with the edits and baseline cached in IndexedDB.
+      const stored = baselineRef.current.files ? baselineRef.current : await loadMissionFile('baselineFiles');
+      const prevFiles = stored?.profileId === selectedProfileId ? stored.files : null;
+      const localFiles = lootFilesRef.current || await loadAllGrouped();
+
+      /**
+       * @param {string} group
+       * @param {string} file
+       * @param {(t: Type) => boolean} [keep]
+       * @returns {Promise<Type[]|null>} the file's baseline, null when the server doesn't have it
+       */
+      const loadBaselineTypes = async (group, file, keep = () => true) => {
+        const url = `${API_BASE}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(file)}`;
+        const res = await fetchWithProfile(url, { trackEtag: false });
+        if (!res.ok) return null;
+        const fresh = parseTypesXml(await res.text()).filter(keep);
+        const prev = prevFiles?.[group]?.[file];
+        const local = localFiles?.[group]?.[file];
+        if (prev && local && !sameTypeFile(local, fresh)) return prev;
+        rememberEtag(url, selectedProfileId, res.headers.get('ETag'));
+        return fresh;
+      };
+
       // Definitions
       try {
-        const limitsRes = await fetchWithProfile(`${API_BASE}/api/definitions`);
+        const limitsRes = await fetchWithProfile(`${API_BASE}/api/definitions`, { trackEtag: false });
         if (limitsRes.ok) {
           const txt = await limitsRes.text();
           const defs = parseLimitsXml(txt);
-          setBaselineDefinitions(defs);
+          const local = definitionsRef.current;
+          if (!(baselineDefinitionsRef.current && local && !sameDefinitions(local, defs))) {
+            setBaselineDefinitions(defs);
+            rememberEtag(`${API_BASE}/api/definitions`, selectedProfileId, limitsRes.headers.get('ETag'));
+          }
         }
       } catch {
         // ignore defs baseline failures
@@ -320,17 +432,12 @@ export function useLootData() {
 
       // Vanilla
       try {
-        const vr = await fetchWithProfile(`${API_BASE}/api/types/vanilla/types`);
-        if (vr.ok) {
-          const vText = await vr.text();
-          let vanilla = parseTypesXml(vText);
-          vanilla = vanilla.filter(t => {
-            const n = t.name || '';
-            const lower = n.toLowerCase();
-            return !(n.startsWith('Land_') || n.startsWith('StaticObj_') || lower.startsWith('static_'));
-          });
-          baseline.vanilla = { types: vanilla };
-        }
+        const vanilla = await loadBaselineTypes('vanilla', 'types', t => {
+          const n = t.name || '';
+          const lower = n.toLowerCase();
+          return !(n.startsWith('Land_') || n.startsWith('StaticObj_') || lower.startsWith('static_'));
+        });
+        if (vanilla) baseline.vanilla = { types: vanilla };
       } catch { /* ignore vanilla baseline failures */ }
 
       /** @type {Record<string, string[]>} */
@@ -340,8 +447,8 @@ export function useLootData() {
         const er = await fetchWithProfile(`${API_BASE}/api/economycore`);
         if (er.ok) {
           const eText = await er.text();
-          const { order, filesByGroup, spawnableFilesByGroup: sFiles } = parseEconomyCoreXml(eText);
-          
+          const { order, filesByGroup, spawnableFilesByGroup: sFiles, eventsFilesByGroup: eFiles } = parseEconomyCoreXml(eText);
+
           // Ensure mission root spawnable types file is included in the map
           sFilesWithRoot = { ...sFiles };
           if (!sFilesWithRoot[ROOT_SPAWNABLE_GROUP]) {
@@ -356,10 +463,8 @@ export function useLootData() {
                 const fileName = parts[parts.length - 1] || 'types.xml';
                 const fileBase = fileName.replace(/\.xml$/i, '');
                 try {
-                  const tr = await fetchWithProfile(`${API_BASE}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(fileBase)}`);
-                  if (!tr.ok) continue;
-                  const tText = await tr.text();
-                  const parsed = parseTypesXml(tText);
+                  const parsed = await loadBaselineTypes(group, fileBase);
+                  if (!parsed) continue;
                   if (!baseline[group]) baseline[group] = {};
                   baseline[group][fileBase] = parsed;
                 } catch { /* skip */ }
@@ -371,22 +476,21 @@ export function useLootData() {
               if (!baseline[group]) baseline[group] = {};
             }
           }
+          await loadGroupEventsFromAPI(API_BASE, eFiles);
         }
       } catch { /* ignore */ }
 
       // Include vanilla_overrides/types in baseline if present so diffs clear after persisting overrides
       try {
-        const or = await fetchWithProfile(`${API_BASE}/api/types/vanilla_overrides/types`);
-        if (or.ok) {
-          const oText = await or.text();
-          const overrides = parseTypesXml(oText);
+        const overrides = await loadBaselineTypes('vanilla_overrides', 'types');
+        if (overrides) {
           if (!baseline['vanilla_overrides']) baseline['vanilla_overrides'] = {};
           baseline['vanilla_overrides']['types'] = overrides;
         }
       } catch { /* no overrides present */ }
 
       if (Object.keys(baseline).length > 0 || Object.keys(sFilesWithRoot).length > 0) {
-        setBaselineFiles(baseline);
+        applyBaseline(baseline);
         await loadMissionFilesFromAPI(API_BASE, sFilesWithRoot, []);
         return true;
       }
@@ -394,7 +498,7 @@ export function useLootData() {
     } catch {
       return false;
     }
-  }, [selectedProfileId, fetchWithProfile, loadMissionFilesFromAPI, profilesLoaded]);
+  }, [selectedProfileId, fetchWithProfile, applyBaseline, loadMissionFilesFromAPI, loadGroupEventsFromAPI, profilesLoaded]);
 
   // Prefer baseline from live API to compare in storageDiff (initial load)
   useEffect(() => {
@@ -521,21 +625,77 @@ export function useLootData() {
 
   const randomPresetsDirty = useMemo(() => !!storageDiff?.mission?.randomPresets, [storageDiff]);
 
+  // Apply a new file-level structure and refresh all derived views (grouped, merged, unknowns).
+  // Mirrors the tail of setFromMergedTypes / removeDefinitionEntry. Returns the merged view.
+  const applyFiles = useCallback((nextFiles) => {
+    lootFilesRef.current = nextFiles;
+    setLootFiles(nextFiles);
+    setLootGroups(combineFilesToGroups(nextFiles));
+    const merged = mergeFromFiles(nextFiles);
+    _setLootTypes(merged);
+    if (definitions) setUnknowns(validateUnknowns(merged, definitions));
+    return merged;
+  }, [definitions]);
+
   // Shared helper: PUT xml to the server (profile-scoped, editor-stamped); throws on failure.
-  const putXml = useCallback(async (url, xml, label) => {
+  // apiFetch sends the file's ETag as If-Match unless `etag` overrides it. A 409 (the file changed
+  // on the server since it was loaded) throws with `conflict: { content, etag }` of the server copy;
+  // a 428 (no ETag to send) with both null.
+  const putXml = useCallback(async (url, xml, label, etag) => {
     const editorId = currentEditorIdRef.current || 'unknown';
     const res = await fetchWithProfile(url, {
       method: 'PUT',
-      headers: { 'Content-Type': 'application/xml', 'X-Editor-ID': editorId },
+      headers: { 'Content-Type': 'application/xml', 'X-Editor-ID': editorId, ...(etag ? { 'If-Match': etag } : {}) },
       body: xml
     });
+    if (res.status === 409 || res.status === 428) {
+      const body = await res.json().catch(() => ({}));
+      const err = new Error(res.status === 409
+        ? `Failed to save ${label}: it was changed on the server since it was loaded`
+        : `Failed to save ${label}: it was not loaded from the server`);
+      err.conflict = { content: typeof body.content === 'string' ? body.content : null, etag: body.etag || null };
+      throw err;
+    }
     if (!res.ok) throw new Error(`Failed to save ${label}: ${res.statusText}`);
   }, [fetchWithProfile]);
 
-  // Save the CLE section: definitions + changed non-vanilla type files.
+  // Per-type merge dialog for persistCleChanges: { group, file, conflicts, resolve(choices|null) }
+  // while a save waits on the user, null otherwise.
+  const [typeMerge, setTypeMerge] = useState(/** @type {{group: string, file: string, conflicts: import('../utils/typeMerge').TypeMergeConflict[], resolve: (choices: Record<string, 'mine'|'theirs'>|null) => void}|null} */(null));
+  const askTypeMerge = useCallback((group, file, conflicts) => new Promise(resolve => {
+    setTypeMerge({
+      group,
+      file,
+      conflicts,
+      resolve: (choices) => {
+        setTypeMerge(null);
+        resolve(choices);
+      },
+    });
+  }), []);
+
+  // Reload prompt for saves that can't be merged (spawnable types, random presets) when the file
+  // changed on the server: { label, resolve(reload) } while a save waits on the user, null otherwise.
+  const [conflictReload, setConflictReload] = useState(/** @type {{label: string, resolve: (reload: boolean) => void}|null} */(null));
+  const askConflictReload = useCallback((label) => new Promise(resolve => {
+    setConflictReload({
+      label,
+      resolve: (reload) => {
+        setConflictReload(null);
+        resolve(reload);
+      },
+    });
+  }), []);
+
+  // Save the CLE section: definitions + changed non-vanilla type files. A types file someone else
+  // saved in the meantime is merged type by type with the server copy (baseline as the common
+  // ancestor); types both sides changed go to the merge dialog, and the merged file is written
+  // against the server copy's ETag and taken into the local state.
   const persistCleChanges = useCallback(async () => {
     if (!selectedProfileId) return { ok: false, error: 'No profile selected' };
     const API_BASE = getApiBase();
+    /** @type {{group: string, file: string, types: Type[]}[]} */
+    const merged = [];
     try {
       const d = storageDiff;
       if (d.definitions.categories || d.definitions.usageflags || d.definitions.valueflags || d.definitions.tags) {
@@ -546,19 +706,49 @@ export function useLootData() {
         for (const [file, info] of Object.entries(files)) {
           if (info.changed) {
             const types = lootFiles[group]?.[file] || [];
-            await putXml(`${API_BASE}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(file)}`, generateTypesXml(types), `${group}/${file}`);
+            const url = `${API_BASE}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(file)}`;
+            try {
+              await putXml(url, generateTypesXml(types), `${group}/${file}`);
+            } catch (e) {
+              if (typeof e.conflict?.content !== 'string') throw e;
+              const base = baselineFiles?.[group]?.[file] || [];
+              const theirs = parseTypesXml(e.conflict.content);
+              const { conflicts } = mergeTypeFiles(base, types, theirs);
+              const choices = conflicts.length ? await askTypeMerge(group, file, conflicts) : {};
+              if (!choices) throw new Error(`Save cancelled: ${group}/${file} was changed on the server since it was loaded`);
+              const next = mergeTypeFiles(base, types, theirs, choices).types;
+              await putXml(url, generateTypesXml(next), `${group}/${file}`, e.conflict.etag);
+              merged.push({ group, file, types: next });
+            }
           }
         }
       }
+      if (merged.length) {
+        const nextFiles = { ...lootFiles };
+        for (const { group, file, types } of merged) nextFiles[group] = { ...nextFiles[group], [file]: types };
+        applyFiles(nextFiles);
+        void saveManyTypeFiles(merged);
+      }
       await refreshBaselineFromAPI();
       return { ok: true };
     } catch (e) {
       console.error('CLE persistence failed:', e);
       return { ok: false, error: e.message };
     }
-  }, [selectedProfileId, storageDiff, definitions, lootFiles, putXml, refreshBaselineFromAPI]);
-
-  // Save the Spawnable Types section.
+  }, [selectedProfileId, storageDiff, definitions, lootFiles, baselineFiles, putXml, askTypeMerge, applyFiles, refreshBaselineFromAPI]);
+
+  // A spawnable types or random presets save refused because the file changed on the server:
+  // offer to reload it, and if so fetch and parse the server copy. Null when the user keeps
+  // their edits.
+  const reloadConflictingFile = useCallback(async (url, label, parse) => {
+    if (!await askConflictReload(label)) return null;
+    const res = await fetchWithProfile(url);
+    if (!res.ok) throw new Error(`Failed to reload ${label}: ${res.statusText}`);
+    return parse(await res.text());
+  }, [askConflictReload, fetchWithProfile]);
+
+  // Save the Spawnable Types section. A file that changed on the server since it was loaded can
+  // be reloaded from there instead, discarding its edits here.
   const persistSpawnableChanges = useCallback(async () => {
     if (!selectedProfileId) return { ok: false, error: 'No profile selected' };
     const API_BASE = getApiBase();
@@ -568,7 +758,23 @@ export function useLootData() {
         for (const [file, changed] of Object.entries(files)) {
           if (changed) {
             const data = spawnableTypesByGroup[group]?.[file] || { types: [] };
-            await putXml(`${API_BASE}/api/spawnabletypes/${encodeURIComponent(group)}/${encodeURIComponent(file)}`, generateSpawnableTypesXml(data), `spawnable types ${group}/${file}`);
+            const url = `${API_BASE}/api/spawnabletypes/${encodeURIComponent(group)}/${encodeURIComponent(file)}`;
+            const label = `spawnable types ${group}/${file}`;
+            try {
+              await putXml(url, generateSpawnableTypesXml(data), label);
+            } catch (e) {
+              if (!e.conflict) throw e;
+              const theirs = await reloadConflictingFile(url, label, parseSpawnableTypesXml);
+              if (!theirs) throw e;
+              const next = { ...spawnableTypesByGroup, [group]: { ...spawnableTypesByGroup[group], [file]: theirs } };
+              const base = baselineSpawnableRef.current;
+              baselineSpawnableRef.current = { ...base, [group]: { ...base[group], [file]: cloneJson(theirs) } };
+              setSpawnableTypesByGroup(next);
+              await saveMissionFile('spawnableTypesByGroup', next);
+              throw new Error(`Reloaded ${label} from the server; make your changes to it again and save`);
+            }
+            const base = baselineSpawnableRef.current;
+            baselineSpawnableRef.current = { ...base, [group]: { ...base[group], [file]: cloneJson(data) } };
           }
         }
       }
@@ -576,17 +782,32 @@ export function useLootData() {
       return { ok: true };
     } catch (e) {
       console.error('Spawnable types persistence failed:', e);
+      // Files saved before the failure are already on disk; pick them up.
+      await refreshBaselineFromAPI();
       return { ok: false, error: e.message };
     }
-  }, [selectedProfileId, storageDiff, spawnableTypesByGroup, putXml, refreshBaselineFromAPI]);
+  }, [selectedProfileId, storageDiff, spawnableTypesByGroup, putXml, reloadConflictingFile, refreshBaselineFromAPI]);
 
-  // Save the Random Presets section.
+  // Save the Random Presets section; like spawnable types, a conflicting file can be reloaded.
   const persistRandomPresetsChanges = useCallback(async () => {
     if (!selectedProfileId) return { ok: false, error: 'No profile selected' };
     const API_BASE = getApiBase();
+    const url = `${API_BASE}/api/mission/randompresets`;
     try {
       if (storageDiff.mission.randomPresets) {
-        await putXml(`${API_BASE}/api/mission/randompresets`, generateRandomPresetsXml(randomPresets), 'random presets');
+        try {
+          await putXml(url, generateRandomPresetsXml(randomPresets), 'random presets');
+        } catch (e) {
+          if (!e.conflict) throw e;
+          const theirs = await reloadConflictingFile(url, 'random presets', parseRandomPresetsXml);
+          if (!theirs) throw e;
+          baselineRandomPresetsRef.current = cloneJson(theirs);
+          setRandomPresets(theirs);
+          await saveMissionFile('randomPresets', theirs);
+          await refreshBaselineFromAPI();
+          return { ok: false, error: 'Reloaded random presets from the server; make your changes again and save' };
+        }
+        baselineRandomPresetsRef.current = cloneJson(randomPresets);
       }
       await refreshBaselineFromAPI();
       return { ok: true };
@@ -594,7 +815,7 @@ export function useLootData() {
       console.error('Random presets persistence failed:', e);
       return { ok: false, error: e.message };
     }
-  }, [selectedProfileId, storageDiff, randomPresets, putXml, refreshBaselineFromAPI]);
+  }, [selectedProfileId, storageDiff, randomPresets, putXml, reloadConflictingFile, refreshBaselineFromAPI]);
 
 
   const setFromMergedTypes = useCallback((nextMerged, opts = { persist: false }) => {
@@ -827,7 +1048,7 @@ export function useLootData() {
             const econRes = await fetchWithProfile(`${API_BASE}/api/economycore`);
             if (econRes.ok) {
               const econText = await econRes.text();
-              const { order, filesByGroup } = parseEconomyCoreXml(econText);
+              const { order, filesByGroup, eventsFilesByGroup: eFiles } = parseEconomyCoreXml(econText);
               for (const group of order) {
                 const filesList = filesByGroup[group] || [];
                 for (const samplePath of filesList) {
@@ -853,6 +1074,7 @@ export function useLootData() {
                   }
                 }
               }
+              await loadGroupEventsFromAPI(API_BASE, eFiles, warnings);
             }
           } catch {
             // ignore extra groups if economy core is missing or invalid
@@ -904,6 +1126,8 @@ export function useLootData() {
         setBaselineDefinitions(defs);
         setLootFiles(files);
         const missionWarnings = [];
+        baselineSpawnableRef.current = {};
+        baselineRandomPresetsRef.current = null;
         await loadMissionFilesFromAPI(API_BASE, files, missionWarnings);
         if (missionWarnings.length > 0) {
           setLoadWarnings(prev => [...prev, ...missionWarnings]);
@@ -948,7 +1172,7 @@ export function useLootData() {
       }
     })();
     return () => { mounted = false; };
-  }, [selectedProfileId, fetchWithProfile, loadMissionFilesFromAPI, profilesLoaded]);
+  }, [selectedProfileId, fetchWithProfile, loadMissionFilesFromAPI, loadGroupEventsFromAPI, profilesLoaded]);
 
   const pushHistory = useCallback((state) => {
     historyRef.current.push(state);
@@ -1259,7 +1483,7 @@ export function useLootData() {
         const econRes = await fetchWithProfile(`${API_BASE}/api/economycore`);
         if (econRes.ok) {
           const econText = await econRes.text();
-          const { order, filesByGroup, spawnableFilesByGroup: sFiles } = parseEconomyCoreXml(econText);
+          const { order, filesByGroup, spawnableFilesByGroup: sFiles, eventsFilesByGroup: eFiles } = parseEconomyCoreXml(econText);
 
           // Ensure mission root spawnable types file is included in the map
           const sFilesWithRoot = { ...sFiles };
@@ -1294,6 +1518,7 @@ export function useLootData() {
               }
             }
           }
+          await loadGroupEventsFromAPI(API_BASE, eFiles, warnings);
         }
       } catch {
         // ignore extra groups if economy core missing
@@ -1327,6 +1552,8 @@ export function useLootData() {
         }
       }
       await saveManyTypeFiles(records);
+      baselineSpawnableRef.current = {};
+      baselineRandomPresetsRef.current = null;
       await loadMissionFilesFromAPI(API_BASE, assembledFiles, warnings);
 
       // Reset state, baselines, history, unknowns
@@ -1343,7 +1570,7 @@ export function useLootData() {
       historyRef.current = createHistory(merged);
 
       // Reset baselines to newly parsed
-      setBaselineFiles(assembledFiles);
+      applyBaseline(assembledFiles);
 
       // Publish warnings collected during reload
       setLoadWarnings(warnings);
@@ -1353,7 +1580,7 @@ export function useLootData() {
       setError(e instanceof Error ? e.message : String(e));
       setLoading(false);
     }
-  }, [fetchWithProfile, loadMissionFilesFromAPI]);
+  }, [fetchWithProfile, applyBaseline, loadMissionFilesFromAPI, loadGroupEventsFromAPI]);
 
   /**
    * Get per-file breakdown for a group.
@@ -1383,24 +1610,15 @@ export function useLootData() {
     currentEditorIdRef.current = id || '';
   }, []);
 
-  // Apply a new file-level structure and refresh all derived views (grouped, merged, unknowns).
-  // Mirrors the tail of setFromMergedTypes / removeDefinitionEntry. Returns the merged view.
-  const applyFiles = useCallback((nextFiles) => {
-    setLootFiles(nextFiles);
-    setLootGroups(combineFilesToGroups(nextFiles));
-    const merged = mergeFromFiles(nextFiles);
-    _setLootTypes(merged);
-    if (definitions) setUnknowns(validateUnknowns(merged, definitions));
-    return merged;
-  }, [definitions]);
-
   /**
    * Create a new custom types group (a db/<name> folder registered in cfgeconomycore.xml
-   * with an empty types.xml + spawnabletypes.xml). Requires the server to declare it before
-   * any types can be persisted there. Returns { ok, group?, file?, error? }.
+   * with an empty types.xml + spawnabletypes.xml, and an events.xml when `options.events`).
+   * Requires the server to declare it before any types can be persisted there.
+   * Returns { ok, group?, file?, error? }.
    * @param {string} rawName
+   * @param {{events?: boolean}} [options]
    */
-  const addGroup = useCallback(async (rawName) => {
+  const addGroup = useCallback(async (rawName, options = {}) => {
     const group = String(rawName || '').trim();
     if (!group) return { ok: false, error: 'Group name is required' };
     if (!SAFE_NAME_RE.test(group)) return { ok: false, error: 'Only letters, numbers, dot, dash and underscore are allowed' };
@@ -1412,7 +1630,7 @@ export function useLootData() {
       const res = await fetchWithProfile(`${getApiBase()}/api/types-group`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name: group }),
+        body: JSON.stringify({ name: group, events: !!options.events }),
       });
       if (!res.ok) {
         let msg = 'Failed to create group';
@@ -1473,6 +1691,114 @@ export function useLootData() {
     return { ok: true, type: t };
   }, [lootTypes, lootFiles, applyFiles]);
 
+  /**
+   * Resolve a classname defined in several files: keep the definition in `keep` and delete
+   * the name from every other file that has it. db/types.xml is never written (the server
+   * refuses it); whatever loads after it wins anyway. Each touched file is saved from its
+   * on-disk version through the types PUT — so the server backs it up and records the removal in
+   * the audit log — and other unsaved edits in those files stay pending. Returns { ok, files?, error? }.
+   * @param {string} name
+   * @param {{group: string, file: string}} keep
+   */
+  const keepTypeDefinition = useCallback(async (name, keep) => {
+    if (!lootFiles || !baselineFiles) return { ok: false, error: 'Types are not loaded' };
+    const lower = String(name || '').toLowerCase();
+    const matches = (t) => String(t.name).toLowerCase() === lower;
+
+    /** @type {TypeFiles} */
+    const next = { ...lootFiles };
+    /** @type {{group: string, file: string}[]} */
+    const touched = [];
+    for (const [group, perFile] of Object.entries(lootFiles)) {
+      if (group === 'vanilla') continue;
+      for (const [file, arr] of Object.entries(perFile)) {
+        if ((group === keep.group && file === keep.file) || !arr.some(matches)) continue;
+        next[group] = { ...next[group], [file]: arr.filter(t => !matches(t)) };
+        touched.push({ group, file });
+      }
+    }
+    if (!touched.length) return { ok: true, files: [] };
+
+    const API_BASE = getApiBase();
+    try {
+      for (const { group, file } of touched) {
+        const onDisk = (baselineFiles[group]?.[file] || []).filter(t => !matches(t));
+        await putXml(`${API_BASE}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(file)}`, generateTypesXml(onDisk), `${group}/${file}`);
+        setBaselineFile(group, file, onDisk);
+      }
+    } catch (e) {
+      // Files saved before the failure are already on disk; pick them up.
+      await refreshBaselineFromAPI();
+      return { ok: false, error: e.message };
+    }
+
+    applyFiles(next);
+    void saveManyTypeFiles(touched.map(({ group, file }) => ({ group, file, types: next[group][file] })));
+    const ts = Date.now();
+    const editorID = currentEditorIdRef.current || 'unknown';
+    appendChangeLogs(touched.map(({ group, file }) => ({ ts, editorID, group, file, typeName: name, action: 'removed' })))
+      .catch(err => console.error('Failed to append logs:', err));
+    await refreshBaselineFromAPI();
+    return { ok: true, files: touched };
+  }, [lootFiles, baselineFiles, putXml, applyFiles, setBaselineFile, refreshBaselineFromAPI]);
+
+  /**
+   * Undo one audited type field change on the server (POST /api/audit/:id/revert, which writes
+   * through the types PUT), then take the reverted field from disk into the local copy of that
+   * type; its other unsaved edits stay pending. When the field was changed again since the
+   * audited change, nothing is written unless `force` and `conflict` holds the original, audited
+   * and current values. Returns { ok, changes?, conflict?, error? }.
+   * @param {string} recordId
+   * @param {{force?: boolean}} [options]
+   */
+  const revertTypeField = useCallback(async (recordId, { force = false } = {}) => {
+    let result;
+    try {
+      const res = await fetchWithProfile(`${getApiBase()}/api/audit/${encodeURIComponent(recordId)}/revert`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Editor-ID': currentEditorIdRef.current || 'unknown' },
+        body: JSON.stringify({ force }),
+      });
+      result = await res.json().catch(() => ({}));
+      if (res.status === 409 && result.conflict) return { ok: false, conflict: result.conflict, error: result.error };
+      if (!res.ok) return { ok: false, error: result.error || `Revert failed (HTTP ${res.status})` };
+    } catch (e) {
+      return { ok: false, error: (e && e.message) || 'Network error reverting change' };
+    }
+
+    const { group, file, classname, field } = result;
+    const local = lootFiles?.[group]?.[file];
+    const index = local ? local.findIndex(t => t.name === classname) : -1;
+    if (index >= 0 && result.changes?.length) {
+      try {
+        // Not tracking the ETag: the file's other edits stay based on the revision they were made to,
+        // whose baseline takes the reverted field too.
+        const res = await fetchWithProfile(`${getApiBase()}/api/types/${encodeURIComponent(group)}/${encodeURIComponent(file)}`, { trackEtag: false });
+        const onDisk = res.ok ? parseTypesXml(await res.text()).find(t => t.name === classname) : null;
+        if (onDisk) {
+          const flag = field.startsWith('flags.') ? field.slice(6) : null;
+          const key = flag ? 'flags' : field;
+          const patch = (t) => ({
+            ...t,
+            ...(flag ? { flags: { ...t.flags, [flag]: onDisk.flags[flag] } } : { [field]: onDisk[field] }),
+            _present: { ...(t._present || {}), [key]: !!onDisk._present?.[key] },
+          });
+          const next = { ...lootFiles, [group]: { ...lootFiles[group], [file]: local.map((x, i) => (i === index ? patch(x) : x)) } };
+          const base = baselineRef.current.files?.[group]?.[file];
+          if (base) setBaselineFile(group, file, base.map(x => (x.name === classname ? patch(x) : x)));
+          applyFiles(next);
+          void saveManyTypeFiles([{ group, file, types: next[group][file] }]);
+          appendChangeLogs([{ ts: Date.now(), editorID: currentEditorIdRef.current || 'unknown', group, file, typeName: classname, action: 'modified', fields: [field] }])
+            .catch(err => console.error('Failed to append logs:', err));
+        }
+      } catch (e) {
+        console.warn('Failed to reload reverted type:', e);
+      }
+    }
+    await refreshBaselineFromAPI();
+    return { ok: true, changes: result.changes || [] };
+  }, [lootFiles, applyFiles, fetchWithProfile, setBaselineFile, refreshBaselineFromAPI]);
+
   // One-time manual change logging for differences between parsed files (baseline) and IndexedDB state
   const manualLoggedRef = useRef(false);
   useEffect(() => {
@@ -1570,11 +1896,20 @@ export function useLootData() {
     setChangeEditorID,
     reloadFromFiles,
     getBaselineFileTypes,
+    baselineFiles,
+    lootFiles,
+    keepTypeDefinition,
+    revertTypeField,
     persistCleChanges,
+    typeMerge,
+    conflictReload,
     persistSpawnableChanges,
     persistRandomPresetsChanges,
     refreshBaselineFromAPI,
     spawnableFilesByGroup,
+    eventsFilesByGroup,
+    groupEvents,
+    setGroupEventsFile,
     spawnableTypesByGroup,
     setSpawnableTypesByGroup,
     baselineSpawnableTypesByGroup,
@@ -1654,6 +1989,26 @@ function normalizeType(t) {
   };
 }
 
+/**
+ * Whether two versions of a types file hold the same types, in any order.
+ * @param {Type[]} a
+ * @param {Type[]} b
+ */
+function sameTypeFile(a, b) {
+  const key = (list) => JSON.stringify(list.map(normalizeType).sort((x, y) => (x.name < y.name ? -1 : x.name > y.name ? 1 : 0)));
+  return a.length === b.length && key(a) === key(b);
+}
+
+/**
+ * Whether two versions of cfglimitsdefinition.xml define the same entries.
+ * @param {{categories: string[], usageflags: string[], valueflags: string[], tags: string[]}} a
+ * @param {{categories: string[], usageflags: string[], valueflags: string[], tags: string[]}} b
+ */
+function sameDefinitions(a, b) {
+  return ['categories', 'usageflags', 'valueflags', 'tags']
+    .every(k => JSON.stringify([...a[k]].sort()) === JSON.stringify([...b[k]].sort()));
+}
+
 /**
  * Diff two normalized types; return changed field names plus old/new values for those fields.
  * @param {ReturnType<typeof normalizeType>} a
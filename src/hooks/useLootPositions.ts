@@ -0,0 +1,96 @@
+import { useEffect, useMemo, useState } from 'react';
+import { apiFetch } from '../utils/api';
+
+/** The CE flags a loot-position query matches on; the same fields a type carries. */
+export interface LootFlags {
+  usage: string[];
+  value: string[];
+  category?: string;
+  tag: string[];
+}
+
+export interface LootPositionsPrototype {
+  name: string;
+  /** Instances of this building in mapgrouppos.xml. */
+  instances: number;
+  /** Matching loot points in one instance. */
+  pointsEach: number;
+  /** Names of the containers that matched. */
+  containers: string[];
+}
+
+export interface LootPositionsResult {
+  buildings: number;
+  points: number;
+  prototypes: LootPositionsPrototype[];
+  /** Building instances that can host the item; empty when requested without positions. */
+  positions: { name: string; x: number; z: number }[];
+  /** Prototypes in mapgroupproto.xml, matched or not. */
+  prototypeCount: number;
+}
+
+/** Wait this long after the last flag change before querying, so toggling flags stays cheap. */
+const DEBOUNCE_MS = 300;
+
+/**
+ * Which buildings (and how many loot points) can host an item with `flags`, per the
+ * mission's mapgroupproto.xml / mapgrouppos.xml. Pass `flags = null` to skip the query.
+ * `withPositions: false` asks only for the counts (the CLE tab's hint).
+ */
+export function useLootPositions(
+  profileId: string | null | undefined,
+  flags: LootFlags | null,
+  { withPositions = true }: { withPositions?: boolean } = {},
+) {
+  const [result, setResult] = useState<LootPositionsResult | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [loading, setLoading] = useState(false);
+
+  // Re-query on content changes only; callers usually rebuild `flags` every render.
+  const query = useMemo(() => {
+    if (!flags) return null;
+    const params = new URLSearchParams({
+      usage: flags.usage.join(','),
+      value: flags.value.join(','),
+      category: flags.category || '',
+      tag: flags.tag.join(','),
+    });
+    if (!withPositions) params.set('positions', '0');
+    return params.toString();
+  }, [flags, withPositions]);
+
+  useEffect(() => {
+    if (!profileId || query === null) {
+      setResult(null);
+      setError(null);
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const res = await apiFetch(`/api/mapgroups/loot-positions?${query}`, { profileId });
+        if (cancelled) return;
+        if (!res.ok) {
+          const body = await res.json().catch(() => null);
+          setResult(null);
+          setError((body && body.error) || `Loot position query failed (HTTP ${res.status}).`);
+          return;
+        }
+        setResult(await res.json());
+        setError(null);
+      } catch {
+        if (!cancelled) setError('Error connecting to server.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [profileId, query]);
+
+  return { result, error, loading };
+}
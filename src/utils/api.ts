@@ -17,15 +17,100 @@ export function getApiBase(): string {
 export interface ApiFetchOptions extends RequestInit {
     /** Selected profile id; sent as the X-Profile-ID header the server gates profile routes on. */
     profileId?: string | null;
+    /**
+     * Record the ETag of a successful GET or PUT for the URL's later PUTs (default true). False
+     * leaves that to the caller (rememberEtag), e.g. when a reload must not move a file with
+     * unsaved edits onto the server's newer revision.
+     */
+    trackEtag?: boolean;
+}
+
+const ETAGS_KEY = 'dayz-editor:etags';
+const MAX_ETAGS = 500;
+
+// The ETag each file was last loaded or saved with, per profile and API path. File PUTs send it
+// back as If-Match so the server refuses (409) a save made over someone else's newer change
+// (see server/concurrency.js). Kept in localStorage, newest last and capped, because edits
+// cached in IndexedDB outlive the page that loaded them.
+let etags: Map<string, string> | null = null;
+
+function loadEtags(): Map<string, string> {
+    if (etags) return etags;
+    let stored: [string, string][] = [];
+    try {
+        stored = JSON.parse((typeof window !== 'undefined' && localStorage.getItem(ETAGS_KEY)) || '[]');
+    } catch {
+        // unreadable: start over
+    }
+    etags = new Map(Array.isArray(stored) ? stored : []);
+    return etags;
+}
+
+function resolveUrl(path: string): string {
+    return /^https?:\/\//i.test(path) ? path : `${getApiBase()}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+function etagKey(url: string, profileId?: string | null): string {
+    const { pathname, search } = new URL(url);
+    return `${profileId || ''}:${pathname}${search}`;
+}
+
+/**
+ * Record the ETag a file was loaded with, for files that arrive through a listing (trader .map
+ * files, airdrop missions) rather than a GET of the URL they are saved to.
+ */
+export function rememberEtag(path: string, profileId: string | null | undefined, etag: string | null | undefined): void {
+    if (!etag) return;
+    const map = loadEtags();
+    const key = etagKey(resolveUrl(path), profileId);
+    if (map.get(key) === etag) return;
+    map.delete(key);
+    map.set(key, etag);
+    for (const oldest of map.keys()) {
+        if (map.size <= MAX_ETAGS) break;
+        map.delete(oldest);
+    }
+    if (typeof window !== 'undefined') {
+        try { localStorage.setItem(ETAGS_KEY, JSON.stringify([...map])); } catch { /* storage full or disabled */ }
+    }
+}
+
+/**
+ * The ETags held for the profile's files whose API path starts with one of `prefixes`, keyed by
+ * path, for a write that changes several files at once and checks each one itself.
+ */
+export function loadedEtags(profileId: string | null | undefined, prefixes: string[]): Record<string, string> {
+    const own = `${profileId || ''}:`;
+    const out: Record<string, string> = {};
+    for (const [key, etag] of loadEtags()) {
+        const path = key.startsWith(own) ? key.slice(own.length) : null;
+        if (path !== null && prefixes.some(prefix => path.startsWith(prefix))) out[path] = etag;
+    }
+    return out;
 }
 
 /**
  * fetch() wrapper that prefixes the API base for root-relative paths and injects the
  * X-Profile-ID header when a profileId is supplied. Absolute URLs are passed through unchanged.
+ *
+ * A PUT gets If-Match with the ETag its URL was last loaded or saved with, or
+ * `If-None-Match: *` (create only) when it never was, unless the caller sets either itself.
+ * A DELETE gets If-Match the same way; one of a file never loaded goes without (and gets 428).
  */
-export function apiFetch(path: string, { profileId, headers, ...options }: ApiFetchOptions = {}): Promise<Response> {
-    const url = /^https?:\/\//i.test(path) ? path : `${getApiBase()}${path.startsWith('/') ? '' : '/'}${path}`;
+export async function apiFetch(path: string, { profileId, headers, trackEtag = true, ...options }: ApiFetchOptions = {}): Promise<Response> {
+    const url = resolveUrl(path);
     const mergedHeaders: Record<string, string> = { ...(headers as Record<string, string> | undefined) };
     if (profileId) mergedHeaders['X-Profile-ID'] = profileId;
-    return fetch(url, { ...options, headers: mergedHeaders });
+    const method = (options.method || 'GET').toUpperCase();
+    const key = etagKey(url, profileId);
+    const hasPrecondition = Object.keys(mergedHeaders).some(h => /^if-(none-)?match$/i.test(h));
+    if ((method === 'PUT' || method === 'DELETE') && !hasPrecondition) {
+        const known = loadEtags().get(key);
+        if (known) mergedHeaders['If-Match'] = known;
+        else if (method === 'PUT') mergedHeaders['If-None-Match'] = '*';
+    }
+    const res = await fetch(url, { ...options, headers: mergedHeaders });
+    const etag = trackEtag && res.ok && (method === 'GET' || method === 'PUT') ? res.headers?.get('ETag') : null;
+    if (etag) rememberEtag(url, profileId, etag);
+    return res;
 }
@@ -0,0 +1,83 @@
+/** The part of a catalog `accepts` graph the slot check needs: exposed slot -> items that fit it. */
+export interface SlotGraph {
+  slots?: string[];
+  bySlot: Record<string, { name: string; displayName?: string | null }[]>;
+}
+
+/** One `<attachments>` block of a spawnable entry, with preset blocks already resolved to their items. */
+export interface AttachmentBlock {
+  items: { name?: string }[];
+  preset?: string;
+}
+
+export type AttachmentIssue =
+  | { kind: 'no-slot'; block: number; item: string }
+  | { kind: 'slot-conflict'; slot: string; blocks: number[] };
+
+export interface SlotUsage {
+  slot: string;
+  /** Indexes of the blocks with an item that can only go into this slot. */
+  blocks: number[];
+  /** Every class the catalog says fits the slot. */
+  candidates: { name: string; displayName?: string | null }[];
+}
+
+export interface AttachmentCheck {
+  /** Parent slots each item can occupy, per block and item index ([] = fits nowhere). */
+  itemSlots: string[][][];
+  issues: AttachmentIssue[];
+  slots: SlotUsage[];
+}
+
+/**
+ * Check a spawnable entry's `<attachments>` blocks against the slots its parent exposes.
+ *
+ * The CE spawns at most one item per block, so items inside a block are alternatives and may
+ * share a slot. The failures are silent: an item that fits none of the parent's slots never
+ * attaches, and when two blocks both target the same slot only the first to spawn gets it.
+ * A block claims a slot through an item that fits exactly that one slot; items that fit several
+ * slots (the engine takes whichever is free) never cause a conflict. Matching is case-insensitive,
+ * as slot and class casing differ between configs.
+ * @param accepts the parent's catalog `accepts` graph; null when the catalog can't answer
+ * @returns null when there is no graph to check against
+ */
+export function checkAttachmentBlocks(accepts: SlotGraph | null | undefined, blocks: AttachmentBlock[]): AttachmentCheck | null {
+  if (!accepts?.bySlot) return null;
+  const slotNames = accepts.slots?.length ? accepts.slots : Object.keys(accepts.bySlot);
+  const refsBySlot = new Map<string, SlotGraph['bySlot'][string]>();
+  const fitting = new Map<string, Set<string>>();
+  for (const slot of slotNames) {
+    const refs = accepts.bySlot[slot]
+      || Object.entries(accepts.bySlot).find(([k]) => k.toLowerCase() === slot.toLowerCase())?.[1]
+      || [];
+    refsBySlot.set(slot, refs);
+    fitting.set(slot, new Set(refs.map(r => r.name.toLowerCase())));
+  }
+
+  const issues: AttachmentIssue[] = [];
+  const claims = new Map<string, number[]>();
+  const itemSlots = blocks.map((block, b) => (block.items || []).map(it => {
+    const name = String(it.name || '');
+    if (!name) return [];
+    const lower = name.toLowerCase();
+    const slots = slotNames.filter(s => fitting.get(s)!.has(lower));
+    if (!slots.length) issues.push({ kind: 'no-slot', block: b, item: name });
+    if (slots.length === 1) {
+      const list = claims.get(slots[0]) || [];
+      if (!list.includes(b)) list.push(b);
+      claims.set(slots[0], list);
+    }
+    return slots;
+  }));
+
+  for (const [slot, claimed] of claims) {
+    if (claimed.length > 1) issues.push({ kind: 'slot-conflict', slot, blocks: claimed });
+  }
+
+  const slots = slotNames.map(slot => ({
+    slot,
+    blocks: claims.get(slot) || [],
+    candidates: refsBySlot.get(slot)!,
+  }));
+  return { itemSlots, issues, slots };
+}
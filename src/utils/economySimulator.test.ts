@@ -0,0 +1,108 @@
+import { describe, it, expect } from 'vitest';
+import {
+  economyGlobalsFrom,
+  simulateEconomy,
+  simulateType,
+  staticEconomyIssues,
+  seededRng,
+  VANILLA_ECONOMY_GLOBALS,
+  type SimType,
+} from './economySimulator';
+import type { Rng } from './airdropSimulator';
+
+const never: Rng = () => 0.999;
+const always: Rng = () => 0;
+
+const type = (over: Partial<SimType> = {}): SimType => ({
+  name: 'AKM',
+  nominal: 10,
+  min: 5,
+  lifetime: 600,
+  restock: 0,
+  flags: { count_in_map: true },
+  ...over,
+});
+
+// One-minute cycles, 20 minutes, no player pickups: only lifetime and restock move the count.
+const quiet = { hours: 1 / 3, stepSeconds: 60, players: 0, maxSamples: 1000 };
+
+describe('economyGlobalsFrom', () => {
+  it('falls back to vanilla values for missing or null globals', () => {
+    expect(economyGlobalsFrom(null)).toEqual(VANILLA_ECONOMY_GLOBALS);
+    expect(economyGlobalsFrom({ InitialSpawn: 50, RespawnLimit: null })).toEqual({
+      ...VANILLA_ECONOMY_GLOBALS,
+      InitialSpawn: 50,
+    });
+  });
+});
+
+describe('simulateEconomy', () => {
+  it('holds nominal until lifetime runs out, then respawns once below min', () => {
+    const { times, projection } = simulateType(type(), VANILLA_ECONOMY_GLOBALS, quiet, never);
+    expect(times[0]).toBe(0);
+    expect(projection.counts.slice(0, 10)).toEqual(Array(10).fill(10));
+    // All ten expire at t=600 and are replaced in the same cycle; that wave expires at t=1200.
+    expect(projection.counts[10]).toBe(10);
+    expect(projection.respawned).toBe(20);
+    expect(projection.issues).toEqual([]);
+  });
+
+  it('caps each cycle at RespawnLimit and keeps refilling to nominal', () => {
+    const globals = { ...VANILLA_ECONOMY_GLOBALS, RespawnLimit: 4 };
+    const { projection } = simulateType(type(), globals, quiet, never);
+    expect(projection.counts.slice(10, 14)).toEqual([4, 8, 10, 10]);
+  });
+
+  it('waits restock seconds after dropping below min', () => {
+    const { times, projection } = simulateType(type({ restock: 300 }), VANILLA_ECONOMY_GLOBALS, quiet, never);
+    const back = projection.counts.findIndex((c, i) => i > 10 && c > 0);
+    expect(projection.counts[10]).toBe(0);
+    expect(times[back]).toBe(900);
+  });
+
+  it('keeps counting picked-up copies when the type counts player inventory', () => {
+    const busy = { ...quiet, players: 40, pickupPerPlayerHour: 1 };
+    const held = simulateType(type({ flags: { count_in_map: true, count_in_player: true } }), VANILLA_ECONOMY_GLOBALS, busy, always);
+    expect(held.projection.counts[1]).toBe(10);
+    expect(held.projection.respawned).toBe(0);
+
+    const loose = simulateType(type(), VANILLA_ECONOMY_GLOBALS, busy, always);
+    expect(loose.projection.respawned).toBeGreaterThan(0);
+  });
+
+  it('lets nearby players hold off cleanup', () => {
+    const { projection } = simulateType(type(), VANILLA_ECONOMY_GLOBALS, { ...quiet, cleanupAvoidance: 1 }, always);
+    expect(projection.counts.every((c) => c === 10)).toBe(true);
+    expect(projection.respawned).toBe(0);
+  });
+
+  it('shares the RespawnTypes budget between types', () => {
+    const globals = { ...VANILLA_ECONOMY_GLOBALS, RespawnTypes: 1 };
+    const { types } = simulateEconomy([type(), type({ name: 'M4A1' })], globals, quiet, never);
+    // Both expire at t=600; only one type is refilled per cycle.
+    expect(types.map((t) => t.counts[10]).sort()).toEqual([0, 10]);
+    expect(types.map((t) => t.counts[11])).toEqual([10, 10]);
+  });
+
+  it('flags a min the window never reaches', () => {
+    const globals = { ...VANILLA_ECONOMY_GLOBALS, InitialSpawn: 0 };
+    const { projection } = simulateType(type({ restock: 7200 }), globals, { ...quiet, hours: 1 }, never);
+    expect(projection.issues.map((i) => i.code)).toEqual(['min-never-reached']);
+  });
+
+  it('is reproducible for a seeded rng', () => {
+    const opts = { hours: 6, players: 60, cleanupAvoidance: 0.3 };
+    const a = simulateType(type({ nominal: 40, min: 20, lifetime: 3600 }), VANILLA_ECONOMY_GLOBALS, opts, seededRng(7));
+    const b = simulateType(type({ nominal: 40, min: 20, lifetime: 3600 }), VANILLA_ECONOMY_GLOBALS, opts, seededRng(7));
+    expect(a).toEqual(b);
+    expect(a.projection.lowest).toBeLessThan(40);
+  });
+});
+
+describe('staticEconomyIssues', () => {
+  it('reports a min that nominal can never satisfy', () => {
+    expect(staticEconomyIssues(type({ nominal: 0, min: 2 })).map((i) => i.code)).toEqual(['nominal-zero']);
+    expect(staticEconomyIssues(type({ nominal: 3, min: 5 })).map((i) => i.code)).toEqual(['min-above-nominal']);
+    expect(staticEconomyIssues(type())).toEqual([]);
+  });
+});
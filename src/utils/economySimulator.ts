@@ -0,0 +1,295 @@
+/**
+ * Central Economy projection — a deterministic, dependency-free model of how many copies of
+ * each type the CE keeps in the world over a time window, so `nominal` / `min` / `restock` /
+ * `lifetime` can be tuned before a restart rather than after a week of player reports.
+ *
+ * The model, per type and per CE cycle (`stepSeconds`):
+ *
+ *   1. pickup   — each world item is taken by a player with a per-cycle chance that grows
+ *                 with the player count. Taken items still count toward nominal when the type
+ *                 has count_in_player / count_in_cargo / count_in_hoarder (they end up on a
+ *                 player or in storage); otherwise they vanish from the CE's tally.
+ *   2. cleanup  — an item whose `lifetime` has run out is removed, unless a player is nearby
+ *                 (`cleanupAvoidance`, the chance per check) in which case it survives to the
+ *                 next cycle.
+ *   3. restock  — once the counted total drops below `min` (or to zero), the CE waits
+ *                 `restock` seconds and then respawns toward `nominal`, at most globals
+ *                 RespawnLimit items per type and RespawnTypes types per cycle, until nominal
+ *                 is reached again.
+ *
+ * At t=0 InitialSpawn% of nominal is placed. Every stochastic step takes an injectable `rng`
+ * (default Math.random) so runs are reproducible in tests, as in airdropSimulator.
+ */
+
+import type { Type } from './xml';
+import type { Rng } from './airdropSimulator';
+
+/** mulberry32 — a small seedable PRNG, so a what-if curve doesn't reshuffle on every render. */
+export function seededRng(seed: number): Rng {
+  let a = seed >>> 0;
+  return () => {
+    a |= 0;
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** The globals.xml variables the projection uses. */
+export interface EconomyGlobals {
+  /** % of nominal placed when the server starts. */
+  InitialSpawn: number;
+  /** Max items of one type respawned per cycle. */
+  RespawnLimit: number;
+  /** Max distinct types respawned per cycle. */
+  RespawnTypes: number;
+}
+
+/** Vanilla globals.xml values, used for anything the mission's file doesn't set. */
+export const VANILLA_ECONOMY_GLOBALS: EconomyGlobals = {
+  InitialSpawn: 100,
+  RespawnLimit: 20,
+  RespawnTypes: 12,
+};
+
+/** Fill the projection's globals from parseGlobalsXml output (null / missing → vanilla). */
+export function economyGlobalsFrom(parsed?: Partial<Record<keyof EconomyGlobals, number | null>> | null): EconomyGlobals {
+  const pick = (k: keyof EconomyGlobals) => {
+    const v = parsed?.[k];
+    return typeof v === 'number' && Number.isFinite(v) && v >= 0 ? v : VANILLA_ECONOMY_GLOBALS[k];
+  };
+  return { InitialSpawn: pick('InitialSpawn'), RespawnLimit: pick('RespawnLimit'), RespawnTypes: pick('RespawnTypes') };
+}
+
+export interface EconomySimOptions {
+  /** Window to project, in hours. Default 24. */
+  hours?: number;
+  /** Players online throughout the window. Default 40. */
+  players?: number;
+  /** Length of one CE cycle in seconds. Default 60. */
+  stepSeconds?: number;
+  /**
+   * Chance per online player per hour that a given world item is picked up. Default 0.002
+   * (40 players take ~8% of a type's loose copies an hour); a rough knob, not a measured rate.
+   */
+  pickupPerPlayerHour?: number;
+  /** 0..1 chance that an expired item has a player near it and survives the cleanup check. Default 0. */
+  cleanupAvoidance?: number;
+  /** Target number of points in each curve; samples are spaced evenly. Default 200. */
+  maxSamples?: number;
+}
+
+export type EconomyIssueCode = 'nominal-zero' | 'min-above-nominal' | 'min-never-reached';
+
+export interface EconomyIssue {
+  code: EconomyIssueCode;
+  message: string;
+}
+
+export interface TypeProjection {
+  name: string;
+  nominal: number;
+  min: number;
+  /** Counted copies (world + held when the count flags include them) at each `times` entry. */
+  counts: number[];
+  mean: number;
+  lowest: number;
+  highest: number;
+  /** Share of samples at or above min. */
+  atOrAboveMin: number;
+  /** Copies the CE respawned over the window (the initial spawn excluded). */
+  respawned: number;
+  issues: EconomyIssue[];
+}
+
+export interface EconomyProjection {
+  /** Sample times in seconds from server start. */
+  times: number[];
+  types: TypeProjection[];
+}
+
+/** The Type fields the projection reads; the edit form passes its unsaved values through this. */
+export type SimType = Pick<Type, 'name' | 'nominal' | 'min' | 'lifetime' | 'restock'> & { flags?: Partial<Type['flags']> };
+
+/** Problems visible from the numbers alone, before any simulation. */
+export function staticEconomyIssues(t: SimType): EconomyIssue[] {
+  const issues: EconomyIssue[] = [];
+  const nominal = Number(t.nominal) || 0;
+  const min = Number(t.min) || 0;
+  if (nominal <= 0 && min > 0) {
+    issues.push({ code: 'nominal-zero', message: 'nominal is 0, so the CE never spawns it and min can never be reached.' });
+  } else if (min > nominal) {
+    issues.push({ code: 'min-above-nominal', message: `min (${min}) is above nominal (${nominal}); the CE never spawns past nominal.` });
+  }
+  return issues;
+}
+
+interface SimState {
+  t: SimType;
+  nominal: number;
+  min: number;
+  lifetime: number;
+  restock: number;
+  countsWorld: boolean;
+  countsHeld: boolean;
+  /** Expiry time (seconds) of each world copy. */
+  world: number[];
+  held: number;
+  /** When the count first fell below min in the current dip, or null when it hasn't. */
+  belowSince: number | null;
+  refilling: boolean;
+  respawned: number;
+  counts: number[];
+  atOrAbove: number;
+  sum: number;
+}
+
+const counted = (s: SimState) => (s.countsWorld ? s.world.length : 0) + (s.countsHeld ? s.held : 0);
+
+/**
+ * Project world counts for `types` over the window. Types are simulated together so the
+ * per-cycle RespawnTypes cap is shared the way the CE shares it; pass a single type for a
+ * what-if curve that ignores that contention.
+ */
+export function simulateEconomy(
+  types: SimType[],
+  globals: EconomyGlobals = VANILLA_ECONOMY_GLOBALS,
+  options: EconomySimOptions = {},
+  rng: Rng = Math.random,
+): EconomyProjection {
+  const hours = Math.max(0, options.hours ?? 24);
+  const players = Math.max(0, options.players ?? 40);
+  const dt = Math.max(1, options.stepSeconds ?? 60);
+  const avoidance = Math.min(1, Math.max(0, options.cleanupAvoidance ?? 0));
+  const hourlyPickup = Math.max(0, options.pickupPerPlayerHour ?? 0.002) * players;
+  // Per-cycle chance from the hourly hazard, so changing stepSeconds doesn't change the rate.
+  const pPickup = hourlyPickup > 0 ? 1 - Math.exp(-hourlyPickup * (dt / 3600)) : 0;
+  const steps = Math.floor((hours * 3600) / dt);
+  const every = Math.max(1, Math.ceil(steps / Math.max(1, options.maxSamples ?? 200)));
+
+  const states: SimState[] = types.map((t) => {
+    const nominal = Math.max(0, Number(t.nominal) || 0);
+    const lifetime = Math.max(0, Number(t.lifetime) || 0);
+    const initial = Math.round((nominal * globals.InitialSpawn) / 100);
+    const flags = t.flags || {};
+    return {
+      t,
+      nominal,
+      min: Math.max(0, Number(t.min) || 0),
+      lifetime,
+      restock: Math.max(0, Number(t.restock) || 0),
+      // Types without flags (a bare entry) count on the map, like the CE's default.
+      countsWorld: flags.count_in_map ?? true,
+      countsHeld: !!(flags.count_in_player || flags.count_in_cargo || flags.count_in_hoarder),
+      world: Array.from({ length: initial }, () => lifetime),
+      held: 0,
+      belowSince: null,
+      refilling: false,
+      respawned: 0,
+      counts: [],
+      atOrAbove: 0,
+      sum: 0,
+    };
+  });
+
+  const times: number[] = [];
+  const sample = (time: number) => {
+    times.push(time);
+    for (const s of states) {
+      const c = counted(s);
+      s.counts.push(c);
+      s.sum += c;
+      if (c >= s.min) s.atOrAbove++;
+    }
+  };
+  sample(0);
+
+  // Rotate where the RespawnTypes budget starts so a long types list doesn't starve its tail.
+  let rotate = 0;
+  for (let step = 1; step <= steps; step++) {
+    const now = step * dt;
+
+    for (const s of states) {
+      if (pPickup > 0) {
+        const kept: number[] = [];
+        for (const expiry of s.world) {
+          if (rng() < pPickup) s.held++;
+          else kept.push(expiry);
+        }
+        s.world = kept;
+      }
+      s.world = s.world.filter((expiry) => expiry > now || (avoidance > 0 && rng() < avoidance));
+      // A survivor is checked again next cycle.
+      for (let i = 0; i < s.world.length; i++) if (s.world[i] <= now) s.world[i] = now + dt;
+    }
+
+    let typeBudget = globals.RespawnTypes > 0 ? globals.RespawnTypes : Infinity;
+    for (let k = 0; k < states.length; k++) {
+      const s = states[(k + rotate) % states.length];
+      const c = counted(s);
+      if (!s.refilling) {
+        if ((c >= s.min && c > 0) || s.nominal <= 0) {
+          s.belowSince = null;
+          continue;
+        }
+        if (s.belowSince === null) s.belowSince = now;
+        if (now - s.belowSince < s.restock) continue;
+        s.refilling = true;
+      }
+      if (c >= s.nominal) {
+        s.refilling = false;
+        s.belowSince = null;
+        continue;
+      }
+      if (typeBudget <= 0) continue;
+      typeBudget--;
+      const n = Math.min(s.nominal - c, globals.RespawnLimit > 0 ? globals.RespawnLimit : Infinity);
+      for (let i = 0; i < n; i++) s.world.push(now + s.lifetime);
+      s.respawned += n;
+      if (counted(s) >= s.nominal) {
+        s.refilling = false;
+        s.belowSince = null;
+      }
+    }
+    if (states.length) rotate = (rotate + 1) % states.length;
+
+    if (step % every === 0 || step === steps) sample(now);
+  }
+
+  return {
+    times,
+    types: states.map((s) => {
+      const issues = staticEconomyIssues(s.t);
+      if (!issues.length && s.min > 0 && s.atOrAbove === 0) {
+        issues.push({
+          code: 'min-never-reached',
+          message: `Never reaches min (${s.min}) in ${hours}h at ${players} players; raise nominal or lifetime, or lower restock.`,
+        });
+      }
+      return {
+        name: s.t.name,
+        nominal: s.nominal,
+        min: s.min,
+        counts: s.counts,
+        mean: s.counts.length ? s.sum / s.counts.length : 0,
+        lowest: s.counts.length ? Math.min(...s.counts) : 0,
+        highest: s.counts.length ? Math.max(...s.counts) : 0,
+        atOrAboveMin: s.counts.length ? s.atOrAbove / s.counts.length : 0,
+        respawned: s.respawned,
+        issues,
+      };
+    }),
+  };
+}
+
+/** Convenience wrapper — one type's projection (see simulateEconomy). */
+export function simulateType(
+  type: SimType,
+  globals: EconomyGlobals = VANILLA_ECONOMY_GLOBALS,
+  options: EconomySimOptions = {},
+  rng: Rng = Math.random,
+): { times: number[]; projection: TypeProjection } {
+  const { times, types } = simulateEconomy([type], globals, options, rng);
+  return { times, projection: types[0] };
+}
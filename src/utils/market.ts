@@ -0,0 +1,148 @@
+import { apiFetch, loadedEtags } from './api';
+
+/** One item of an Expansion market category (ExpansionMod/Market/<Category>.json). */
+export interface MarketItem {
+  ClassName: string;
+  MaxPriceThreshold: number;
+  MinPriceThreshold: number;
+  SellPricePercent: number;
+  MaxStockThreshold: number;
+  MinStockThreshold: number;
+  QuantityPercent: number;
+  SpawnAttachments?: string[];
+  Variants?: string[];
+  [key: string]: any;
+}
+
+/** A category file as read from /api/market/category/:name; everything but Items is passed through. */
+export interface MarketCategory {
+  DisplayName?: string;
+  Items: MarketItem[];
+  [key: string]: any;
+}
+
+/** The numeric fields edited in place, in display order. */
+export const MARKET_FIELDS = [
+  'MinPriceThreshold',
+  'MaxPriceThreshold',
+  'SellPricePercent',
+  'MinStockThreshold',
+  'MaxStockThreshold',
+  'QuantityPercent',
+] as const;
+
+export type MarketField = typeof MARKET_FIELDS[number];
+
+/** Where a classname is listed: the category file and the item in it. */
+export interface MarketEntry {
+  category: string;
+  item: MarketItem;
+}
+
+/**
+ * Market entries per classname (lowercased key; Expansion lowercases ClassName on load, and its
+ * own files store them lowercase). A class listed in several categories gets one entry each.
+ */
+export function findMarketEntries(categories: Record<string, MarketCategory>, names: string[]): Record<string, MarketEntry[]> {
+  const wanted = new Set(names.map(n => n.toLowerCase()));
+  const out: Record<string, MarketEntry[]> = {};
+  for (const n of wanted) out[n] = [];
+  for (const [category, json] of Object.entries(categories)) {
+    for (const item of Array.isArray(json?.Items) ? json.Items : []) {
+      const key = String(item?.ClassName || '').toLowerCase();
+      if (wanted.has(key)) out[key].push({ category, item });
+    }
+  }
+  return out;
+}
+
+/** The value shared by all `items`, or null when they differ (shown as "Mixed") or there are none. */
+export function sharedMarketValue<T>(items: MarketItem[], read: (item: MarketItem) => T): T | null {
+  if (!items.length) return null;
+  const first = read(items[0]);
+  const key = JSON.stringify(first);
+  return items.every(it => JSON.stringify(read(it)) === key) ? first : null;
+}
+
+/** Edits to apply to every selected entry; fields left undefined (e.g. still "Mixed") are kept. */
+export type MarketDraft = Partial<Record<MarketField, number>> & { Variants?: string[] };
+
+/**
+ * Apply `draft` to the items of one category whose classname is in `names` (lowercased).
+ * Returns the category unchanged (same object) when nothing in it is selected.
+ */
+export function applyMarketDraft(json: MarketCategory, names: Set<string>, draft: MarketDraft): MarketCategory {
+  let touched = false;
+  const Items = (json.Items || []).map(item => {
+    if (!names.has(String(item.ClassName || '').toLowerCase())) return item;
+    touched = true;
+    const next = { ...item };
+    for (const f of MARKET_FIELDS) {
+      if (draft[f] !== undefined && Number.isFinite(draft[f])) next[f] = draft[f]!;
+    }
+    if (draft.Variants) next.Variants = draft.Variants.map(v => v.toLowerCase());
+    return next;
+  });
+  return touched ? { ...json, Items } : json;
+}
+
+/**
+ * A new market item for `className`. Prices and stock come from `template` (e.g. the values being
+ * edited) where set, else Expansion's defaults; SellPricePercent -1 defers to the trader's default.
+ */
+export function newMarketItem(className: string, template?: Partial<MarketItem>): MarketItem {
+  return {
+    ClassName: className.toLowerCase(),
+    MaxPriceThreshold: template?.MaxPriceThreshold ?? 0,
+    MinPriceThreshold: template?.MinPriceThreshold ?? 0,
+    SellPricePercent: template?.SellPricePercent ?? -1,
+    MaxStockThreshold: template?.MaxStockThreshold ?? 1,
+    MinStockThreshold: template?.MinStockThreshold ?? 1,
+    QuantityPercent: template?.QuantityPercent ?? -1,
+    SpawnAttachments: [],
+    Variants: [],
+  };
+}
+
+/** Save a category file through PUT /api/market/category/:name (sent with its If-Match by apiFetch). */
+export function putMarketCategory(profileId: string, name: string, json: MarketCategory): Promise<Response> {
+  return apiFetch(`/api/market/category/${encodeURIComponent(name)}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Editor-ID': localStorage.getItem('dayz-editor:id') || 'unknown',
+    },
+    profileId,
+    body: JSON.stringify(json),
+  });
+}
+
+/**
+ * Remove a classname from every market category, trader zone and trader profile through POST
+ * /api/market/remove-item-completely. Sends the ETag of each of those files this editor has
+ * loaded; the server refuses (409) when one of them was changed since.
+ */
+export function removeItemCompletely(profileId: string, className: string, editorId: string): Promise<Response> {
+  return apiFetch('/api/market/remove-item-completely', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Editor-ID': editorId,
+    },
+    profileId,
+    body: JSON.stringify({
+      className,
+      etags: loadedEtags(profileId, ['/api/market/category/', '/api/traderzones/', '/api/trader-profile/']),
+    }),
+  });
+}
+
+/** The error to show for a refused remove-item-completely, naming the files changed since they were loaded. */
+export async function removeItemError(res: Response): Promise<string> {
+  const body = await res.json().catch(() => null);
+  if (res.status === 409 && Array.isArray(body?.conflicts)) {
+    const files = body.conflicts.map((c: { path: string }) => decodeURIComponent(c.path.split('/').pop() || c.path));
+    return `Not removed: ${files.join(', ')} changed on the server since you loaded ${files.length === 1 ? 'it' : 'them'}. Reload and try again.`;
+  }
+  return `Removal failed (${res.status}) ${body?.error || ''}`.trim();
+}
@@ -0,0 +1,72 @@
+/** One classname named by the market side, as returned by GET /api/market/references. */
+export interface MarketReference {
+  className: string;
+  /** Categories listing the class itself. */
+  categories: string[];
+  /** Listed items offering it as a variant (sold at their price). */
+  variantOf: string[];
+  /** Listed items spawning with it attached. */
+  attachmentOf: string[];
+  /** Trader profiles naming it in Items. */
+  traders: string[];
+  /** Trader zones holding Stock for it. */
+  zones: string[];
+  /** Cheapest listed price range; null when the class is not sold. */
+  minPrice: number | null;
+  maxPrice: number | null;
+}
+
+export type ConsistencyKind = 'orphaned' | 'not-spawnable' | 'cheap-trader-only';
+
+export interface ConsistencyIssue {
+  kind: ConsistencyKind;
+  reference: MarketReference;
+  message: string;
+}
+
+export interface ConsistencyOptions {
+  /** Lowercased classnames the companion mod's catalog knows; null when there is no catalog. */
+  catalogNames: Set<string> | null;
+  /** A trader-only item whose dearest price is at or below this counts as "next to nothing". */
+  cheapPrice: number;
+}
+
+export const isSold = (r: MarketReference) => r.categories.length > 0 || r.variantOf.length > 0;
+
+/**
+ * Cross-reference market classnames with the loaded types and the catalog. Each class gets at
+ * most one issue, the most serious:
+ * - `orphaned`: the catalog doesn't know the class, so it no longer exists in the game;
+ * - `not-spawnable`: sold, but with no types.xml entry the CE never spawns (or cleans up) it;
+ * - `cheap-trader-only`: nominal 0, so traders are the only source, yet sold for next to nothing.
+ * @param types CLE nominal keyed by lowercased classname
+ */
+export function checkMarketConsistency(
+  references: MarketReference[],
+  types: Map<string, { nominal: number }>,
+  { catalogNames, cheapPrice }: ConsistencyOptions,
+): ConsistencyIssue[] {
+  const issues: ConsistencyIssue[] = [];
+  for (const reference of references) {
+    const type = types.get(reference.className);
+    if (catalogNames && !catalogNames.has(reference.className)) {
+      issues.push({
+        kind: 'orphaned',
+        reference,
+        message: type ? 'Not in the catalog; the types.xml entry is stale too.' : 'Not in the catalog or types.xml; the class no longer exists.',
+      });
+      continue;
+    }
+    if (!isSold(reference)) continue;
+    if (!type) {
+      issues.push({ kind: 'not-spawnable', reference, message: 'Sold, but has no types.xml entry.' });
+    } else if (type.nominal <= 0 && reference.maxPrice !== null && reference.maxPrice <= cheapPrice) {
+      issues.push({
+        kind: 'cheap-trader-only',
+        reference,
+        message: `Nominal 0 (trader-only) but sold for at most ${reference.maxPrice}.`,
+      });
+    }
+  }
+  return issues;
+}
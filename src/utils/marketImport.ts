@@ -0,0 +1,147 @@
+import type { MarketCategory, MarketItem } from '@/utils/market';
+
+/** A category file from an imported pack, matched to ours by name. */
+export interface MarketPack {
+  categories: Record<string, MarketCategory>;
+  /** Files that were not used, with why. */
+  skipped: { file: string; reason: string }[];
+}
+
+/**
+ * How an imported item relates to ours: in a category we don't have, new to an existing
+ * category, listed in both with different values, or identical.
+ */
+export type ImportStatus = 'new-category' | 'new' | 'changed' | 'same';
+
+/** Keep our item, take theirs, or keep ours with prices averaged with theirs. */
+export type ImportChoice = 'ours' | 'theirs' | 'merge';
+
+export interface ImportRow {
+  /** `category/classname`, lowercased; keys the choices map. */
+  key: string;
+  /** Our category name when we have it, else the pack's. */
+  category: string;
+  className: string;
+  status: ImportStatus;
+  ours: MarketItem | null;
+  theirs: MarketItem;
+  /** Fields whose values differ, for 'changed' rows. */
+  changes: string[];
+}
+
+const SAFE_NAME = /^[A-Za-z0-9._-]+$/;
+
+/**
+ * Category files out of a pack's files (from a folder or a zip). The category name is the file
+ * name without .json, whatever folder it sits in; the first file wins when two share a name.
+ */
+export function parseMarketPack(files: { name: string; text: string }[]): MarketPack {
+  const categories: Record<string, MarketCategory> = {};
+  const seen = new Set<string>();
+  const skipped: MarketPack['skipped'] = [];
+  for (const { name: file, text } of files) {
+    const base = file.split(/[\\/]/).pop() || '';
+    if (!/\.json$/i.test(base)) continue;
+    const name = base.replace(/\.json$/i, '');
+    if (!SAFE_NAME.test(name)) { skipped.push({ file, reason: 'unsupported file name' }); continue; }
+    if (seen.has(name.toLowerCase())) { skipped.push({ file, reason: 'duplicate category name' }); continue; }
+    let json: any;
+    try {
+      json = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch {
+      skipped.push({ file, reason: 'invalid JSON' });
+      continue;
+    }
+    if (!json || !Array.isArray(json.Items)) { skipped.push({ file, reason: 'not a market category (no Items)' }); continue; }
+    seen.add(name.toLowerCase());
+    categories[name] = json;
+  }
+  return { categories, skipped };
+}
+
+const lower = (s: unknown) => String(s || '').toLowerCase();
+
+function changedFields(a: MarketItem, b: MarketItem): string[] {
+  const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => k !== 'ClassName');
+  return keys.filter(k => JSON.stringify(a[k]) !== JSON.stringify(b[k]));
+}
+
+/**
+ * One row per item in the pack, against our category of the same name (case-insensitive).
+ * Items only we have are not listed: an import never removes anything.
+ */
+export function diffMarketPack(ours: Record<string, MarketCategory>, theirs: Record<string, MarketCategory>): ImportRow[] {
+  const ourNames = new Map(Object.keys(ours).map(n => [n.toLowerCase(), n]));
+  const rows: ImportRow[] = [];
+  for (const [packName, json] of Object.entries(theirs)) {
+    const ourName = ourNames.get(packName.toLowerCase());
+    const ourItems = new Map((ourName ? ours[ourName].Items || [] : []).map(it => [lower(it.ClassName), it]));
+    const category = ourName || packName;
+    for (const item of json.Items || []) {
+      const className = lower(item?.ClassName);
+      if (!className) continue;
+      const mine = ourItems.get(className) || null;
+      const changes = mine ? changedFields(mine, item) : [];
+      rows.push({
+        key: `${category.toLowerCase()}/${className}`,
+        category,
+        className,
+        status: !ourName ? 'new-category' : !mine ? 'new' : changes.length ? 'changed' : 'same',
+        ours: mine,
+        theirs: item,
+        changes,
+      });
+    }
+  }
+  // By category; items keep the pack's order, which is also the order they are appended in.
+  return rows.sort((a, b) => a.category.localeCompare(b.category));
+}
+
+/** What a row does unless the user picks otherwise: add what's new, keep ours where they differ. */
+export function defaultImportChoice(row: ImportRow): ImportChoice {
+  return row.status === 'new' || row.status === 'new-category' ? 'theirs' : 'ours';
+}
+
+/** Our item with its price thresholds averaged with theirs; stock and everything else stay ours. */
+export function mergeMarketPrices(ours: MarketItem, theirs: MarketItem): MarketItem {
+  const avg = (a: unknown, b: unknown) => {
+    const x = Number(a);
+    const y = Number(b);
+    return Number.isFinite(x) && Number.isFinite(y) ? Math.round((x + y) / 2) : Number.isFinite(x) ? x : y;
+  };
+  return {
+    ...ours,
+    MinPriceThreshold: avg(ours.MinPriceThreshold, theirs.MinPriceThreshold) as number,
+    MaxPriceThreshold: avg(ours.MaxPriceThreshold, theirs.MaxPriceThreshold) as number,
+  };
+}
+
+/**
+ * The category files to write: ours with the chosen items replaced or appended, plus new
+ * categories holding just the items taken from them (other fields from the pack's file).
+ * Only categories that actually change are returned; keyed by the name to write.
+ */
+export function applyImportChoices(
+  ours: Record<string, MarketCategory>,
+  theirs: Record<string, MarketCategory>,
+  rows: ImportRow[],
+  choices: Record<string, ImportChoice>,
+): Record<string, MarketCategory> {
+  const packNames = new Map(Object.keys(theirs).map(n => [n.toLowerCase(), n]));
+  const out: Record<string, MarketCategory> = {};
+  for (const row of rows) {
+    if (row.status === 'same') continue;
+    const choice = choices[row.key] ?? defaultImportChoice(row);
+    if (choice === 'ours') continue;
+    const item = row.ours && choice === 'merge' ? mergeMarketPrices(row.ours, row.theirs) : row.theirs;
+    if (!out[row.category]) {
+      const base = ours[row.category] ?? { ...theirs[packNames.get(row.category.toLowerCase())!], Items: [] };
+      out[row.category] = { ...base, Items: [...(base.Items || [])] };
+    }
+    const items = out[row.category].Items;
+    const i = items.findIndex(it => lower(it.ClassName) === row.className);
+    if (i >= 0) items[i] = item;
+    else items.push(item);
+  }
+  return out;
+}
@@ -0,0 +1,140 @@
+import type { MarketCategory, MarketField } from '@/utils/market';
+
+/** One listed item as returned by GET /api/market/analysis (server/market-analysis.js). */
+export interface MarketAnalysisRow {
+  className: string;
+  category: string;
+  minPrice: number;
+  maxPrice: number;
+  /** Effective percentage: the item's own, or the MarketSettings default when it has -1. */
+  sellPercent: number;
+  defaultSell: boolean;
+  minSell: number;
+  maxSell: number;
+  minStock: number;
+  maxStock: number;
+  variants: string[];
+}
+
+export interface ArbitrageLoop {
+  kind: 'self' | 'duplicate';
+  className: string;
+  buyCategory: string;
+  buyPrice: number;
+  sellCategory: string;
+  sellPrice: number;
+  profit: number;
+}
+
+export interface MarketAnalysis {
+  sellPricePercent: number;
+  items: MarketAnalysisRow[];
+  arbitrage: ArbitrageLoop[];
+}
+
+/** The CLE side of an item: enough of a types.xml entry to scope and price by. */
+export interface CleInfo {
+  nominal: number;
+  category?: string;
+  value: string[];
+}
+
+/** Which items a rule touches; unset fields match everything. */
+export interface RuleScope {
+  marketCategory?: string;
+  cleCategory?: string;
+  /** A value flag such as Tier4; items whose type lacks it are skipped. */
+  tier?: string;
+  /** Case-insensitive substring of the classname. */
+  name?: string;
+}
+
+export type RuleAction =
+  | { kind: 'multiply'; target: 'price' | 'stock'; factor: number }
+  /** MaxPrice = base × nominal^-exponent; MinPrice keeps its current ratio to MaxPrice. */
+  | { kind: 'nominal'; base: number; exponent: number };
+
+export interface MarketRule {
+  scope: RuleScope;
+  action: RuleAction;
+}
+
+export interface PriceChange {
+  category: string;
+  className: string;
+  field: MarketField;
+  from: number;
+  to: number;
+}
+
+const lower = (s?: string) => (s || '').toLowerCase();
+
+/** The highest TierN flag of a type ("Tier4" over "Tier2"), else its first value flag. */
+export function tierOf(info: CleInfo | undefined): string | null {
+  if (!info?.value?.length) return null;
+  const tiers = info.value.filter(v => /^tier\d+$/i.test(v)).sort((a, b) => parseInt(b.slice(4)) - parseInt(a.slice(4)));
+  return tiers[0] || info.value[0];
+}
+
+export function ruleMatches(row: MarketAnalysisRow, info: CleInfo | undefined, scope: RuleScope): boolean {
+  if (scope.marketCategory && row.category !== scope.marketCategory) return false;
+  if (scope.name && !row.className.includes(lower(scope.name))) return false;
+  if (scope.cleCategory && lower(info?.category) !== lower(scope.cleCategory)) return false;
+  if (scope.tier && !(info?.value || []).some(v => lower(v) === lower(scope.tier))) return false;
+  return true;
+}
+
+/**
+ * The field changes `rule` makes, for a preview before anything is written. Items the rule
+ * can't price (no CLE type, or nominal 0 for a nominal rule) and values that round to what they
+ * already are produce no change.
+ * @param cle CLE info keyed by lowercased classname
+ */
+export function planMarketRule(rows: MarketAnalysisRow[], cle: Map<string, CleInfo>, rule: MarketRule): PriceChange[] {
+  const changes: PriceChange[] = [];
+  const { action } = rule;
+  for (const row of rows) {
+    const info = cle.get(row.className);
+    if (!ruleMatches(row, info, rule.scope)) continue;
+    const push = (field: MarketField, from: number, to: number) => {
+      const next = Math.max(0, Math.round(to));
+      if (next !== from) changes.push({ category: row.category, className: row.className, field, from, to: next });
+    };
+    if (action.kind === 'multiply') {
+      if (!Number.isFinite(action.factor) || action.factor < 0) continue;
+      if (action.target === 'price') {
+        push('MinPriceThreshold', row.minPrice, row.minPrice * action.factor);
+        push('MaxPriceThreshold', row.maxPrice, row.maxPrice * action.factor);
+      } else {
+        push('MinStockThreshold', row.minStock, row.minStock * action.factor);
+        push('MaxStockThreshold', row.maxStock, row.maxStock * action.factor);
+      }
+    } else {
+      if (!info || !(info.nominal > 0) || !Number.isFinite(action.base) || !Number.isFinite(action.exponent)) continue;
+      const max = action.base * Math.pow(info.nominal, -action.exponent);
+      const ratio = row.maxPrice > 0 ? Math.min(1, row.minPrice / row.maxPrice) : 1;
+      push('MinPriceThreshold', row.minPrice, max * ratio);
+      push('MaxPriceThreshold', row.maxPrice, max);
+    }
+  }
+  return changes;
+}
+
+/**
+ * Write the changes for one category into its JSON. Returns the category unchanged (same object)
+ * when none of `changes` apply to it.
+ */
+export function applyPriceChanges(json: MarketCategory, category: string, changes: PriceChange[]): MarketCategory {
+  const mine = changes.filter(c => c.category === category);
+  if (!mine.length) return json;
+  const byClass = new Map<string, PriceChange[]>();
+  for (const c of mine) byClass.set(c.className, [...(byClass.get(c.className) || []), c]);
+  const Items = (json.Items || []).map(item => {
+    const list = byClass.get(lower(item.ClassName));
+    if (!list) return item;
+    const next = { ...item };
+    for (const c of list) next[c.field] = c.to;
+    return next;
+  });
+  return { ...json, Items };
+}
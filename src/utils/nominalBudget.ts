@@ -0,0 +1,101 @@
+import type { Type } from './xml';
+
+/** What the economy adds up to along one axis. */
+export type BudgetDimension = 'category' | 'usage' | 'value' | 'tag' | 'group';
+
+export const BUDGET_DIMENSIONS: { id: BudgetDimension; label: string }[] = [
+  { id: 'category', label: 'Category' },
+  { id: 'usage', label: 'Usage' },
+  { id: 'value', label: 'Value tier' },
+  { id: 'tag', label: 'Tag' },
+  { id: 'group', label: 'Types group' },
+];
+
+/** Key for types that carry nothing on a dimension (no category, no usage flag, ...). */
+export const BUDGET_NONE = '(none)';
+
+export interface BudgetRow {
+  key: string;
+  types: number;
+  nominal: number;
+  min: number;
+}
+
+export interface BudgetDelta extends BudgetRow {
+  baseTypes: number;
+  baseNominal: number;
+  baseMin: number;
+  deltaNominal: number;
+  deltaMin: number;
+}
+
+type BudgetType = Pick<Type, 'name' | 'nominal' | 'min' | 'category' | 'usage' | 'value' | 'tag' | 'group'>;
+
+const keysOf = (t: BudgetType, dim: BudgetDimension): string[] => {
+  switch (dim) {
+    case 'category': return [t.category || BUDGET_NONE];
+    case 'group': return [t.group || BUDGET_NONE];
+    default: {
+      const list = t[dim] || [];
+      return list.length ? [...new Set(list)] : [BUDGET_NONE];
+    }
+  }
+};
+
+/** Sum nominal/min over all types. */
+export function budgetTotals(types: BudgetType[]): BudgetRow {
+  const row: BudgetRow = { key: 'total', types: 0, nominal: 0, min: 0 };
+  for (const t of types) {
+    row.types++;
+    row.nominal += Number(t.nominal) || 0;
+    row.min += Number(t.min) || 0;
+  }
+  return row;
+}
+
+/**
+ * Sum nominal/min per key of `dim`, largest nominal first. Usage, value and tag are
+ * multi-valued: a type with two usage flags counts in both rows, so those rows add up to
+ * more than the total.
+ */
+export function budgetBy(types: BudgetType[], dim: BudgetDimension): BudgetRow[] {
+  const rows = new Map<string, BudgetRow>();
+  for (const t of types) {
+    for (const key of keysOf(t, dim)) {
+      let row = rows.get(key);
+      if (!row) rows.set(key, (row = { key, types: 0, nominal: 0, min: 0 }));
+      row.types++;
+      row.nominal += Number(t.nominal) || 0;
+      row.min += Number(t.min) || 0;
+    }
+  }
+  return [...rows.values()].sort((a, b) => b.nominal - a.nominal || a.key.localeCompare(b.key));
+}
+
+/**
+ * Line `current` up against `base` key by key (keys present on either side), sorted by how
+ * much each grew — the groups that inflated the total most come first.
+ */
+export function compareBudgets(current: BudgetRow[], base: BudgetRow[]): BudgetDelta[] {
+  const baseByKey = new Map(base.map(r => [r.key, r]));
+  const out: BudgetDelta[] = current.map(r => {
+    const b = baseByKey.get(r.key);
+    baseByKey.delete(r.key);
+    return {
+      ...r,
+      baseTypes: b?.types ?? 0,
+      baseNominal: b?.nominal ?? 0,
+      baseMin: b?.min ?? 0,
+      deltaNominal: r.nominal - (b?.nominal ?? 0),
+      deltaMin: r.min - (b?.min ?? 0),
+    };
+  });
+  for (const b of baseByKey.values()) {
+    out.push({
+      key: b.key, types: 0, nominal: 0, min: 0,
+      baseTypes: b.types, baseNominal: b.nominal, baseMin: b.min,
+      deltaNominal: -b.nominal, deltaMin: -b.min,
+    });
+  }
+  return out.sort((a, b) => b.deltaNominal - a.deltaNominal || b.nominal - a.nominal || a.key.localeCompare(b.key));
+}
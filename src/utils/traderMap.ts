@@ -0,0 +1,58 @@
+/** One NPC line of a trader `.map` file, as returned by GET /api/trader-placements. */
+export interface TraderPlacement {
+  /** .map file base name. */
+  file: string;
+  /** Line index among the file's non-blank lines. */
+  index: number;
+  className: string;
+  /** Trader profile (ExpansionMod/Traders/<name>.json). */
+  traderFileName: string;
+  /** x, y (height), z in metres. */
+  position: [number, number, number];
+  /** yaw, pitch, roll in degrees. */
+  orientation: [number, number, number];
+  gear: string[];
+  /** Placed on the map and not written yet. */
+  isNew?: boolean;
+}
+
+/** A trader zone's footprint, as returned by GET /api/trader-placements. */
+export interface TraderZonePlacement {
+  name: string;
+  displayName: string;
+  position: [number, number, number];
+  radius: number;
+}
+
+export const traderKey = (t: Pick<TraderPlacement, 'file' | 'index'>) => `${t.file}#${t.index}`;
+
+/**
+ * Yaw (degrees, 0..360) of the direction from one point to another. DayZ yaw is a compass
+ * heading: 0 faces north (+Z) and 90 faces east (+X).
+ */
+export function yawToward(dx: number, dz: number): number {
+  if (!dx && !dz) return 0;
+  const deg = (Math.atan2(dx, dz) * 180) / Math.PI;
+  return Math.round(((deg % 360) + 360) % 360);
+}
+
+/** Unit vector on screen (y grows downward) for a yaw, to draw which way a trader faces. */
+export function yawToScreen(yaw: number): { dx: number; dy: number } {
+  const rad = (yaw * Math.PI) / 180;
+  return { dx: Math.sin(rad), dy: -Math.cos(rad) };
+}
+
+/**
+ * The .map line index a new NPC gets when appended to `file`, after the lines already on disk
+ * and any other new NPCs queued for the same file.
+ */
+export function nextTraderIndex(traders: TraderPlacement[], file: string): number {
+  const lower = file.toLowerCase();
+  return traders.filter(t => t.file.toLowerCase() === lower).reduce((n, t) => Math.max(n, t.index + 1), 0);
+}
+
+/** Traders whose line differs from what was loaded (or that are new), in file/line order. */
+export function changedTraders(traders: TraderPlacement[], saved: TraderPlacement[]): TraderPlacement[] {
+  const before = new Map(saved.map(t => [traderKey(t), JSON.stringify(t)]));
+  return traders.filter(t => t.isNew || before.get(traderKey(t)) !== JSON.stringify(t));
+}
@@ -0,0 +1,124 @@
+import type { MarketCategory } from '@/utils/market';
+
+/** One `Categories` entry of a trader profile ("Name:mode"). */
+export interface TraderCategory {
+  name: string;
+  flag: number;
+}
+
+/** What a trader does with a category or item, by the number stored in the profile. */
+export const TRADER_MODES = [
+  { value: 0, label: 'Buy' },
+  { value: 1, label: 'Both' },
+  { value: 2, label: 'Sell' },
+  { value: 3, label: 'Hidden' },
+] as const;
+
+/** Hidden entries exist in the profile but can't be traded at the counter. */
+export const HIDDEN_MODE = 3;
+
+export const traderModeLabel = (mode: number) => TRADER_MODES.find(m => m.value === mode)?.label ?? String(mode);
+
+/** Parse `Categories` ("Name:flag", flag defaulting to 1), keeping the first of any duplicate names. */
+export function parseCategories(arr: any[]): TraderCategory[] {
+  const out: TraderCategory[] = [];
+  const seen = new Set();
+  for (const v of Array.isArray(arr) ? arr : []) {
+    if (typeof v !== 'string') continue;
+    const idx = v.lastIndexOf(':');
+    const rawName = idx >= 0 ? v.slice(0, idx) : v;
+    const rawFlag = idx >= 0 ? v.slice(idx + 1) : '';
+    const name = String(rawName).trim();
+    if (!name) continue;
+    const key = name.toLowerCase();
+    if (seen.has(key)) continue;
+    // Number('') is 0, so a bare name must be caught before it reads as Buy.
+    const f = rawFlag.trim() ? Number(rawFlag) : NaN;
+    const flag = Number.isFinite(f) ? f : 1;
+    seen.add(key);
+    out.push({ name, flag });
+  }
+  return out;
+}
+
+export function serializeCategories(list: TraderCategory[]) {
+  return list.map(({ name, flag }) => `${name}:${Number(flag) | 0}`);
+}
+
+/** Per-item modes from a profile's `Items` object, keyed by lowercased classname. */
+export function traderItemModes(profile: any): Map<string, number> {
+  const out = new Map<string, number>();
+  const items = profile?.Items && typeof profile.Items === 'object' && !Array.isArray(profile.Items) ? profile.Items : {};
+  for (const [k, v] of Object.entries(items)) {
+    const n = Number(v);
+    out.set(k.toLowerCase(), Number.isFinite(n) ? n : 1);
+  }
+  return out;
+}
+
+/**
+ * Set (or with null, remove) a category's mode in a trader profile. Other entries keep their
+ * order; a new category is appended. Returns a new profile object.
+ */
+export function setTraderCategoryMode(profile: any, category: string, mode: number | null): any {
+  const list = parseCategories(profile?.Categories);
+  const i = list.findIndex(c => c.name.toLowerCase() === category.toLowerCase());
+  if (mode === null) {
+    if (i >= 0) list.splice(i, 1);
+  } else if (i >= 0) {
+    list[i] = { ...list[i], flag: mode };
+  } else {
+    list.push({ name: category, flag: mode });
+  }
+  return { ...profile, Categories: serializeCategories(list) };
+}
+
+export interface CoverageCell {
+  /** The category's mode in this trader's Categories; null when not listed. */
+  mode: number | null;
+  /** Items of the category the trader lists individually in Items. */
+  itemOverrides: number;
+}
+
+export interface CoverageRow {
+  category: string;
+  items: number;
+  cells: Record<string, CoverageCell>;
+}
+
+export interface Coverage {
+  rows: CoverageRow[];
+  /** Market items no trader can buy or sell, through their category or individually. */
+  uncovered: { className: string; category: string }[];
+}
+
+/**
+ * Which trader trades which market category, and the items nobody does. An item is reachable
+ * when some trader lists it, or failing that its category, with a mode other than Hidden.
+ */
+export function buildCoverage(categories: Record<string, MarketCategory>, traders: Record<string, any>): Coverage {
+  const traderNames = Object.keys(traders);
+  const catModes = new Map(traderNames.map(t => [t, new Map(parseCategories(traders[t]?.Categories).map(c => [c.name.toLowerCase(), c.flag]))]));
+  const itemModes = new Map(traderNames.map(t => [t, traderItemModes(traders[t])]));
+
+  const rows: CoverageRow[] = [];
+  const uncovered: Coverage['uncovered'] = [];
+  for (const category of Object.keys(categories).sort((a, b) => a.localeCompare(b))) {
+    const items = (categories[category]?.Items || []).map(it => String(it?.ClassName || '').toLowerCase()).filter(Boolean);
+    const cells: Record<string, CoverageCell> = {};
+    for (const t of traderNames) {
+      const overrides = itemModes.get(t)!;
+      cells[t] = { mode: catModes.get(t)!.get(category.toLowerCase()) ?? null, itemOverrides: items.filter(n => overrides.has(n)).length };
+    }
+    rows.push({ category, items: items.length, cells });
+    for (const className of items) {
+      // A per-item mode wins over the category's, so a Hidden item in a listed category is unreachable there.
+      const reachable = traderNames.some(t => {
+        const mode = itemModes.get(t)!.get(className) ?? cells[t].mode;
+        return mode !== null && mode !== HIDDEN_MODE;
+      });
+      if (!reachable) uncovered.push({ className, category });
+    }
+  }
+  return { rows, uncovered };
+}
@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import {
+  actionSequence,
+  effectiveSellPercent,
+  priceAtStock,
+  simulateStock,
+  simulateZone,
+  zoneBuyFactor,
+  type Rng,
+} from './traderStockSimulator';
+import type { MarketItem } from './market';
+
+/** A deterministic rng that returns the given values in order, repeating the last. */
+function seqRng(values: number[]): Rng {
+  let i = 0;
+  return () => values[Math.min(i++, values.length - 1)];
+}
+
+const item = (over: Partial<MarketItem> = {}): MarketItem => ({
+  ClassName: 'apple',
+  MinPriceThreshold: 100,
+  MaxPriceThreshold: 200,
+  SellPricePercent: 50,
+  MinStockThreshold: 0,
+  MaxStockThreshold: 10,
+  QuantityPercent: -1,
+  ...over,
+});
+
+describe('priceAtStock', () => {
+  it('slides from max price at min stock to min price at max stock', () => {
+    expect(priceAtStock(item(), 0)).toBe(200);
+    expect(priceAtStock(item(), 5)).toBe(150);
+    expect(priceAtStock(item(), 10)).toBe(100);
+  });
+
+  it('clamps outside the stock thresholds', () => {
+    expect(priceAtStock(item({ MinStockThreshold: 2 }), 0)).toBe(200);
+    expect(priceAtStock(item(), 25)).toBe(100);
+  });
+
+  it('stays at the max price when the thresholds are equal', () => {
+    expect(priceAtStock(item({ MinStockThreshold: 5, MaxStockThreshold: 5 }), 5)).toBe(200);
+  });
+});
+
+describe('zone and sell percentages', () => {
+  it('scales by the zone BuyPricePercent, ignoring negatives', () => {
+    expect(zoneBuyFactor({ BuyPricePercent: 120 })).toBe(1.2);
+    expect(zoneBuyFactor({ BuyPricePercent: -1 })).toBe(1);
+    expect(zoneBuyFactor(null)).toBe(1);
+  });
+
+  it('falls back from the item to the zone to the default', () => {
+    expect(effectiveSellPercent(item(), { SellPricePercent: 80 })).toBe(50);
+    expect(effectiveSellPercent(item({ SellPricePercent: -1 }), { SellPricePercent: 80 })).toBe(80);
+    expect(effectiveSellPercent(item({ SellPricePercent: -1 }), { SellPricePercent: -1 }, 60)).toBe(60);
+    expect(effectiveSellPercent(item({ SellPricePercent: -1 }), {})).toBe(75);
+  });
+});
+
+describe('actionSequence', () => {
+  it('orders purchases and sales', () => {
+    expect(actionSequence(2, 1, 'buys-first')).toEqual(['buy', 'buy', 'sell']);
+    expect(actionSequence(2, 1, 'sells-first')).toEqual(['sell', 'buy', 'buy']);
+    expect(actionSequence(1, 3, 'alternate')).toEqual(['buy', 'sell', 'sell', 'sell']);
+  });
+
+  it('shuffles with the injected rng', () => {
+    // i=2: j=floor(0*3)=0 -> swap 0,2; i=1: j=floor(0.99*2)=1 -> no swap.
+    expect(actionSequence(2, 1, 'random', seqRng([0, 0.99]))).toEqual(['sell', 'buy', 'buy']);
+  });
+});
+
+describe('simulateStock', () => {
+  it('prices each transaction at the stock before it', () => {
+    const sim = simulateStock(item(), 5, ['buy', 'sell', 'sell']);
+    expect(sim.steps.map(s => s.stock)).toEqual([5, 4, 5, 6]);
+    expect(sim.steps.map(s => s.amount)).toEqual([0, 150, 80, 75]);
+    expect(sim.takenIn).toBe(150);
+    expect(sim.paidOut).toBe(155);
+    expect(sim.finalStock).toBe(6);
+  });
+
+  it('refuses purchases at zero stock and lets sales overflow the max', () => {
+    const sim = simulateStock(item({ MaxStockThreshold: 1 }), 1, ['buy', 'buy', 'sell', 'sell']);
+    expect(sim.steps.map(s => s.ok)).toEqual([true, true, false, true, true]);
+    expect(sim).toMatchObject({ bought: 1, refused: 1, sold: 2, finalStock: 2 });
+    expect(sim.steps[4].buyPrice).toBe(100);
+  });
+
+  it('applies the zone percentages', () => {
+    const sim = simulateStock(item({ SellPricePercent: -1 }), 0, ['sell'], { BuyPricePercent: 50, SellPricePercent: 40 });
+    expect(sim.steps[0]).toMatchObject({ buyPrice: 100, sellPrice: 40 });
+    expect(sim.paidOut).toBe(40);
+  });
+});
+
+describe('simulateZone', () => {
+  const categories = {
+    Food: { Items: [item({ ClassName: 'apple' })] },
+    Drinks: { Items: [item({ ClassName: 'sodacan_cola', MaxPriceThreshold: 20, MinPriceThreshold: 10 })] },
+  };
+
+  it('runs every stocked item through the same sequence', () => {
+    const zone = { Stock: { sodacan_cola: 10, Apple: 0, unknown_item: 3 } };
+    const out = simulateZone(zone, categories, { purchases: 1, sales: 1, order: 'buys-first' });
+    expect(out.map(r => [r.className, r.category, r.result?.finalStock ?? null])).toEqual([
+      ['Apple', 'Food', 1],
+      ['sodacan_cola', 'Drinks', 10],
+      ['unknown_item', null, null],
+    ]);
+    expect(out[0].result!.refused).toBe(1);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Trader Stock Simulator — predicts how a trader zone's stock and prices move as players buy
+ * and sell, from the zone file (expansion/traderzones/<Zone>.json) and the market categories
+ * its Stock entries are listed in.
+ *
+ * Expansion prices an item by where the zone's stock sits between the item's thresholds:
+ * MaxPriceThreshold at MinStockThreshold, sliding linearly down to MinPriceThreshold at
+ * MaxStockThreshold, clamped outside that range. The zone's BuyPricePercent scales it. A sale
+ * pays SellPricePercent of the current price — the item's own, else the zone's, else the
+ * MarketSettings.json default when those are -1.
+ *
+ * Each step prices the transaction at the stock *before* it. A purchase takes one from stock
+ * and is refused at zero; a sale always goes through and adds one, so stock can climb past
+ * MaxStockThreshold with the price staying at its floor.
+ *
+ * As in `airdropSimulator`, the only randomness (shuffled transaction order) comes from an
+ * injectable `rng` so runs are reproducible in tests.
+ */
+import { findMarketEntries, type MarketCategory, type MarketItem } from '@/utils/market';
+
+export type Rng = () => number;
+
+/** Expansion's own default when MarketSettings.json has no SellPricePercent. */
+export const DEFAULT_SELL_PRICE_PERCENT = 75;
+
+/** The trader zone JSON fields the simulator reads. */
+export interface TraderZoneInput {
+  m_DisplayName?: string;
+  BuyPricePercent?: number;
+  SellPricePercent?: number;
+  Stock?: Record<string, number>;
+  [key: string]: any;
+}
+
+export type StockAction = 'buy' | 'sell';
+
+/** How the purchases and sales of a run are interleaved. */
+export type ActionOrder = 'buys-first' | 'sells-first' | 'alternate' | 'random';
+
+export const ACTION_ORDERS: { value: ActionOrder; label: string }[] = [
+  { value: 'buys-first', label: 'All purchases, then all sales' },
+  { value: 'sells-first', label: 'All sales, then all purchases' },
+  { value: 'alternate', label: 'Alternating' },
+  { value: 'random', label: 'Random order' },
+];
+
+/** One point of a run: the state after `action` (the first point is the starting state). */
+export interface StockStep {
+  step: number;
+  action: StockAction | null;
+  /** False for a purchase refused because stock was empty. */
+  ok: boolean;
+  /** Money that changed hands in this step (0 when refused or for the starting point). */
+  amount: number;
+  stock: number;
+  /** Prices at the stock after this step, i.e. what the next transaction would use. */
+  buyPrice: number;
+  sellPrice: number;
+}
+
+export interface StockSimulation {
+  steps: StockStep[];
+  bought: number;
+  sold: number;
+  refused: number;
+  /** Total players paid the trader for purchases. */
+  takenIn: number;
+  /** Total the trader paid players for sales. */
+  paidOut: number;
+  finalStock: number;
+}
+
+export interface SimulationOptions {
+  purchases: number;
+  sales: number;
+  order: ActionOrder;
+  /** MarketSettings.json SellPricePercent, for items and zones at -1. */
+  defaultSellPercent?: number;
+  rng?: Rng;
+}
+
+export interface ZoneItemSimulation {
+  className: string;
+  /** The market category the item was priced from; null when no category lists it. */
+  category: string | null;
+  startStock: number;
+  result: StockSimulation | null;
+}
+
+const num = (v: unknown, fallback: number) => {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : fallback;
+};
+
+/** The zone's BuyPricePercent as a factor (100 % when unset or negative). */
+export function zoneBuyFactor(zone: TraderZoneInput | null | undefined): number {
+  const pct = num(zone?.BuyPricePercent, 100);
+  return pct >= 0 ? pct / 100 : 1;
+}
+
+/** The sell percentage that applies to `item` in `zone`: the item's, the zone's, then the default. */
+export function effectiveSellPercent(item: MarketItem, zone: TraderZoneInput | null | undefined, defaultPercent = DEFAULT_SELL_PRICE_PERCENT): number {
+  const own = num(item.SellPricePercent, -1);
+  if (own >= 0) return own;
+  const zonePct = num(zone?.SellPricePercent, -1);
+  return zonePct >= 0 ? zonePct : defaultPercent;
+}
+
+/**
+ * Buy price of `item` at `stock`, before the zone's BuyPricePercent. With equal stock thresholds
+ * there is no range to slide along and the price stays at MaxPriceThreshold.
+ */
+export function priceAtStock(item: MarketItem, stock: number): number {
+  const minStock = num(item.MinStockThreshold, 0);
+  const maxStock = num(item.MaxStockThreshold, 0);
+  const maxPrice = num(item.MaxPriceThreshold, 0);
+  const minPrice = num(item.MinPriceThreshold, maxPrice);
+  if (maxStock <= minStock) return maxPrice;
+  const t = Math.min(1, Math.max(0, (stock - minStock) / (maxStock - minStock)));
+  return maxPrice + (minPrice - maxPrice) * t;
+}
+
+/**
+ * The order of `purchases` buys and `sales` sells. 'alternate' starts with a purchase and runs
+ * out whichever side is left over; 'random' is a Fisher–Yates shuffle driven by `rng`.
+ */
+export function actionSequence(purchases: number, sales: number, order: ActionOrder, rng: Rng = Math.random): StockAction[] {
+  const buys: StockAction[] = Array(Math.max(0, Math.floor(purchases))).fill('buy');
+  const sells: StockAction[] = Array(Math.max(0, Math.floor(sales))).fill('sell');
+  if (order === 'buys-first') return [...buys, ...sells];
+  if (order === 'sells-first') return [...sells, ...buys];
+  if (order === 'alternate') {
+    const out: StockAction[] = [];
+    for (let i = 0; i < Math.max(buys.length, sells.length); i++) {
+      if (i < buys.length) out.push('buy');
+      if (i < sells.length) out.push('sell');
+    }
+    return out;
+  }
+  const out = [...buys, ...sells];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+/** Run `actions` against one item starting from `startStock`. */
+export function simulateStock(
+  item: MarketItem,
+  startStock: number,
+  actions: StockAction[],
+  zone?: TraderZoneInput | null,
+  defaultSellPercent = DEFAULT_SELL_PRICE_PERCENT,
+): StockSimulation {
+  const buyFactor = zoneBuyFactor(zone);
+  const sellFactor = effectiveSellPercent(item, zone, defaultSellPercent) / 100;
+  const prices = (stock: number) => {
+    const buyPrice = priceAtStock(item, stock) * buyFactor;
+    return { buyPrice, sellPrice: buyPrice * sellFactor };
+  };
+
+  let stock = Math.max(0, Math.floor(startStock));
+  const steps: StockStep[] = [{ step: 0, action: null, ok: true, amount: 0, stock, ...prices(stock) }];
+  const sim: StockSimulation = { steps, bought: 0, sold: 0, refused: 0, takenIn: 0, paidOut: 0, finalStock: stock };
+
+  actions.forEach((action, i) => {
+    const before = prices(stock);
+    let ok = true;
+    let amount = 0;
+    if (action === 'buy') {
+      if (stock <= 0) {
+        ok = false;
+        sim.refused++;
+      } else {
+        amount = before.buyPrice;
+        stock--;
+        sim.bought++;
+        sim.takenIn += amount;
+      }
+    } else {
+      amount = before.sellPrice;
+      stock++;
+      sim.sold++;
+      sim.paidOut += amount;
+    }
+    steps.push({ step: i + 1, action, ok, amount, stock, ...prices(stock) });
+  });
+  sim.finalStock = stock;
+  return sim;
+}
+
+/**
+ * Simulate every item in the zone's Stock, each priced from the first market category listing
+ * it. All items see the same transaction order (one sequence is drawn for the whole run).
+ */
+export function simulateZone(zone: TraderZoneInput, categories: Record<string, MarketCategory>, options: SimulationOptions): ZoneItemSimulation[] {
+  const stock = zone?.Stock && typeof zone.Stock === 'object' ? zone.Stock : {};
+  const names = Object.keys(stock);
+  const entries = findMarketEntries(categories, names);
+  const actions = actionSequence(options.purchases, options.sales, options.order, options.rng);
+  return names
+    .sort((a, b) => a.localeCompare(b))
+    .map(className => {
+      const entry = entries[className.toLowerCase()]?.[0];
+      const startStock = num(stock[className], 0);
+      return {
+        className,
+        category: entry?.category ?? null,
+        startStock,
+        result: entry ? simulateStock(entry.item, startStock, actions, zone, options.defaultSellPercent) : null,
+      };
+    });
+}
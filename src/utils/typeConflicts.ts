@@ -0,0 +1,98 @@
+import type { Type } from './xml';
+
+type TypeFiles = Record<string, Record<string, Type[]>>;
+
+/** One file's definition of a conflicting classname. */
+export interface ConflictEntry {
+  group: string;
+  file: string;
+  type: Type;
+  /** Position in the server's load order, or null when cfgeconomycore.xml doesn't load the file. */
+  loadIndex: number | null;
+}
+
+export interface TypeConflict {
+  name: string;
+  /** Loaded definitions in load order, then files the server never loads. */
+  entries: ConflictEntry[];
+  /** The definition the server ends up using: the last one loaded. */
+  winner: ConflictEntry | null;
+  /** Fields that differ between the definitions (`flags.<name>` for individual flags). */
+  fields: string[];
+}
+
+const SCALAR_FIELDS = ['nominal', 'min', 'lifetime', 'restock', 'quantmin', 'quantmax', 'category'] as const;
+const LIST_FIELDS = ['usage', 'value', 'tag'] as const;
+const FLAG_FIELDS = ['count_in_cargo', 'count_in_hoarder', 'count_in_map', 'count_in_player', 'crafted', 'deloot'] as const;
+
+/** Every field name conflictFields can report, in display order. */
+export const CONFLICT_FIELDS: string[] = [...SCALAR_FIELDS, ...LIST_FIELDS, ...FLAG_FIELDS.map(f => `flags.${f}`)];
+
+/** The comparable value of `field` on a type, for display and equality. */
+export function conflictFieldValue(t: Type, field: string): string {
+  if (field.startsWith('flags.')) return t.flags?.[field.slice(6) as keyof Type['flags']] ? '1' : '0';
+  if ((LIST_FIELDS as readonly string[]).includes(field)) {
+    return [...((t as unknown as Record<string, string[]>)[field] || [])].sort().join(', ');
+  }
+  const v = (t as unknown as Record<string, unknown>)[field];
+  return v === undefined || v === null ? '' : String(v);
+}
+
+/** Fields whose value is not the same across all `types`. */
+export function conflictFields(types: Type[]): string[] {
+  return CONFLICT_FIELDS.filter(f => new Set(types.map(t => conflictFieldValue(t, f))).size > 1);
+}
+
+/**
+ * Load order of `group/file` keys as the server reads them: db/types.xml first, then each
+ * <ce folder> of cfgeconomycore.xml in order, its types files in declaration order.
+ * @param order groups in cfgeconomycore order (parseEconomyCoreXml().order)
+ * @param filesByGroup declared types files per group (names or paths; only the base name is used)
+ */
+export function typesLoadOrder(order: string[], filesByGroup: Record<string, string[]>): string[] {
+  const keys = ['vanilla/types'];
+  for (const group of order) {
+    for (const path of filesByGroup[group] || []) {
+      const base = (path.split('/').pop() || '').replace(/\.xml$/i, '');
+      const key = `${group}/${base}`;
+      if (base && !keys.includes(key)) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * Classnames defined in more than one file (case-insensitive, as the CE matches them), each
+ * with its definitions in load order and the one that wins. Sorted by name.
+ */
+export function findTypeConflicts(files: TypeFiles, loadOrder: string[]): TypeConflict[] {
+  const rank = new Map(loadOrder.map((k, i) => [k.toLowerCase(), i]));
+  const byName = new Map<string, ConflictEntry[]>();
+  for (const [group, perFile] of Object.entries(files || {})) {
+    for (const [file, types] of Object.entries(perFile || {})) {
+      const loadIndex = rank.get(`${group}/${file}`.toLowerCase()) ?? null;
+      for (const type of types || []) {
+        const key = String(type.name || '').toLowerCase();
+        if (!key) continue;
+        let list = byName.get(key);
+        if (!list) byName.set(key, (list = []));
+        list.push({ group, file, type, loadIndex });
+      }
+    }
+  }
+
+  const out: TypeConflict[] = [];
+  for (const entries of byName.values()) {
+    if (new Set(entries.map(e => `${e.group}/${e.file}`)).size < 2) continue;
+    entries.sort((a, b) => (a.loadIndex ?? Infinity) - (b.loadIndex ?? Infinity));
+    const loaded = entries.filter(e => e.loadIndex !== null);
+    const winner = loaded.length ? loaded[loaded.length - 1] : null;
+    out.push({
+      name: (winner || entries[entries.length - 1]).type.name,
+      entries,
+      winner,
+      fields: conflictFields(entries.map(e => e.type)),
+    });
+  }
+  return out.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
@@ -0,0 +1,68 @@
+import type { Type } from './xml';
+import { conflictFields } from './typeConflicts';
+
+/** A type both this editor and the server changed, differently, since the file was loaded. */
+export interface TypeMergeConflict {
+  name: string;
+  /** As loaded; null when the type didn't exist then. */
+  base: Type | null;
+  /** This editor's version; null when it was deleted here. */
+  mine: Type | null;
+  /** The server's version; null when it was deleted there. */
+  theirs: Type | null;
+  /** Fields that differ between mine and theirs (`flags.<name>` for flags); empty when one side deleted it. */
+  fields: string[];
+}
+
+export type TypeMergeChoice = 'mine' | 'theirs';
+
+export interface TypeMergeResult {
+  /** The merged file, in the server's order with types only added here appended. */
+  types: Type[];
+  /** Types changed on both sides; those without a choice take `mine` in `types`. */
+  conflicts: TypeMergeConflict[];
+}
+
+const sameType = (a: Type | null, b: Type | null) =>
+  a === null || b === null ? a === b : conflictFields([a, b]).length === 0;
+
+/**
+ * Three-way merge of one types file, type by type: a type only one side changed (or added, or
+ * deleted) since `base` takes that side's version; a type both changed the same way is kept;
+ * a type both changed differently is a conflict, settled by `choices` (default: mine).
+ * @param base the file as this editor loaded it
+ * @param mine this editor's version of the file
+ * @param theirs the file on the server now
+ * @param choices per conflicting type name, which version to keep
+ */
+export function mergeTypeFiles(
+  base: Type[],
+  mine: Type[],
+  theirs: Type[],
+  choices: Record<string, TypeMergeChoice> = {},
+): TypeMergeResult {
+  const byName = (list: Type[]) => new Map(list.map(t => [t.name, t]));
+  const baseBy = byName(base);
+  const mineBy = byName(mine);
+  const theirsBy = byName(theirs);
+  const names = [...new Set([...theirs.map(t => t.name), ...mine.map(t => t.name)])];
+
+  const types: Type[] = [];
+  const conflicts: TypeMergeConflict[] = [];
+  for (const name of names) {
+    const b = baseBy.get(name) ?? null;
+    const m = mineBy.get(name) ?? null;
+    const t = theirsBy.get(name) ?? null;
+    let pick: Type | null;
+    if (sameType(m, t) || sameType(t, b)) {
+      pick = m;
+    } else if (sameType(m, b)) {
+      pick = t;
+    } else {
+      conflicts.push({ name, base: b, mine: m, theirs: t, fields: m && t ? conflictFields([m, t]) : [] });
+      pick = choices[name] === 'theirs' ? t : m;
+    }
+    if (pick) types.push(pick);
+  }
+  return { types, conflicts };
+}
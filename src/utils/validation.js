@@ -62,3 +62,80 @@ export function validateUnknowns(types, defs) {
     byType
   };
 }
+
+const isWorldObject = (name) => name.startsWith('Land_') || name.startsWith('StaticObj_') || name.toLowerCase().startsWith('static_');
+
+/**
+ * @typedef {Object} CatalogIssue
+ * @property {'unknown-type'|'unknown-attachment'|'unknown-cargo'|'no-slot'} kind
+ * @property {string} type - the type the issue belongs to (the spawnable entry's owner for item issues)
+ * @property {string} [item] - the offending attachment/cargo classname
+ * @property {string} [source] - `group/file` of the cfgspawnabletypes file for item issues
+ * @property {string} message
+ */
+
+/**
+ * Check classnames against the companion-mod catalog: types whose class does not exist
+ * (typos, items of a removed mod), spawnable attachments/cargo naming unknown classes, and
+ * attachments that fit no slot of their parent. Lookups are case-insensitive, as the engine's.
+ * World objects (Land_/StaticObj_/static_) are not items and are never flagged.
+ * @param {import('./xml.js').Type[]} types
+ * @param {Record<string, Record<string, {types?: {name: string, sections?: {kind: string, items?: {name?: string}[]}[]}[]}>>} spawnableTypesByGroup
+ * @param {{names: Iterable<string>, compatibleAttachments?: (parent: string) => string[]|null}} catalog
+ *   `compatibleAttachments` returns null when the catalog can't answer for a parent; that parent's
+ *   attachments are then not fit-checked.
+ * @returns {{hasAny: boolean, issues: CatalogIssue[], byType: Record<string, CatalogIssue[]>}}
+ */
+export function validateCatalogClassnames(types, spawnableTypesByGroup, catalog) {
+  const known = new Set();
+  for (const n of catalog.names) known.add(String(n).toLowerCase());
+  const isKnown = (name) => known.has(String(name).toLowerCase());
+  /** @type {CatalogIssue[]} */
+  const issues = [];
+  /** @type {Record<string, CatalogIssue[]>} */
+  const byType = {};
+  // Spawnable entries are reported under the type's own spelling when there is one.
+  const typeNames = new Map();
+  const add = (issue) => {
+    issues.push(issue);
+    (byType[issue.type] || (byType[issue.type] = [])).push(issue);
+  };
+
+  for (const t of types) {
+    const name = String(t.name || '');
+    if (!name) continue;
+    typeNames.set(name.toLowerCase(), name);
+    if (isWorldObject(name) || isKnown(name)) continue;
+    add({ kind: 'unknown-type', type: name, message: `${name} is not a known class` });
+  }
+
+  for (const [group, files] of Object.entries(spawnableTypesByGroup || {})) {
+    for (const [file, data] of Object.entries(files || {})) {
+      const source = `${group}/${file}`;
+      for (const entry of (data && data.types) || []) {
+        const owner = typeNames.get(String(entry.name || '').toLowerCase()) || entry.name;
+        if (!owner) continue;
+        const fits = isKnown(owner) && catalog.compatibleAttachments ? catalog.compatibleAttachments(owner) : null;
+        const fitting = fits ? new Set(fits.map(n => n.toLowerCase())) : null;
+        for (const section of entry.sections || []) {
+          if (section.kind !== 'attachments' && section.kind !== 'cargo') continue;
+          for (const it of section.items || []) {
+            const item = String(it.name || '');
+            if (!item) continue;
+            if (!isKnown(item)) {
+              add({
+                kind: section.kind === 'cargo' ? 'unknown-cargo' : 'unknown-attachment',
+                type: owner, item, source,
+                message: `${section.kind === 'cargo' ? 'Cargo' : 'Attachment'} ${item} is not a known class`,
+              });
+            } else if (section.kind === 'attachments' && fitting && !fitting.has(item.toLowerCase())) {
+              add({ kind: 'no-slot', type: owner, item, source, message: `${item} fits no attachment slot of ${owner}` });
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return { hasAny: issues.length > 0, issues, byType };
+}
@@ -298,9 +298,10 @@ export function generateRandomPresetsXml(data: any) {
 }
 
 /**
- * Parse db/globals.xml enough to surface damage slider defaults.
+ * Parse db/globals.xml enough to surface damage slider defaults and the respawn knobs the
+ * economy projection uses. Missing variables are null.
  * @param {string} xml
- * @returns {{LootDamageMin: number|null, LootDamageMax: number|null}}
+ * @returns {{LootDamageMin: number|null, LootDamageMax: number|null, InitialSpawn: number|null, RespawnLimit: number|null, RespawnTypes: number|null}}
  */
 export function parseGlobalsXml(xml: string) {
   const doc = safeParseXml(xml || '<variables/>');
@@ -314,10 +315,289 @@ export function parseGlobalsXml(xml: string) {
   };
   return {
     LootDamageMin: get('LootDamageMin'),
-    LootDamageMax: get('LootDamageMax')
+    LootDamageMax: get('LootDamageMax'),
+    InitialSpawn: get('InitialSpawn'),
+    RespawnLimit: get('RespawnLimit'),
+    RespawnTypes: get('RespawnTypes')
   };
 }
 
+export interface EventChild {
+  type: string;
+  min: number;
+  max: number;
+  lootmin: number;
+  lootmax: number;
+  attrs?: Record<string, string>;
+}
+
+export interface DayZEvent {
+  name: string;
+  nominal: number;
+  min: number;
+  max: number;
+  lifetime: number;
+  restock: number;
+  saferadius: number;
+  distanceradius: number;
+  cleanupradius: number;
+  /** Optional follow-up event (e.g. the infected spawned around a heli crash). */
+  secondary?: string;
+  flags: { deletable: boolean; init_random: boolean; remove_damaged: boolean };
+  position: string;
+  limit: string;
+  active: boolean;
+  children: EventChild[];
+}
+
+export interface EventSpawnPos {
+  x: number;
+  z: number;
+  /** Heading in degrees, when the file carries one. */
+  a?: number;
+  attrs?: Record<string, string>;
+}
+
+export interface EventSpawn {
+  name: string;
+  /** Raw attributes of the optional <zone> element (smin/smax/dmin/dmax/r). */
+  zone: Record<string, string> | null;
+  positions: EventSpawnPos[];
+}
+
+const EVENT_CHILD_ATTRS = ['type', 'min', 'max', 'lootmin', 'lootmax'];
+const EVENT_NUMERIC_FIELDS = ['nominal', 'min', 'max', 'lifetime', 'restock', 'saferadius', 'distanceradius', 'cleanupradius'] as const;
+
+/**
+ * Parse db/events.xml into editable events.
+ * @param {string} xml
+ * @returns {DayZEvent[]}
+ */
+export function parseEventsXml(xml: string): DayZEvent[] {
+  const doc = safeParseXml(xml || '<events/>');
+  return Array.from(doc.getElementsByTagName('event')).map((node: any) => {
+    const text = (tag: string) => {
+      const el = Array.from(node.children as any[]).find((c: any) => c.tagName === tag);
+      return el ? String(el.textContent || '').trim() : '';
+    };
+    const num = (tag: string) => {
+      const n = Number(text(tag));
+      return Number.isFinite(n) ? n : 0;
+    };
+    const flagsNode = node.getElementsByTagName('flags')[0];
+    const ev: DayZEvent = {
+      name: node.getAttribute('name') || '',
+      nominal: 0, min: 0, max: 0, lifetime: 0, restock: 0, saferadius: 0, distanceradius: 0, cleanupradius: 0,
+      flags: {
+        deletable: toBool(flagsNode?.getAttribute('deletable') ?? null),
+        init_random: toBool(flagsNode?.getAttribute('init_random') ?? null),
+        remove_damaged: toBool(flagsNode?.getAttribute('remove_damaged') ?? null),
+      },
+      position: text('position') || 'fixed',
+      limit: text('limit') || 'child',
+      active: text('active') === '1',
+      children: Array.from(node.getElementsByTagName('child')).map((c: any) => {
+        const attrs = attrsObject(c);
+        const n = (k: string) => {
+          const v = Number(attrs[k]);
+          return Number.isFinite(v) ? v : 0;
+        };
+        return { type: attrs.type || '', min: n('min'), max: n('max'), lootmin: n('lootmin'), lootmax: n('lootmax'), attrs };
+      }),
+    };
+    for (const key of EVENT_NUMERIC_FIELDS) ev[key] = num(key);
+    const secondary = text('secondary');
+    if (secondary) ev.secondary = secondary;
+    return ev;
+  });
+}
+
+/**
+ * Generate db/events.xml from parsed events. Field order follows the vanilla file.
+ * @param {DayZEvent[]} events
+ * @returns {string}
+ */
+export function generateEventsXml(events: DayZEvent[]) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', '<events>'];
+  for (const ev of events) {
+    lines.push(`    <event name="${escapeAttr(ev.name)}">`);
+    for (const key of EVENT_NUMERIC_FIELDS) lines.push(`        <${key}>${ev[key]}</${key}>`);
+    if (ev.secondary) lines.push(`        <secondary>${escapeAttr(ev.secondary)}</secondary>`);
+    lines.push(`        <flags deletable="${to01(ev.flags.deletable)}" init_random="${to01(ev.flags.init_random)}" remove_damaged="${to01(ev.flags.remove_damaged)}"/>`);
+    lines.push(`        <position>${escapeAttr(ev.position)}</position>`);
+    lines.push(`        <limit>${escapeAttr(ev.limit)}</limit>`);
+    lines.push(`        <active>${to01(ev.active)}</active>`);
+    if (ev.children.length) {
+      lines.push('        <children>');
+      for (const c of ev.children) {
+        const extra = Object.entries(c.attrs || {})
+          .filter(([k]) => !EVENT_CHILD_ATTRS.includes(k))
+          .map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+        lines.push(`            <child lootmax="${c.lootmax}" lootmin="${c.lootmin}" max="${c.max}" min="${c.min}" type="${escapeAttr(c.type)}"${extra}/>`);
+      }
+      lines.push('        </children>');
+    } else {
+      lines.push('        <children/>');
+    }
+    lines.push('    </event>');
+  }
+  lines.push('</events>');
+  return lines.join('\n');
+}
+
+/**
+ * Parse mission-root cfgeventspawns.xml. Unknown <pos> attributes (y, group) ride along in `attrs`.
+ * @param {string} xml
+ * @returns {EventSpawn[]}
+ */
+export function parseEventSpawnsXml(xml: string): EventSpawn[] {
+  const doc = safeParseXml(xml || '<eventposdef/>');
+  return Array.from(doc.getElementsByTagName('event')).map((node: any) => {
+    const zoneNode = node.getElementsByTagName('zone')[0];
+    return {
+      name: node.getAttribute('name') || '',
+      zone: zoneNode ? attrsObject(zoneNode) : null,
+      positions: Array.from(node.getElementsByTagName('pos')).map((p: any) => {
+        const attrs = attrsObject(p);
+        const pos: EventSpawnPos = { x: Number(attrs.x) || 0, z: Number(attrs.z) || 0, attrs };
+        if (attrs.a != null && attrs.a !== '') pos.a = Number(attrs.a) || 0;
+        return pos;
+      }),
+    };
+  });
+}
+
+/**
+ * Generate cfgeventspawns.xml from parsed spawns.
+ * @param {EventSpawn[]} spawns
+ * @returns {string}
+ */
+export function generateEventSpawnsXml(spawns: EventSpawn[]) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', '<eventposdef>'];
+  for (const s of spawns) {
+    if (!s.zone && !s.positions.length) {
+      lines.push(`    <event name="${escapeAttr(s.name)}"/>`);
+      continue;
+    }
+    lines.push(`    <event name="${escapeAttr(s.name)}">`);
+    if (s.zone) lines.push(`        <zone${buildPlainAttrs(s.zone)}/>`);
+    for (const p of s.positions) {
+      const ordered: Record<string, any> = { x: p.x };
+      for (const [k, v] of Object.entries(p.attrs || {})) {
+        if (k !== 'x' && k !== 'z' && k !== 'a') ordered[k] = v;
+      }
+      ordered.z = p.z;
+      if (p.a != null) ordered.a = p.a;
+      lines.push(`        <pos${buildPlainAttrs(ordered)}/>`);
+    }
+    lines.push('    </event>');
+  }
+  lines.push('</eventposdef>');
+  return lines.join('\n');
+}
+
+export const PLAYER_SPAWN_KINDS = ['fresh', 'hop', 'travel'] as const;
+export type PlayerSpawnKind = typeof PLAYER_SPAWN_KINDS[number];
+
+export interface PlayerSpawnGroup {
+  name: string;
+  /** Group attributes other than name (lifetime, counter, weight), written back verbatim. */
+  attrs: Record<string, string>;
+  positions: EventSpawnPos[];
+}
+
+export interface PlayerSpawnSection {
+  /** Child elements of <spawn_params>, <generator_params> and <group_params>, in file order. */
+  spawnParams: Record<string, string>;
+  generatorParams: Record<string, string>;
+  groupParams: Record<string, string>;
+  groups: PlayerSpawnGroup[];
+}
+
+/** Only the sections the file actually carries; a server without <hop> uses <fresh> for it. */
+export type PlayerSpawnPoints = Partial<Record<PlayerSpawnKind, PlayerSpawnSection>>;
+
+/**
+ * Parse mission-root cfgplayerspawnpoints.xml. Param blocks are kept as ordered name/value
+ * records so settings newer than this editor survive a round-trip.
+ * @param {string} xml
+ * @returns {PlayerSpawnPoints}
+ */
+export function parsePlayerSpawnPointsXml(xml: string): PlayerSpawnPoints {
+  const doc = safeParseXml(xml || '<playerspawnpoints/>');
+  const root = doc.getElementsByTagName('playerspawnpoints')[0];
+  const out: PlayerSpawnPoints = {};
+  if (!root) return out;
+  const childOf = (node: any, tag: string) => Array.from(node.children as any[]).find((c: any) => c.tagName === tag);
+  const params = (node: any, tag: string) => {
+    const rec: Record<string, string> = {};
+    const block = childOf(node, tag);
+    for (const c of Array.from(block?.children || []) as any[]) rec[c.tagName] = String(c.textContent || '').trim();
+    return rec;
+  };
+  for (const kind of PLAYER_SPAWN_KINDS) {
+    const node = childOf(root, kind);
+    if (!node) continue;
+    const bubbles = childOf(node, 'generator_posbubbles');
+    out[kind] = {
+      spawnParams: params(node, 'spawn_params'),
+      generatorParams: params(node, 'generator_params'),
+      groupParams: params(node, 'group_params'),
+      groups: Array.from(bubbles?.getElementsByTagName('group') || []).map((g: any) => {
+        const { name = '', ...attrs } = attrsObject(g);
+        return {
+          name,
+          attrs,
+          positions: Array.from(g.getElementsByTagName('pos')).map((p: any) => {
+            const pa = attrsObject(p);
+            return { x: Number(pa.x) || 0, z: Number(pa.z) || 0, attrs: pa };
+          }),
+        };
+      }),
+    };
+  }
+  return out;
+}
+
+/**
+ * Generate cfgplayerspawnpoints.xml, sections in fresh/hop/travel order.
+ * @param {PlayerSpawnPoints} data
+ * @returns {string}
+ */
+export function generatePlayerSpawnPointsXml(data: PlayerSpawnPoints) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8" standalone="yes"?>', '<playerspawnpoints>'];
+  const paramBlock = (tag: string, rec: Record<string, string>) => {
+    lines.push(`        <${tag}>`);
+    for (const [k, v] of Object.entries(rec)) lines.push(`            <${k}>${escapeAttr(v)}</${k}>`);
+    lines.push(`        </${tag}>`);
+  };
+  for (const kind of PLAYER_SPAWN_KINDS) {
+    const section = data[kind];
+    if (!section) continue;
+    lines.push(`    <${kind}>`);
+    paramBlock('spawn_params', section.spawnParams);
+    paramBlock('generator_params', section.generatorParams);
+    if (Object.keys(section.groupParams).length) paramBlock('group_params', section.groupParams);
+    lines.push('        <generator_posbubbles>');
+    for (const g of section.groups) {
+      lines.push(`            <group${buildPlainAttrs({ name: g.name, ...g.attrs })}>`);
+      for (const p of g.positions) {
+        const ordered: Record<string, any> = { x: p.x };
+        for (const [k, v] of Object.entries(p.attrs || {})) {
+          if (k !== 'x' && k !== 'z') ordered[k] = v;
+        }
+        ordered.z = p.z;
+        lines.push(`                <pos${buildPlainAttrs(ordered)}/>`);
+      }
+      lines.push('            </group>');
+    }
+    lines.push('        </generator_posbubbles>');
+    lines.push(`    </${kind}>`);
+  }
+  lines.push('</playerspawnpoints>');
+  return lines.join('\n');
+}
+
 /**
  * Return warnings for mismatched spawnable/type/preset references.
  * @param {{types?: {name:string, sections?: {preset?: string, items?: {name?: string}[]}[]}[]}} spawnable
@@ -400,7 +680,7 @@ export function formatChance(value: any) {
 /**
  * Parse cfgeconomycore.xml and return group order and file paths for each group.
  * @param {string} xml
- * @returns {{ order: string[], filesByGroup: Record<string, string[]>, spawnableFilesByGroup: Record<string, string[]> }}
+ * @returns {{ order: string[], filesByGroup: Record<string, string[]>, spawnableFilesByGroup: Record<string, string[]>, eventsFilesByGroup: Record<string, string[]> }}
  */
 export function parseEconomyCoreXml(xml: string) {
   const doc = safeParseXml(xml);
@@ -409,6 +689,7 @@ export function parseEconomyCoreXml(xml: string) {
   const order: string[] = [];
   const filesByGroup: Record<string, string[]> = {};
   const spawnableFilesByGroup: Record<string, string[]> = {};
+  const eventsFilesByGroup: Record<string, string[]> = {};
 
   for (const ce of ceNodes) {
     const folder = ce.getAttribute('folder');
@@ -432,14 +713,21 @@ export function parseEconomyCoreXml(xml: string) {
       .filter(Boolean)
       .map(name => `/samples/${folder}/${name}`);
 
-    if (files.length > 0 || spawnableFiles.length > 0) {
+    const eventsFiles = Array.from(ce.getElementsByTagName('file'))
+      .filter(f => ((f.getAttribute('type') || '').trim().toLowerCase() === 'events'))
+      .map(f => f.getAttribute('name'))
+      .filter(Boolean)
+      .map(name => `/samples/${folder}/${name}`);
+
+    if (files.length > 0 || spawnableFiles.length > 0 || eventsFiles.length > 0) {
       order.push(group);
       if (files.length > 0) filesByGroup[group] = files;
       if (spawnableFiles.length > 0) spawnableFilesByGroup[group] = spawnableFiles;
+      if (eventsFiles.length > 0) eventsFilesByGroup[group] = eventsFiles;
     }
   }
 
-  return { order, filesByGroup, spawnableFilesByGroup };
+  return { order, filesByGroup, spawnableFilesByGroup, eventsFilesByGroup };
 }
 
 /**
@@ -595,6 +883,16 @@ function buildAttrs(attrs: any) {
   return parts.length ? ` ${parts.join(' ')}` : '';
 }
 
+// Like buildAttrs, but values are written verbatim (no chance clamping/formatting).
+function buildPlainAttrs(attrs: Record<string, any>) {
+  const parts = [];
+  for (const [key, value] of Object.entries(attrs || {})) {
+    if (value == null || value === '') continue;
+    parts.push(`${key}="${escapeAttr(value)}"`);
+  }
+  return parts.length ? ` ${parts.join(' ')}` : '';
+}
+
 function parseSpawnableNode(node: any) {
   return {
     kind: node.tagName,
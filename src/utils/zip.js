@@ -127,3 +127,99 @@ const table = (() => {
   }
   return t;
 })();
+
+/**
+ * Read the files of a ZIP archive. Entries stored (method 0) or deflated (method 8, the
+ * default of every common zipper) are supported; directory entries are skipped.
+ * Names are decoded as UTF-8 and keep their folder path ("Market/Food.json").
+ *
+ * `maxSize` caps the unpacked size: the sizes the central directory declares are added up
+ * before each entry is inflated, and an entry that inflates past its declared size is cut off,
+ * so a small archive can't unpack into more memory than that. Either fails with an error whose
+ * `code` is 'TOO_LARGE'.
+ * @param {ArrayBuffer|Uint8Array} input
+ * @param {{maxSize?: number}} [options]
+ * @returns {Promise<{name: string, data: Uint8Array}[]>}
+ */
+export async function readZip(input, { maxSize = Infinity } = {}) {
+  const buf = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const decoder = new TextDecoder();
+
+  // End of central directory: last signature within the max comment length of the end.
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (readU32(buf, i) === 0x06054b50) { end = i; break; }
+  }
+  if (end < 0) throw new Error('Not a ZIP archive');
+
+  const count = readU16(buf, end + 10);
+  let p = readU32(buf, end + 16);
+  const files = [];
+  let total = 0;
+  for (let n = 0; n < count; n++) {
+    if (readU32(buf, p) !== 0x02014b50) throw new Error('Corrupt ZIP central directory');
+    const method = readU16(buf, p + 10);
+    const compressedSize = readU32(buf, p + 20);
+    const size = readU32(buf, p + 24);
+    const nameLen = readU16(buf, p + 28);
+    const extraLen = readU16(buf, p + 30);
+    const commentLen = readU16(buf, p + 32);
+    const localOffset = readU32(buf, p + 42);
+    const name = decoder.decode(buf.subarray(p + 46, p + 46 + nameLen));
+    p += 46 + nameLen + extraLen + commentLen;
+    if (name.endsWith('/')) continue;
+    total += size;
+    if (total > maxSize) throw tooLarge(`ZIP archive unpacks to more than ${maxSize} bytes`);
+
+    // The local header's own name/extra lengths can differ from the central directory's.
+    const dataStart = localOffset + 30 + readU16(buf, localOffset + 26) + readU16(buf, localOffset + 28);
+    const raw = buf.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) {
+      files.push({ name, data: raw.slice() });
+    } else if (method === 8) {
+      files.push({ name, data: await inflateRaw(raw, size, name) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+    }
+  }
+  return files;
+}
+
+async function inflateRaw(data, size, name) {
+  const ds = new DecompressionStream('deflate-raw');
+  const writer = ds.writable.getWriter();
+  // A corrupt stream rejects these too; the read below reports it.
+  writer.write(data).catch(() => {});
+  writer.close().catch(() => {});
+  const reader = ds.readable.getReader();
+  const chunks = [];
+  let length = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    length += value.length;
+    if (length > size) {
+      await reader.cancel().catch(() => {});
+      throw tooLarge(`${name} inflates to more than the ${size} bytes the ZIP declares`);
+    }
+    chunks.push(value);
+  }
+  const out = new Uint8Array(length);
+  let p = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, p);
+    p += chunk.length;
+  }
+  return out;
+}
+
+function tooLarge(message) {
+  return Object.assign(new Error(message), { code: 'TOO_LARGE' });
+}
+
+function readU16(buf, p) {
+  return buf[p] | (buf[p + 1] << 8);
+}
+function readU32(buf, p) {
+  return (buf[p] | (buf[p + 1] << 8) | (buf[p + 2] << 16) | (buf[p + 3] << 24)) >>> 0;
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseAreaFlags,
+  downsampleMask,
+  parseLimitsFlagOrder,
+  findAreaFlagsPath
+} from '../../server/areaflags.js';
+
+/** Build a size x size areaflags.map from per-cell [usage, value] pairs. */
+function areaFlags(size, cell) {
+  const buf = new Uint8Array(size * size * 4);
+  const view = new DataView(buf.buffer);
+  for (let i = 0; i < size * size; i++) {
+    const [usage, value] = cell(i);
+    view.setUint32(i * 4, ((value << 16) | usage) >>> 0, true);
+  }
+  return buf;
+}
+
+describe('parseAreaFlags', () => {
+  it('splits each cell into usage (low) and value (high) masks', () => {
+    const grid = parseAreaFlags(areaFlags(2, (i) => [i + 1, 1 << i]));
+    expect(grid.size).toBe(2);
+    expect([...grid.usage]).toEqual([1, 2, 3, 4]);
+    expect([...grid.value]).toEqual([1, 2, 4, 8]);
+  });
+
+  it('rejects files that are not a square grid of uint32 cells', () => {
+    expect(() => parseAreaFlags(new Uint8Array(6))).toThrow(/size/);
+    expect(() => parseAreaFlags(new Uint8Array(4 * 3))).toThrow(/square/);
+  });
+});
+
+describe('downsampleMask', () => {
+  it('ORs each covered block so a tier anywhere in it survives', () => {
+    const mask = new Uint16Array([1, 0, 0, 0, 0, 2, 0, 0, 0, 0, 4, 0, 0, 0, 0, 8]);
+    const { size, mask: out } = downsampleMask(mask, 4, 2);
+    expect(size).toBe(2);
+    expect([...out]).toEqual([3, 0, 0, 12]);
+  });
+
+  it('returns the mask unchanged when it is already small enough', () => {
+    const mask = new Uint16Array([1, 2, 3, 4]);
+    expect(downsampleMask(mask, 2, 512).mask).toBe(mask);
+  });
+});
+
+describe('parseLimitsFlagOrder / findAreaFlagsPath', () => {
+  it('reads usage and value names in file order', () => {
+    const xml = `<lists>
+      <categories><category name="tools"/></categories>
+      <usageflags><usage name="Military"/><usage name="Police"/></usageflags>
+      <valueflags><value name="Tier1"/><value name="Tier2"/><value name="Unique"/></valueflags>
+    </lists>`;
+    expect(parseLimitsFlagOrder(xml)).toEqual({ usage: ['Military', 'Police'], value: ['Tier1', 'Tier2', 'Unique'] });
+  });
+
+  it('finds an areaflags.map reference and refuses to leave the mission folder', () => {
+    expect(findAreaFlagsPath('<env><areaflags path="env\\areaflags.map"/></env>')).toBe('env/areaflags.map');
+    expect(findAreaFlagsPath('<env><territories/></env>')).toBeNull();
+    expect(findAreaFlagsPath('<env><x file="../areaflags.map"/></env>')).toBeNull();
+  });
+});
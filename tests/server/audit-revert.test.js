@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { isRevertibleTypeChange, planTypeFieldRevert, setTypeField } from '../../server/audit-revert.js';
+import { parseTypesToMap } from '../../server/snapshot-diff.js';
+
+const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<types>
+    <!-- fruit -->
+    <type name="Apple">
+        <nominal>8</nominal>
+        <lifetime>3600</lifetime>
+        <flags count_in_cargo="0" count_in_hoarder="0" count_in_map="1" count_in_player="0" crafted="1" deloot="0"/>
+        <category name="food"/>
+        <usage name="Town"/>
+        <usage name="Village"/>
+        <value name="Tier1"/>
+    </type>
+    <type name="Pear">
+        <nominal>2</nominal>
+    </type>
+</types>
+`;
+
+const apple = (doc) => parseTypesToMap(doc).Apple;
+
+describe('setTypeField', () => {
+  it('replaces a text field and leaves the rest of the file alone', () => {
+    const next = setTypeField(xml, 'Apple', 'nominal', '5');
+    expect(next).toBe(xml.replace('<nominal>8</nominal>', '<nominal>5</nominal>'));
+  });
+
+  it('adds and removes text fields', () => {
+    const added = setTypeField(xml, 'Pear', 'min', '1');
+    expect(added).toContain('<nominal>2</nominal>\n        <min>1</min>\n    </type>');
+    const removed = setTypeField(xml, 'Apple', 'lifetime', '');
+    expect(removed).not.toContain('<lifetime>');
+    expect(apple(removed).nominal).toBe('8');
+  });
+
+  it('rewrites list fields in place', () => {
+    const next = setTypeField(xml, 'Apple', 'usage', ['Farm']);
+    expect(next).toContain('<category name="food"/>\n        <usage name="Farm"/>\n        <value name="Tier1"/>');
+    expect(apple(setTypeField(xml, 'Apple', 'value', [])).value).toEqual([]);
+  });
+
+  it('sets flags and categories', () => {
+    expect(apple(setTypeField(xml, 'Apple', 'flags.crafted', 0)).flags.crafted).toBe(0);
+    expect(apple(setTypeField(xml, 'Apple', 'category', 'tools')).category).toBe('tools');
+    expect(parseTypesToMap(setTypeField(xml, 'Pear', 'flags.deloot', 1)).Pear.flags.deloot).toBe(1);
+  });
+
+  it('returns null for a type that is not in the file', () => {
+    expect(setTypeField(xml, 'Plum', 'nominal', '1')).toBeNull();
+  });
+});
+
+describe('planTypeFieldRevert', () => {
+  const record = { kind: 'types', change: 'modified', classname: 'Apple', field: 'nominal', old: '5', new: '8' };
+
+  it('reverts while the field still holds the audited value', () => {
+    expect(planTypeFieldRevert(record, apple(xml))).toEqual({ status: 'revert', original: '5', changed: '8', current: '8' });
+  });
+
+  it('reports a conflict when the field changed again since', () => {
+    const changed = apple(setTypeField(xml, 'Apple', 'nominal', '12'));
+    expect(planTypeFieldRevert(record, changed)).toEqual({ status: 'conflict', original: '5', changed: '8', current: '12' });
+  });
+
+  it('recognises already reverted and missing types', () => {
+    expect(planTypeFieldRevert(record, apple(setTypeField(xml, 'Apple', 'nominal', '5'))).status).toBe('reverted');
+    expect(planTypeFieldRevert(record, undefined).status).toBe('missing');
+  });
+
+  it('compares list and flag values', () => {
+    const usage = { ...record, field: 'usage', old: ['Farm'], new: ['Town', 'Village'] };
+    expect(planTypeFieldRevert(usage, apple(xml)).status).toBe('revert');
+    const flag = { ...record, field: 'flags.crafted', old: 0, new: 1 };
+    expect(planTypeFieldRevert(flag, apple(xml)).status).toBe('revert');
+  });
+});
+
+describe('isRevertibleTypeChange', () => {
+  it('accepts only field changes to types', () => {
+    expect(isRevertibleTypeChange({ kind: 'types', change: 'modified', classname: 'Apple', field: 'flags.crafted' })).toBe(true);
+    expect(isRevertibleTypeChange({ kind: 'types', change: 'added', classname: 'Apple', field: null })).toBe(false);
+    expect(isRevertibleTypeChange({ kind: 'json', change: 'modified', classname: 'apple', field: 'MaxPriceThreshold' })).toBe(false);
+  });
+});
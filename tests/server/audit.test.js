@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, rm, appendFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  appendAuditRecords,
+  auditEntryChanges,
+  auditFileChanges,
+  auditJsonChanges,
+  filterAuditRecords,
+  readAuditRecords,
+  toAuditRecords
+} from '../../server/audit.js';
+
+const typesXml = (body) => `<?xml version="1.0"?>\n<types>${body}</types>`;
+const type = (name, nominal, crafted = 0) =>
+  `<type name="${name}"><nominal>${nominal}</nominal><min>1</min><flags crafted="${crafted}"/></type>`;
+
+describe('auditEntryChanges', () => {
+  it('records added and removed entries whole and modified ones per field', () => {
+    const changes = auditEntryChanges(
+      { Apple: { nominal: '5', flags: { crafted: 0 } }, Pear: { nominal: '1' } },
+      { Apple: { nominal: '8', flags: { crafted: 1 } }, Plum: { nominal: '2' } }
+    );
+    expect(changes).toEqual([
+      { classname: 'Plum', change: 'added', field: null, old: null, new: { nominal: '2' } },
+      { classname: 'Pear', change: 'removed', field: null, old: { nominal: '1' }, new: null },
+      { classname: 'Apple', change: 'modified', field: 'nominal', old: '5', new: '8' },
+      { classname: 'Apple', change: 'modified', field: 'flags.crafted', old: 0, new: 1 }
+    ]);
+  });
+});
+
+describe('auditFileChanges', () => {
+  it('diffs types files per type and field', () => {
+    const { kind, changes } = auditFileChanges(
+      'db/types.xml',
+      typesXml(type('Apple', 5) + type('Pear', 1)),
+      typesXml(type('Apple', 8, 1) + type('Pear', 1))
+    );
+    expect(kind).toBe('types');
+    expect(changes.map(c => [c.classname, c.field, c.old, c.new])).toEqual([
+      ['Apple', 'nominal', '5', '8'],
+      ['Apple', 'flags.crafted', 0, 1]
+    ]);
+  });
+
+  it('treats a new types file as every type added', () => {
+    const { changes } = auditFileChanges('db/custom/types.xml', null, typesXml(type('Apple', 5)));
+    expect(changes).toEqual([expect.objectContaining({ classname: 'Apple', change: 'added' })]);
+  });
+
+  it('diffs JSON per key and attributes market items to their class', () => {
+    const prev = JSON.stringify({ DisplayName: 'Food', Items: [{ ClassName: 'Apple', MaxPriceThreshold: 10 }] });
+    const next = JSON.stringify({ DisplayName: 'Fruit', Items: [{ ClassName: 'Apple', MaxPriceThreshold: 12 }, { ClassName: 'Pear', MaxPriceThreshold: 3 }] });
+    const { kind, changes } = auditFileChanges('ExpansionMod/Market/Food.json', prev, next);
+    expect(kind).toBe('json');
+    expect(changes).toEqual([
+      { classname: null, change: 'modified', field: 'DisplayName', old: 'Food', new: 'Fruit' },
+      { classname: 'apple', change: 'modified', field: 'MaxPriceThreshold', old: 10, new: 12 },
+      { classname: 'pear', change: 'added', field: null, old: null, new: { ClassName: 'Pear', MaxPriceThreshold: 3 } }
+    ]);
+  });
+
+  it('records whole-file changes for other files and deletions', () => {
+    expect(auditFileChanges('expansion/traders/A.map', 'a', 'b').changes)
+      .toEqual([{ classname: null, change: 'modified', field: null, old: null, new: null }]);
+    expect(auditFileChanges('expansion/missions/Airdrop_A.json', '{}', null).changes[0].change).toBe('removed');
+    expect(auditFileChanges('db/types.xml', 'same', 'same').changes).toEqual([]);
+  });
+});
+
+describe('auditJsonChanges', () => {
+  it('attributes trader profile items by key', () => {
+    expect(auditJsonChanges({ Items: { Apple: 1 } }, { Items: { Apple: 3 } })).toEqual([
+      { classname: 'Apple', change: 'modified', field: null, old: 1, new: 3 }
+    ]);
+  });
+});
+
+describe('audit log storage and filters', () => {
+  let root;
+
+  beforeEach(async () => {
+    root = await mkdtemp(join(tmpdir(), 'audit-'));
+  });
+
+  afterEach(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('appends records as JSON lines and skips torn lines on read', async () => {
+    const log = join(root, '.lootmaster', 'audit.jsonl');
+    const changes = [{ classname: 'Apple', change: 'modified', field: 'nominal', old: '5', new: '8' }];
+    await appendAuditRecords(log, toAuditRecords(changes, { editorId: 'ann', file: 'db/types.xml', kind: 'types', ts: '2026-01-01T10:00:00.000Z' }));
+    await appendFile(log, '{"torn":');
+    const records = await readAuditRecords(log);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ editorId: 'ann', file: 'db/types.xml', classname: 'Apple', field: 'nominal' });
+    expect(records[0].id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await readAuditRecords(join(root, 'missing.jsonl'))).toEqual([]);
+  });
+
+  it('filters by editor, classname, file and date range, newest first', () => {
+    const records = [
+      { ts: '2026-01-01T10:00:00.000Z', editorId: 'ann', file: 'db/types.xml', classname: 'Apple' },
+      { ts: '2026-01-02T10:00:00.000Z', editorId: 'bob', file: 'db/custom/types.xml', classname: 'apple' },
+      { ts: '2026-01-03T10:00:00.000Z', editorId: 'ann', file: 'ExpansionMod/Market/Food.json', classname: 'Pear' }
+    ];
+    expect(filterAuditRecords(records, { classname: 'APPLE' }).records.map(r => r.editorId)).toEqual(['bob', 'ann']);
+    expect(filterAuditRecords(records, { editor: 'ann' }).total).toBe(2);
+    expect(filterAuditRecords(records, { file: 'market' }).records[0].classname).toBe('Pear');
+    expect(filterAuditRecords(records, { from: '2026-01-02', to: '2026-01-02' }).records.map(r => r.editorId)).toEqual(['bob']);
+    const page = filterAuditRecords(records, { limit: 1, offset: 1 });
+    expect(page.total).toBe(3);
+    expect(page.records[0].ts).toBe('2026-01-02T10:00:00.000Z');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { checkPrecondition, contentEtag, createWriteLocks } from '../../server/concurrency.js';
+
+describe('contentEtag', () => {
+  it('is a quoted hash that changes with the content', () => {
+    expect(contentEtag('<types/>')).toMatch(/^"[0-9a-f]{32}"$/);
+    expect(contentEtag('<types/>')).not.toBe(contentEtag('<types></types>'));
+  });
+});
+
+describe('checkPrecondition', () => {
+  const current = '<types>\n</types>\n';
+
+  it('passes a write whose If-Match is the current ETag', () => {
+    expect(checkPrecondition({ 'if-match': contentEtag(current) }, current)).toBe('ok');
+    expect(checkPrecondition({ 'if-match': `"stale", W/${contentEtag(current)}` }, current)).toBe('ok');
+  });
+
+  it('refuses a stale If-Match and a write without any precondition', () => {
+    expect(checkPrecondition({ 'if-match': contentEtag('older') }, current)).toBe('conflict');
+    expect(checkPrecondition({}, current)).toBe('required');
+  });
+
+  it('lets If-Match: * overwrite and any If-Match write a file that is gone', () => {
+    expect(checkPrecondition({ 'if-match': '*' }, current)).toBe('ok');
+    expect(checkPrecondition({ 'if-match': contentEtag('older') }, null)).toBe('ok');
+  });
+
+  it('only creates with If-None-Match: *', () => {
+    expect(checkPrecondition({ 'if-none-match': '*' }, null)).toBe('ok');
+    expect(checkPrecondition({ 'if-none-match': '*' }, current)).toBe('conflict');
+  });
+});
+
+describe('createWriteLocks', () => {
+  it('lets one holder of a path in at a time, in the order they asked', async () => {
+    const locks = createWriteLocks();
+    const order = [];
+    const first = await locks.acquire('/m/types.xml');
+    const second = locks.acquire('/m/types.xml').then(release => { order.push('second'); release(); });
+    const other = locks.acquire('/m/events.xml').then(release => { order.push('other'); release(); });
+    await other;
+    expect(order).toEqual(['other']);
+    order.push('first done');
+    first();
+    await second;
+    expect(order).toEqual(['other', 'first done', 'second']);
+  });
+
+  it('releases the lock when the work run under it fails', async () => {
+    const locks = createWriteLocks();
+    await expect(locks.run('/m/types.xml', async () => { throw new Error('disk full'); })).rejects.toThrow('disk full');
+    await expect(locks.run('/m/types.xml', async () => 'written')).resolves.toBe('written');
+  });
+});
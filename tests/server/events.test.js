@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseEventsToMap,
+  diffEventFields,
+  parseEventSpawnsToMap,
+  diffEventSpawnFields,
+  isAllowedEventsFileName
+} from '../../server/events.js';
+
+const eventsXml = (nominal, children) => `<?xml version="1.0" encoding="UTF-8"?>
+<events>
+    <event name="AnimalBear">
+        <nominal>${nominal}</nominal>
+        <min>0</min>
+        <max>0</max>
+        <lifetime>180</lifetime>
+        <restock>0</restock>
+        <saferadius>200</saferadius>
+        <distanceradius>0</distanceradius>
+        <cleanupradius>0</cleanupradius>
+        <flags deletable="0" init_random="0" remove_damaged="1"/>
+        <position>fixed</position>
+        <limit>custom</limit>
+        <active>1</active>
+        <children>
+${children}
+        </children>
+    </event>
+</events>`;
+
+describe('parseEventsToMap / diffEventFields', () => {
+  it('reads scalar fields, flags and children', () => {
+    const map = parseEventsToMap(eventsXml(4, '<child lootmax="0" lootmin="0" max="1" min="1" type="Animal_UrsusArctos"/>'));
+    expect(map.AnimalBear.fields.nominal).toBe('4');
+    expect(map.AnimalBear.fields.saferadius).toBe('200');
+    expect(map.AnimalBear.flags).toEqual({ deletable: 0, init_random: 0, remove_damaged: 1 });
+    expect(map.AnimalBear.children).toEqual(['Animal_UrsusArctos 1-1 loot 0-0']);
+  });
+
+  it('diffs scalar and child changes in the Label(old > new) form', () => {
+    const a = parseEventsToMap(eventsXml(4, '<child max="1" min="1" type="Animal_UrsusArctos"/>')).AnimalBear;
+    const b = parseEventsToMap(eventsXml(6, '<child max="2" min="1" type="Animal_UrsusArctos"/>')).AnimalBear;
+    const specs = diffEventFields(a, b);
+    expect(specs[0]).toBe('Nominal(4 > 6)');
+    expect(specs[1]).toMatch(/^Children\(\+Animal_UrsusArctos 1-2/);
+  });
+});
+
+describe('parseEventSpawnsToMap / diffEventSpawnFields', () => {
+  const spawns = (positions) => `<eventposdef>
+    <event name="StaticHeliCrash">
+        ${positions}
+    </event>
+    <event name="Empty"/>
+</eventposdef>`;
+
+  it('reads positions, including self-closing events with none', () => {
+    const map = parseEventSpawnsToMap(spawns('<pos x="100" z="200" a="90"/>'));
+    expect(map.StaticHeliCrash.positions).toEqual(['100 200 90']);
+    expect(map.Empty.positions).toEqual([]);
+  });
+
+  it('counts added and removed positions', () => {
+    const a = parseEventSpawnsToMap(spawns('<pos x="1" z="2"/><pos x="3" z="4"/>')).StaticHeliCrash;
+    const b = parseEventSpawnsToMap(spawns('<pos x="1" z="2"/><pos x="5" z="6"/><pos x="7" z="8"/>')).StaticHeliCrash;
+    expect(diffEventSpawnFields(a, b)).toEqual(['Positions(2 > 3, +2 -1)']);
+    expect(diffEventSpawnFields(a, a)).toEqual([]);
+  });
+});
+
+describe('isAllowedEventsFileName', () => {
+  it('allows a declared events file and the canonical name', () => {
+    expect(isAllowedEventsFileName({ fileName: 'mod_events.xml', declaredEvents: ['mod_events.xml'] })).toBe(true);
+    expect(isAllowedEventsFileName({ fileName: 'events.xml' })).toBe(true);
+  });
+
+  it('refuses files declared as types or spawnabletypes, and undeclared names', () => {
+    expect(isAllowedEventsFileName({ fileName: 'types.xml', declaredOther: ['types.xml'] })).toBe(false);
+    expect(isAllowedEventsFileName({ fileName: 'events.xml', declaredOther: ['events.xml'] })).toBe(false);
+    expect(isAllowedEventsFileName({ fileName: 'random.xml' })).toBe(false);
+    expect(isAllowedEventsFileName({ fileName: '../events.xml' })).toBe(false);
+  });
+});
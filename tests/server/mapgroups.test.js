@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseMapGroupProto,
+  parseMapGroupPos,
+  matchingContainers,
+  queryLootPositions
+} from '../../server/mapgroups.js';
+
+const protoXml = `<?xml version="1.0" encoding="UTF-8"?>
+<prototype>
+    <defaults>
+        <default name="group" lootmax="10"/>
+    </defaults>
+    <group name="Land_Barn_Brick1" lootmax="10">
+        <usage name="Farm"/>
+        <container name="lootFloor" lootmax="9">
+            <category name="tools"/>
+            <category name="containers"/>
+            <tag name="floor"/>
+            <point pos="1 0 1" range="0.5" height="1"/>
+            <point pos="2 0 2" range="0.5" height="1"/>
+        </container>
+        <container name="lootshelves">
+            <category name="tools"/>
+            <tag name="shelves"/>
+            <point pos="3 1 3" range="0.3" height="0.5"/>
+        </container>
+    </group>
+    <group name="Land_Mil_Tent" lootmax="4">
+        <usage name="Military"/>
+        <value name="Tier4"/>
+        <container name="lootFloor">
+            <category name="weapons"/>
+            <tag name="floor"/>
+            <point pos="0 0 0" range="0.5" height="1"/>
+        </container>
+    </group>
+</prototype>`;
+
+const posXml = `<map>
+    <group name="Land_Barn_Brick1" pos="100.5 12.0 200.25" rpy="0 0 0" a="90"/>
+    <group name="Land_Barn_Brick1" pos="300 10 400" rpy="0 0 0" a="0"/>
+    <group name="Land_Mil_Tent" pos="5000 80 6000" rpy="0 0 0" a="0"/>
+    <group name="Land_Unknown" pos="1 1 1"/>
+</map>`;
+
+describe('parseMapGroupProto / parseMapGroupPos', () => {
+  it('reads group flags and per-container categories, tags and point counts', () => {
+    const protos = parseMapGroupProto(protoXml);
+    expect(Object.keys(protos)).toEqual(['Land_Barn_Brick1', 'Land_Mil_Tent']);
+    expect(protos.Land_Barn_Brick1.usage).toEqual(['Farm']);
+    expect(protos.Land_Barn_Brick1.containers).toEqual([
+      { name: 'lootFloor', categories: ['tools', 'containers'], tags: ['floor'], points: 2 },
+      { name: 'lootshelves', categories: ['tools'], tags: ['shelves'], points: 1 }
+    ]);
+    expect(protos.Land_Mil_Tent.value).toEqual(['Tier4']);
+  });
+
+  it('reads instance x/z from pos', () => {
+    const inst = parseMapGroupPos(posXml);
+    expect(inst).toHaveLength(4);
+    expect(inst[0]).toEqual({ name: 'Land_Barn_Brick1', x: 100.5, z: 200.25 });
+  });
+});
+
+describe('matchingContainers', () => {
+  const protos = parseMapGroupProto(protoXml);
+
+  it('requires a shared usage and honours category and tags', () => {
+    const barn = protos.Land_Barn_Brick1;
+    expect(matchingContainers(barn, { usage: ['farm'], category: 'tools' }).map(c => c.name)).toEqual(['lootFloor', 'lootshelves']);
+    expect(matchingContainers(barn, { usage: ['Farm'], category: 'tools', tag: ['shelves'] }).map(c => c.name)).toEqual(['lootshelves']);
+    expect(matchingContainers(barn, { usage: ['Farm'], category: 'weapons' })).toEqual([]);
+    expect(matchingContainers(barn, { usage: ['Military'], category: 'tools' })).toEqual([]);
+    expect(matchingContainers(barn, { usage: [], category: 'tools' })).toEqual([]);
+  });
+
+  it('only enforces value when the prototype declares one', () => {
+    expect(matchingContainers(protos.Land_Mil_Tent, { usage: ['Military'], value: ['Tier1'] })).toEqual([]);
+    expect(matchingContainers(protos.Land_Mil_Tent, { usage: ['Military'], value: ['Tier4'] })).toHaveLength(1);
+    expect(matchingContainers(protos.Land_Barn_Brick1, { usage: ['Farm'], value: ['Tier1'] })).toHaveLength(2);
+  });
+});
+
+describe('queryLootPositions', () => {
+  it('counts buildings and points across instances', () => {
+    const result = queryLootPositions(parseMapGroupProto(protoXml), parseMapGroupPos(posXml), {
+      usage: ['Farm'], category: 'tools', tag: ['floor']
+    });
+    expect(result.buildings).toBe(2);
+    expect(result.points).toBe(4);
+    expect(result.prototypes).toEqual([
+      { name: 'Land_Barn_Brick1', instances: 2, pointsEach: 2, containers: ['lootFloor'] }
+    ]);
+    expect(result.positions.map(p => p.x)).toEqual([100.5, 300]);
+  });
+});
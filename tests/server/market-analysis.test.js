@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SELL_PRICE_PERCENT,
+  defaultSellPercent,
+  flattenMarketItems,
+  findArbitrage,
+  analyzeMarket,
+  collectMarketReferences
+} from '../../server/market-analysis.js';
+
+const item = (ClassName, min, max, extra = {}) => ({
+  ClassName,
+  MinPriceThreshold: min,
+  MaxPriceThreshold: max,
+  SellPricePercent: -1,
+  MinStockThreshold: 1,
+  MaxStockThreshold: 10,
+  QuantityPercent: -1,
+  SpawnAttachments: [],
+  Variants: [],
+  ...extra
+});
+
+describe('defaultSellPercent', () => {
+  it('reads SellPricePercent from MarketSettings', () => {
+    expect(defaultSellPercent({ SellPricePercent: 50 })).toBe(50);
+  });
+
+  it('falls back to the Expansion default when missing or negative', () => {
+    expect(defaultSellPercent(null)).toBe(DEFAULT_SELL_PRICE_PERCENT);
+    expect(defaultSellPercent({ SellPricePercent: -1 })).toBe(DEFAULT_SELL_PRICE_PERCENT);
+  });
+});
+
+describe('flattenMarketItems', () => {
+  it('emits one lowercased row per item with its sell range', () => {
+    const rows = flattenMarketItems([
+      { name: 'Rifles', json: { Items: [item('M4A1', 1000, 2000, { Variants: ['M4A1_Green'] })] } },
+      { name: 'Food', json: { Items: [item('apple', 10, 20, { SellPricePercent: 50 })] } }
+    ], 60);
+    expect(rows).toEqual([
+      expect.objectContaining({ className: 'm4a1', category: 'Rifles', sellPercent: 60, defaultSell: true, minSell: 600, maxSell: 1200, variants: ['m4a1_green'] }),
+      expect.objectContaining({ className: 'apple', category: 'Food', sellPercent: 50, defaultSell: false, minSell: 5, maxSell: 10, minStock: 1, maxStock: 10 })
+    ]);
+  });
+
+  it('skips items without a classname and files without Items', () => {
+    expect(flattenMarketItems([{ name: 'Broken', json: {} }, { name: 'X', json: { Items: [{}] } }])).toEqual([]);
+  });
+});
+
+describe('findArbitrage', () => {
+  it('flags a sell percentage above 100', () => {
+    const rows = flattenMarketItems([{ name: 'Food', json: { Items: [item('apple', 10, 20, { SellPricePercent: 150 })] } }]);
+    expect(findArbitrage(rows)).toEqual([
+      { kind: 'self', className: 'apple', buyCategory: 'Food', buyPrice: 20, sellCategory: 'Food', sellPrice: 30, profit: 10 }
+    ]);
+  });
+
+  it('flags a class that sells in one category for more than it costs in another', () => {
+    const rows = flattenMarketItems([
+      { name: 'Cheap', json: { Items: [item('Rag', 10, 20)] } },
+      { name: 'Dear', json: { Items: [item('rag', 100, 200)] } }
+    ]);
+    const loops = findArbitrage(rows);
+    expect(loops).toHaveLength(1);
+    expect(loops[0]).toMatchObject({ kind: 'duplicate', className: 'rag', buyCategory: 'Cheap', buyPrice: 10, sellCategory: 'Dear', sellPrice: 150, profit: 140 });
+  });
+
+  it('leaves consistent duplicates alone', () => {
+    const rows = flattenMarketItems([
+      { name: 'A', json: { Items: [item('rag', 100, 120)] } },
+      { name: 'B', json: { Items: [item('rag', 100, 120)] } }
+    ]);
+    expect(findArbitrage(rows)).toEqual([]);
+  });
+});
+
+describe('analyzeMarket', () => {
+  it('applies the settings default to -1 items', () => {
+    const out = analyzeMarket([{ name: 'Food', json: { Items: [item('apple', 10, 20)] } }], { SellPricePercent: 40 });
+    expect(out.sellPricePercent).toBe(40);
+    expect(out.items[0].maxSell).toBe(8);
+    expect(out.arbitrage).toEqual([]);
+  });
+});
+
+describe('collectMarketReferences', () => {
+  const market = [
+    { name: 'Rifles', json: { Items: [item('M4A1', 1000, 2000, { Variants: ['M4A1_Green'], SpawnAttachments: ['M4_Suppressor'] })] } },
+    { name: 'Sale', json: { Items: [item('m4a1', 800, 1500)] } }
+  ];
+
+  it('records listings, variants and attachments with the cheapest price', () => {
+    const refs = collectMarketReferences({ market });
+    expect(refs.map(r => r.className)).toEqual(['m4_suppressor', 'm4a1', 'm4a1_green']);
+    expect(refs[1]).toMatchObject({ categories: ['Rifles', 'Sale'], minPrice: 800, maxPrice: 1500 });
+    expect(refs[2]).toMatchObject({ categories: [], variantOf: ['m4a1'], minPrice: 1000, maxPrice: 2000 });
+    expect(refs[0]).toMatchObject({ attachmentOf: ['m4a1'], minPrice: null, maxPrice: null });
+  });
+
+  it('adds trader profile Items and trader zone Stock keys', () => {
+    const refs = collectMarketReferences({
+      traders: [{ name: 'Weapons', json: { Items: { M4A1: 1, Ghost: 0 } } }],
+      zones: [{ name: 'Green', json: { Stock: { ghost: 5 } } }]
+    });
+    expect(refs).toEqual([
+      expect.objectContaining({ className: 'ghost', traders: ['Weapons'], zones: ['Green'], categories: [] }),
+      expect.objectContaining({ className: 'm4a1', traders: ['Weapons'], zones: [] })
+    ]);
+  });
+});
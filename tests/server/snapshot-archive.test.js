@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { readSnapshotArchive, remapMissionName, snapshotArchiveName } from '../../server/snapshot-archive.js';
+
+const enc = (text) => new TextEncoder().encode(text);
+const dec = (data) => new TextDecoder().decode(data);
+const entry = (name, text = '') => ({ name, data: enc(text) });
+
+describe('readSnapshotArchive', () => {
+  it('reads an exported snapshot with its metadata', () => {
+    const { meta, files } = readSnapshotArchive([
+      entry('metadata.json', '{"name":"Pre wipe","missionName":"dayzOffline.enoch"}'),
+      entry('cfgeconomycore.xml', '<economycore/>'),
+      entry('db/'),
+      entry('db/types.xml', '<types/>'),
+      entry('manifest.json', '{}'),
+      entry('db/.lootmaster-backups/types.xml.bak', 'old')
+    ]);
+    expect(meta).toEqual({ name: 'Pre wipe', missionName: 'dayzOffline.enoch' });
+    expect([...files.keys()]).toEqual(['cfgeconomycore.xml', 'db/types.xml']);
+  });
+
+  it('unwraps a zipped mission folder', () => {
+    const { meta, files } = readSnapshotArchive([
+      entry('dayzOffline.enoch\\cfgeconomycore.xml'),
+      entry('dayzOffline.enoch/db/types.xml'),
+      entry('__MACOSX/dayzOffline.enoch/._cfgeconomycore.xml')
+    ]);
+    expect(meta).toBeNull();
+    expect([...files.keys()]).toEqual(['cfgeconomycore.xml', 'db/types.xml']);
+  });
+
+  it('rejects archives without the mission layout or with unsafe paths', () => {
+    expect(() => readSnapshotArchive([entry('db/types.xml')])).toThrow('no cfgeconomycore.xml');
+    expect(() => readSnapshotArchive([entry('cfgeconomycore.xml'), entry('types.xml')])).toThrow('no db/ folder');
+    expect(() => readSnapshotArchive([entry('cfgeconomycore.xml'), entry('db/../../x.xml')])).toThrow('unsafe paths');
+    expect(() => readSnapshotArchive([entry('cfgeconomycore.xml'), entry('db/a.xml'), entry('metadata.json', '{')])).toThrow('not valid JSON');
+  });
+});
+
+describe('remapMissionName', () => {
+  it('rewrites the mission name in text files only', () => {
+    const files = new Map([
+      ['db/globals.json', enc('{"p":"mpmissions/test.enoch/db"}')],
+      ['db/types.xml', enc('<types/>')],
+      ['areaflags.map', enc('test.enoch')]
+    ]);
+    const { files: out, changed } = remapMissionName(files, 'test.enoch', 'live.enoch');
+    expect(changed).toEqual(['db/globals.json']);
+    expect(dec(out.get('db/globals.json'))).toBe('{"p":"mpmissions/live.enoch/db"}');
+    expect(out.get('areaflags.map')).toBe(files.get('areaflags.map'));
+    expect(remapMissionName(files, 'a', 'a').changed).toEqual([]);
+  });
+});
+
+describe('snapshotArchiveName', () => {
+  it('builds a safe file name with the snapshot date', () => {
+    expect(snapshotArchiveName({ name: 'Pre wipe: stable!', timestamp: '2026-03-18T10:00:00.000Z' })).toBe('Pre-wipe-stable-2026-03-18.zip');
+    expect(snapshotArchiveName({})).toBe('snapshot.zip');
+  });
+});
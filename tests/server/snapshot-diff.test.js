@@ -0,0 +1,119 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  diffFileContents,
+  diffJsonKeys,
+  diffSnapshotFiles,
+  listSnapshotFiles,
+  parseRandomPresetsToMap,
+  parseSpawnableTypesToMap
+} from '../../server/snapshot-diff.js';
+
+const types = (nominal, usage = 'Town') => `<types>
+  <type name="Apple"><nominal>${nominal}</nominal><lifetime>3600</lifetime><usage name="${usage}"/></type>
+  <type name="Pear"><nominal>5</nominal></type>
+</types>`;
+
+describe('diffFileContents', () => {
+  it('diffs types per classname and field', () => {
+    const b = types(20, 'Farm').replace(/<type name="Pear">.*<\/type>/, '<type name="Plum"><nominal>1</nominal></type>');
+    expect(diffFileContents('db/types.xml', types(10), b)).toEqual({
+      kind: 'types',
+      changes: [
+        { key: 'Plum', status: 'added', fields: [] },
+        { key: 'Pear', status: 'removed', fields: [] },
+        { key: 'Apple', status: 'modified', fields: ['Nominal(10 > 20)', 'Usage([Town] > [Farm])'] }
+      ]
+    });
+  });
+
+  it('diffs spawnabletypes and random presets', () => {
+    const spawn = (chance) => `<spawnabletypes><type name="AKM"><hoarder/><cargo preset="food"/>
+      <attachments chance="${chance}"><item name="AK_Bayonet" chance="0.5"/></attachments></type></spawnabletypes>`;
+    expect(diffFileContents('cfgspawnabletypes.xml', spawn('0.3'), spawn('0.6')).changes).toEqual([
+      { key: 'AKM', status: 'modified', fields: ['Attachments([0.3 [AK_Bayonet:0.5]] > [0.6 [AK_Bayonet:0.5]])'] }
+    ]);
+    const presets = (item) => `<randompresets><cargo chance="0.2" name="food"><item name="${item}" chance="0.1"/></cargo></randompresets>`;
+    expect(diffFileContents('cfgrandompresets.xml', presets('Apple'), presets('Pear')).changes).toEqual([
+      { key: 'cargo:food', status: 'modified', fields: ['Items([Apple:0.1] > [Pear:0.1])'] }
+    ]);
+  });
+
+  it('only classifies added files and falls back to text', () => {
+    expect(diffFileContents('db/types.xml', null, types(1))).toEqual({ kind: 'types', changes: [] });
+    expect(diffFileContents('areaflags.map', 'a', 'b')).toEqual({ kind: 'text', changes: [] });
+    expect(diffFileContents('broken.json', '{', '{}')).toEqual({ kind: 'text', changes: [] });
+  });
+});
+
+describe('parsers', () => {
+  it('reads spawnabletypes blocks in order', () => {
+    const map = parseSpawnableTypesToMap('<spawnabletypes><type name="Box"><damage min="0" max="0.4"/><tag name="floor"/><cargo chance="1"><item name="A"/></cargo><cargo preset="x"/></type></spawnabletypes>');
+    expect(map.Box).toEqual({ hoarder: false, damage: '0-0.4', tag: ['floor'], attachments: [], cargo: ['1 [A:1]', 'preset x'] });
+  });
+
+  it('keys random presets by kind and name', () => {
+    const map = parseRandomPresetsToMap('<randompresets><attachments name="optics" chance="0.5"><item name="Scope"/></attachments></randompresets>');
+    expect(map).toEqual({ 'attachments:optics': { chance: '0.5', items: ['Scope:1'] } });
+  });
+});
+
+describe('diffJsonKeys', () => {
+  it('recurses into objects and market items by ClassName', () => {
+    const a = { DisplayName: 'Food', Items: [{ ClassName: 'Apple', MaxPriceThreshold: 10 }, { ClassName: 'pear', MaxPriceThreshold: 5 }] };
+    const b = { DisplayName: 'Fruit', Items: [{ ClassName: 'apple', MaxPriceThreshold: 12 }], Icon: 'Deliver' };
+    expect(diffJsonKeys(a, b)).toEqual([
+      { key: 'DisplayName', status: 'modified', fields: ['"Food" > "Fruit"'] },
+      { key: 'Items[apple].ClassName', status: 'modified', fields: ['"Apple" > "apple"'] },
+      { key: 'Items[apple].MaxPriceThreshold', status: 'modified', fields: ['10 > 12'] },
+      { key: 'Items[pear]', status: 'removed', fields: ['{"ClassName":"pear","MaxPriceThreshold":5}'] },
+      { key: 'Icon', status: 'added', fields: ['"Deliver"'] }
+    ]);
+  });
+
+  it('compares other arrays whole', () => {
+    expect(diffJsonKeys({ Position: [1, 2, 3] }, { Position: [1, 2, 4] })).toEqual([
+      { key: 'Position', status: 'modified', fields: ['[1,2,3] > [1,2,4]'] }
+    ]);
+  });
+});
+
+describe('listSnapshotFiles / diffSnapshotFiles', () => {
+  let root;
+  beforeAll(async () => {
+    root = await mkdtemp(join(tmpdir(), 'snapshot-diff-'));
+    const write = async (rel, text) => {
+      await mkdir(join(root, rel, '..'), { recursive: true });
+      await writeFile(join(root, rel), text);
+    };
+    await write('a/db/types.xml', types(10));
+    await write('a/db/.lootmaster-backups/types.xml.bak', 'old');
+    await write('a/cfgrandompresets.xml', '<randompresets/>');
+    await write('b/db/types.xml', types(11));
+    await write('b/cfgrandompresets.xml', '<randompresets/>');
+    await write('market/Food.json', '{"Items":[]}');
+  });
+  afterAll(async () => {
+    await rm(root, { recursive: true, force: true });
+  });
+
+  it('lists files relative to their source, skipping backups and missing sources', async () => {
+    const files = await listSnapshotFiles([
+      { rel: '', abs: join(root, 'a') },
+      { rel: 'ExpansionMod/Market', abs: join(root, 'market') },
+      { rel: 'expansion', abs: join(root, 'missing') }
+    ]);
+    expect([...files.keys()].sort()).toEqual(['ExpansionMod/Market/Food.json', 'cfgrandompresets.xml', 'db/types.xml']);
+  });
+
+  it('reports only files that differ', async () => {
+    const a = await listSnapshotFiles([{ rel: '', abs: join(root, 'a') }]);
+    const b = await listSnapshotFiles([{ rel: '', abs: join(root, 'b') }, { rel: 'ExpansionMod/Market', abs: join(root, 'market') }]);
+    expect(await diffSnapshotFiles(a, b)).toEqual([
+      { path: 'db/types.xml', status: 'modified', kind: 'types', changes: [{ key: 'Apple', status: 'modified', fields: ['Nominal(10 > 11)'] }] },
+      { path: 'ExpansionMod/Market/Food.json', status: 'added', kind: 'json', changes: [] }
+    ]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { selectRestoreFiles, spliceTypeEntries } from '../../server/snapshot-restore.js';
+
+describe('selectRestoreFiles', () => {
+  const snapshot = ['db/types.xml', 'db/events.xml', 'ExpansionMod/Market/Food.json', 'cfgspawnabletypes.xml'];
+  const live = ['db/types.xml', 'db/extra.xml', 'ExpansionMod/Market/Food.json', 'ExpansionMod/Market/Drinks.json', 'cfgspawnabletypes.xml'];
+
+  it('copies single files and leaves everything else alone', () => {
+    expect(selectRestoreFiles(snapshot, live, ['cfgspawnabletypes.xml'])).toEqual({ copy: ['cfgspawnabletypes.xml'], remove: [] });
+  });
+
+  it('restores folders whole, removing live files the snapshot lacks', () => {
+    expect(selectRestoreFiles(snapshot, live, ['db', 'ExpansionMod/Market'])).toEqual({
+      copy: ['ExpansionMod/Market/Food.json', 'db/events.xml', 'db/types.xml'],
+      remove: ['ExpansionMod/Market/Drinks.json', 'db/extra.xml']
+    });
+  });
+
+  it('removes a selected file added since the snapshot', () => {
+    expect(selectRestoreFiles(snapshot, live, ['db/extra.xml', 'd'])).toEqual({ copy: [], remove: ['db/extra.xml'] });
+  });
+});
+
+describe('spliceTypeEntries', () => {
+  const live = `<types>
+    <type name="Apple"><nominal>20</nominal></type>
+    <type name="Pear"><nominal>5</nominal></type>
+    <type name="Kiwi"/>
+</types>
+`;
+  const snapshot = `<types>
+    <type name="Apple"><nominal>10</nominal></type>
+    <type name="Pear"><nominal>5</nominal></type>
+    <type name="Plum">
+        <nominal>1</nominal>
+    </type>
+</types>`;
+
+  it('replaces, appends and removes only the named entries', () => {
+    const { xml, restored } = spliceTypeEntries(live, snapshot, ['apple', 'Plum', 'Kiwi', 'Pear', 'Missing']);
+    expect(restored).toEqual(['apple', 'Plum', 'Kiwi']);
+    expect(xml).toBe(`<types>
+    <type name="Apple"><nominal>10</nominal></type>
+    <type name="Pear"><nominal>5</nominal></type>
+    <type name="Plum">
+        <nominal>1</nominal>
+    </type>
+</types>
+`);
+  });
+
+  it('leaves the file untouched when nothing differs', () => {
+    expect(spliceTypeEntries(live, live, ['Apple', 'Kiwi'])).toEqual({ xml: live, restored: [] });
+  });
+});
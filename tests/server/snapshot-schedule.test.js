@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import {
+  createSessionTracker,
+  isEditingWrite,
+  isScheduledSnapshotDue,
+  normalizeSnapshotSchedule,
+  selectSnapshotsToPrune,
+  snapshotKind
+} from '../../server/snapshot-schedule.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const now = Date.parse('2026-03-18T12:00:00');
+const at = (ms, id, kind = 'scheduled') => ({ id, kind, timestamp: new Date(now - ms).toISOString() });
+
+describe('normalizeSnapshotSchedule', () => {
+  it('fills defaults and clamps values', () => {
+    expect(normalizeSnapshotSchedule(null)).toEqual({
+      intervalHours: 0, sessionSnapshots: true, sessionGapMinutes: 30, keepLast: 10, keepDailyDays: 7, keepWeeklyWeeks: 4, compress: false
+    });
+    expect(normalizeSnapshotSchedule({ intervalHours: '6', keepLast: -1, sessionGapMinutes: 0, sessionSnapshots: false })).toMatchObject({
+      intervalHours: 6, keepLast: 10, sessionGapMinutes: 1, sessionSnapshots: false
+    });
+  });
+});
+
+describe('snapshotKind', () => {
+  it('reads the kind, falling back on who took it', () => {
+    expect(snapshotKind({ kind: 'scheduled' })).toBe('scheduled');
+    expect(snapshotKind({ editorId: 'system' })).toBe('automatic');
+    expect(snapshotKind({ editorId: 'alice' })).toBe('manual');
+  });
+});
+
+describe('isScheduledSnapshotDue', () => {
+  const schedule = normalizeSnapshotSchedule({ intervalHours: 6 });
+
+  it('is due once the interval has passed since the last scheduled snapshot', () => {
+    expect(isScheduledSnapshotDue(schedule, [], now)).toBe(true);
+    expect(isScheduledSnapshotDue(schedule, [at(5 * HOUR, 'a'), at(HOUR, 'b', 'manual')], now)).toBe(false);
+    expect(isScheduledSnapshotDue(schedule, [at(6 * HOUR, 'a')], now)).toBe(true);
+    expect(isScheduledSnapshotDue(normalizeSnapshotSchedule({}), [], now)).toBe(false);
+  });
+});
+
+describe('selectSnapshotsToPrune', () => {
+  it('keeps the newest, one per day and one per week, never manual ones', () => {
+    const schedule = normalizeSnapshotSchedule({ keepLast: 2, keepDailyDays: 3, keepWeeklyWeeks: 4 });
+    const snapshots = [
+      at(1 * HOUR, 'last1'),
+      at(2 * HOUR, 'last2', 'automatic'),
+      at(3 * HOUR, 'today-older'),
+      at(DAY, 'yesterday'),
+      at(DAY + HOUR, 'yesterday-older'),
+      at(14 * DAY, 'two-weeks'),
+      at(14 * DAY + HOUR, 'two-weeks-older'),
+      at(60 * DAY, 'ancient'),
+      at(90 * DAY, 'manual', 'manual')
+    ];
+    expect(selectSnapshotsToPrune(snapshots, schedule, now).sort()).toEqual(['ancient', 'today-older', 'two-weeks-older', 'yesterday-older']);
+  });
+
+  it('keeps only the newest when the day and week rules are off', () => {
+    const schedule = normalizeSnapshotSchedule({ keepLast: 1, keepDailyDays: 0, keepWeeklyWeeks: 0 });
+    expect(selectSnapshotsToPrune([at(HOUR, 'a'), at(2 * HOUR, 'b'), { id: 'old', editorId: 'bob', timestamp: 'x' }], schedule, now)).toEqual(['b']);
+  });
+});
+
+describe('editing sessions', () => {
+  it('treats only the writes to mission files as edits', () => {
+    expect(isEditingWrite('PUT', '/api/types/vanilla/types')).toBe(true);
+    expect(isEditingWrite('PUT', '/api/events/mygroup/events.xml')).toBe(true);
+    expect(isEditingWrite('DELETE', '/api/expansion/airdrop-missions')).toBe(true);
+    expect(isEditingWrite('POST', '/api/logs/adm')).toBe(false);
+    expect(isEditingWrite('POST', '/api/market/import')).toBe(false);
+    expect(isEditingWrite('POST', '/api/audit/42/revert')).toBe(false);
+    expect(isEditingWrite('PUT', '/api/loadouts/abc')).toBe(false);
+    expect(isEditingWrite('GET', '/api/market/categories')).toBe(false);
+  });
+
+  it('starts a session on an editor\'s first write and after an idle gap', () => {
+    const sessions = createSessionTracker();
+    expect(sessions.startsSession('P1', 'alice', now, HOUR)).toBe(true);
+    expect(sessions.startsSession('p1', 'alice', now + 10, HOUR)).toBe(false);
+    expect(sessions.startsSession('p1', 'bob', now + 20, HOUR)).toBe(true);
+    expect(sessions.startsSession('p1', 'alice', now + 10 + HOUR, HOUR)).toBe(true);
+  });
+});
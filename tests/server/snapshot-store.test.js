@@ -0,0 +1,95 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, mkdir, readdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  BLOB_DIR,
+  collectGarbageBlobs,
+  openSnapshot,
+  readStoredText,
+  writeSnapshotFiles
+} from '../../server/snapshot-store.js';
+
+let root;
+let snapshotDir;
+
+const write = async (rel, text) => {
+  await mkdir(join(root, rel, '..'), { recursive: true });
+  await writeFile(join(root, rel), text);
+  return join(root, rel);
+};
+
+const blobs = async () => {
+  const out = [];
+  for (const bucket of await readdir(join(snapshotDir, BLOB_DIR)).catch(() => [])) {
+    out.push(...await readdir(join(snapshotDir, BLOB_DIR, bucket)));
+  }
+  return out.sort();
+};
+
+const take = async (id, files, options) => {
+  await write(`snapshots/${id}/metadata.json`, JSON.stringify({ id, name: id }));
+  return writeSnapshotFiles(snapshotDir, join(snapshotDir, id), new Map(files), options);
+};
+
+beforeEach(async () => {
+  root = await mkdtemp(join(tmpdir(), 'snapshot-store-'));
+  snapshotDir = join(root, 'snapshots');
+});
+afterEach(async () => {
+  await rm(root, { recursive: true, force: true });
+});
+
+describe('writeSnapshotFiles / openSnapshot', () => {
+  it('stores each distinct content once and reads it back', async () => {
+    const types = await write('live/db/types.xml', '<types/>');
+    const events = await write('live/db/events.xml', '<events/>');
+    const first = await take('a', [['db/types.xml', types], ['db/events.xml', events]]);
+    expect(first).toMatchObject({ files: 2, bytes: 17 });
+
+    await write('live/db/events.xml', '<events></events>');
+    const second = await take('b', [['db/types.xml', types], ['db/events.xml', events], ['db/copy.xml', types]]);
+    expect(second.storedBytes).toBe('<events></events>'.length);
+    expect(await blobs()).toHaveLength(3);
+
+    const b = await openSnapshot(snapshotDir, 'b');
+    expect(b.meta.name).toBe('b');
+    expect([...b.files.keys()]).toEqual(['db/copy.xml', 'db/events.xml', 'db/types.xml']);
+    expect(await readStoredText(b.files.get('db/copy.xml'))).toBe('<types/>');
+    expect(await readStoredText((await openSnapshot(snapshotDir, 'a')).files.get('db/events.xml'))).toBe('<events/>');
+  });
+
+  it('gzips new blobs when asked and reuses either form', async () => {
+    const types = await write('live/types.xml', '<types>' + ' '.repeat(1000) + '</types>');
+    const stats = await take('a', [['db/types.xml', types]], { compress: true });
+    expect(stats.storedBytes).toBeLessThan(stats.bytes);
+    expect((await blobs())[0]).toMatch(/\.gz$/);
+    expect((await take('b', [['db/types.xml', types]])).storedBytes).toBe(0);
+    expect(await readStoredText((await openSnapshot(snapshotDir, 'b')).files.get('db/types.xml'))).toMatch(/^<types> +<\/types>$/);
+  });
+
+  it('still reads directory-style snapshots', async () => {
+    await write('snapshots/old/metadata.json', '{"name":"old"}');
+    await write('snapshots/old/db/types.xml', '<types/>');
+    const old = await openSnapshot(snapshotDir, 'old');
+    expect([...old.files.keys()]).toEqual(['db/types.xml']);
+    expect(await readStoredText(old.files.get('db/types.xml'))).toBe('<types/>');
+    expect(await openSnapshot(snapshotDir, 'missing')).toBeNull();
+    expect(await openSnapshot(snapshotDir, '../x')).toBeNull();
+  });
+});
+
+describe('collectGarbageBlobs', () => {
+  it('removes blobs no manifest references once they are old enough', async () => {
+    const a = await write('live/a.xml', 'a');
+    const b = await write('live/b.xml', 'b');
+    await take('one', [['a.xml', a], ['b.xml', b]]);
+    await take('two', [['a.xml', a]]);
+    await rm(join(snapshotDir, 'one'), { recursive: true });
+
+    expect(await collectGarbageBlobs(snapshotDir)).toBe(0);
+    expect(await collectGarbageBlobs(snapshotDir, Date.now() + 2 * 60 * 60 * 1000)).toBe(1);
+    expect(await blobs()).toHaveLength(1);
+    expect(await readStoredText((await openSnapshot(snapshotDir, 'two')).files.get('a.xml'))).toBe('a');
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { join } from 'node:path';
+import {
+  declaredCeFolders,
+  extraCeFolders,
+  liveSnapshotPath,
+  snapshotCeFolderPath,
+  snapshotTypesFiles
+} from '../../server/snapshots.js';
+
+const core = `<economycore>
+  <ce folder="db/types/mortys">
+    <file name="types.xml" type="types"/>
+    <file name="spawnabletypes.xml" type="spawnabletypes"/>
+  </ce>
+  <ce folder="expansion_ce">
+    <file name="expansion_types.xml" type="types"/>
+  </ce>
+  <ce folder="db/vanilla_overrides">
+    <file name="types.xml" type="types"/>
+  </ce>
+  <ce folder="../outside">
+    <file name="types.xml" type="types"/>
+  </ce>
+</economycore>`;
+
+describe('declaredCeFolders', () => {
+  it('lists folders with their types files and drops paths that leave the mission', () => {
+    expect(declaredCeFolders(core)).toEqual([
+      { folder: 'db/types/mortys', group: 'mortys', typesFiles: ['types.xml'] },
+      { folder: 'expansion_ce', group: 'expansion_ce', typesFiles: ['expansion_types.xml'] },
+      { folder: 'db/vanilla_overrides', group: 'vanilla_overrides', typesFiles: ['types.xml'] }
+    ]);
+  });
+});
+
+describe('snapshot layout', () => {
+  it('copies only folders outside db/, under ceFolders/', () => {
+    expect(extraCeFolders(core)).toEqual(['expansion_ce']);
+    expect(snapshotCeFolderPath('expansion_ce')).toBe('ceFolders/expansion_ce');
+    expect(snapshotCeFolderPath('db/types/mortys')).toBe('db/types/mortys');
+  });
+
+  it('orders types files vanilla first and overrides last', () => {
+    expect(snapshotTypesFiles(core)).toEqual([
+      { group: 'vanilla', file: 'types', path: 'db/types.xml' },
+      { group: 'mortys', file: 'types', path: 'db/types/mortys/types.xml' },
+      { group: 'expansion_ce', file: 'expansion_types', path: 'ceFolders/expansion_ce/expansion_types.xml' },
+      { group: 'vanilla_overrides', file: 'types', path: 'db/vanilla_overrides/types.xml' }
+    ]);
+  });
+});
+
+describe('liveSnapshotPath', () => {
+  const sources = [
+    { rel: 'db', abs: '/m/db' },
+    { rel: 'ceFolders/mortys', abs: '/m/db/types/mortys' },
+    { rel: 'ExpansionMod/Market', abs: '/p/ExpansionMod/Market' }
+  ];
+
+  it('maps through the longest matching source', () => {
+    expect(liveSnapshotPath(sources, 'db/types.xml')).toBe(join('/m/db', 'types.xml'));
+    expect(liveSnapshotPath(sources, 'ceFolders/mortys/types.xml')).toBe(join('/m/db/types/mortys', 'types.xml'));
+    expect(liveSnapshotPath(sources, 'ExpansionMod/Market')).toBe('/p/ExpansionMod/Market');
+  });
+
+  it('rejects unmapped or escaping paths', () => {
+    expect(liveSnapshotPath(sources, 'ExpansionMod/Traders/a.json')).toBeNull();
+    expect(liveSnapshotPath(sources, 'db/../../etc/passwd')).toBeNull();
+    expect(liveSnapshotPath(sources, 'dbx/types.xml')).toBeNull();
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  parseTraderMapLine,
+  buildTraderMapLine,
+  parseTraderMapFile,
+  setTraderMapLine,
+  traderZoneSummary
+} from '../../server/trader-map.js';
+
+const LINE = 'ExpansionTraderAIMirek.Weapons|3700.5 402 5985|-45 0 0|TShirt_Blue,Jeans_Black';
+
+describe('parseTraderMapLine / buildTraderMapLine', () => {
+  it('round-trips a line', () => {
+    const parsed = parseTraderMapLine(LINE);
+    expect(parsed).toEqual({
+      className: 'ExpansionTraderAIMirek',
+      traderFileName: 'Weapons',
+      position: [3700.5, 402, 5985],
+      orientation: [-45, 0, 0],
+      gear: ['TShirt_Blue', 'Jeans_Black']
+    });
+    expect(buildTraderMapLine(parsed)).toBe(LINE);
+  });
+
+  it('pads missing vectors with zeros', () => {
+    expect(parseTraderMapLine('ExpansionTraderAIBoris.Food|1 2')).toMatchObject({ position: [1, 2, 0], orientation: [0, 0, 0], gear: [] });
+  });
+});
+
+describe('parseTraderMapFile', () => {
+  it('returns every non-blank line with its index', () => {
+    const npcs = parseTraderMapFile(`${LINE}\r\n\r\nExpansionTraderAIBoris.Food|1 2 3|90 0 0|\n`);
+    expect(npcs.map(n => [n.index, n.traderFileName])).toEqual([[0, 'Weapons'], [1, 'Food']]);
+  });
+});
+
+describe('setTraderMapLine', () => {
+  const text = `${LINE}\n\nExpansionTraderAIBoris.Food|1 2 3|90 0 0|\n`;
+
+  it('replaces one line and keeps the others', () => {
+    expect(setTraderMapLine(text, 1, 'B')).toBe(`${LINE}\nB\n`);
+  });
+
+  it('appends past the end, including to a new file', () => {
+    expect(setTraderMapLine(text, 5, 'C')).toBe(`${LINE}\nExpansionTraderAIBoris.Food|1 2 3|90 0 0|\nC\n`);
+    expect(setTraderMapLine('', 0, 'A')).toBe('A\n');
+  });
+});
+
+describe('traderZoneSummary', () => {
+  it('reads display name, position and radius', () => {
+    expect(traderZoneSummary('Green', { m_DisplayName: 'Green Mountain', Position: [3700, 400, 6000], Radius: 500 }))
+      .toEqual({ name: 'Green', displayName: 'Green Mountain', position: [3700, 400, 6000], radius: 500 });
+  });
+
+  it('falls back for missing fields', () => {
+    expect(traderZoneSummary('Empty', {})).toEqual({ name: 'Empty', displayName: 'Empty', position: [0, 0, 0], radius: 0 });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { checkAttachmentBlocks } from '../../src/utils/attachmentSlots';
+
+const accepts = {
+  slots: ['weaponOpticsAK', 'weaponButtstockAK', 'weaponFlashlight'],
+  bySlot: {
+    weaponopticsak: [{ name: 'PSO1Optic' }, { name: 'KobraOptic' }],
+    weaponButtstockAK: [{ name: 'AK_WoodBttstck' }, { name: 'AK_PlasticBttstck' }],
+    weaponFlashlight: [{ name: 'UniversalLight' }],
+  },
+};
+
+describe('checkAttachmentBlocks', () => {
+  it('accepts alternatives for one slot inside a block', () => {
+    const res = checkAttachmentBlocks(accepts, [
+      { items: [{ name: 'AK_WoodBttstck' }, { name: 'ak_plasticbttstck' }] },
+      { items: [{ name: 'PSO1Optic' }] },
+    ])!;
+    expect(res.issues).toEqual([]);
+    expect(res.itemSlots).toEqual([[['weaponButtstockAK'], ['weaponButtstockAK']], [['weaponOpticsAK']]]);
+    expect(res.slots.find(s => s.slot === 'weaponOpticsAK')).toMatchObject({ blocks: [1], candidates: accepts.bySlot.weaponopticsak });
+    expect(res.slots.find(s => s.slot === 'weaponFlashlight')?.blocks).toEqual([]);
+  });
+
+  it('flags items that fit no slot and blocks competing for one slot', () => {
+    const res = checkAttachmentBlocks(accepts, [
+      { items: [{ name: 'PSO1Optic' }] },
+      { items: [{ name: 'M4_CarryHandleOptic' }] },
+      { items: [{ name: 'KobraOptic' }] },
+    ])!;
+    expect(res.issues).toEqual([
+      { kind: 'no-slot', block: 1, item: 'M4_CarryHandleOptic' },
+      { kind: 'slot-conflict', slot: 'weaponOpticsAK', blocks: [0, 2] },
+    ]);
+  });
+
+  it('returns null without a graph', () => {
+    expect(checkAttachmentBlocks(null, [{ items: [{ name: 'PSO1Optic' }] }])).toBeNull();
+  });
+});
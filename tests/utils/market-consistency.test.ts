@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import { checkMarketConsistency, type MarketReference } from '../../src/utils/marketConsistency';
+
+const ref = (className: string, over: Partial<MarketReference> = {}): MarketReference => ({
+  className,
+  categories: ['Misc'], variantOf: [], attachmentOf: [], traders: [], zones: [],
+  minPrice: 50, maxPrice: 100,
+  ...over,
+});
+
+const types = new Map([
+  ['m4a1', { nominal: 4 }],
+  ['nvgoggles', { nominal: 0 }],
+  ['stale', { nominal: 3 }],
+]);
+
+describe('checkMarketConsistency', () => {
+  it('flags classes unknown to the catalog as orphaned, whatever else applies', () => {
+    const issues = checkMarketConsistency(
+      [ref('m4a1'), ref('stale'), ref('gone', { categories: [], zones: ['Green'], minPrice: null, maxPrice: null })],
+      types,
+      { catalogNames: new Set(['m4a1']), cheapPrice: 10 },
+    );
+    expect(issues.map(i => [i.kind, i.reference.className])).toEqual([['orphaned', 'stale'], ['orphaned', 'gone']]);
+    expect(issues[0].message).toMatch(/types.xml entry is stale/);
+  });
+
+  it('flags sold classes without a types entry', () => {
+    const issues = checkMarketConsistency(
+      [ref('modded'), ref('attached', { categories: [], attachmentOf: ['m4a1'], minPrice: null, maxPrice: null }), ref('variant', { categories: [], variantOf: ['m4a1'] })],
+      types,
+      { catalogNames: null, cheapPrice: 10 },
+    );
+    expect(issues.map(i => [i.kind, i.reference.className])).toEqual([['not-spawnable', 'modded'], ['not-spawnable', 'variant']]);
+  });
+
+  it('flags trader-only items sold at or below the cheap price', () => {
+    const opts = { catalogNames: null, cheapPrice: 100 };
+    expect(checkMarketConsistency([ref('nvgoggles')], types, opts).map(i => i.kind)).toEqual(['cheap-trader-only']);
+    expect(checkMarketConsistency([ref('nvgoggles', { maxPrice: 5000 })], types, opts)).toEqual([]);
+    expect(checkMarketConsistency([ref('m4a1', { maxPrice: 1 })], types, opts)).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  applyImportChoices,
+  defaultImportChoice,
+  diffMarketPack,
+  mergeMarketPrices,
+  parseMarketPack,
+} from '../../src/utils/marketImport';
+
+const item = (ClassName: string, MinPriceThreshold = 10, MaxPriceThreshold = 20) => ({
+  ClassName,
+  MinPriceThreshold,
+  MaxPriceThreshold,
+  SellPricePercent: -1,
+  MinStockThreshold: 1,
+  MaxStockThreshold: 10,
+  QuantityPercent: -1,
+});
+
+describe('parseMarketPack', () => {
+  it('takes category files by base name and reports the rest', () => {
+    const pack = parseMarketPack([
+      { name: 'Market/Food.json', text: '\uFEFF{"DisplayName":"Food","Items":[]}' },
+      { name: 'other/food.json', text: '{"Items":[]}' },
+      { name: 'Broken.json', text: '{' },
+      { name: 'Settings.json', text: '{"Enabled":1}' },
+      { name: 'My Pack.json', text: '{"Items":[]}' },
+      { name: 'readme.txt', text: 'hello' },
+    ]);
+    expect(Object.keys(pack.categories)).toEqual(['Food']);
+    expect(pack.skipped.map(s => s.reason)).toEqual([
+      'duplicate category name',
+      'invalid JSON',
+      'not a market category (no Items)',
+      'unsupported file name',
+    ]);
+  });
+});
+
+describe('diffMarketPack', () => {
+  const ours = { Food: { Items: [item('apple'), item('pear')] } };
+
+  it('classifies every item of the pack', () => {
+    const theirs = {
+      food: { Items: [item('Apple'), item('pear', 12, 20), item('plum')] },
+      Drinks: { Items: [item('water')] },
+    };
+    const rows = diffMarketPack(ours, theirs);
+    expect(rows.map(r => [r.key, r.status, r.changes])).toEqual([
+      ['drinks/water', 'new-category', []],
+      ['food/apple', 'same', []],
+      ['food/pear', 'changed', ['MinPriceThreshold']],
+      ['food/plum', 'new', []],
+    ]);
+    expect(rows.map(defaultImportChoice)).toEqual(['theirs', 'ours', 'ours', 'theirs']);
+  });
+});
+
+describe('applyImportChoices', () => {
+  const ours = { Food: { DisplayName: 'Food', Items: [item('apple'), item('pear')] } };
+  const theirs = {
+    food: { Items: [item('pear', 30, 40), item('plum')] },
+    Drinks: { DisplayName: 'Drinks', Icon: 'Bottle', Items: [item('water'), item('soda')] },
+  };
+  const rows = diffMarketPack(ours, theirs);
+
+  it('adds new items and categories by default and leaves changed ones alone', () => {
+    const out = applyImportChoices(ours, theirs, rows, {});
+    expect(out.Food.Items.map(i => i.ClassName)).toEqual(['apple', 'pear', 'plum']);
+    expect(out.Food.Items[1]).toBe(ours.Food.Items[1]);
+    expect(out.Drinks).toEqual({ DisplayName: 'Drinks', Icon: 'Bottle', Items: [item('water'), item('soda')] });
+    expect(ours.Food.Items).toHaveLength(2);
+  });
+
+  it('takes theirs, merges prices, or skips as chosen', () => {
+    const out = applyImportChoices(ours, theirs, rows, {
+      'food/pear': 'merge',
+      'food/plum': 'ours',
+      'drinks/soda': 'ours',
+    });
+    expect(out.Food.Items).toEqual([item('apple'), item('pear', 20, 30)]);
+    expect(out.Drinks.Items).toEqual([item('water')]);
+    expect(applyImportChoices(ours, theirs, rows, { 'food/pear': 'theirs' }).Food.Items[1]).toEqual(item('pear', 30, 40));
+  });
+
+  it('returns nothing when every choice keeps ours', () => {
+    const keep = Object.fromEntries(rows.map(r => [r.key, 'ours' as const]));
+    expect(applyImportChoices(ours, theirs, rows, keep)).toEqual({});
+  });
+});
+
+describe('mergeMarketPrices', () => {
+  it('averages the price thresholds only', () => {
+    const merged = mergeMarketPrices({ ...item('pear', 10, 21), MaxStockThreshold: 5 }, item('pear', 20, 40));
+    expect(merged).toMatchObject({ MinPriceThreshold: 15, MaxPriceThreshold: 31, MaxStockThreshold: 5 });
+  });
+});
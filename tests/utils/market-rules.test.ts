@@ -0,0 +1,100 @@
+import { describe, it, expect } from 'vitest';
+import { applyPriceChanges, planMarketRule, ruleMatches, tierOf, type CleInfo, type MarketAnalysisRow } from '../../src/utils/marketRules';
+
+const row = (className: string, category: string, over: Partial<MarketAnalysisRow> = {}): MarketAnalysisRow => ({
+  className, category,
+  minPrice: 500, maxPrice: 1000, sellPercent: 75, defaultSell: true,
+  minSell: 375, maxSell: 750, minStock: 1, maxStock: 10, variants: [],
+  ...over,
+});
+
+const cle = new Map<string, CleInfo>([
+  ['m4a1', { nominal: 4, category: 'weapons', value: ['Tier3', 'Tier4'] }],
+  ['akm', { nominal: 10, category: 'weapons', value: ['Tier2'] }],
+  ['apple', { nominal: 100, category: 'food', value: [] }],
+  ['rare', { nominal: 0, category: 'weapons', value: ['Tier4'] }],
+]);
+
+const rows = [
+  row('m4a1', 'Rifles'),
+  row('akm', 'Rifles', { minPrice: 300, maxPrice: 600 }),
+  row('apple', 'Food', { minPrice: 5, maxPrice: 10 }),
+  row('rare', 'Rifles'),
+  row('modded', 'Rifles'),
+];
+
+describe('tierOf', () => {
+  it('picks the highest tier flag', () => {
+    expect(tierOf(cle.get('m4a1'))).toBe('Tier4');
+    expect(tierOf(cle.get('apple'))).toBeNull();
+  });
+});
+
+describe('ruleMatches', () => {
+  it('combines market category, CLE category, tier and name', () => {
+    expect(ruleMatches(rows[0], cle.get('m4a1'), { cleCategory: 'Weapons', tier: 'tier4' })).toBe(true);
+    expect(ruleMatches(rows[1], cle.get('akm'), { tier: 'Tier4' })).toBe(false);
+    expect(ruleMatches(rows[2], cle.get('apple'), { marketCategory: 'Rifles' })).toBe(false);
+    expect(ruleMatches(rows[0], cle.get('m4a1'), { name: 'M4' })).toBe(true);
+  });
+
+  it('never matches CLE filters for items without a type', () => {
+    expect(ruleMatches(rows[4], undefined, { cleCategory: 'weapons' })).toBe(false);
+    expect(ruleMatches(rows[4], undefined, {})).toBe(true);
+  });
+});
+
+describe('planMarketRule', () => {
+  it('multiplies the prices of the matching items', () => {
+    const changes = planMarketRule(rows, cle, { scope: { cleCategory: 'weapons', tier: 'Tier4' }, action: { kind: 'multiply', target: 'price', factor: 1.2 } });
+    expect(changes).toEqual([
+      { category: 'Rifles', className: 'm4a1', field: 'MinPriceThreshold', from: 500, to: 600 },
+      { category: 'Rifles', className: 'm4a1', field: 'MaxPriceThreshold', from: 1000, to: 1200 },
+      { category: 'Rifles', className: 'rare', field: 'MinPriceThreshold', from: 500, to: 600 },
+      { category: 'Rifles', className: 'rare', field: 'MaxPriceThreshold', from: 1000, to: 1200 },
+    ]);
+  });
+
+  it('multiplies stock when asked to', () => {
+    const changes = planMarketRule(rows, cle, { scope: { name: 'apple' }, action: { kind: 'multiply', target: 'stock', factor: 2 } });
+    expect(changes.map(c => [c.field, c.to])).toEqual([['MinStockThreshold', 2], ['MaxStockThreshold', 20]]);
+  });
+
+  it('prices by nominal, keeping the min/max ratio and skipping items it cannot price', () => {
+    const changes = planMarketRule(rows, cle, { scope: { marketCategory: 'Rifles' }, action: { kind: 'nominal', base: 8000, exponent: 1 } });
+    expect(changes).toEqual([
+      { category: 'Rifles', className: 'm4a1', field: 'MinPriceThreshold', from: 500, to: 1000 },
+      { category: 'Rifles', className: 'm4a1', field: 'MaxPriceThreshold', from: 1000, to: 2000 },
+      { category: 'Rifles', className: 'akm', field: 'MinPriceThreshold', from: 300, to: 400 },
+      { category: 'Rifles', className: 'akm', field: 'MaxPriceThreshold', from: 600, to: 800 },
+    ]);
+  });
+
+  it('leaves out values that do not change', () => {
+    expect(planMarketRule(rows, cle, { scope: {}, action: { kind: 'multiply', target: 'price', factor: 1 } })).toEqual([]);
+  });
+});
+
+describe('applyPriceChanges', () => {
+  const json = {
+    DisplayName: 'Rifles',
+    Items: [
+      { ClassName: 'M4A1', MinPriceThreshold: 500, MaxPriceThreshold: 1000, SellPricePercent: -1, MinStockThreshold: 1, MaxStockThreshold: 10, QuantityPercent: -1 },
+      { ClassName: 'akm', MinPriceThreshold: 300, MaxPriceThreshold: 600, SellPricePercent: -1, MinStockThreshold: 1, MaxStockThreshold: 10, QuantityPercent: -1 },
+    ],
+  };
+
+  it('writes the category\'s changes by classname', () => {
+    const out = applyPriceChanges(json, 'Rifles', [
+      { category: 'Rifles', className: 'm4a1', field: 'MaxPriceThreshold', from: 1000, to: 1200 },
+      { category: 'Food', className: 'akm', field: 'MaxPriceThreshold', from: 600, to: 1 },
+    ]);
+    expect(out.Items[0].MaxPriceThreshold).toBe(1200);
+    expect(out.Items[1]).toBe(json.Items[1]);
+    expect(out.DisplayName).toBe('Rifles');
+  });
+
+  it('returns the same object when nothing applies', () => {
+    expect(applyPriceChanges(json, 'Food', [{ category: 'Rifles', className: 'akm', field: 'MaxPriceThreshold', from: 600, to: 1 }])).toBe(json);
+  });
+});
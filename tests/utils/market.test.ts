@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { applyMarketDraft, findMarketEntries, newMarketItem, sharedMarketValue } from '../../src/utils/market';
+
+const item = (ClassName: string, over = {}) => ({
+  ClassName,
+  MaxPriceThreshold: 1000, MinPriceThreshold: 500, SellPricePercent: -1,
+  MaxStockThreshold: 10, MinStockThreshold: 1, QuantityPercent: -1,
+  Variants: [],
+  ...over,
+});
+
+const categories = {
+  Rifles: { DisplayName: 'Rifles', Items: [item('akm'), item('m4a1', { MaxPriceThreshold: 2000 })] },
+  Ammo: { DisplayName: 'Ammo', Items: [item('ammo_762x39')] },
+  Specials: { Items: [item('AKM', { Variants: ['akm_black'] })] },
+};
+
+describe('findMarketEntries', () => {
+  it('finds every category listing a class, case-insensitively', () => {
+    const found = findMarketEntries(categories, ['AKM', 'Apple']);
+    expect(found.akm.map(e => e.category)).toEqual(['Rifles', 'Specials']);
+    expect(found.apple).toEqual([]);
+  });
+});
+
+describe('sharedMarketValue', () => {
+  it('returns null for differing values', () => {
+    const items = [categories.Rifles.Items[0], categories.Rifles.Items[1]];
+    expect(sharedMarketValue(items, i => i.MinPriceThreshold)).toBe(500);
+    expect(sharedMarketValue(items, i => i.MaxPriceThreshold)).toBeNull();
+    expect(sharedMarketValue([categories.Rifles.Items[0], categories.Specials.Items[0]], i => i.Variants)).toBeNull();
+  });
+});
+
+describe('applyMarketDraft', () => {
+  it('writes only the fields set in the draft to the selected items', () => {
+    const next = applyMarketDraft(categories.Rifles, new Set(['akm']), { MaxPriceThreshold: 1200, Variants: ['AKM_Green'] });
+    expect(next.DisplayName).toBe('Rifles');
+    expect(next.Items[0]).toMatchObject({ MaxPriceThreshold: 1200, MinPriceThreshold: 500, Variants: ['akm_green'] });
+    expect(next.Items[1]).toBe(categories.Rifles.Items[1]);
+  });
+
+  it('returns the same object when the category has none of the items', () => {
+    expect(applyMarketDraft(categories.Ammo, new Set(['akm']), { MaxPriceThreshold: 1 })).toBe(categories.Ammo);
+  });
+});
+
+describe('newMarketItem', () => {
+  it('lowercases the class and falls back to defaults', () => {
+    expect(newMarketItem('AKM', { MaxPriceThreshold: 900 })).toMatchObject({
+      ClassName: 'akm', MaxPriceThreshold: 900, MinPriceThreshold: 0, SellPricePercent: -1, Variants: [],
+    });
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { budgetBy, budgetTotals, compareBudgets, BUDGET_NONE } from '../../src/utils/nominalBudget';
+
+const t = (name: string, nominal: number, min: number, extra: Record<string, unknown> = {}) => ({
+  name, nominal, min, category: 'weapons', usage: [] as string[], value: [] as string[], tag: [] as string[], group: 'vanilla',
+  ...extra,
+});
+
+describe('nominal budget', () => {
+  const types = [
+    t('AKM', 10, 5, { usage: ['Military'], value: ['Tier3', 'Tier4'] }),
+    t('M4A1', 6, 2, { usage: ['Military', 'Police'], value: ['Tier4'], group: 'guns' }),
+    t('Apple', 40, 20, { category: '' }),
+  ];
+
+  it('sums totals and per-key rows, counting multi-valued flags in each row', () => {
+    expect(budgetTotals(types)).toEqual({ key: 'total', types: 3, nominal: 56, min: 27 });
+    expect(budgetBy(types, 'category')).toEqual([
+      { key: BUDGET_NONE, types: 1, nominal: 40, min: 20 },
+      { key: 'weapons', types: 2, nominal: 16, min: 7 },
+    ]);
+    expect(budgetBy(types, 'value').map(r => [r.key, r.nominal])).toEqual([
+      [BUDGET_NONE, 40], ['Tier4', 16], ['Tier3', 10],
+    ]);
+    expect(budgetBy(types, 'group').map(r => r.key)).toEqual(['vanilla', 'guns']);
+  });
+
+  it('ranks keys by growth, including ones that disappeared', () => {
+    const base = budgetBy([t('AKM', 10, 5, { group: 'vanilla' }), t('Old', 3, 1, { group: 'legacy' })], 'group');
+    const now = budgetBy([t('AKM', 10, 5), t('M4A1', 12, 4, { group: 'guns' })], 'group');
+    expect(compareBudgets(now, base).map(r => [r.key, r.deltaNominal])).toEqual([
+      ['guns', 12], ['vanilla', 0], ['legacy', -3],
+    ]);
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { changedTraders, nextTraderIndex, traderKey, yawToScreen, yawToward, type TraderPlacement } from '../../src/utils/traderMap';
+
+const npc = (file: string, index: number, over: Partial<TraderPlacement> = {}): TraderPlacement => ({
+  file, index,
+  className: 'ExpansionTraderAIMirek', traderFileName: 'Weapons',
+  position: [100, 10, 200], orientation: [0, 0, 0], gear: [],
+  ...over,
+});
+
+describe('yawToward', () => {
+  it('reads as a compass heading', () => {
+    expect(yawToward(0, 1)).toBe(0);
+    expect(yawToward(1, 0)).toBe(90);
+    expect(yawToward(0, -1)).toBe(180);
+    expect(yawToward(-1, 0)).toBe(270);
+    expect(yawToward(0, 0)).toBe(0);
+  });
+});
+
+describe('yawToScreen', () => {
+  it('points up for north and right for east', () => {
+    const north = yawToScreen(0);
+    const east = yawToScreen(90);
+    expect(north.dx).toBeCloseTo(0);
+    expect(north.dy).toBeCloseTo(-1);
+    expect(east.dx).toBeCloseTo(1);
+    expect(east.dy).toBeCloseTo(0);
+  });
+});
+
+describe('nextTraderIndex', () => {
+  it('appends after the lines of the same file, case-insensitively', () => {
+    const list = [npc('Green', 0), npc('Green', 1), npc('Krona', 0), npc('green', 2, { isNew: true })];
+    expect(nextTraderIndex(list, 'GREEN')).toBe(3);
+    expect(nextTraderIndex(list, 'NewFile')).toBe(0);
+  });
+});
+
+describe('changedTraders', () => {
+  it('returns moved and new traders only', () => {
+    const saved = [npc('Green', 0), npc('Green', 1)];
+    const moved = npc('Green', 1, { position: [150, 10, 200] });
+    const added = npc('Green', 2, { isNew: true });
+    expect(changedTraders([saved[0], moved, added], saved).map(traderKey)).toEqual(['Green#1', 'Green#2']);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest';
+import { buildCoverage, parseCategories, serializeCategories, setTraderCategoryMode, traderItemModes } from '../../src/utils/traderProfiles';
+
+const category = (...names: string[]) => ({ Items: names.map(ClassName => ({ ClassName } as any)) });
+
+describe('parseCategories / serializeCategories', () => {
+  it('parses flags, defaults to 1 and drops duplicates', () => {
+    expect(parseCategories(['Rifles:0', 'Food', 'rifles:2', 42])).toEqual([{ name: 'Rifles', flag: 0 }, { name: 'Food', flag: 1 }]);
+    expect(serializeCategories([{ name: 'Food', flag: 1 }])).toEqual(['Food:1']);
+  });
+});
+
+describe('traderItemModes', () => {
+  it('lowercases keys', () => {
+    expect([...traderItemModes({ Items: { M4A1: 2 } })]).toEqual([['m4a1', 2]]);
+    expect(traderItemModes({}).size).toBe(0);
+  });
+});
+
+describe('setTraderCategoryMode', () => {
+  const profile = { DisplayName: 'Weapons', Categories: ['Rifles:1', 'Pistols:0'] };
+
+  it('changes, appends and removes while keeping the rest of the profile', () => {
+    expect(setTraderCategoryMode(profile, 'pistols', 2).Categories).toEqual(['Rifles:1', 'Pistols:2']);
+    expect(setTraderCategoryMode(profile, 'Ammo', 0).Categories).toEqual(['Rifles:1', 'Pistols:0', 'Ammo:0']);
+    const removed = setTraderCategoryMode(profile, 'Rifles', null);
+    expect(removed).toEqual({ DisplayName: 'Weapons', Categories: ['Pistols:0'] });
+    expect(profile.Categories).toEqual(['Rifles:1', 'Pistols:0']);
+  });
+});
+
+describe('buildCoverage', () => {
+  const categories = {
+    Rifles: category('M4A1', 'AKM'),
+    Food: category('Apple'),
+    Secret: category('NVGoggles', 'Flag'),
+  };
+  const traders = {
+    Weapons: { Categories: ['Rifles:1'], Items: { akm: 3 } },
+    Market: { Categories: ['Food:0', 'Secret:3'], Items: { nvgoggles: 2 } },
+  };
+
+  it('fills a cell per trader and category', () => {
+    const { rows } = buildCoverage(categories, traders);
+    expect(rows.map(r => r.category)).toEqual(['Food', 'Rifles', 'Secret']);
+    expect(rows[1].cells).toEqual({ Weapons: { mode: 1, itemOverrides: 1 }, Market: { mode: null, itemOverrides: 0 } });
+    expect(rows[2].cells.Market).toEqual({ mode: 3, itemOverrides: 1 });
+  });
+
+  it('lists items no trader can trade, with item modes overriding their category', () => {
+    expect(buildCoverage(categories, traders).uncovered).toEqual([
+      { className: 'akm', category: 'Rifles' },
+      { className: 'flag', category: 'Secret' },
+    ]);
+  });
+});
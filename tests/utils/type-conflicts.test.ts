@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { findTypeConflicts, typesLoadOrder } from '../../src/utils/typeConflicts';
+import type { Type } from '../../src/utils/xml';
+
+const type = (name: string, over: Partial<Type> = {}): Type => ({
+  name,
+  category: 'weapons',
+  nominal: 10, min: 5, lifetime: 3600, restock: 0, quantmin: -1, quantmax: -1,
+  usage: ['Military'], value: [], tag: [],
+  flags: { count_in_cargo: false, count_in_hoarder: false, count_in_map: true, count_in_player: false, crafted: false, deloot: false },
+  ...over,
+});
+
+describe('typesLoadOrder', () => {
+  it('puts db/types.xml first, then cfgeconomycore order', () => {
+    expect(typesLoadOrder(['mortys', 'vanilla_overrides'], {
+      mortys: ['/samples/db/types/mortys/types.xml', '/samples/db/types/mortys/weapons.xml'],
+      vanilla_overrides: ['/samples/db/vanilla_overrides/types.xml'],
+    })).toEqual(['vanilla/types', 'mortys/types', 'mortys/weapons', 'vanilla_overrides/types']);
+  });
+});
+
+describe('findTypeConflicts', () => {
+  const order = ['vanilla/types', 'mortys/types', 'vanilla_overrides/types'];
+
+  it('lists classnames in several files with the last loaded one as winner', () => {
+    const conflicts = findTypeConflicts({
+      vanilla: { types: [type('AKM'), type('Apple')] },
+      vanilla_overrides: { types: [type('AKM', { nominal: 4 })] },
+      mortys: { types: [type('akm', { nominal: 20, usage: ['Police', 'Military'] })] },
+    }, order);
+    expect(conflicts).toHaveLength(1);
+    const [c] = conflicts;
+    expect(c.entries.map(e => e.group)).toEqual(['vanilla', 'mortys', 'vanilla_overrides']);
+    expect(c.winner?.group).toBe('vanilla_overrides');
+    expect(c.name).toBe('AKM');
+    expect(c.fields).toEqual(['nominal', 'usage']);
+  });
+
+  it('ignores files the server does not load when picking the winner', () => {
+    const [c] = findTypeConflicts({
+      vanilla: { types: [type('AKM')] },
+      stray: { types: [type('AKM', { nominal: 1 })] },
+    }, order);
+    expect(c.winner?.group).toBe('vanilla');
+    expect(c.entries[1]).toMatchObject({ group: 'stray', loadIndex: null });
+  });
+
+  it('does not report a name repeated within one file', () => {
+    expect(findTypeConflicts({ mortys: { types: [type('AKM'), type('AKM')] } }, order)).toEqual([]);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, it, expect } from 'vitest';
+import { mergeTypeFiles } from '../../src/utils/typeMerge';
+import type { Type } from '../../src/utils/xml';
+
+const type = (name: string, over: Partial<Type> = {}): Type => ({
+  name,
+  category: 'food',
+  nominal: 10, min: 5, lifetime: 3600, restock: 0, quantmin: -1, quantmax: -1,
+  usage: ['Town'], value: [], tag: [],
+  flags: { count_in_cargo: false, count_in_hoarder: false, count_in_map: true, count_in_player: false, crafted: false, deloot: false },
+  ...over,
+});
+
+const summary = (types: Type[]) => types.map(t => `${t.name}:${t.nominal}`);
+
+describe('mergeTypeFiles', () => {
+  const base = [type('Apple'), type('Pear'), type('Plum')];
+
+  it('takes each side\'s changes to different types', () => {
+    const mine = [type('Apple', { nominal: 20 }), type('Pear'), type('Plum'), type('Kiwi')];
+    const theirs = [type('Apple'), type('Pear', { nominal: 3 }), type('Fig')];
+    const { types, conflicts } = mergeTypeFiles(base, mine, theirs);
+    expect(conflicts).toEqual([]);
+    expect(summary(types)).toEqual(['Apple:20', 'Pear:3', 'Fig:10', 'Kiwi:10']);
+  });
+
+  it('keeps a type both sides changed the same way', () => {
+    const same = [type('Apple', { nominal: 20 }), type('Pear'), type('Plum')];
+    expect(mergeTypeFiles(base, same, same).conflicts).toEqual([]);
+  });
+
+  it('reports types both sides changed differently, keeping mine unless told otherwise', () => {
+    const mine = [type('Apple', { nominal: 20 }), type('Pear'), type('Plum')];
+    const theirs = [type('Apple', { nominal: 30, usage: ['Farm'] }), type('Pear')];
+    const merged = mergeTypeFiles(base, mine, theirs);
+    expect(merged.conflicts).toEqual([
+      expect.objectContaining({ name: 'Apple', fields: ['nominal', 'usage'] }),
+    ]);
+    // Plum: only deleted on the server
+    expect(summary(merged.types)).toEqual(['Apple:20', 'Pear:10']);
+    expect(summary(mergeTypeFiles(base, mine, theirs, { Apple: 'theirs' }).types)).toEqual(['Apple:30', 'Pear:10']);
+  });
+
+  it('treats an edit against a deletion as a conflict', () => {
+    const mine = [type('Apple'), type('Pear'), type('Plum', { nominal: 1 })];
+    const theirs = [type('Apple'), type('Pear')];
+    const { types, conflicts } = mergeTypeFiles(base, mine, theirs);
+    expect(conflicts).toEqual([expect.objectContaining({ name: 'Plum', theirs: null, fields: [] })]);
+    expect(summary(types)).toContain('Plum:1');
+    expect(summary(mergeTypeFiles(base, mine, theirs, { Plum: 'theirs' }).types)).not.toContain('Plum:1');
+  });
+});
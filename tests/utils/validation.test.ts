@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { validateTypeAgainstDefinitions, validateUnknowns } from '../../src/utils/validation.js';
+import { validateCatalogClassnames, validateTypeAgainstDefinitions, validateUnknowns } from '../../src/utils/validation.js';
 
 describe('validation', () => {
   const defs = {
@@ -40,3 +40,44 @@ describe('validation', () => {
     expect(unknowns.byType['Test'].category).toEqual(['unknown']);
   });
 });
+
+describe('validateCatalogClassnames', () => {
+  const type = (name: string) => ({ name, usage: [], value: [], tag: [] });
+  const spawnable = {
+    mymod: {
+      'cfgspawnabletypes.xml': {
+        types: [{
+          name: 'akm',
+          sections: [
+            { kind: 'attachments', items: [{ name: 'AK_WoodBttstck' }, { name: 'AK_WodBttstck' }, { name: 'Mag_STANAG_30Rnd' }] },
+            { kind: 'cargo', items: [{ name: 'Ammo_762x39' }, { name: 'Ammo_Removed' }] },
+            { kind: 'attachments', preset: 'ak_optics', items: [] },
+          ],
+        }],
+      },
+    },
+  };
+  const catalog = {
+    names: ['AKM', 'AK_WoodBttstck', 'Mag_STANAG_30Rnd', 'Ammo_762x39'],
+    compatibleAttachments: (parent: string) => (parent === 'AKM' ? ['ak_woodbttstck'] : null),
+  };
+
+  it('flags unknown types, unknown attachment/cargo classes and attachments without a slot', () => {
+    const res = validateCatalogClassnames(
+      [type('AKM'), type('AKM_Typo'), type('Land_Shed')] as any, spawnable, catalog);
+    expect(res.hasAny).toBe(true);
+    expect(res.issues.map(i => [i.kind, i.type, i.item])).toEqual([
+      ['unknown-type', 'AKM_Typo', undefined],
+      ['unknown-attachment', 'AKM', 'AK_WodBttstck'],
+      ['no-slot', 'AKM', 'Mag_STANAG_30Rnd'],
+      ['unknown-cargo', 'AKM', 'Ammo_Removed'],
+    ]);
+    expect(res.byType.AKM).toHaveLength(3);
+    expect(res.byType.AKM[0].source).toBe('mymod/cfgspawnabletypes.xml');
+  });
+
+  it('skips the slot check when the catalog cannot answer for the parent', () => {
+    const res = validateCatalogClassnames([type('AKM')] as any, spawnable, { names: catalog.names });
+    expect(res.issues.map(i => i.kind)).toEqual(['unknown-attachment', 'unknown-cargo']);
+  });
+});
@@ -12,7 +12,14 @@ import {
   ROOT_SPAWNABLE_GROUP,
   findSpawnableEntryForType,
   renameSpawnablePresetReferences,
-  validateSpawnableReferences
+  validateSpawnableReferences,
+  parseEventsXml,
+  generateEventsXml,
+  parseEventSpawnsXml,
+  generateEventSpawnsXml,
+  parseEconomyCoreXml,
+  parsePlayerSpawnPointsXml,
+  generatePlayerSpawnPointsXml
 } from '../../src/utils/xml.js';
 import { XMLNodeKind } from '@/types/xml';
 
@@ -238,6 +245,8 @@ describe('random presets and globals utilities', () => {
     const globals = parseGlobalsXml('<variables><var name="LootDamageMin" value="0.15"/><var name="LootDamageMax" value="0.85"/></variables>');
     expect(globals.LootDamageMin).toBe(0.15);
     expect(globals.LootDamageMax).toBe(0.85);
+    expect(globals.InitialSpawn).toBeNull();
+    expect(parseGlobalsXml('<variables><var name="RespawnLimit" type="0" value="30"/></variables>').RespawnLimit).toBe(30);
     expect(formatChance(2)).toBe('1.000');
     expect(formatChance(0.12345)).toBe('0.123');
   });
@@ -248,3 +257,130 @@ describe('random presets and globals utilities', () => {
     expect(globals.LootDamageMax).toBeNull();
   });
 });
+
+describe('events and event spawns', () => {
+  const eventsXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+  <events>
+    <event name="StaticHeliCrash">
+      <nominal>3</nominal>
+      <min>1</min>
+      <max>3</max>
+      <lifetime>2100</lifetime>
+      <restock>0</restock>
+      <saferadius>1000</saferadius>
+      <distanceradius>1000</distanceradius>
+      <cleanupradius>1000</cleanupradius>
+      <secondary>InfectedArmy</secondary>
+      <flags deletable="1" init_random="0" remove_damaged="0"/>
+      <position>fixed</position>
+      <limit>child</limit>
+      <active>1</active>
+      <children>
+        <child lootmax="15" lootmin="10" max="3" min="1" type="Wreck_UH1Y"/>
+      </children>
+    </event>
+  </events>`;
+
+  it('round-trips events.xml', () => {
+    const events = parseEventsXml(eventsXml);
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({
+      name: 'StaticHeliCrash', nominal: 3, saferadius: 1000, secondary: 'InfectedArmy',
+      position: 'fixed', limit: 'child', active: true,
+      flags: { deletable: true, init_random: false, remove_damaged: false },
+    });
+    expect(events[0].children[0]).toMatchObject({ type: 'Wreck_UH1Y', min: 1, max: 3, lootmin: 10, lootmax: 15 });
+    expect(parseEventsXml(generateEventsXml(events))).toEqual(events);
+  });
+
+  it('round-trips cfgeventspawns.xml, keeping unknown pos attributes', () => {
+    const xml = `<eventposdef>
+      <event name="StaticHeliCrash">
+        <zone smin="0" smax="0" dmin="1" dmax="3" r="50"/>
+        <pos x="4573.23" z="12330.5" a="45" y="120"/>
+      </event>
+      <event name="VehicleCivilianSedan"/>
+    </eventposdef>`;
+    const spawns = parseEventSpawnsXml(xml);
+    expect(spawns[0].zone).toEqual({ smin: '0', smax: '0', dmin: '1', dmax: '3', r: '50' });
+    expect(spawns[0].positions[0]).toMatchObject({ x: 4573.23, z: 12330.5, a: 45 });
+    expect(spawns[1].positions).toEqual([]);
+    const out = generateEventSpawnsXml(spawns);
+    expect(out).toContain('<pos x="4573.23" y="120" z="12330.5" a="45"/>');
+    expect(out).toContain('<event name="VehicleCivilianSedan"/>');
+  });
+});
+
+describe('player spawn points', () => {
+  const xml = `<playerspawnpoints>
+    <fresh>
+      <spawn_params>
+        <min_dist_infected>30</min_dist_infected>
+        <max_dist_infected>70</max_dist_infected>
+      </spawn_params>
+      <generator_params>
+        <grid_density>4</grid_density>
+        <grid_width>200</grid_width>
+      </generator_params>
+      <group_params>
+        <enablegroups>true</enablegroups>
+        <lifetime>240</lifetime>
+      </group_params>
+      <generator_posbubbles>
+        <group name="WestCherno" lifetime="360" counter="-1">
+          <pos x="6063.01" z="1931.9"/>
+          <pos x="5933.9" z="2171.4"/>
+        </group>
+      </generator_posbubbles>
+    </fresh>
+    <travel>
+      <spawn_params><min_dist_player>25</min_dist_player></spawn_params>
+      <generator_params><grid_density>8</grid_density></generator_params>
+      <generator_posbubbles/>
+    </travel>
+  </playerspawnpoints>`;
+
+  it('parses sections, params in order, and group attributes', () => {
+    const data = parsePlayerSpawnPointsXml(xml);
+    expect(Object.keys(data)).toEqual(['fresh', 'travel']);
+    expect(Object.keys(data.fresh!.spawnParams)).toEqual(['min_dist_infected', 'max_dist_infected']);
+    expect(data.fresh!.groupParams.enablegroups).toBe('true');
+    expect(data.fresh!.groups[0]).toMatchObject({ name: 'WestCherno', attrs: { lifetime: '360', counter: '-1' } });
+    expect(data.fresh!.groups[0].positions.map(p => [p.x, p.z])).toEqual([[6063.01, 1931.9], [5933.9, 2171.4]]);
+    expect(data.travel!.groups).toEqual([]);
+  });
+
+  it('round-trips, writing edited positions and omitting an empty group_params', () => {
+    const data = parsePlayerSpawnPointsXml(xml);
+    data.fresh!.groups[0].positions[1] = { x: 6000, z: 2000 };
+    data.fresh!.groups[0].attrs.weight = '2';
+    const out = generatePlayerSpawnPointsXml(data);
+    expect(out).toContain('<group name="WestCherno" lifetime="360" counter="-1" weight="2">');
+    expect(out).toContain('<pos x="6000" z="2000"/>');
+    expect(out).not.toContain('<hop>');
+    expect(out.match(/<group_params>/g)).toHaveLength(1);
+    expect(parsePlayerSpawnPointsXml(out).travel!.generatorParams).toEqual({ grid_density: '8' });
+  });
+});
+
+describe('parseEconomyCoreXml', () => {
+  it('collects type="events" files per group alongside types and spawnabletypes', () => {
+    const xml = `<economycore>
+      <ce folder="db/mortys">
+        <file name="types.xml" type="types"/>
+        <file name="spawnabletypes.xml" type="spawnabletypes"/>
+        <file name="events.xml" type="events"/>
+      </ce>
+      <ce folder="db/heli">
+        <file name="heli_events.xml" type="events"/>
+      </ce>
+    </economycore>`;
+    const { order, filesByGroup, eventsFilesByGroup } = parseEconomyCoreXml(xml);
+    expect(order).toEqual(['mortys', 'heli']);
+    expect(filesByGroup.mortys).toEqual(['/samples/db/mortys/types.xml']);
+    expect(eventsFilesByGroup).toEqual({
+      mortys: ['/samples/db/mortys/events.xml'],
+      heli: ['/samples/db/heli/heli_events.xml'],
+    });
+  });
+});
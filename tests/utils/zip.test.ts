@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { deflateRawSync } from 'node:zlib';
+import { createZip, readZip } from '../../src/utils/zip.js';
+
+const enc = new TextEncoder();
+const dec = new TextDecoder();
+
+const bytes = (blob: Blob) => new Promise<Uint8Array>((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result as ArrayBuffer));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+/** Rewrite the first entry of a stored zip as deflated, the way real zippers write it. */
+function deflateFirstEntry(zip: Uint8Array, content: Uint8Array): Uint8Array {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const nameLen = view.getUint16(26, true);
+  const packed = deflateRawSync(content);
+  const head = zip.slice(0, 30 + nameLen);
+  const tail = zip.slice(30 + nameLen + content.length);
+  const out = new Uint8Array(head.length + packed.length + tail.length);
+  out.set(head);
+  out.set(packed, head.length);
+  out.set(tail, head.length + packed.length);
+  const v = new DataView(out.buffer);
+  v.setUint16(8, 8, true);
+  v.setUint32(18, packed.length, true);
+  // Central directory moved back by the size difference.
+  const shift = content.length - packed.length;
+  const endAt = out.length - 22;
+  const central = v.getUint32(endAt + 16, true) - shift;
+  v.setUint32(endAt + 16, central, true);
+  v.setUint16(central + 10, 8, true);
+  v.setUint32(central + 20, packed.length, true);
+  return out;
+}
+
+describe('readZip', () => {
+  it('reads back what createZip writes', async () => {
+    const zip = await bytes(createZip([
+      { name: 'Market/Food.json', data: enc.encode('{"Items":[]}') },
+      { name: 'Drinks.json', data: enc.encode('{}') },
+    ]));
+    const files = await readZip(zip);
+    expect(files.map(f => [f.name, dec.decode(f.data)])).toEqual([
+      ['Market/Food.json', '{"Items":[]}'],
+      ['Drinks.json', '{}'],
+    ]);
+  });
+
+  it('inflates deflated entries', async () => {
+    const content = enc.encode(JSON.stringify({ Items: Array(50).fill({ ClassName: 'apple' }) }));
+    const zip = deflateFirstEntry(await bytes(createZip([{ name: 'Food.json', data: content }])), content);
+    const [file] = await readZip(zip.buffer);
+    expect(dec.decode(file.data)).toBe(dec.decode(content));
+  });
+
+  it('refuses an archive that unpacks past maxSize before inflating it', async () => {
+    const zip = await bytes(createZip([
+      { name: 'a.json', data: enc.encode('x'.repeat(60)) },
+      { name: 'b.json', data: enc.encode('x'.repeat(60)) },
+    ]));
+    await expect(readZip(zip, { maxSize: 100 })).rejects.toMatchObject({ code: 'TOO_LARGE' });
+    expect(await readZip(zip, { maxSize: 120 })).toHaveLength(2);
+  });
+
+  it('stops inflating an entry at the size the zip declares for it', async () => {
+    const content = enc.encode('a'.repeat(100_000));
+    const zip = deflateFirstEntry(await bytes(createZip([{ name: 'bomb.json', data: content }])), content);
+    // Declare 1 KB where 100 KB inflate.
+    const central = new DataView(zip.buffer).getUint32(zip.length - 22 + 16, true);
+    new DataView(zip.buffer).setUint32(central + 24, 1024, true);
+    await expect(readZip(zip)).rejects.toThrow('inflates to more than the 1024 bytes');
+  });
+
+  it('rejects data that is not a zip', async () => {
+    await expect(readZip(enc.encode('not a zip at all, just some text'))).rejects.toThrow('Not a ZIP archive');
+  });
+});